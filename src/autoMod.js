@@ -0,0 +1,713 @@
+// Copyright 2019 Campbell Crowley. All rights reserved.
+// Author: Campbell Crowley (dev@campbellcrowley.com)
+const fs = require('fs');
+const SubModule = require('./subModule.js');
+
+/**
+ * @description Automatically moderates messages sent in guilds. Every message
+ * is checked against the configured rules, and the strictest action of all
+ * rules the message broke is performed.
+ * @listens external:Discord~Client#message
+ * @listens external:Discord~Client#messageUpdate
+ * @listens Command#automod
+ */
+class AutoMod extends SubModule {
+  /**
+   * @description SubModule managing automatic moderation.
+   */
+  constructor() {
+    super();
+    /** @inheritdoc */
+    this.myName = 'AutoMod';
+    /**
+     * Guild settings for automod mapped by their guild id.
+     *
+     * @private
+     * @type {object.<AutoMod~Settings>}
+     * @default
+     */
+    this._settings = {};
+    /**
+     * Recent messages sent by users, for detecting floods. Mapped by guild id,
+     * then user id.
+     *
+     * @private
+     * @type {object.<object.<Array.<{time: number, content: string}>>>}
+     * @default
+     */
+    this._history = {};
+    /**
+     * Compiled blocked word regular expressions, mapped by their source
+     * string.
+     *
+     * @private
+     * @type {object.<?RegExp>}
+     * @default
+     */
+    this._regexCache = Object.create(null);
+    this.save = this.save.bind(this);
+    this.getSettings = this.getSettings.bind(this);
+    this.check = this.check.bind(this);
+    this._onMessage = this._onMessage.bind(this);
+    this._onMessageUpdate = this._onMessageUpdate.bind(this);
+    this._commandAutoMod = this._commandAutoMod.bind(this);
+  }
+
+  /** @inheritdoc */
+  initialize() {
+    this.command.on(
+        new this.command.SingleCommand(
+            ['automod', 'filter'], this._commandAutoMod, {
+              validOnlyInGuild: true,
+              defaultDisabled: true,
+              permissions: this.Discord.Permissions.FLAGS.MANAGE_MESSAGES |
+                  this.Discord.Permissions.FLAGS.MANAGE_GUILD |
+                  this.Discord.Permissions.FLAGS.KICK_MEMBERS,
+            }));
+    this.client.on('message', this._onMessage);
+    this.client.on('messageUpdate', this._onMessageUpdate);
+
+    this.client.guilds.forEach((g) => {
+      fs.readFile(
+          `${this.common.guildSaveDir}${g.id}/autoMod.json`, (err, file) => {
+            if (err) return;
+            try {
+              this._settings[g.id] = Settings.from(JSON.parse(file));
+            } catch (e) {
+              this.error('Failed to parse autoMod settings: ' + g.id);
+              console.error(e);
+            }
+          });
+    });
+  }
+  /** @inheritdoc */
+  shutdown() {
+    this.command.removeListener('automod');
+    this.client.removeListener('message', this._onMessage);
+    this.client.removeListener('messageUpdate', this._onMessageUpdate);
+  }
+  /** @inheritdoc */
+  save(opt) {
+    if (!this.initialized) return;
+
+    Object.entries(this._settings).forEach((obj) => {
+      const dir = `${this.common.guildSaveDir}${obj[0]}/`;
+      const filename = `${dir}autoMod.json`;
+      if (opt == 'async') {
+        this.common.mkAndWrite(filename, dir, JSON.stringify(obj[1]));
+      } else {
+        this.common.mkAndWriteSync(filename, dir, JSON.stringify(obj[1]));
+      }
+    });
+  }
+
+  /**
+   * @description Get the settings for a guild.
+   * @public
+   * @param {string} gId The ID of the guild to fetch.
+   * @returns {AutoMod~Settings} Reference to settings object. If it does not
+   * exist yet, it will first be created with defaults.
+   */
+  getSettings(gId) {
+    if (!this._settings[gId]) this._settings[gId] = new Settings();
+    return this._settings[gId];
+  }
+
+  /**
+   * @description Handle a message being sent.
+   * @private
+   * @param {external:Discord~Message} msg The message that was sent.
+   */
+  _onMessage(msg) {
+    if (!msg.guild || !msg.member || msg.author.bot) return;
+    const s = this._settings[msg.guild.id];
+    if (!s || !s.enabled || this._isExempt(msg, s)) return;
+    const broken = this.check(msg, s);
+    if (broken.length > 0) this._doAction(msg, s, broken);
+  }
+
+  /**
+   * @description Handle a message being edited. Edited messages are checked
+   * again, since rules could be bypassed by editing a message after it was
+   * sent.
+   * @private
+   * @param {external:Discord~Message} oldMsg The message before the edit.
+   * @param {external:Discord~Message} newMsg The message after the edit.
+   */
+  _onMessageUpdate(oldMsg, newMsg) {
+    if (oldMsg.content === newMsg.content) return;
+    if (!newMsg.guild || !newMsg.member || newMsg.author.bot) return;
+    const s = this._settings[newMsg.guild.id];
+    if (!s || !s.enabled || this._isExempt(newMsg, s)) return;
+    // Flood is not checked since the message was already counted.
+    const broken = this.check(newMsg, s).filter((el) => el !== 'flood');
+    if (broken.length > 0) this._doAction(newMsg, s, broken);
+  }
+
+  /**
+   * @description Check if a message is exempt from automod in the guild.
+   * @private
+   * @param {external:Discord~Message} msg The message to check.
+   * @param {AutoMod~Settings} s The guild's settings.
+   * @returns {boolean} True if the message should not be checked.
+   */
+  _isExempt(msg, s) {
+    if (msg.guild.ownerID === msg.author.id) return true;
+    if (s.exemptChannels.includes(msg.channel.id)) return true;
+    if (msg.channel.parentID &&
+        s.exemptChannels.includes(msg.channel.parentID)) {
+      return true;
+    }
+    return msg.member.roles.some((el) => s.exemptRoles.includes(el.id));
+  }
+
+  /**
+   * @description Check a message against all enabled rules.
+   * @public
+   * @param {external:Discord~Message} msg The message to check.
+   * @param {AutoMod~Settings} [s] The guild's settings. Fetched from the
+   * message's guild if not given.
+   * @returns {string[]} Names of the rules the message broke. One of {@link
+   * AutoMod.rules}.
+   */
+  check(msg, s) {
+    if (!s) s = this.getSettings(msg.guild.id);
+    const content = msg.content || '';
+    const broken = [];
+
+    if (s.floodCount > 0 && this._checkFlood(msg, s)) broken.push('flood');
+
+    const mentions =
+        msg.mentions.users.size + msg.mentions.roles.size +
+        (msg.mentions.everyone ? 1 : 0);
+    if (s.maxMentions > 0 && mentions >= s.maxMentions) {
+      broken.push('mentions');
+    }
+
+    if (s.blockInvites && AutoMod.inviteRegex.test(content)) {
+      broken.push('invites');
+    }
+
+    const word = s.blockedWords.find((el) => {
+      const regex = this._compile(el);
+      return regex && regex.test(content);
+    });
+    if (word) broken.push('words');
+
+    const caps = AutoMod.capsRatio(content, s.capsMinLength);
+    if (s.capsRatio > 0 && caps >= s.capsRatio) broken.push('caps');
+
+    if (s.blockZalgo && AutoMod.zalgoRegex.test(content)) {
+      broken.push('zalgo');
+    }
+    return broken;
+  }
+
+  /**
+   * @description Record a message in the sender's history, and check if they
+   * have sent the same message too many times recently.
+   * @private
+   * @param {external:Discord~Message} msg The message to check.
+   * @param {AutoMod~Settings} s The guild's settings.
+   * @returns {boolean} True if the message is part of a flood.
+   */
+  _checkFlood(msg, s) {
+    const content = (msg.content || '').trim().toLocaleLowerCase();
+    if (!content) return false;
+    if (!this._history[msg.guild.id]) this._history[msg.guild.id] = {};
+    const guild = this._history[msg.guild.id];
+    const now = Date.now();
+    const history = (guild[msg.author.id] || [])
+        .filter((el) => now - el.time < s.floodInterval);
+    history.push({time: now, content: content});
+    guild[msg.author.id] = history;
+    return history.filter((el) => el.content === content).length >=
+        s.floodCount;
+  }
+
+  /**
+   * @description Compile a blocked word into a regular expression. Invalid
+   * expressions are cached as null so the error is only logged once.
+   * @private
+   * @param {string} str The regular expression source.
+   * @returns {?RegExp} The compiled expression, or null if invalid.
+   */
+  _compile(str) {
+    if (typeof this._regexCache[str] === 'undefined') {
+      this._regexCache[str] = AutoMod.compileWord(str);
+      if (!this._regexCache[str]) {
+        this.warn('Invalid blocked word regex: ' + str);
+      }
+    }
+    return this._regexCache[str];
+  }
+
+  /**
+   * @description Perform the strictest action of the rules a message broke.
+   * @private
+   * @param {external:Discord~Message} msg The message that broke rules.
+   * @param {AutoMod~Settings} s The guild's settings.
+   * @param {string[]} broken The names of the rules that were broken.
+   */
+  _doAction(msg, s, broken) {
+    let action = 'none';
+    broken.forEach((el) => {
+      const next = s[`${el}Action`];
+      if (AutoMod.actions.indexOf(next) > AutoMod.actions.indexOf(action)) {
+        action = next;
+      }
+    });
+    if (action === 'none') return;
+    const names = broken.map((el) => AutoMod.ruleNames[el]).join(', ');
+    const reason = `AutoMod: ${names}`;
+
+    msg.delete({reason: reason}).catch((err) => {
+      this.error(
+          'Failed to delete message: ' + msg.guild.id + '#' + msg.channel.id);
+      console.error(err);
+    });
+
+    const modLog = this.bot.getSubmodule('./modLog.js');
+    const moderation = this.bot.getSubmodule('./moderation.js');
+    const member = msg.member;
+    const addCase = (type) => {
+      if (moderation) {
+        moderation.addInfraction(msg.guild, msg.author, null, type, reason);
+      } else if (modLog) {
+        modLog.output(msg.guild, type, msg.author, null, reason);
+      }
+    };
+    if (modLog) {
+      modLog.output(
+          msg.guild, broken.includes('mentions') ? 'mentionAbuse' : 'automod',
+          msg.author, null, `${names} in #${msg.channel.name}`,
+          msg.content.substr(0, 1000) || '(empty)');
+    }
+    switch (action) {
+      case 'warn':
+        addCase('warn');
+        msg.author
+            .send(`Your message in ${msg.guild.name} was removed (${names}).`)
+            .catch(() => {});
+        break;
+      case 'mute':
+        if (!moderation) break;
+        moderation.muteMember(member, (err) => {
+          if (err) {
+            this.error(
+                'Failed to mute member: ' + msg.guild.id + '@' + member.id);
+            return;
+          }
+          addCase('mute');
+        });
+        break;
+      case 'kick':
+        member.kick(reason).then(() => addCase('kick')).catch((err) => {
+          this.error(
+              'Failed to kick member: ' + msg.guild.id + '@' + member.id);
+          console.error(err);
+        });
+        break;
+    }
+  }
+
+  /**
+   * @description Show the automod status for the guild, or turn it on or off.
+   * Rules are configured on the website.
+   *
+   * @private
+   * @type {commandHandler}
+   * @param {Discord~Message} msg Message that triggered command.
+   * @listens Command#automod
+   * @listens Command#filter
+   */
+  _commandAutoMod(msg) {
+    const s = this.getSettings(msg.guild.id);
+    const cmd = msg.text.trim().split(' ')[0].toLowerCase();
+    if (['on', 'enable', 'enabled', 'start'].includes(cmd)) {
+      s.enabled = true;
+      this.common.reply(msg, 'Enabled AutoMod');
+      return;
+    } else if (['off', 'disable', 'disabled', 'stop'].includes(cmd)) {
+      s.enabled = false;
+      this.common.reply(msg, 'Disabled AutoMod');
+      return;
+    } else if (cmd) {
+      this.common.reply(
+          msg, 'Oops! I don\'t understand that.',
+          'https://www.spikeybot.com/control/ has most settings for this.');
+      return;
+    }
+    const finalString = [`Enabled: ${s.enabled}`];
+    AutoMod.rules.forEach((el) => {
+      finalString.push(`${AutoMod.ruleNames[el]}: ${s[`${el}Action`]}`);
+    });
+    finalString.push(
+        `Exempt: ${s.exemptChannels.length} channels, ${
+          s.exemptRoles.length} roles`);
+    this.common.reply(msg, 'AutoMod Status', finalString.join('\n'));
+  }
+}
+
+/**
+ * @description Calculate the fraction of letters in a string that are
+ * capitalized.
+ * @public
+ * @static
+ * @param {string} str The string to check.
+ * @param {number} [minLength=0] The minimum number of letters to consider.
+ * Strings with fewer letters have a ratio of 0.
+ * @returns {number} Fraction of letters that are uppercase from 0 to 1.
+ */
+AutoMod.capsRatio = function(str, minLength = 0) {
+  const letters = str.replace(/[^a-zA-Z]/g, '');
+  if (letters.length == 0 || letters.length < minLength) return 0;
+  return letters.replace(/[a-z]/g, '').length / letters.length;
+};
+
+/**
+ * @description Compile a blocked word into a case-insensitive regular
+ * expression. Expressions that are too long, or that could take too long to
+ * run, are treated as invalid since they are tested against every message.
+ * @public
+ * @static
+ * @param {string} str The regular expression source.
+ * @returns {?RegExp} The compiled expression, or null if it is invalid.
+ */
+AutoMod.compileWord = function(str) {
+  if (typeof str !== 'string' || str.length > AutoMod.maxWordLength) {
+    return null;
+  }
+  if (!AutoMod.isSafeWord(str)) return null;
+  try {
+    return new RegExp(str, 'i');
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * @description Check that a blocked word expression can't backtrack
+ * catastrophically. Groups that contain a quantifier or alternation may not be
+ * repeated themselves, such as `(a+)+` or `(a|aa)*`. Only one repeated part
+ * may match any given character, so `\w*\w*` and `a?a?` are rejected.
+ * Backreferences are not allowed.
+ * @public
+ * @static
+ * @param {string} str The regular expression source.
+ * @returns {boolean} True if the expression is safe to run on every message.
+ */
+AutoMod.isSafeWord = function(str) {
+  const stack = [];
+  // If the group currently being read contains a quantifier or alternation.
+  let repeats = false;
+  // The source of the last atom, which a following quantifier applies to.
+  let atom = null;
+  // Atoms that may match a varying number of times.
+  const varying = [];
+  for (let i = 0; i < str.length; i++) {
+    const c = str[i];
+    const start = i;
+    if (c === '\\') {
+      if (/[1-9k]/.test(str[i + 1])) return false;
+      i++;
+      atom = str.slice(start, i + 1);
+    } else if (c === '[') {
+      for (i++; i < str.length && str[i] !== ']'; i++) {
+        if (str[i] === '\\') i++;
+      }
+      atom = str.slice(start, i + 1);
+    } else if (c === '(') {
+      stack.push({repeats: repeats, start: start});
+      repeats = false;
+      atom = null;
+      const prefix = str.slice(i + 1).match(/^(\?(<?[=!]|<\w+>|:))?/);
+      i += prefix[0].length;
+    } else if (c === ')') {
+      if (repeats && /^[+*{]/.test(str.slice(i + 1))) return false;
+      const group = stack.pop() || {repeats: false, start: 0};
+      repeats = group.repeats || repeats;
+      atom = str.slice(group.start, i + 1);
+    } else if (c === '|') {
+      repeats = true;
+      atom = null;
+    } else if ('+*?{'.includes(c)) {
+      const range = str.slice(i).match(/^(?:[+*?]|\{(\d+)(,(\d*))?\})/);
+      if (!range) {
+        // A brace that isn't a quantifier matches itself.
+        atom = c;
+        continue;
+      }
+      repeats = true;
+      i += range[0].length - 1;
+      // Lazy quantifiers backtrack just as much.
+      if (str[i + 1] === '?') i++;
+      if (atom && (range[1] == null || (range[2] && range[3] !== range[1]))) {
+        varying.push(atom);
+      }
+      atom = null;
+    } else {
+      atom = c;
+    }
+  }
+  if (varying.length < 2) return true;
+  // Groups may match many different characters, so they are assumed to
+  // overlap with everything.
+  if (varying.find((el) => el[0] === '(')) return false;
+  const matched = [];
+  for (const el of varying) {
+    let regex;
+    try {
+      regex = new RegExp(`^(?:${el})$`, 'i');
+    } catch (err) {
+      return false;
+    }
+    const chars = [];
+    for (let i = 0; i <= 0x3000; i++) {
+      if (regex.test(String.fromCharCode(i))) chars.push(i);
+    }
+    if (matched.find((other) => chars.find((i) => other.has(i)) != null)) {
+      return false;
+    }
+    matched.push(new Set(chars));
+  }
+  return true;
+};
+
+/**
+ * @description Maximum length of a blocked word expression.
+ * @public
+ * @static
+ * @constant
+ * @type {number}
+ * @default
+ */
+AutoMod.maxWordLength = 100;
+
+/**
+ * @description All rules that messages are checked against.
+ * @public
+ * @static
+ * @constant
+ * @type {string[]}
+ * @default
+ */
+AutoMod.rules = ['flood', 'mentions', 'invites', 'words', 'caps', 'zalgo'];
+
+/**
+ * @description Human readable names of each rule.
+ * @public
+ * @static
+ * @constant
+ * @type {object.<string>}
+ * @default
+ */
+AutoMod.ruleNames = {
+  flood: 'Duplicate Messages',
+  mentions: 'Excessive Mentions',
+  invites: 'Invite Link',
+  words: 'Blocked Word',
+  caps: 'Excessive Caps',
+  zalgo: 'Zalgo Text',
+};
+
+/**
+ * @description Actions that may be taken when a rule is broken, sorted from
+ * least to most strict. Every action other than `none` deletes the message.
+ * @public
+ * @static
+ * @constant
+ * @type {string[]}
+ * @default
+ */
+AutoMod.actions = ['none', 'delete', 'warn', 'mute', 'kick'];
+
+/**
+ * @description Matches Discord invite links.
+ * @public
+ * @static
+ * @constant
+ * @type {RegExp}
+ */
+AutoMod.inviteRegex =
+    /(discord\.(gg|io|me|li)|discord(app)?\.com\/invite)\/[\w-]+/i;
+
+/**
+ * @description Matches three or more combining characters in a row, which is
+ * how zalgo text is made.
+ * @public
+ * @static
+ * @constant
+ * @type {RegExp}
+ */
+AutoMod.zalgoRegex =
+    /[\u0300-\u036f\u0483-\u0489\u1dc0-\u1dff\u20d0-\u20ff\ufe20-\ufe2f]{3,}/;
+
+/**
+ * @description Settings for automatic moderation in a guild.
+ * @memberof AutoMod
+ * @inner
+ */
+class Settings {
+  /**
+   * @description Create default settings.
+   */
+  constructor() {
+    /**
+     * @description Is automod enabled.
+     * @public
+     * @type {boolean}
+     * @default
+     */
+    this.enabled = false;
+    /**
+     * @description Number of identical messages sent by a user within {@link
+     * AutoMod~Settings#floodInterval} to be considered a flood. 0 to disable.
+     * @public
+     * @type {number}
+     * @default
+     */
+    this.floodCount = 5;
+    /**
+     * @description Time in milliseconds messages are remembered for flood
+     * detection.
+     * @public
+     * @type {number}
+     * @default 10000
+     */
+    this.floodInterval = 10000;
+    /**
+     * @description Action to perform on messages that are part of a flood.
+     * @public
+     * @type {string}
+     * @default
+     */
+    this.floodAction = 'delete';
+    /**
+     * @description Number of users and roles mentioned in a single message to
+     * be considered abuse. 0 to disable.
+     * @public
+     * @type {number}
+     * @default
+     */
+    this.maxMentions = 8;
+    /**
+     * @description Action to perform on messages with too many mentions.
+     * @public
+     * @type {string}
+     * @default
+     */
+    this.mentionsAction = 'warn';
+    /**
+     * @description Should Discord invite links be removed.
+     * @public
+     * @type {boolean}
+     * @default
+     */
+    this.blockInvites = false;
+    /**
+     * @description Action to perform on messages with invite links.
+     * @public
+     * @type {string}
+     * @default
+     */
+    this.invitesAction = 'delete';
+    /**
+     * @description Case-insensitive regular expressions of words that are not
+     * allowed.
+     * @public
+     * @type {string[]}
+     * @default
+     */
+    this.blockedWords = [];
+    /**
+     * @description Action to perform on messages with blocked words.
+     * @public
+     * @type {string}
+     * @default
+     */
+    this.wordsAction = 'delete';
+    /**
+     * @description Fraction of letters in a message that may be capitalized
+     * before it is considered excessive. 0 to disable.
+     * @public
+     * @type {number}
+     * @default
+     */
+    this.capsRatio = 0;
+    /**
+     * @description Minimum number of letters in a message before the caps
+     * ratio is checked.
+     * @public
+     * @type {number}
+     * @default
+     */
+    this.capsMinLength = 10;
+    /**
+     * @description Action to perform on messages with excessive caps.
+     * @public
+     * @type {string}
+     * @default
+     */
+    this.capsAction = 'delete';
+    /**
+     * @description Should zalgo text be removed.
+     * @public
+     * @type {boolean}
+     * @default
+     */
+    this.blockZalgo = false;
+    /**
+     * @description Action to perform on messages with zalgo text.
+     * @public
+     * @type {string}
+     * @default
+     */
+    this.zalgoAction = 'delete';
+    /**
+     * @description IDs of channels and categories that are not moderated.
+     * @public
+     * @type {string[]}
+     * @default
+     */
+    this.exemptChannels = [];
+    /**
+     * @description IDs of roles whose members are not moderated.
+     * @public
+     * @type {string[]}
+     * @default
+     */
+    this.exemptRoles = [];
+  }
+}
+
+/**
+ * @description Create a Settings object from a Settings-like object. Similar to
+ * copy-constructor. Invalid values are replaced with defaults.
+ * @public
+ * @static
+ * @param {object} obj Object to create a Settings object from.
+ * @returns {AutoMod~Settings} The created object.
+ */
+Settings.from = function(obj) {
+  const output = new Settings();
+  Object.keys(output).forEach((key) => {
+    if (key.endsWith('Action')) {
+      if (AutoMod.actions.includes(obj[key])) output[key] = obj[key];
+    } else if (Array.isArray(output[key])) {
+      if (Array.isArray(obj[key])) {
+        output[key] = obj[key].filter((el) => typeof el === 'string');
+      }
+      if (key === 'blockedWords') {
+        output[key] = output[key].filter((el) => AutoMod.compileWord(el));
+      }
+    } else if (typeof obj[key] === typeof output[key]) {
+      output[key] = obj[key];
+    }
+  });
+  return output;
+};
+
+AutoMod.Settings = Settings;
+
+module.exports = new AutoMod();
@@ -52,7 +52,23 @@ function CmdScheduling() {
           if (!schedules[g.id]) schedules[g.id] = [];
           for (let i = 0; i < parsed.length; i++) {
             if (parsed[i].bot != self.client.user.id) continue;
-            if (parsed[i].time < now) {
+            if (parsed[i].complete) {
+              addFinished(g.id, parsed[i]);
+              continue;
+            }
+            if (!self.client.channels.get(parsed[i].channel)) {
+              self.debug(
+                  'Dropping scheduled command due to channel not existing: ' +
+                  parsed[i].channel + '@' + parsed[i].member + ': ' +
+                  parsed[i].cmd);
+              continue;
+            }
+            parsed[i].guild = g.id;
+            if (parsed[i].cron && parsed[i].time < now) {
+              parsed[i].time =
+                  nextCronTime(parsed[i].cron, parsed[i].timezone, now);
+              if (!parsed[i].time) continue;
+            } else if (parsed[i].time < now) {
               while (parsed[i].repeatDelay > 0 &&
                      parsed[i].time < now - parsed[i].repeatDelay) {
                 parsed[i].time += parsed[i].repeatDelay;
@@ -101,10 +117,17 @@ function CmdScheduling() {
         }
       }
     });
-    for (const i in schedules) {
-      if (!schedules[i] || !schedules[i].length) continue;
-      schedules[i] = schedules[i].filter((el) => !el.complete);
-      const data = schedules[i].map((el) => el.toJSON());
+    const guilds = Object.keys(schedules).concat(
+        Object.keys(finished).filter((el) => !schedules[el]));
+    for (const i of guilds) {
+      const list = schedules[i] || [];
+      list.filter((el) => el.complete).forEach((el) => {
+        addFinished(i, el.toJSON());
+      });
+      schedules[i] = list.filter((el) => !el.complete);
+      const data =
+          schedules[i].map((el) => el.toJSON()).concat(finished[i] || []);
+      if (!data.length) continue;
       writeSaveData(i, data, opt);
     }
   };
@@ -247,6 +270,424 @@ function CmdScheduling() {
    */
   this.minRepeatDelay = 30000;
 
+  /**
+   * Number of consecutive failed runs after which a repeating command is
+   * paused.
+   *
+   * @public
+   * @constant
+   * @default
+   * @type {number}
+   */
+  this.maxFailures = 3;
+
+  /**
+   * Number of runs to keep in the history of each scheduled command, and the
+   * number of completed commands to keep the history of in each guild.
+   *
+   * @private
+   * @constant
+   * @default
+   * @type {number}
+   */
+  const historyLength = 10;
+
+  /**
+   * Number of upcoming run times to show when a command is scheduled with a
+   * cron expression.
+   *
+   * @private
+   * @constant
+   * @default
+   * @type {number}
+   */
+  const previewCount = 5;
+
+  /**
+   * The timezone to use for cron expressions if none is specified.
+   *
+   * @private
+   * @constant
+   * @default
+   * @type {string}
+   */
+  const defaultTimezone = 'UTC';
+
+  /**
+   * How far into the future to search for the next time a cron expression
+   * matches before giving up.
+   *
+   * @private
+   * @constant
+   * @default 5 Years
+   * @type {number}
+   */
+  const maxCronSearch = 5 * 366 * 24 * 60 * 60 * 1000;
+
+  /**
+   * Shorthand cron expressions mapped to the expression they represent.
+   *
+   * @private
+   * @constant
+   * @default
+   * @type {object.<string>}
+   */
+  const cronShorthands = {
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *',
+    '@monthly': '0 0 1 * *',
+    '@weekly': '0 0 * * 0',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@hourly': '0 * * * *',
+  };
+
+  /**
+   * Names that may be used in place of numbers in the month and day of week
+   * fields of a cron expression.
+   *
+   * @private
+   * @constant
+   * @default
+   * @type {{month: string[], dow: string[]}}
+   */
+  const cronNames = {
+    month: [
+      '', 'jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct',
+      'nov', 'dec',
+    ],
+    dow: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'],
+  };
+
+  /**
+   * Cached date formatters for each timezone, used to convert between
+   * timestamps and the time on the clock in that timezone.
+   *
+   * @private
+   * @type {object.<Intl.DateTimeFormat>}
+   */
+  const tzFormatters = Object.create(null);
+
+  /**
+   * @description A parsed cron expression. Each array is indexed by the value
+   * of that field, and is true if the field matches that value.
+   * @typedef CmdScheduling~Cron
+   *
+   * @property {string} expression The original expression.
+   * @property {boolean[]} minute Minutes 0-59.
+   * @property {boolean[]} hour Hours 0-23.
+   * @property {boolean[]} dom Days of the month 1-31.
+   * @property {boolean} lastDom Whether the last day of each month matches.
+   * @property {boolean[]} month Months 1-12.
+   * @property {boolean[]} dow Days of the week 0-6, where 0 is Sunday.
+   * @property {Array.<{day: number, n: number}>} nthDow Matches the nth
+   * occurrence of a day of the week in a month (`6#1`).
+   * @property {number[]} lastDow Days of the week that match on their last
+   * occurrence in a month (`5L`).
+   * @property {boolean} domRestricted Whether the day of month field was
+   * something other than `*`.
+   * @property {boolean} dowRestricted Whether the day of week field was
+   * something other than `*`.
+   */
+
+  /**
+   * Parse a single field of a cron expression.
+   *
+   * @private
+   * @param {string} field The text of the field.
+   * @param {number} min The smallest allowed value.
+   * @param {number} max The largest allowed value.
+   * @param {string[]} [names] Names that may be used instead of numbers,
+   * indexed by their value.
+   * @param {Function} [special] Handler for parts of the field that are not
+   * numbers, ranges or steps. Returns true if the part was handled.
+   * @returns {boolean[]|string} The values that match, or error string.
+   */
+  function parseCronField(field, min, max, names, special) {
+    const out = [];
+    const value = function(str) {
+      const index = names ? names.indexOf(str.toLowerCase()) : -1;
+      if (index > -1) return index;
+      if (!/^\d+$/.test(str)) return NaN;
+      return parseInt(str);
+    };
+    const parts = field.split(',');
+    for (const part of parts) {
+      if (special && special(part)) continue;
+      const match = part.match(/^(\*|\w+)(?:-(\w+))?(?:\/(\d+))?$/);
+      if (!match) return 'Unable to understand `' + part + '`.';
+      let start = match[1] === '*' ? min : value(match[1]);
+      const end = match[1] === '*' ? max :
+                                     (match[2] ? value(match[2]) :
+                                                 (match[3] ? max : start));
+      const step = match[3] ? parseInt(match[3]) : 1;
+      // Sunday may also be written as 7.
+      const limit = names === cronNames.dow ? 7 : max;
+      if (isNaN(start) || isNaN(end) || start < min || end > limit ||
+          end < start || !(step > 0)) {
+        return '`' + part + '` is out of range (' + min + '-' + max + ').';
+      }
+      for (; start <= end; start += step) out[start > max ? min : start] = true;
+    }
+    return out;
+  }
+
+  /**
+   * Parse a cron expression of the form `minute hour day-of-month month
+   * day-of-week`. Supports lists, ranges, steps, month and day names, `L` for
+   * the last day of the month, `5L` for the last Friday of the month, `6#1`
+   * for the first Saturday of the month, and shorthands such as `@daily`.
+   *
+   * @public
+   * @param {string} expression The cron expression.
+   * @returns {CmdScheduling~Cron|string} The parsed expression, or error
+   * string.
+   */
+  function parseCron(expression) {
+    if (typeof expression !== 'string') return 'Please specify a cron rule.';
+    expression = expression.trim().replace(/\s+/g, ' ');
+    const shorthand = expression.toLowerCase();
+    const fields =
+        (Object.prototype.hasOwnProperty.call(cronShorthands, shorthand) ?
+             cronShorthands[shorthand] :
+             expression)
+            .split(' ');
+    if (fields.length != 5) {
+      return 'Cron rules must have 5 fields: ' +
+          'minute hour day-of-month month day-of-week';
+    }
+    const cron = {
+      expression: expression,
+      lastDom: false,
+      nthDow: [],
+      lastDow: [],
+      domRestricted: !fields[2].startsWith('*'),
+      dowRestricted: !fields[4].startsWith('*'),
+    };
+    const names = ['minute', 'hour', 'dom', 'month', 'dow'];
+    const results = [
+      parseCronField(fields[0], 0, 59),
+      parseCronField(fields[1], 0, 23),
+      parseCronField(fields[2], 1, 31, null, (part) => {
+        if (part.toUpperCase() !== 'L') return false;
+        cron.lastDom = true;
+        return true;
+      }),
+      parseCronField(fields[3], 1, 12, cronNames.month),
+      parseCronField(fields[4], 0, 6, cronNames.dow, (part) => {
+        const match = part.match(/^(\w+?)(?:#([1-5])|(L))$/i);
+        if (!match) return false;
+        let day = cronNames.dow.indexOf(match[1].toLowerCase());
+        if (day < 0 && /^[0-7]$/.test(match[1])) day = match[1] % 7;
+        if (day < 0) return false;
+        if (match[2]) {
+          cron.nthDow.push({day: day, n: parseInt(match[2])});
+        } else {
+          cron.lastDow.push(day);
+        }
+        return true;
+      }),
+    ];
+    for (let i = 0; i < results.length; i++) {
+      if (typeof results[i] === 'string') {
+        return 'Invalid ' + names[i] + ' field: ' + results[i];
+      }
+      cron[names[i]] = results[i];
+    }
+    return cron;
+  }
+  this.parseCron = parseCron;
+
+  /**
+   * Get the canonical name of a timezone, if it is valid.
+   *
+   * @public
+   * @param {string} tz The IANA timezone name, such as `America/New_York`.
+   * Case does not matter.
+   * @returns {?string} The canonical name of the timezone, or null if it is
+   * not known.
+   */
+  function resolveTimezone(tz) {
+    if (typeof tz !== 'string' || !tz) return null;
+    try {
+      return getTzFormatter(tz).resolvedOptions().timeZone;
+    } catch (err) {
+      return null;
+    }
+  }
+  this.resolveTimezone = resolveTimezone;
+
+  /**
+   * Get the cached formatter for a timezone.
+   *
+   * @private
+   * @param {string} tz The IANA timezone name.
+   * @returns {Intl.DateTimeFormat} The formatter.
+   * @throws {RangeError} If the timezone is invalid.
+   */
+  function getTzFormatter(tz) {
+    if (!tzFormatters[tz]) {
+      tzFormatters[tz] = new Intl.DateTimeFormat('en-US', {
+        timeZone: tz,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric',
+      });
+    }
+    return tzFormatters[tz];
+  }
+
+  /**
+   * Get the time shown on a clock in the given timezone at the given moment,
+   * as a timestamp where the UTC fields match the clock.
+   *
+   * @private
+   * @param {number} time The timestamp in milliseconds.
+   * @param {string} tz The IANA timezone name.
+   * @returns {number} The time on the clock in the timezone.
+   */
+  function toWallTime(time, tz) {
+    const parts = {};
+    getTzFormatter(tz).formatToParts(new Date(time)).forEach((el) => {
+      parts[el.type] = el.value;
+    });
+    return Date.UTC(
+        parts.year, parts.month - 1, parts.day, parts.hour, parts.minute,
+        parts.second, time % 1000);
+  }
+
+  /**
+   * Get the timestamp at which a clock in the given timezone shows the given
+   * time. If the time is skipped by daylight saving time, the time after the
+   * skip is used. If the time happens twice, the first is used.
+   *
+   * @private
+   * @param {number} wall The time on the clock, with the UTC fields matching
+   * the clock.
+   * @param {string} tz The IANA timezone name.
+   * @returns {number} The timestamp in milliseconds.
+   */
+  function fromWallTime(wall, tz) {
+    const first = wall - (toWallTime(wall, tz) - wall);
+    const second = wall - (toWallTime(first, tz) - first);
+    if (toWallTime(second, tz) === wall) return second;
+    return Math.max(first, second);
+  }
+
+  /**
+   * Check if a day matches the day of month and day of week fields of a cron
+   * expression. As with most cron implementations, if both fields are
+   * restricted, the day matches if either field matches.
+   *
+   * @private
+   * @param {CmdScheduling~Cron} cron The parsed cron expression.
+   * @param {Date} date The day to check, using the UTC fields.
+   * @returns {boolean} True if the day matches.
+   */
+  function cronDayMatches(cron, date) {
+    const day = date.getUTCDate();
+    const weekday = date.getUTCDay();
+    const daysInMonth =
+        new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0))
+            .getUTCDate();
+    const domMatch = cron.dom[day] || (cron.lastDom && day == daysInMonth);
+    const dowMatch = cron.dow[weekday] || cron.nthDow.find((el) => {
+      return el.day == weekday && Math.ceil(day / 7) == el.n;
+    }) || (cron.lastDow.includes(weekday) && day + 7 > daysInMonth);
+    if (cron.domRestricted && cron.dowRestricted) return domMatch || dowMatch;
+    if (cron.domRestricted) return domMatch;
+    if (cron.dowRestricted) return dowMatch;
+    return true;
+  }
+
+  /**
+   * Find the next time a cron expression matches.
+   *
+   * @public
+   * @param {CmdScheduling~Cron|string} cron The cron expression.
+   * @param {string} [tz='UTC'] The IANA timezone name to use.
+   * @param {number} [after=Date.now()] Find the first match after this
+   * timestamp.
+   * @returns {?number} The timestamp of the next match, or null if the
+   * expression is invalid or does not match within the next few years.
+   */
+  function nextCronTime(cron, tz = defaultTimezone, after = Date.now()) {
+    if (typeof cron === 'string') cron = parseCron(cron);
+    if (typeof cron !== 'object' || !resolveTimezone(tz)) return null;
+    let wall = Math.floor(toWallTime(after, tz) / 60000) * 60000 + 60000;
+    const limit = wall + maxCronSearch;
+    while (wall < limit) {
+      const date = new Date(wall);
+      const y = date.getUTCFullYear();
+      const m = date.getUTCMonth();
+      const d = date.getUTCDate();
+      const h = date.getUTCHours();
+      if (!cron.month[m + 1]) {
+        wall = Date.UTC(y, m + 1, 1);
+      } else if (!cronDayMatches(cron, date)) {
+        wall = Date.UTC(y, m, d + 1);
+      } else if (!cron.hour[h]) {
+        wall = Date.UTC(y, m, d, h + 1);
+      } else if (!cron.minute[date.getUTCMinutes()]) {
+        wall += 60000;
+      } else {
+        const time = fromWallTime(wall, tz);
+        if (time > after) return time;
+        wall += 60000;
+      }
+    }
+    return null;
+  }
+  this.nextCronTime = nextCronTime;
+
+  /**
+   * Find the next several times a cron expression matches.
+   *
+   * @public
+   * @param {CmdScheduling~Cron|string} cron The cron expression.
+   * @param {string} [tz='UTC'] The IANA timezone name to use.
+   * @param {number} [count=5] The number of times to find.
+   * @param {number} [after=Date.now()] Find matches after this timestamp.
+   * @returns {number[]} The timestamps of the next matches. May be shorter
+   * than count if the expression rarely matches.
+   */
+  function previewCron(
+      cron, tz = defaultTimezone, count = previewCount, after = Date.now()) {
+    const out = [];
+    while (out.length < count) {
+      after = nextCronTime(cron, tz, after);
+      if (!after) break;
+      out.push(after);
+    }
+    return out;
+  }
+  this.previewCron = previewCron;
+
+  /**
+   * Format a timestamp as a date and time in a timezone.
+   *
+   * @private
+   * @param {number} time The timestamp in milliseconds.
+   * @param {string} tz The IANA timezone name.
+   * @returns {string} The formatted date.
+   */
+  function formatInTimezone(time, tz) {
+    return new Date(time).toLocaleString('en-US', {
+      timeZone: tz,
+      weekday: 'short',
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+      timeZoneName: 'short',
+    });
+  }
+
   /**
    * Currently registered event listeners, mapped by event name.
    *
@@ -264,6 +705,32 @@ function CmdScheduling() {
    */
   const schedules = {};
 
+  /**
+   * Exported data of the most recently completed commands, so their history
+   * may still be viewed. Mapped by Guild ID, oldest first.
+   *
+   * @private
+   * @type {object.<Array.<object>>}
+   */
+  const finished = {};
+
+  /**
+   * Add a completed command to the list of finished commands for a guild,
+   * removing the oldest if there are too many.
+   *
+   * @private
+   * @param {string|number} gId The guild ID.
+   * @param {object} data The exported data of the completed command.
+   */
+  function addFinished(gId, data) {
+    if (!finished[gId]) finished[gId] = [];
+    finished[gId] = finished[gId].filter((el) => el.id !== data.id);
+    finished[gId].push(data);
+    if (finished[gId].length > historyLength) {
+      finished[gId].splice(0, finished[gId].length - historyLength);
+    }
+  }
+
   /**
    * @classdesc Stores information about a specific command that is scheduled.
    * @class
@@ -278,6 +745,10 @@ function CmdScheduling() {
    * @param {number} time The unix timestamp at which to run the command.
    * @param {?number} repeatDelay The delay in milliseconds at which to run the
    * command again, or null if it does not repeat.
+   * @param {?string} [cron=null] A cron expression of when to run the command
+   * again. Overrides repeatDelay. See {@link CmdScheduling~parseCron}.
+   * @param {?string} [timezone=null] The IANA timezone name to use for the cron
+   * expression. Defaults to UTC.
    *
    * @property {string} cmd The command to run.
    * @property {number|string} bot The id of the bot instantiating this command.
@@ -291,6 +762,9 @@ function CmdScheduling() {
    * @property {number} time The unix timestamp at which to run the command.
    * @property {number} [repeatDelay=0] The delay in milliseconds at which to
    * run the command again. 0 to not repeat.
+   * @property {?string} cron The cron expression of when to run the command
+   * again, or null if repeatDelay is used instead.
+   * @property {?string} timezone The timezone of the cron expression.
    * @property {string} id Random base 36, 3-character long id of this command.
    * @property {boolean} complete True if the command has been run, and will not
    * run again.
@@ -298,20 +772,40 @@ function CmdScheduling() {
    * command.
    * @property {Discord~GuildMember} member The author of this ScheduledCommand.
    * @property {string|number} memberId The id of the member.
+   * @property {?string} guildId The id of the guild the command runs in.
+   * @property {boolean} paused True if the command will not run until it is
+   * resumed.
+   * @property {number} failures The number of consecutive runs that failed.
+   * @property {Array.<{time: number, success: boolean, reason: ?string}>}
+   * history The most recent runs of this command, oldest first.
    */
-  function ScheduledCommand(cmd, channel, message, time, repeatDelay = 0) {
+  function ScheduledCommand(
+      cmd, channel, message, time, repeatDelay = 0, cron = null,
+      timezone = null) {
     const myself = this;
     if (typeof cmd === 'object') {
       channel = cmd.channel;
       message = cmd.message;
       time = cmd.time;
       repeatDelay = cmd.repeatDelay;
+      cron = cmd.cron || null;
+      timezone = cmd.timezone || null;
       this.id = cmd.id;
       this.member = cmd.member;
+      this.guildId = cmd.guild || null;
+      this.paused = cmd.paused || false;
+      this.failures = cmd.failures || 0;
+      this.history = Array.isArray(cmd.history) ? cmd.history : [];
       cmd = cmd.cmd;
     } else {
       this.member = message.member;
       this.id = '';
+      this.paused = false;
+      this.failures = 0;
+      this.history = [];
+    }
+    if (message && typeof message === 'object' && message.guild) {
+      this.guildId = message.guild.id;
     }
     if (!this.id || this.id.length < 3) {
       this.id = '';
@@ -326,6 +820,8 @@ function CmdScheduling() {
     this.messageId = typeof message === 'object' ? message.id : message;
     this.time = time;
     this.repeatDelay = repeatDelay;
+    this.cron = cron;
+    this.timezone = cron ? (timezone || defaultTimezone) : null;
     this.memberId =
         typeof this.member === 'object' ? this.member.id : this.member;
 
@@ -341,11 +837,10 @@ function CmdScheduling() {
       if (typeof myself.channel !== 'object') {
         myself.channel = self.client.channels.get(myself.channelId);
       }
-      if (typeof myself.channel !== 'object' || myself.channel.deleted) {
+      if (!myself.channel || myself.channel.deleted) {
         self.debug(
-            'Cancelling command due to channel not existing: ' +
+            'Channel for scheduled command does not exist: ' +
             myself.channelId + '@' + myself.memberId + ': ' + myself.cmd);
-        myself.cancel();
         return;
       }
       if (typeof myself.message !== 'object') {
@@ -394,7 +889,8 @@ function CmdScheduling() {
     /**
      * Trigger the command to be run immediately. Automatically fired at the
      * scheduled time. Does not cancel the normally scheduled command.
-     * Re-schedules the command if the command should repeat.
+     * Re-schedules the command if the command should repeat. The outcome is
+     * added to the history, and the author is notified if it failed.
      *
      * @public
      */
@@ -406,18 +902,58 @@ function CmdScheduling() {
       }
       const now = Date.now();
       getReferences();
-      if (!myself.channel || !myself.channel.send) {
-        self.error(
-            'ScheduledCmdFailed No Channel: ' + myself.channel.id +
-            '@' + myself.memberId + ' ' + myself.cmd);
-        myself.complete = true;
+      const failure = run();
+      myself.history.push({time: now, success: !failure, reason: failure});
+      if (myself.history.length > historyLength) {
+        myself.history.splice(0, myself.history.length - historyLength);
+      }
+      myself.failures = failure ? myself.failures + 1 : 0;
+      // If the command was fired at the scheduled time, or if it was fired
+      // manually and the the scheduled time is in less than a second, then
+      // consider the scheduled command to have been completed.
+      if (myself.time - 1000 <= now) {
         self.client.clearTimeout(myself.timeout);
-        return;
+        const next = nextRunTime(Math.max(now, myself.time));
+        if (next) {
+          myself.complete = false;
+          myself.time = next;
+          sortGuildCommands(myself.guildId);
+          myself.setTimeout();
+        } else {
+          myself.complete = true;
+        }
+      }
+      if (!failure) return;
+      if (myself.complete) {
+        notifyAuthor(myself, 'Scheduled Command Failed', failure);
+      } else if (myself.failures >= self.maxFailures && !myself.paused) {
+        myself.pause();
+        fireEvent('commandPaused', myself.id, myself.guildId);
+        notifyAuthor(
+            myself, 'Scheduled Command Paused',
+            'Paused after ' + myself.failures + ' failed runs in a row.\n' +
+                failure);
+      }
+    };
+
+    /**
+     * Run the command now, without updating the schedule.
+     *
+     * @private
+     * @returns {?string} The reason the command could not be run, or null if
+     * it was run.
+     */
+    function run() {
+      if (!myself.channel || myself.channel.deleted || !myself.channel.send) {
+        self.error(
+            'ScheduledCmdFailed No Channel: ' + myself.channelId + '@' +
+            myself.memberId + ' ' + myself.cmd);
+        return 'The channel no longer exists.';
       } else if (!myself.message) {
         self.error(
             'ScheduledCmdFailed No Message: ' + myself.channel.guild.id + '#' +
             myself.channel.id + '@' + myself.memberId + ' ' + myself.cmd);
-        return;
+        return 'Unable to find who scheduled the command.';
       } else if (!myself.message.channel || !myself.message.channel.send) {
         self.warn(
             'ScheduledCmdWarning No Message Channel: ' +
@@ -431,7 +967,7 @@ function CmdScheduling() {
             'ScheduledCmdFailed No Members Channel: ' +
             myself.channel.guild.id + '#' + myself.channel.id + '@' +
             myself.memberId + ' ' + myself.cmd);
-        return;
+        return 'Unable to find the members of the server.';
       }
       myself.message.content = myself.cmd;
       myself.message.fabricated = true;
@@ -441,13 +977,24 @@ function CmdScheduling() {
             'Unknown ScheduledCmd: ' + myself.message.channel.id + '@' +
             myself.message.author.id + ' ' + myself.cmd + ' ' +
             myself.message.content);
-        return;
+        return 'Unknown command.';
       }
       if (cmd.getFullName() === self.command.find('sch').getFullName()) {
         self.error(
             'Recursive ScheduledCmd: ' + myself.message.channel.id + '@' +
             myself.message.author.id + ' ' + myself.message.content);
-        return;
+        return 'Commands may not be recursive.';
+      }
+      const invalid = self.command.validate(null, myself.message, cmd);
+      if (invalid) {
+        self.debug(
+            'Invalid ScheduledCmd: ' + myself.message.channel.id + '@' +
+            myself.message.author.id + ' ' + myself.message.content + ' ' +
+            invalid);
+        if (invalid.startsWith('NoPerm:')) {
+          return 'Missing permissions: ' + invalid.substring(7);
+        }
+        return 'The command is disabled here. (' + invalid + ')';
       }
       self.debug(
           'ScheduledCmd: ' + myself.message.channel.id + '@' +
@@ -459,21 +1006,55 @@ function CmdScheduling() {
             'Failed to trigger ScheduledCmd: ' + myself.message.channel.id +
             '@' + myself.message.author.id + ' ' + myself.message.content);
         console.error(err);
+        return 'An error occurred while running the command.';
       }
-      // If the command was fired at the scheduled time, or if it was fired
-      // manually and the the scheduled time is in less than a second, then
-      // consider the scheduled command to have been completed.
-      if (myself.time - 1000 <= now) {
-        self.client.clearTimeout(myself.timeout);
-        if (myself.repeatDelay > 0) {
-          myself.complete = false;
-          myself.time += myself.repeatDelay;
-          sortGuildCommands(myself.message.guild.id);
-          myself.setTimeout();
-        } else {
-          myself.complete = true;
-        }
+      return null;
+    }
+
+    /**
+     * Get the next time this command should run after the given time.
+     *
+     * @private
+     * @param {number} after The timestamp to find the next run after.
+     * @returns {?number} The timestamp of the next run, or null if the command
+     * does not repeat.
+     */
+    function nextRunTime(after) {
+      if (myself.cron) {
+        return nextCronTime(myself.cron, myself.timezone, after);
+      } else if (myself.repeatDelay > 0) {
+        let next = myself.time + myself.repeatDelay;
+        while (next <= after - 1000) next += myself.repeatDelay;
+        return next;
+      }
+      return null;
+    }
+
+    /**
+     * Stop this command from running until it is resumed.
+     *
+     * @public
+     */
+    this.pause = function() {
+      self.client.clearTimeout(myself.timeout);
+      myself.paused = true;
+    };
+
+    /**
+     * Allow this command to run again after being paused. If runs were missed
+     * while paused, the command is scheduled for its next run in the future,
+     * or shortly from now if it does not repeat.
+     *
+     * @public
+     */
+    this.resume = function() {
+      myself.paused = false;
+      myself.failures = 0;
+      const now = Date.now();
+      if (myself.time < now) {
+        myself.time = nextRunTime(now) || now + self.minDelay;
       }
+      myself.setTimeout();
     };
 
     /**
@@ -495,8 +1076,8 @@ function CmdScheduling() {
      * @public
      */
     this.setTimeout = function() {
-      if (myself.complete) {
-        return;  // Command was completed, and should no longer run.
+      if (myself.complete || myself.paused) {
+        return;  // Command was completed or paused, and should not run.
       }
       if (myself.time - Date.now() <= maxTimeout) {
         self.client.clearTimeout(myself.timeout);
@@ -527,7 +1108,14 @@ function CmdScheduling() {
         cmd: myself.cmd,
         time: myself.time,
         repeatDelay: myself.repeatDelay,
+        cron: myself.cron,
+        timezone: myself.timezone,
         id: myself.id,
+        guild: myself.guildId,
+        paused: myself.paused,
+        failures: myself.failures,
+        history: myself.history,
+        complete: myself.complete,
         channel: myself.channelId,
         message: myself.messageId,
         member: myself.memberId,
@@ -551,7 +1139,7 @@ function CmdScheduling() {
    * command.
    */
   function registerScheduledCommand(sCmd) {
-    const gId = sCmd.message.guild.id;
+    const gId = sCmd.guildId;
     if (!schedules[gId]) {
       schedules[gId] = [sCmd];
     } else {
@@ -563,7 +1151,7 @@ function CmdScheduling() {
       }
       schedules[gId].push(sCmd);
     }
-    fireEvent('commandRegistered', sCmd, sCmd.message.guild.id);
+    fireEvent('commandRegistered', sCmd, gId);
     return true;
   }
   /**
@@ -587,6 +1175,12 @@ function CmdScheduling() {
     if (!msg.text || !msg.text.trim()) {
       replyWithSchedule(msg);
       return;
+    } else if (msg.text.match(/^\s*(history|runs)\b/i)) {
+      replyWithHistory(msg);
+      return;
+    } else if (msg.text.match(/^\s*(pause|resume|unpause)\b/i)) {
+      pauseAndReply(msg);
+      return;
     } else if (msg.text.match(/(cancel|remove|delete)/)) {
       cancelAndReply(msg);
       return;
@@ -613,36 +1207,64 @@ function CmdScheduling() {
       return;
     }
 
-    if (self.command.find(splitCmd[0]).getFullName() ===
+    if (self.command.find(splitCmd[0], msg).getFullName() ===
         self.command.find('sch').getFullName()) {
       self.common.reply(msg, 'Commands may not be recursive.', invalid);
       return;
     }
 
 
-    if (delay.match(/every|repeat/)) {
-      const splitTimes = delay.match(/^(.*?)(every|repeat)(.*)$/);
-      delay = splitTimes[1];
-      repeat = splitTimes[3];
-    }
+    let cron = null;
+    let timezone = null;
+    const cronMatch = delay.trim().match(
+        /^cron\s+(.+?)(?:\s+(?:tz|timezone|in)\s+(\S+))?$/i);
+    if (cronMatch) {
+      timezone = resolveTimezone(cronMatch[2] || defaultTimezone);
+      if (!timezone) {
+        self.common.reply(
+            msg, 'I don\'t know the timezone `' + cronMatch[2] + '`.',
+            'Timezones look like `America/New_York` or `Europe/London`.');
+        return;
+      }
+      const parsed = parseCron(cronMatch[1]);
+      if (typeof parsed === 'string') {
+        self.common.reply(msg, 'Oops! That cron rule isn\'t valid.', parsed);
+        return;
+      }
+      const first = nextCronTime(parsed, timezone);
+      if (!first) {
+        self.common.reply(
+            msg, 'That cron rule will never run.', parsed.expression);
+        return;
+      }
+      cron = parsed.expression;
+      delay = first - Date.now();
+    } else {
+      if (delay.match(/every|repeat/)) {
+        const splitTimes = delay.match(/^(.*?)(every|repeat)(.*)$/);
+        delay = splitTimes[1];
+        repeat = splitTimes[3];
+      }
 
-    delay = stringToMilliseconds(delay);
+      delay = self.common.stringToMilliseconds(delay);
 
-    /* if (delay < self.minDelay) {
-      self.common.reply(msg, 'Sorry, but delays must be more than 10 seconds.');
-      return;
-    } */
+      /* if (delay < self.minDelay) {
+        self.common.reply(
+            msg, 'Sorry, but delays must be more than 10 seconds.');
+        return;
+      } */
 
-    repeat = stringToMilliseconds(repeat);
+      repeat = self.common.stringToMilliseconds(repeat);
 
-    if (repeat && repeat < self.minRepeatDelay) {
-      self.common.reply(
-          msg, 'Sorry, but repeat delays must be more than 30 seconds.');
-      return;
+      if (repeat && repeat < self.minRepeatDelay) {
+        self.common.reply(
+            msg, 'Sorry, but repeat delays must be more than 30 seconds.');
+        return;
+      }
     }
 
-    const newCmd =
-        new ScheduledCommand(cmd, msg.channel, msg, delay + Date.now(), repeat);
+    const newCmd = new ScheduledCommand(
+        cmd, msg.channel, msg, delay + Date.now(), repeat, cron, timezone);
 
     if (!registerScheduledCommand(newCmd)) {
       self.common.reply(
@@ -653,9 +1275,17 @@ function CmdScheduling() {
     const embed = new self.Discord.MessageEmbed();
     embed.setTitle('Created Scheduled Command (' + newCmd.id + ')');
     embed.setColor(embedColor);
-    let desc = 'Runs in ' + formatDelay(delay);
+    let desc = 'Runs in ' + self.common.formatDelay(delay);
     if (repeat) {
-      desc += '\nRepeats every ' + formatDelay(repeat);
+      desc += '\nRepeats every ' + self.common.formatDelay(repeat);
+    }
+    if (cron) {
+      desc += '\nRepeats on `' + cron + '` (' + timezone + ')';
+      embed.addField(
+          'Next runs:',
+          previewCron(cron, timezone)
+              .map((el) => formatInTimezone(el, timezone))
+              .join('\n'));
     }
     embed.setDescription(desc);
     embed.addField(
@@ -696,72 +1326,6 @@ function CmdScheduling() {
     }
   }
 
-  /**
-   * Given a user-inputted string, convert to a number of milliseconds. Input
-   * can be on most common time units up to a week.
-   *
-   * @private
-   *
-   * @param {string} str The input string to parse.
-   * @returns {number} Number of milliseconds parsed from string.
-   */
-  function stringToMilliseconds(str) {
-    let sum = 0;
-    str = (str + '')
-        .replace(/\b(and|repeat|every|after|in)\b/g, '')
-        .trim()
-        .toLowerCase();
-
-    const reg = /([0-9.]+)([^a-z]*)([a-z]*)/g;
-    let res;
-    while ((res = reg.exec(str)) !== null) {
-      sum += numberToUnit(res[1], res[3]);
-    }
-    if (!sum && str) {
-      sum = numberToUnit(1, str);
-    }
-    /**
-     * Convert a number and a unit to the corresponding number of milliseconds.
-     *
-     * @private
-     * @param {number} num The number associated with the unit.
-     * @param {string} unit The current unit associated with the num.
-     * @returns {number} The given number in milliseconds.
-     */
-    function numberToUnit(num, unit) {
-      switch (unit) {
-        case 's':
-        case 'sec':
-        case 'second':
-        case 'seconds':
-          return num * 1000;
-        case 'm':
-        case 'min':
-        case 'minute':
-        case 'minutes':
-          return num * 60 * 1000;
-        case 'h':
-        case 'hr':
-        case 'hour':
-        case 'hours':
-          return num * 60 * 60 * 1000;
-        case 'd':
-        case 'dy':
-        case 'day':
-        case 'days':
-          return num * 24 * 60 * 60 * 1000;
-        case 'w':
-        case 'wk':
-        case 'week':
-        case 'weeks':
-          return num * 7 * 24 * 60 * 60 * 1000;
-        default:
-          return 0;
-      }
-    }
-    return sum;
-  }
-
   /**
    * Returns an array of references to scheduled commands in a guild.
    *
@@ -798,10 +1362,15 @@ function CmdScheduling() {
     } else {
       const n = Date.now();
       list = list.map((el) => {
-        return '**' + el.id + '**: In ' + formatDelay(el.time - n) +
-            (el.repeatDelay ?
-                 (', repeats every ' + formatDelay(el.repeatDelay)) :
-                 '') +
+        const delay = self.common.formatDelay;
+        let repeats = '';
+        if (el.cron) {
+          repeats = ', repeats on `' + el.cron + '` (' + el.timezone + ')';
+        } else if (el.repeatDelay) {
+          repeats = ', repeats every ' + delay(el.repeatDelay);
+        }
+        return '**' + el.id + '**' + (el.paused ? ' (paused)' : '') +
+            ': In ' + delay(el.time - n) + repeats +
             (el.message && ' by <@' + el.message.author.id + '>: ') + el.cmd;
       });
       embed.setDescription(list.join('\n'));
@@ -841,7 +1410,7 @@ function CmdScheduling() {
       if (list[i].id == cmdId) {
         const removed = list.splice(i, 1)[0];
         removed.cancel();
-        fireEvent('commandCancelled', removed.id, removed.message.guild.id);
+        fireEvent('commandCancelled', removed.id, removed.guildId);
         return removed;
       }
     }
@@ -895,6 +1464,193 @@ function CmdScheduling() {
     });
   }
 
+  /**
+   * Find a scheduled command in a guild, including recently completed
+   * commands.
+   *
+   * @private
+   * @param {string|number} gId The guild id of which to find the command.
+   * @param {string|number} cmdId The ID of the command to find.
+   * @returns {?CmdScheduling.ScheduledCommand|object} Null if not found, the
+   * command if it is scheduled, or its exported data if it was completed.
+   */
+  function findCmd(gId, cmdId) {
+    if (!cmdId) return null;
+    cmdId = (cmdId + '').toUpperCase();
+    const match = (schedules[gId] || []).find((el) => el.id == cmdId);
+    if (match) return match;
+    const done = (finished[gId] || []).filter((el) => el.id == cmdId);
+    return done[done.length - 1] || null;
+  }
+  /**
+   * Find a scheduled command in a guild, including recently completed
+   * commands.
+   *
+   * @public
+   * @see {@link CmdScheduling~findCmd}
+   */
+  this.findCmd = findCmd;
+
+  /**
+   * Pause a scheduled command in a guild so that it will not run until it is
+   * resumed.
+   *
+   * @public
+   * @fires CmdScheduling#commandPaused
+   *
+   * @param {string|number} gId The guild id of which to pause the command.
+   * @param {string|number} cmdId The ID of the command to pause.
+   * @returns {?CmdScheduling.ScheduledCommand} Null if failed, or the command
+   * that was paused.
+   */
+  function pauseCmd(gId, cmdId) {
+    const sCmd = findCmd(gId, cmdId);
+    if (!(sCmd instanceof ScheduledCommand) || sCmd.complete || sCmd.paused) {
+      return null;
+    }
+    sCmd.pause();
+    fireEvent('commandPaused', sCmd.id, gId);
+    return sCmd;
+  }
+  this.pauseCmd = pauseCmd;
+
+  /**
+   * Resume a paused scheduled command in a guild.
+   *
+   * @public
+   * @fires CmdScheduling#commandResumed
+   *
+   * @param {string|number} gId The guild id of which to resume the command.
+   * @param {string|number} cmdId The ID of the command to resume.
+   * @returns {?CmdScheduling.ScheduledCommand} Null if failed, or the command
+   * that was resumed.
+   */
+  function resumeCmd(gId, cmdId) {
+    const sCmd = findCmd(gId, cmdId);
+    if (!(sCmd instanceof ScheduledCommand) || sCmd.complete ||
+        !sCmd.paused) {
+      return null;
+    }
+    sCmd.resume();
+    sortGuildCommands(gId);
+    fireEvent('commandResumed', sCmd.id, gId);
+    return sCmd;
+  }
+  this.resumeCmd = resumeCmd;
+
+  /**
+   * Pause or resume a scheduled command, and reply with the result.
+   *
+   * @private
+   * @param {Discord~Message} msg The message to reply to.
+   */
+  function pauseAndReply(msg) {
+    const match = msg.text.match(/^\s*(pause|resume|unpause)\W+(\w{3,})\b/i);
+    const pause = msg.text.trim().toLowerCase().startsWith('pause');
+    const action = pause ? 'Pausing' : 'Resuming';
+    const embed = new self.Discord.MessageEmbed();
+    embed.setColor(embedColor);
+    if (!match) {
+      embed.setTitle(action + ' Failed');
+      embed.setDescription('Please specify a scheduled command ID.');
+    } else {
+      const sCmd = pause ? pauseCmd(msg.guild.id, match[2]) :
+                           resumeCmd(msg.guild.id, match[2]);
+      if (!sCmd) {
+        embed.setTitle(action + ' Failed');
+        embed.setDescription(
+            'Unable to find ' + (pause ? 'a running' : 'a paused') +
+            ' scheduled command with ID: ' + match[2]);
+      } else {
+        embed.setTitle(action + ' Succeeded');
+        embed.setDescription(
+            (pause ? 'Paused' : 'Resumed') + ' scheduled command ID: ' +
+            sCmd.id + ', ' + sCmd.cmd +
+            (pause ? '' :
+                     '\nNext run in ' +
+                     self.common.formatDelay(sCmd.time - Date.now())));
+      }
+    }
+    msg.channel.send(self.common.mention(msg), embed).catch((err) => {
+      self.error('Failed to send reply in channel: ' + msg.channel.id);
+      console.error(err);
+    });
+  }
+
+  /**
+   * Reply with the most recent runs of a scheduled command.
+   *
+   * @private
+   * @param {Discord~Message} msg The message to reply to.
+   */
+  function replyWithHistory(msg) {
+    const match = msg.text.match(/^\s*(history|runs)\W+(\w{3,})\b/i);
+    const embed = new self.Discord.MessageEmbed();
+    embed.setColor(embedColor);
+    const sCmd = match && findCmd(msg.guild.id, match[2]);
+    if (!match) {
+      embed.setTitle('History Failed');
+      embed.setDescription('Please specify a scheduled command ID.');
+    } else if (!sCmd) {
+      embed.setTitle('History Failed');
+      embed.setDescription(
+          'Unable to find scheduled command with ID: ' + match[2]);
+    } else {
+      const now = Date.now();
+      let status;
+      if (sCmd.complete) {
+        status = 'Completed';
+      } else if (sCmd.paused) {
+        status = 'Paused';
+      } else {
+        status = 'Next run in ' + self.common.formatDelay(sCmd.time - now);
+      }
+      embed.setTitle('Scheduled Command History (' + sCmd.id + ')');
+      const runs = sCmd.history.slice().reverse().map((el) => {
+        return (el.success ? '✅ ' : '❌ ') +
+            self.common.formatDelay(now - el.time) + ' ago' +
+            (el.reason ? ': ' + el.reason : '');
+      });
+      embed.setDescription(
+          status + '\n\n' + (runs.join('\n') || 'Has not run yet.'));
+      embed.setFooter(sCmd.cmd);
+    }
+    msg.channel.send(self.common.mention(msg), embed).catch((err) => {
+      self.error('Failed to send reply in channel: ' + msg.channel.id);
+      console.error(err);
+    });
+  }
+
+  /**
+   * Send a direct message to the author of a scheduled command about a
+   * problem with it.
+   *
+   * @private
+   * @param {CmdScheduling.ScheduledCommand} sCmd The command with the problem.
+   * @param {string} title The title of the message.
+   * @param {string} reason Description of the problem.
+   */
+  function notifyAuthor(sCmd, title, reason) {
+    const guild = self.client.guilds.get(sCmd.guildId);
+    const embed = new self.Discord.MessageEmbed();
+    embed.setColor(embedColor);
+    embed.setTitle(title + ' (' + sCmd.id + ')');
+    embed.setDescription(
+        reason + (sCmd.paused ?
+                      '\n\nFix the problem, then resume it with `' +
+                          (guild ? self.bot.getPrefix(guild) : '') +
+                          'sch resume ' + sCmd.id + '`.' :
+                      ''));
+    embed.setFooter((guild ? guild.name + ': ' : '') + sCmd.cmd);
+    self.client.users.fetch(sCmd.memberId)
+        .then((user) => user.send(embed))
+        .catch((err) => {
+          self.debug(
+              'Failed to notify author of scheduled command: ' +
+              sCmd.memberId + ' ' + sCmd.id + ': ' + err.message);
+        });
+  }
+
   /**
    * Reschedule all future commands that are beyond maxTimeout.
    */
@@ -920,48 +1676,6 @@ function CmdScheduling() {
     }
   }
 
-  /**
-   * Format a duration in milliseconds into a human readable string.
-   *
-   * @private
-   *
-   * @param {number} msecs Duration in milliseconds.
-   * @returns {string} Formatted string.
-   */
-  function formatDelay(msecs) {
-    let output = '';
-    let unit = 7 * 24 * 60 * 60 * 1000;
-    if (msecs >= unit) {
-      const num = Math.floor(msecs / unit);
-      output += num + ' week' + (num == 1 ? '' : 's') + ', ';
-      msecs -= num * unit;
-    }
-    unit /= 7;
-    if (msecs >= unit) {
-      const num = Math.floor(msecs / unit);
-      output += num + ' day' + (num == 1 ? '' : 's') + ', ';
-      msecs -= num * unit;
-    }
-    unit /= 24;
-    if (msecs >= unit) {
-      const num = Math.floor(msecs / unit);
-      output += num + ' hour' + (num == 1 ? '' : 's') + ', ';
-      msecs -= num * unit;
-    }
-    unit /= 60;
-    if (msecs >= unit) {
-      const num = Math.floor(msecs / unit);
-      output += num + ' minute' + (num == 1 ? '' : 's') + ', ';
-      msecs -= num * unit;
-    }
-    unit /= 60;
-    if (msecs >= unit) {
-      const num = Math.round(msecs / unit);
-      output += num + ' second' + (num == 1 ? '' : 's') + '';
-    }
-    return output.replace(/,\s$/, '');
-  }
-
   /**
    * Register an event handler for the given name with the given handler.
    *
@@ -42,6 +42,36 @@ function Command() {
           console.error(e);
         }
       });
+      const customFile = dir + customCommandsFile;
+      fs.readFile(customFile, (err, data) => {
+        if (err) {
+          if (err.code == 'ENOENT') return;
+          self.error('Failed to read custom commands: ' + customFile);
+          console.error(err);
+          return;
+        }
+        try {
+          const parsed = JSON.parse(data);
+          if (!parsed) return;
+          const custom = getCustom(g.id);
+          Object.assign(custom.aliases, parsed.aliases);
+          Object.entries(parsed.responses || {}).forEach((el) => {
+            custom.responses[el[0]] = el[1];
+            custom.commands[el[0]] =
+                makeCustomCommand(el[0], commandCustomResponse);
+          });
+          Object.entries(parsed.macros || {}).forEach((el) => {
+            custom.macros[el[0]] = {
+              steps: el[1].steps,
+              stopOnFailure: el[1].stopOnFailure !== false,
+            };
+            custom.commands[el[0]] = makeCustomCommand(el[0], commandRunMacro);
+          });
+        } catch (e) {
+          self.error('Failed to parse custom commands: ' + customFile);
+          console.error(e);
+        }
+      });
     });
 
     const cmdSettings = new CommandSetting({
@@ -71,11 +101,28 @@ function Command() {
             ],
             commandShow, cmdSettings));
     self.on(new SingleCommand(['reset'], commandReset, cmdSettings));
+    self.on(
+        new SingleCommand(
+            ['cooldown', 'ratelimit', 'cmdcooldown'], commandCooldown,
+            cmdSettings));
+    self.on(
+        new SingleCommand(
+            ['alias', 'aliases', 'cmdalias'], commandAlias, cmdSettings));
+    self.on(
+        new SingleCommand(
+            ['customcmd', 'customcommand', 'customcmds', 'textcmd'],
+            commandCustom, cmdSettings));
+    self.on(
+        new SingleCommand(
+            ['macro', 'macros', 'pipeline'], commandMacro, cmdSettings));
   };
   /** @inheritdoc */
   this.shutdown = function() {
     self.removeListener(
-        ['disable', 'enable', 'show', 'reset', 'mutecmd', 'allowcmd']);
+        [
+          'disable', 'enable', 'show', 'reset', 'mutecmd', 'allowcmd',
+          'cooldown', 'alias', 'customcmd', 'macro',
+        ]);
   };
   /** @inheritdoc */
   this.save = function(opt) {
@@ -120,6 +167,22 @@ function Command() {
         }
       }
     });
+    Object.entries(customCommands).forEach((el) => {
+      if (!el[1].dirty) return;
+      el[1].dirty = false;
+      const dir = self.common.guildSaveDir + el[0];
+      const filename = dir + customCommandsFile;
+      const data = JSON.stringify({
+        aliases: el[1].aliases,
+        responses: el[1].responses,
+        macros: el[1].macros,
+      });
+      if (opt == 'async') {
+        self.common.mkAndWrite(filename, dir, data);
+      } else {
+        self.common.mkAndWriteSync(filename, dir, data);
+      }
+    });
   };
 
   /** @inheritdoc */
@@ -270,6 +333,8 @@ function Command() {
      * @public
      *
      * @param {Discord~Message} msg The message that is triggering this command.
+     * @returns {*} The value returned by the command's handler, such as a
+     * Promise for its work.
      */
     this.trigger = function(msg) {
       if (msg.cmd && msg.cmd != me.getFullName() && me.subCmds) {
@@ -289,8 +354,7 @@ function Command() {
           if (match) {
             msg.text = msg.text.replace(
                 new RegExp(`^.*?${escapeRegExp(me.getFullName())}`, 'i'), '');
-            me.subCmds[sub].trigger(msg);
-            return;
+            return me.subCmds[sub].trigger(msg);
           }
         }
       }
@@ -338,7 +402,7 @@ function Command() {
           }
         });
       }
-      handler(msg);
+      return handler(msg);
     };
     /**
      * The current options and settings for this command.
@@ -492,6 +556,107 @@ function Command() {
      */
     this.isMuted = opts.isMuted || false;
 
+    /**
+     * Milliseconds that must pass between uses of this command, or 0 for no
+     * cooldown.
+     *
+     * @public
+     * @type {number}
+     * @default 0
+     */
+    this.cooldown = opts.cooldown > 0 ? opts.cooldown : 0;
+
+    /**
+     * Who the cooldown applies to. One of {@link Command~cooldownScopes}.
+     * `user` limits each user separately, `channel` limits everyone in a
+     * channel, and `guild` limits everyone in the guild.
+     *
+     * @public
+     * @type {string}
+     * @default 'user'
+     */
+    this.cooldownScope = cooldownScopes.includes(opts.cooldownScope) ?
+        opts.cooldownScope :
+        'user';
+
+    /**
+     * The IDs of roles that are not affected by the cooldown. Roles are mapped
+     * to the guild ID and the role ID, similar to
+     * {@link Command~CommandSetting.enabled}.
+     *
+     * @public
+     * @type {{roles: object.<boolean>}}
+     */
+    this.cooldownBypass = {roles: {}};
+    if (opts.cooldownBypass && typeof opts.cooldownBypass.roles === 'object') {
+      Object.assign(this.cooldownBypass.roles, opts.cooldownBypass.roles);
+    }
+
+    /**
+     * Timestamps of when this command was last used, mapped by the ID of the
+     * user, channel or guild the cooldown applies to. Not saved.
+     *
+     * @private
+     * @type {object.<number>}
+     */
+    const lastUsed = {};
+
+    /**
+     * Get the key in {@link Command~CommandSetting~lastUsed} for a context.
+     *
+     * @private
+     * @param {Discord~Message} msg The context of the command.
+     * @returns {string} The ID of the user, channel or guild.
+     */
+    function cooldownKey(msg) {
+      switch (me.cooldownScope) {
+        case 'guild':
+          if (msg.guild) return msg.guild.id;
+          // Falls through to channel for DMs.
+        case 'channel':
+          return msg.channel.id;
+        default:
+          return msg.author.id;
+      }
+    }
+
+    /**
+     * @description Get the time remaining until this command may be used again
+     * in the given context.
+     *
+     * @public
+     * @param {Discord~Message} msg The context of the command.
+     * @returns {number} Milliseconds until the command may be used, or 0 if it
+     * may be used now.
+     */
+    this.getCooldown = function(msg) {
+      if (!(me.cooldown > 0)) return 0;
+      if (msg.guild && msg.member && msg.member.roles.find((r) => {
+        return me.cooldownBypass.roles[`${msg.guild.id}/${r.id}`];
+      })) {
+        return 0;
+      }
+      const last = lastUsed[cooldownKey(msg)];
+      if (!last) return 0;
+      return Math.max(0, last + me.cooldown - Date.now());
+    };
+
+    /**
+     * @description Record that this command was used in the given context,
+     * starting its cooldown.
+     *
+     * @public
+     * @param {Discord~Message} msg The context of the command.
+     */
+    this.startCooldown = function(msg) {
+      if (!(me.cooldown > 0)) return;
+      const now = Date.now();
+      Object.keys(lastUsed).forEach((el) => {
+        if (lastUsed[el] + me.cooldown < now) delete lastUsed[el];
+      });
+      lastUsed[cooldownKey(msg)] = now;
+    };
+
     /**
      * @description Enable, disable, or neutralize this command for the
      * associated guild, channel, user, or role.
@@ -667,6 +832,9 @@ function Command() {
         enabled: me.enabled,
         permissions: me.permissions,
         isMuted: me.isMuted,
+        cooldown: me.cooldown,
+        cooldownScope: me.cooldownScope,
+        cooldownBypass: me.cooldownBypass,
       };
     };
   }
@@ -730,6 +898,631 @@ function Command() {
    */
   const commandSettingsFile = '/commandSettings.json';
 
+  /**
+   * Filename in the guild's subdirectory where custom aliases and custom
+   * response commands are stored.
+   *
+   * @private
+   * @constant
+   * @default
+   * @type {string}
+   */
+  const customCommandsFile = '/customCommands.json';
+
+  /**
+   * Maximum number of custom aliases, and separately custom response commands,
+   * a single guild may have.
+   *
+   * @private
+   * @constant
+   * @default
+   * @type {number}
+   */
+  const customCommandLimit = 100;
+
+  /**
+   * Maximum number of characters allowed in a custom command response.
+   *
+   * @private
+   * @constant
+   * @default
+   * @type {number}
+   */
+  const customResponseLimit = 1900;
+
+  /**
+   * Commands used for managing command settings. Custom aliases and commands
+   * may not use these names, otherwise they could prevent the guild from
+   * changing them back.
+   *
+   * @private
+   * @constant
+   * @default
+   * @type {string[]}
+   */
+  const protectedCommands = ['alias', 'customcmd', 'macro', 'reset'];
+
+  /**
+   * Maximum number of commands a single macro may run.
+   *
+   * @private
+   * @constant
+   * @default
+   * @type {number}
+   */
+  const macroStepLimit = 20;
+
+  /**
+   * Delay in milliseconds between each step of a macro, to give the previous
+   * command time to finish.
+   *
+   * @private
+   * @constant
+   * @default
+   * @type {number}
+   */
+  const macroStepDelay = 1500;
+
+  /**
+   * Longest time in milliseconds a `wait` step in a macro may pause for.
+   *
+   * @private
+   * @constant
+   * @default 10 Minutes
+   * @type {number}
+   */
+  const macroMaxWait = 10 * 60 * 1000;
+
+  /**
+   * Commands that macros may not run, as they could cause a macro to trigger
+   * itself indefinitely.
+   *
+   * @private
+   * @constant
+   * @default
+   * @type {string[]}
+   */
+  const macroBlocked = ['macro', 'schedule'];
+
+  /**
+   * Custom command aliases and custom response commands defined by users.
+   * Mapped by guild ID.
+   *
+   * @private
+   * @type {object.<Command~CustomCommands>}
+   */
+  const customCommands = {};
+
+  /**
+   * @description User-defined commands for a single guild.
+   * @typedef Command~CustomCommands
+   *
+   * @property {object.<string>} aliases Custom alias names mapped to the full
+   * name of the command they trigger.
+   * @property {object.<string>} responses Custom command names mapped to the
+   * text to reply with.
+   * @property {object.<Command~Macro>} macros Macro names mapped to the
+   * commands they run.
+   * @property {object.<Command~SingleCommand>} commands Command objects for
+   * each custom response command and macro, mapped by name. Not saved.
+   * @property {boolean} dirty Whether the data has changed since it was last
+   * saved.
+   */
+
+  /**
+   * @description A list of commands to run in sequence.
+   * @typedef Command~Macro
+   *
+   * @property {string[]} steps The commands to run without a prefix. May
+   * contain placeholders, see {@link Command~fillPlaceholders}. A step of
+   * `wait <duration>` pauses before the next step.
+   * @property {boolean} stopOnFailure Whether to stop running the remaining
+   * steps if a step can't be run or fails.
+   */
+
+  /**
+   * Get the custom commands for a guild, creating the object if it does not
+   * exist yet.
+   *
+   * @private
+   * @param {string} gId The ID of the guild.
+   * @returns {Command~CustomCommands} The guild's custom commands.
+   */
+  function getCustom(gId) {
+    if (!customCommands[gId]) {
+      // Names come from users, so the maps must not inherit keys such as
+      // `constructor`.
+      customCommands[gId] = {
+        aliases: Object.create(null),
+        responses: Object.create(null),
+        macros: Object.create(null),
+        commands: Object.create(null),
+        dirty: false,
+      };
+    }
+    return customCommands[gId];
+  }
+
+  /**
+   * Create the command object that handles a custom response command or macro.
+   *
+   * @private
+   * @param {string} name The name of the custom command.
+   * @param {Command~commandHandler} handler The function that runs the
+   * command.
+   * @returns {Command~SingleCommand} The command object.
+   */
+  function makeCustomCommand(name, handler) {
+    return new SingleCommand(
+        name, handler, new CommandSetting({validOnlyInGuild: true}));
+  }
+
+  /**
+   * Reply with the response of a custom command.
+   *
+   * @private
+   * @type {Command~commandHandler}
+   *
+   * @param {Discord~Message} msg The message the user sent that triggered this.
+   */
+  function commandCustomResponse(msg) {
+    const custom = customCommands[msg.guild.id];
+    const text = custom && custom.responses[msg.cmd];
+    if (!text) return;
+    const response =
+        fillPlaceholders(text, msg).replace(/@(everyone|here)/g, '@\u200B$1');
+    msg.channel.send(response).catch((err) => {
+      self.error(
+          'Failed to send custom command response: ' + msg.guild.id + ' ' +
+          msg.cmd);
+      console.error(err);
+    });
+  }
+
+  /**
+   * Replace the placeholders in a custom command response or macro step.
+   *
+   * Supported placeholders are `{user}`, `{username}`, `{channel}`,
+   * `{server}`, `{args}`, `{1}` through `{9}` for a single argument, and
+   * `{random:a|b|c}` for a random choice.
+   *
+   * @private
+   * @param {string} text The custom command's response, or the macro step.
+   * @param {Discord~Message} msg The message that triggered the command.
+   * @returns {string} The text with placeholders replaced.
+   */
+  function fillPlaceholders(text, msg) {
+    const argText = (msg.text || '').trim();
+    const args = argText ? argText.split(/\s+/) : [];
+    return text
+        .replace(/\{(\w+)(?::([^}]*))?\}/g, (match, key, option) => {
+          switch (key.toLowerCase()) {
+            case 'user':
+              return `<@${msg.author.id}>`;
+            case 'username':
+              return (msg.member && msg.member.nickname) ||
+                  msg.author.username;
+            case 'channel':
+              return `<#${msg.channel.id}>`;
+            case 'server':
+              return msg.guild.name;
+            case 'args':
+              return argText;
+            case 'random': {
+              if (!option) return match;
+              const choices = option.split('|');
+              return choices[Math.floor(Math.random() * choices.length)];
+            }
+            default:
+              if (/^[1-9]$/.test(key)) return args[key - 1] || '';
+              return match;
+          }
+        });
+  }
+
+  /**
+   * Check that a name is valid for a custom alias, command, or macro.
+   *
+   * @private
+   * @param {string} gId The ID of the guild the name will be used in.
+   * @param {string} name The name to check.
+   * @param {string} type The type of custom command the name is for. One of
+   * `aliases`, `responses` or `macros`.
+   * @returns {?string} Error string, or null if the name is valid.
+   */
+  function checkCustomName(gId, name, type) {
+    if (typeof name !== 'string' || !name) return 'Please specify a name.';
+    if (/\s/.test(name)) return 'Names may not contain spaces.';
+    if (name.length > 32) return 'Names may be at most 32 characters long.';
+    const builtIn = Object.values(cmds).find((el) => el.aliases.includes(name));
+    if (builtIn && protectedCommands.includes(builtIn.getName())) {
+      return '`' + name + '` is needed to manage commands and can\'t be ' +
+          'replaced.';
+    }
+    const custom = customCommands[gId];
+    if (custom) {
+      const other = ['aliases', 'responses', 'macros'].find((el) => {
+        return el !== type && custom[el][name];
+      });
+      if (other) {
+        return '`' + name + '` is already used by a custom ' +
+            {aliases: 'alias', responses: 'command', macros: 'macro'}[other] +
+            '.';
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Fetch the custom aliases, custom response commands, and macros for a
+   * guild.
+   *
+   * @public
+   * @param {string} gId The ID of the guild.
+   * @returns {{
+   *   aliases: object.<string>,
+   *   responses: object.<string>,
+   *   macros: object.<Command~Macro>
+   * }} The guild's custom commands. Modifying these will not change the
+   * settings.
+   */
+  this.getCustomCommands = function(gId) {
+    const custom = customCommands[gId];
+    if (!custom) return {aliases: {}, responses: {}, macros: {}};
+    const macros = Object.create(null);
+    Object.entries(custom.macros).forEach((el) => {
+      macros[el[0]] = {
+        steps: el[1].steps.slice(),
+        stopOnFailure: el[1].stopOnFailure,
+      };
+    });
+    return {
+      aliases: Object.assign(Object.create(null), custom.aliases),
+      responses: Object.assign(Object.create(null), custom.responses),
+      macros: macros,
+    };
+  };
+
+  /**
+   * Create or replace a custom alias for a command in a guild.
+   *
+   * @public
+   * @param {string} gId The ID of the guild.
+   * @param {string} name The alias to create.
+   * @param {string} target The command, with any subcommands, that the alias
+   * will trigger.
+   * @returns {?string} Error string, or null if the alias was set.
+   */
+  this.setAlias = function(gId, name, target) {
+    name = (name + '').trim().toLowerCase();
+    const err = checkCustomName(gId, name, 'aliases');
+    if (err) return err;
+    if (typeof target !== 'string' || !target.trim()) {
+      return 'Please specify the command to alias.';
+    }
+    const words = target.trim().toLowerCase().split(/\s+/);
+    const list = self.findAll(words.join(' '));
+    if (!list.length || list.length != words.length ||
+        words.find((el) => el.indexOf('*') > -1)) {
+      return 'I was unable to find that command. (`' + words.join(' ') + '`)';
+    }
+    if (words[0] === name) return 'An alias can\'t trigger itself.';
+    const custom = getCustom(gId);
+    if (!custom.aliases[name] &&
+        Object.keys(custom.aliases).length >= customCommandLimit) {
+      return 'Servers may only have ' + customCommandLimit + ' aliases.';
+    }
+    custom.aliases[name] = words.join(' ');
+    custom.dirty = true;
+    return null;
+  };
+
+  /**
+   * Remove a custom alias from a guild.
+   *
+   * @public
+   * @param {string} gId The ID of the guild.
+   * @param {string} name The alias to remove.
+   * @returns {?string} Error string, or null if the alias was removed.
+   */
+  this.removeAlias = function(gId, name) {
+    name = (name + '').trim().toLowerCase();
+    const custom = customCommands[gId];
+    if (!custom || !custom.aliases[name]) {
+      return 'There is no alias named `' + name + '`.';
+    }
+    delete custom.aliases[name];
+    custom.dirty = true;
+    return null;
+  };
+
+  /**
+   * Create or replace a custom response command in a guild.
+   *
+   * @public
+   * @param {string} gId The ID of the guild.
+   * @param {string} name The name of the command.
+   * @param {string} text The text to reply with. May contain placeholders, see
+   * {@link Command~fillPlaceholders}.
+   * @returns {?string} Error string, or null if the command was set.
+   */
+  this.setCustomResponse = function(gId, name, text) {
+    name = (name + '').trim().toLowerCase();
+    const err = checkCustomName(gId, name, 'responses');
+    if (err) return err;
+    if (typeof text !== 'string' || !text.trim()) {
+      return 'Please specify what the command should reply with.';
+    }
+    if (text.length > customResponseLimit) {
+      return 'Responses may be at most ' + customResponseLimit +
+          ' characters long.';
+    }
+    const custom = getCustom(gId);
+    if (!custom.responses[name] &&
+        Object.keys(custom.responses).length >= customCommandLimit) {
+      return 'Servers may only have ' + customCommandLimit +
+          ' custom commands.';
+    }
+    custom.responses[name] = text.trim();
+    if (!custom.commands[name]) {
+      custom.commands[name] = makeCustomCommand(name, commandCustomResponse);
+    }
+    custom.dirty = true;
+    return null;
+  };
+
+  /**
+   * Remove a custom response command from a guild.
+   *
+   * @public
+   * @param {string} gId The ID of the guild.
+   * @param {string} name The name of the command to remove.
+   * @returns {?string} Error string, or null if the command was removed.
+   */
+  this.removeCustomResponse = function(gId, name) {
+    name = (name + '').trim().toLowerCase();
+    const custom = customCommands[gId];
+    if (!custom || !custom.responses[name]) {
+      return 'There is no custom command named `' + name + '`.';
+    }
+    delete custom.responses[name];
+    delete custom.commands[name];
+    custom.dirty = true;
+    return null;
+  };
+
+  /**
+   * Check that a macro step can be run.
+   *
+   * @private
+   * @param {string} gId The ID of the guild the macro is in.
+   * @param {string} step The command to run, without a prefix.
+   * @returns {?string} Error string, or null if the step is valid.
+   */
+  function checkMacroStep(gId, step) {
+    const wait = step.match(/^wait\s+(.+)$/i);
+    if (wait) {
+      const delay = self.common.stringToMilliseconds(wait[1]);
+      if (!(delay > 0) || delay > macroMaxWait) {
+        return 'Waits must be between 1 second and ' +
+            self.common.formatDelay(macroMaxWait) + '. (`' + step + '`)';
+      }
+      return null;
+    }
+    const name = step.split(/\s/)[0].toLowerCase();
+    const custom = customCommands[gId];
+    if (custom && custom.macros[name]) {
+      return 'Macros may not run other macros. (`' + step + '`)';
+    }
+    let target = name;
+    if (custom && custom.aliases[name]) {
+      target = custom.aliases[name];
+    } else if (custom && custom.responses[name]) {
+      return null;
+    }
+    const builtIn = self.findAll(target)[0];
+    if (!builtIn) {
+      return 'I was unable to find that command. (`' + step + '`)';
+    }
+    if (macroBlocked.includes(builtIn.getName())) {
+      return 'Macros may not run `' + builtIn.getName() + '`.';
+    }
+    return null;
+  }
+
+  /**
+   * Create or replace a macro in a guild.
+   *
+   * @public
+   * @param {string} gId The ID of the guild.
+   * @param {string} name The name of the macro.
+   * @param {string[]} steps The commands to run in order, without a prefix.
+   * @param {boolean} [stopOnFailure=true] Whether to stop running the macro if
+   * a step can't be run or fails.
+   * @returns {?string} Error string, or null if the macro was set.
+   */
+  this.setMacro = function(gId, name, steps, stopOnFailure = true) {
+    name = (name + '').trim().toLowerCase();
+    const err = checkCustomName(gId, name, 'macros');
+    if (err) return err;
+    if (!Array.isArray(steps) || steps.find((el) => typeof el !== 'string')) {
+      return 'Please specify the commands the macro should run.';
+    }
+    steps = steps.map((el) => el.trim()).filter((el) => el);
+    if (!steps.length) {
+      return 'Please specify the commands the macro should run.';
+    }
+    if (steps.length > macroStepLimit) {
+      return 'Macros may run at most ' + macroStepLimit + ' commands.';
+    }
+    for (const step of steps) {
+      if (step.length > customResponseLimit) {
+        return 'Each command may be at most ' + customResponseLimit +
+            ' characters long.';
+      }
+      const stepErr = checkMacroStep(gId, step);
+      if (stepErr) return stepErr;
+    }
+    const custom = getCustom(gId);
+    if (!custom.macros[name] &&
+        Object.keys(custom.macros).length >= customCommandLimit) {
+      return 'Servers may only have ' + customCommandLimit + ' macros.';
+    }
+    custom.macros[name] = {
+      steps: steps,
+      stopOnFailure: stopOnFailure !== false,
+    };
+    if (!custom.commands[name]) {
+      custom.commands[name] = makeCustomCommand(name, commandRunMacro);
+    }
+    custom.dirty = true;
+    return null;
+  };
+
+  /**
+   * Remove a macro from a guild.
+   *
+   * @public
+   * @param {string} gId The ID of the guild.
+   * @param {string} name The name of the macro to remove.
+   * @returns {?string} Error string, or null if the macro was removed.
+   */
+  this.removeMacro = function(gId, name) {
+    name = (name + '').trim().toLowerCase();
+    const custom = customCommands[gId];
+    if (!custom || !custom.macros[name]) {
+      return 'There is no macro named `' + name + '`.';
+    }
+    delete custom.macros[name];
+    delete custom.commands[name];
+    custom.dirty = true;
+    return null;
+  };
+
+  /**
+   * Run each step of a macro in order.
+   *
+   * @private
+   * @type {Command~commandHandler}
+   *
+   * @param {Discord~Message} msg The message the user sent that triggered this.
+   */
+  function commandRunMacro(msg) {
+    const custom = customCommands[msg.guild.id];
+    const macro = custom && custom.macros[msg.cmd];
+    if (!macro) return;
+    const name = msg.cmd;
+    const steps = macro.steps.slice();
+    const stopOnFailure = macro.stopOnFailure;
+    const failures = [];
+    (function next(i) {
+      if (i >= steps.length) {
+        if (failures.length) {
+          self.common.reply(
+              msg, 'Some commands in `' + name + '` failed.',
+              failures.join('\n'));
+        }
+        return;
+      }
+      const step = fillPlaceholders(steps[i], msg).trim();
+      const wait = step.match(/^wait\s+(.+)$/i);
+      if (wait) {
+        const delay = Math.min(
+            self.common.stringToMilliseconds(wait[1]) || 0, macroMaxWait);
+        self.client.setTimeout(() => next(i + 1), delay);
+        return;
+      }
+      runMacroStep(step, msg, (failure) => {
+        if (failure) {
+          failures.push(`${i + 1}. \`${step}\`: ${failure}`);
+          if (stopOnFailure) {
+            self.common.reply(
+                msg, 'Stopped `' + name + '` at step ' + (i + 1) + '.',
+                failures.join('\n'));
+            return;
+          }
+        }
+        self.client.setTimeout(() => next(i + 1), macroStepDelay);
+      });
+    })(0);
+  }
+
+  /**
+   * Run a single step of a macro as if the user had sent it. A step that
+   * throws, or returns a Promise that rejects, counts as failed.
+   *
+   * @private
+   * @param {string} step The command to run, without a prefix.
+   * @param {Discord~Message} msg The message that triggered the macro.
+   * @param {Function} cb Callback with the reason the step failed, or null
+   * once it has been run.
+   */
+  function runMacroStep(step, msg, cb) {
+    // Leave the original message untouched for the remaining steps.
+    const stepMsg = Object.create(msg);
+    stepMsg.content = msg.prefix + step;
+    stepMsg.fabricated = true;
+    let failure = null;
+    let result;
+    try {
+      const func = self.find(null, stepMsg, true);
+      failure = checkMacroRun(stepMsg, func);
+      if (!failure) result = runCommand(stepMsg, func);
+    } catch (err) {
+      self.error('Macro step failed: ' + msg.guild.id + ' ' + step);
+      console.error(err);
+      failure = 'An error occurred.';
+    }
+    if (failure || !result || typeof result.then !== 'function') {
+      cb(failure);
+      return;
+    }
+    result.then(() => cb(null), (err) => {
+      self.error('Macro step failed: ' + msg.guild.id + ' ' + step);
+      console.error(err);
+      cb('An error occurred.');
+    });
+  }
+
+  /**
+   * Check that a macro step may be run by the user right now.
+   *
+   * @private
+   * @param {Discord~Message} stepMsg The message for the step.
+   * @param {?Command~SingleCommand} func The command the step triggers.
+   * @returns {?string} The reason the step can't be run, or null if it can.
+   */
+  function checkMacroRun(stepMsg, func) {
+    if (!func) return 'Unknown command.';
+    const custom = customCommands[stepMsg.guild.id];
+    if ((custom && custom.commands[func.getName()] === func &&
+         custom.macros[func.getName()]) ||
+        macroBlocked.includes(func.getFullName().split(' ')[0])) {
+      return 'Macros may not run this command.';
+    }
+    const failure = self.validate(null, stepMsg, func);
+    if (failure) {
+      return describeFailure(failure.replace(/ Muted$/, '')) || failure;
+    }
+    const remaining = getSetting(stepMsg, func).getCooldown(stepMsg);
+    if (remaining > 0) {
+      return 'On cooldown for another ' + Math.ceil(remaining / 1000) + 's.';
+    }
+    return null;
+  }
+
+  /**
+   * Possible values of {@link Command~CommandSetting.cooldownScope}.
+   *
+   * @private
+   * @constant
+   * @default
+   * @type {string[]}
+   */
+  const cooldownScopes = ['user', 'channel', 'guild'];
+  /** @see {@link Command~cooldownScopes} */
+  this.cooldownScopes = cooldownScopes;
+
   /**
    * Trigger a command firing and call it's handler passing in msg as only
    * argument.
@@ -752,45 +1545,31 @@ function Command() {
       const failure = self.validate(override, msg, func);
       if (failure && failure.endsWith('Muted')) {
         return true;
-      } else if (failure === 'Guild Only') {
-        self.common.reply(msg, onlyservermessage);
-        return true;
-      } else if (failure === 'Disabled') {
-        self.common.reply(
-            msg, 'This command has not been enabled for you here.');
-        return true;
-      } else if (failure === 'Disabled Individual') {
-        self.common.reply(
-            msg, 'You do not have permission for this command here.');
-        return true;
-      } else if (failure === 'User Disabled') {
-        self.common.reply(
-            msg, 'This command has been disabled by an admin here.');
-        return true;
-      } else if (failure === 'User Disabled Individual') {
-        self.common.reply(
-            msg, 'An admin has prevented you from using this command here.');
-        return true;
       } else if (failure) {
-        if (failure.startsWith('NoPerm:')) {
-          self.common.reply(
-              msg, 'You must have one of the following permissions ' +
-                  'to use this command:\n' +
-                  failure.substring(7, failure.length));
-          return true;
+        const reason = describeFailure(failure);
+        if (reason) {
+          self.common.reply(msg, reason);
         } else {
           self.common.reply(
               msg, 'I am unable to attempt this command for ' +
                   'you due of an unknown reason.',
               failure);
           self.error('Comand failed: ' + msg.cmd + ': ' + failure);
-          return true;
         }
+        return true;
+      }
+      const setting = getSetting(msg, func);
+      const remaining = setting.getCooldown(msg);
+      if (remaining > 0) {
+        if (!setting.isMuted) {
+          self.common.reply(
+              msg, 'Slow down! Try again in ' + Math.ceil(remaining / 1000) +
+                  's.');
+        }
+        return true;
       }
-      msg.text = msg.content.replace(
-          new RegExp(escapeRegExp(`${msg.prefix}${msg.cmd}`), 'i'), '');
       try {
-        func.trigger(msg);
+        runCommand(msg, func);
       } catch (err) {
         self.error(msg.cmd + ': FAILED');
         console.error(err);
@@ -801,6 +1580,69 @@ function Command() {
       return false;
     }
   };
+  /**
+   * Start the cooldown of a command that has been validated, and run it.
+   *
+   * @private
+   * @param {Discord~Message} msg The message that triggered the command, after
+   * {@link Command.find} has set `msg.cmd`.
+   * @param {Command~SingleCommand} func The command to run.
+   * @returns {*} The value returned by the command's handler.
+   */
+  function runCommand(msg, func) {
+    getSetting(msg, func).startCooldown(msg);
+    // Aliases are replaced in msg.cmd, but the user typed the alias.
+    const typed = msg.cmdAlias ?
+        msg.cmdAlias.name + msg.cmd.substring(msg.cmdAlias.target.length) :
+        msg.cmd;
+    msg.text = msg.content.replace(
+        new RegExp(escapeRegExp(`${msg.prefix}${typed}`), 'i'), '');
+    return func.trigger(msg);
+  }
+
+  /**
+   * Convert a failure from {@link Command.validate} into a message to show the
+   * user.
+   *
+   * @private
+   * @param {string} failure The failure returned from validation.
+   * @returns {?string} The message to show, or null if the failure is unknown.
+   */
+  function describeFailure(failure) {
+    switch (failure) {
+      case 'Guild Only':
+        return onlyservermessage;
+      case 'Disabled':
+        return 'This command has not been enabled for you here.';
+      case 'Disabled Individual':
+        return 'You do not have permission for this command here.';
+      case 'User Disabled':
+        return 'This command has been disabled by an admin here.';
+      case 'User Disabled Individual':
+        return 'An admin has prevented you from using this command here.';
+    }
+    if (failure.startsWith('NoPerm:')) {
+      return 'You must have one of the following permissions ' +
+          'to use this command:\n' + failure.substring(7, failure.length);
+    }
+    return null;
+  }
+
+  /**
+   * Get the settings that apply to a command in the given context.
+   *
+   * @private
+   * @param {Discord~Message} msg The context of the command.
+   * @param {Command~SingleCommand} func The command to get the settings for.
+   * @returns {Command~CommandSetting} The guild's settings for the command, or
+   * the command's defaults if the guild has not changed them.
+   */
+  function getSetting(msg, func) {
+    return (msg.guild && userSettings[msg.guild.id] &&
+            userSettings[msg.guild.id][func.getFullName()]) ||
+        func.options;
+  }
+
   /**
    * Registers a listener for a command.
    *
@@ -888,6 +1730,19 @@ function Command() {
     if (!cmd) return null;
     if (msg && cmd.startsWith(msg.prefix)) cmd = cmd.replace(msg.prefix, '');
     cmd = cmd.toLowerCase();
+    if (setCmd) delete msg.cmdAlias;
+
+    const custom = msg && msg.guild && customCommands[msg.guild.id];
+    if (custom && custom.aliases[cmd]) {
+      const target = custom.aliases[cmd];
+      if (setCmd) msg.cmdAlias = {name: cmd, target: target};
+      split = target.split(' ').concat(split);
+      cmd = split.splice(0, 1)[0];
+    } else if (custom && custom.commands[cmd]) {
+      if (setCmd) msg.cmd = cmd;
+      return custom.commands[cmd];
+    }
+
     let single = Object.values(cmds).find((el) => {
       return el.aliases.includes(cmd);
     });
@@ -950,7 +1805,11 @@ function Command() {
           }
         });
       }
-    })(Object.values(cmds), split);
+    })(Object.values(cmds).concat(
+        msg && msg.guild && customCommands[msg.guild.id] ?
+            Object.values(customCommands[msg.guild.id].commands) :
+            []),
+    split);
 
     return output;
   };
@@ -1447,6 +2306,11 @@ function Command() {
         });
         tmp.push('Roles: ' + list.join(', '));
       }
+      if (el[1].cooldown > 0) {
+        tmp.push(
+            'Cooldown: ' + self.common.formatDelay(el[1].cooldown) + ' per ' +
+            el[1].cooldownScope);
+      }
       if (tmp.length == 2) return tmp.join(' ');
       if (tmp.length == 1) tmp.push('Nothing');
       return tmp.join('\n');
@@ -1496,6 +2360,321 @@ function Command() {
       });
     }
   }
+  /**
+   * Allow user to set the cooldown of a command, who the cooldown applies to,
+   * and which roles are not affected by it.
+   *
+   * @private
+   * @type {Command~commandHandler}
+   *
+   * @param {Discord~Message} msg The message the user sent that triggered this.
+   */
+  function commandCooldown(msg) {
+    const trimmedText =
+        msg.text.replace(self.Discord.MessageMentions.ROLES_PATTERN, '').trim();
+    if (!trimmedText) {
+      self.common.reply(
+          msg, 'Please specify a command, and the cooldown to give it.',
+          msg.prefix + msg.cmd + ' <command> <duration|off> ' +
+              '[user|channel|guild]\n' + msg.prefix + msg.cmd +
+              ' <command> bypass @role');
+      return;
+    }
+    if (trimmedText.indexOf('*') > -1) {
+      self.common.reply(
+          msg, 'Wildcards are not supported for cooldowns.',
+          'Please specify a single command.');
+      return;
+    }
+    const list = self.findAll(trimmedText, msg);
+    if (!list.length) {
+      self.common.reply(
+          msg, 'I was unable to find that command. (`' + trimmedText + '`)');
+      return;
+    }
+    const cmd = list[list.length - 1];
+    const name = cmd.getFullName();
+    const args = trimmedText.split(/\s+/).slice(list.length);
+    const current = (userSettings[msg.guild.id] &&
+                     userSettings[msg.guild.id][name]) ||
+        cmd.options;
+
+    if (args.length == 0) {
+      const bypass = Object.keys(current.cooldownBypass.roles)
+          .filter((el) => el.startsWith(msg.guild.id + '/'))
+          .map((el) => {
+            const role = msg.guild.roles.get(el.split('/')[1]);
+            return role ? role.name : el;
+          });
+      self.common.reply(
+          msg, 'Cooldown for `' + name + '`',
+          (current.cooldown > 0 ?
+               self.common.formatDelay(current.cooldown) + ' per ' +
+                   current.cooldownScope :
+               'None') +
+              (bypass.length ? '\nBypassed by: ' + bypass.join(', ') : ''));
+      return;
+    }
+
+    if (!userSettings[msg.guild.id]) userSettings[msg.guild.id] = {};
+    if (!userSettings[msg.guild.id][name]) {
+      userSettings[msg.guild.id][name] = new CommandSetting(cmd.options);
+      userSettings[msg.guild.id][name].myGuild = msg.guild.id;
+    }
+    const setting = userSettings[msg.guild.id][name];
+
+    if (args[0].toLowerCase() === 'bypass') {
+      const roles = msg.mentions.roles.array();
+      const search = args.slice(1).join(' ').toLowerCase();
+      if (search) {
+        const role = msg.guild.roles.find((r) => {
+          return r.name.toLowerCase() == search;
+        });
+        if (role) roles.push(role);
+      }
+      if (!roles.length) {
+        self.common.reply(
+            msg, 'Please specify a role to toggle bypassing the cooldown.');
+        return;
+      }
+      const changed = roles.map((r) => {
+        const id = `${r.guild.id}/${r.id}`;
+        if (setting.cooldownBypass.roles[id]) {
+          delete setting.cooldownBypass.roles[id];
+          return 'Removed: ' + r.name;
+        }
+        setting.cooldownBypass.roles[id] = true;
+        return 'Added: ' + r.name;
+      });
+      self.common.reply(
+          msg, 'Cooldown bypass roles for `' + name + '`', changed.join('\n'));
+      return;
+    }
+
+    let scope = null;
+    const last = args[args.length - 1].toLowerCase();
+    if (cooldownScopes.includes(last)) {
+      scope = last;
+      args.splice(-1, 1);
+    }
+    const durationText = args.join(' ').toLowerCase();
+    let duration = 0;
+    if (!['off', 'none', 'disable', '0', ''].includes(durationText)) {
+      duration = self.common.stringToMilliseconds(
+          /^[0-9.]+$/.test(durationText) ? durationText + 's' : durationText);
+      if (!(duration > 0)) {
+        self.common.reply(
+            msg, 'I wasn\'t able to understand that duration.',
+            'Try something like `30s` or `5 minutes`, or `off`.');
+        return;
+      }
+    } else if (!durationText && scope) {
+      duration = setting.cooldown;
+    }
+    setting.cooldown = duration;
+    if (scope) setting.cooldownScope = scope;
+    self.common.reply(
+        msg, 'Cooldown for `' + name + '`',
+        duration > 0 ?
+            self.common.formatDelay(duration) + ' per ' +
+                setting.cooldownScope :
+            'None');
+  }
+  /**
+   * Allow user to add, remove, and list custom aliases for commands.
+   *
+   * @private
+   * @type {Command~commandHandler}
+   *
+   * @param {Discord~Message} msg The message the user sent that triggered this.
+   */
+  function commandAlias(msg) {
+    const match = msg.text.trim().match(/^(\S+)?\s*(\S+)?\s*([\s\S]*)$/);
+    const action = (match[1] || 'list').toLowerCase();
+    const name = (match[2] || '').toLowerCase();
+    let err = null;
+    switch (action) {
+      case 'add':
+      case 'set':
+      case 'create':
+        err = self.setAlias(msg.guild.id, name, match[3]);
+        if (!err) {
+          self.common.reply(
+              msg, 'Added alias `' + msg.prefix + name + '`',
+              'Triggers `' + msg.prefix + customCommands[msg.guild.id]
+                  .aliases[name] + '`');
+        }
+        break;
+      case 'remove':
+      case 'delete':
+      case 'rm':
+        err = self.removeAlias(msg.guild.id, name);
+        if (!err) {
+          self.common.reply(msg, 'Removed alias `' + msg.prefix + name + '`');
+        }
+        break;
+      case 'list':
+      case 'show': {
+        const list =
+            Object.entries(self.getCustomCommands(msg.guild.id).aliases)
+                .map((el) => `${msg.prefix}${el[0]} -> ${msg.prefix}${el[1]}`);
+        self.common.reply(
+            msg, 'Custom Aliases',
+            list.join('\n').substring(0, 2000) || 'None');
+        break;
+      }
+      default:
+        err = 'Unknown action `' + action + '`.\n' + msg.prefix + msg.cmd +
+            ' add <name> <command>\n' + msg.prefix + msg.cmd +
+            ' remove <name>\n' + msg.prefix + msg.cmd + ' list';
+        break;
+    }
+    if (err) self.common.reply(msg, 'Unable to change alias', err);
+  }
+  /**
+   * Allow user to add, remove, and list custom response commands.
+   *
+   * @private
+   * @type {Command~commandHandler}
+   *
+   * @param {Discord~Message} msg The message the user sent that triggered this.
+   */
+  function commandCustom(msg) {
+    const match = msg.text.trim().match(/^(\S+)?\s*(\S+)?\s*([\s\S]*)$/);
+    const action = (match[1] || 'list').toLowerCase();
+    const name = (match[2] || '').toLowerCase();
+    let err = null;
+    switch (action) {
+      case 'add':
+      case 'set':
+      case 'create':
+        err = self.setCustomResponse(msg.guild.id, name, match[3]);
+        if (!err) {
+          self.common.reply(
+              msg, 'Added custom command `' + msg.prefix + name + '`');
+        }
+        break;
+      case 'remove':
+      case 'delete':
+      case 'rm':
+        err = self.removeCustomResponse(msg.guild.id, name);
+        if (!err) {
+          self.common.reply(
+              msg, 'Removed custom command `' + msg.prefix + name + '`');
+        }
+        break;
+      case 'list':
+      case 'show': {
+        const list =
+            Object.keys(self.getCustomCommands(msg.guild.id).responses)
+                .map((el) => msg.prefix + el);
+        self.common.reply(
+            msg, 'Custom Commands',
+            list.join(', ').substring(0, 2000) || 'None');
+        break;
+      }
+      default:
+        err = 'Unknown action `' + action + '`.\n' + msg.prefix + msg.cmd +
+            ' add <name> <response>\n' + msg.prefix + msg.cmd +
+            ' remove <name>\n' + msg.prefix + msg.cmd + ' list';
+        break;
+    }
+    if (err) self.common.reply(msg, 'Unable to change custom command', err);
+  }
+  /**
+   * Allow user to add, remove, and view macros that run several commands in
+   * order.
+   *
+   * @private
+   * @type {Command~commandHandler}
+   *
+   * @param {Discord~Message} msg The message the user sent that triggered this.
+   */
+  function commandMacro(msg) {
+    const match = msg.text.trim().match(/^(\S+)?\s*(\S+)?\s*([\s\S]*)$/);
+    const action = (match[1] || 'list').toLowerCase();
+    const name = (match[2] || '').toLowerCase();
+    const custom = customCommands[msg.guild.id];
+    const macro = custom && custom.macros[name];
+    let err = null;
+    switch (action) {
+      case 'add':
+      case 'set':
+      case 'create': {
+        const steps = match[3].split(/\n|&&/).map((el) => {
+          el = el.trim();
+          return el.startsWith(msg.prefix) ? el.substring(msg.prefix.length) :
+                                             el;
+        });
+        err = self.setMacro(
+            msg.guild.id, name, steps, !macro || macro.stopOnFailure);
+        if (!err) {
+          self.common.reply(
+              msg, 'Saved macro `' + msg.prefix + name + '`',
+              customCommands[msg.guild.id]
+                  .macros[name]
+                  .steps.map((el, i) => `${i + 1}. ${el}`)
+                  .join('\n'));
+        }
+        break;
+      }
+      case 'remove':
+      case 'delete':
+      case 'rm':
+        err = self.removeMacro(msg.guild.id, name);
+        if (!err) {
+          self.common.reply(msg, 'Removed macro `' + msg.prefix + name + '`');
+        }
+        break;
+      case 'stoponfail':
+      case 'stoponfailure': {
+        if (!macro) {
+          err = 'There is no macro named `' + name + '`.';
+          break;
+        }
+        const value = match[3].trim().toLowerCase();
+        if (['on', 'true', 'yes', 'enable'].includes(value)) {
+          macro.stopOnFailure = true;
+        } else if (['off', 'false', 'no', 'disable'].includes(value)) {
+          macro.stopOnFailure = false;
+        } else {
+          macro.stopOnFailure = !macro.stopOnFailure;
+        }
+        custom.dirty = true;
+        self.common.reply(
+            msg, 'Macro `' + msg.prefix + name + '`',
+            macro.stopOnFailure ? 'Will stop if a command fails.' :
+                                  'Will continue if a command fails.');
+        break;
+      }
+      case 'show':
+      case 'info':
+        if (!macro) {
+          err = 'There is no macro named `' + name + '`.';
+          break;
+        }
+        self.common.reply(
+            msg, 'Macro `' + msg.prefix + name + '`',
+            macro.steps.map((el, i) => `${i + 1}. ${el}`).join('\n') +
+                (macro.stopOnFailure ? '' : '\nContinues if a command fails.'));
+        break;
+      case 'list': {
+        const list = Object.keys(self.getCustomCommands(msg.guild.id).macros)
+            .map((el) => msg.prefix + el);
+        self.common.reply(
+            msg, 'Macros', list.join(', ').substring(0, 2000) || 'None');
+        break;
+      }
+      default:
+        err = 'Unknown action `' + action + '`.\n' + msg.prefix + msg.cmd +
+            ' add <name> <command> && <command>...\n' + msg.prefix +
+            msg.cmd + ' remove <name>\n' + msg.prefix + msg.cmd +
+            ' stoponfail <name> <on|off>\n' + msg.prefix + msg.cmd +
+            ' show <name>\n' + msg.prefix + msg.cmd + ' list';
+        break;
+    }
+    if (err) self.common.reply(msg, 'Unable to change macro', err);
+  }
   /**
    * Reset all custom command settings to default.
    *
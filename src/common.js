@@ -646,6 +646,174 @@ Common.camelToSpaces = function(str) {
 };
 Common.prototype.camelToSpaces = Common.camelToSpaces;
 
+/**
+ * Given a user-inputted string, convert to a number of milliseconds. Input
+ * can be on most common time units up to a week.
+ *
+ * @public
+ * @param {string} str The input string to parse.
+ * @returns {number} Number of milliseconds parsed from string.
+ */
+Common.stringToMilliseconds = function(str) {
+  let sum = 0;
+  str = (str + '')
+      .replace(/\b(and|repeat|every|after|in)\b/g, '')
+      .trim()
+      .toLowerCase();
+
+  const reg = /([0-9.]+)([^a-z]*)([a-z]*)/g;
+  let res;
+  while ((res = reg.exec(str)) !== null) {
+    sum += numberToUnit(res[1], res[3]);
+  }
+  if (!sum && str) {
+    sum = numberToUnit(1, str);
+  }
+  /**
+   * Convert a number and a unit to the corresponding number of milliseconds.
+   *
+   * @private
+   * @param {number} num The number associated with the unit.
+   * @param {string} unit The current unit associated with the num.
+   * @returns {number} The given number in milliseconds.
+   */
+  function numberToUnit(num, unit) {
+    switch (unit) {
+      case 's':
+      case 'sec':
+      case 'second':
+      case 'seconds':
+        return num * 1000;
+      case 'm':
+      case 'min':
+      case 'minute':
+      case 'minutes':
+        return num * 60 * 1000;
+      case 'h':
+      case 'hr':
+      case 'hour':
+      case 'hours':
+        return num * 60 * 60 * 1000;
+      case 'd':
+      case 'dy':
+      case 'day':
+      case 'days':
+        return num * 24 * 60 * 60 * 1000;
+      case 'w':
+      case 'wk':
+      case 'week':
+      case 'weeks':
+        return num * 7 * 24 * 60 * 60 * 1000;
+      default:
+        return 0;
+    }
+  }
+  return sum;
+};
+Common.prototype.stringToMilliseconds = Common.stringToMilliseconds;
+
+/**
+ * Format a duration in milliseconds into a human readable string.
+ *
+ * @public
+ * @param {number} msecs Duration in milliseconds.
+ * @returns {string} Formatted string.
+ */
+Common.formatDelay = function(msecs) {
+  let output = '';
+  let unit = 7 * 24 * 60 * 60 * 1000;
+  if (msecs >= unit) {
+    const num = Math.floor(msecs / unit);
+    output += num + ' week' + (num == 1 ? '' : 's') + ', ';
+    msecs -= num * unit;
+  }
+  unit /= 7;
+  if (msecs >= unit) {
+    const num = Math.floor(msecs / unit);
+    output += num + ' day' + (num == 1 ? '' : 's') + ', ';
+    msecs -= num * unit;
+  }
+  unit /= 24;
+  if (msecs >= unit) {
+    const num = Math.floor(msecs / unit);
+    output += num + ' hour' + (num == 1 ? '' : 's') + ', ';
+    msecs -= num * unit;
+  }
+  unit /= 60;
+  if (msecs >= unit) {
+    const num = Math.floor(msecs / unit);
+    output += num + ' minute' + (num == 1 ? '' : 's') + ', ';
+    msecs -= num * unit;
+  }
+  unit /= 60;
+  if (msecs >= unit) {
+    const num = Math.round(msecs / unit);
+    output += num + ' second' + (num == 1 ? '' : 's') + '';
+  }
+  return output.replace(/,\s$/, '');
+};
+Common.prototype.formatDelay = Common.formatDelay;
+
+/**
+ * @description Returns the percentage of how similar the two given strings
+ * are.
+ *
+ * @public
+ * @param {string} s1 First string.
+ * @param {string} s2 Second string to compare.
+ * @returns {number} Number from 0 to 1 of how similar the two strings are.
+ */
+Common.checkSimilarity = function(s1, s2) {
+  let longer = s1;
+  let shorter = s2;
+  if (s1.length < s2.length) {
+    longer = s2;
+    shorter = s1;
+  }
+  const longerLength = longer.length;
+  if (longerLength == 0) {
+    return 1.0;
+  }
+  return (longerLength - Common.editDistance(longer, shorter)) /
+      parseFloat(longerLength);
+};
+Common.prototype.checkSimilarity = Common.checkSimilarity;
+
+/**
+ * @description Calculates the edit distance between the two strings.
+ *
+ * @public
+ * @param {string} s1 First string.
+ * @param {string} s2 Second string to compare to the first.
+ * @returns {number} Number of characters distance between the two strings.
+ */
+Common.editDistance = function(s1, s2) {
+  s1 = s1.toLowerCase();
+  s2 = s2.toLowerCase();
+
+  const costs = [];
+  for (let i = 0; i <= s1.length; i++) {
+    let lastValue = i;
+    for (let j = 0; j <= s2.length; j++) {
+      if (i == 0) {
+        costs[j] = j;
+      } else {
+        if (j > 0) {
+          let newValue = costs[j - 1];
+          if (s1.charAt(i - 1) != s2.charAt(j - 1)) {
+            newValue = Math.min(Math.min(newValue, lastValue), costs[j]) + 1;
+          }
+          costs[j - 1] = lastValue;
+          lastValue = newValue;
+        }
+      }
+    }
+    if (i > 0) costs[s2.length] = lastValue;
+  }
+  return costs[s2.length];
+};
+Common.prototype.editDistance = Common.editDistance;
+
 /**
  * The object describing the connection with the SQL server.
  *
@@ -0,0 +1,146 @@
+// Copyright 2019 Campbell Crowley. All rights reserved.
+// Author: Campbell Crowley (dev@campbellcrowley.com)
+
+/**
+ * @description Serializable container for a group of players who have agreed
+ * to work together during a game. Unlike a {@link HungryGames~Team}, alliances
+ * are formed and broken by events during the game.
+ * @memberof HungryGames
+ * @inner
+ */
+class Alliance {
+  /**
+   * @description Create an alliance between players.
+   * @param {string[]} players Array of player ids in the alliance.
+   * @param {number} day The day number the alliance was formed on.
+   */
+  constructor(players, day) {
+    /**
+     * Array of player ids in the alliance.
+     *
+     * @type {string[]}
+     * @public
+     */
+    this.players = players;
+    /**
+     * The day number the alliance was formed on.
+     *
+     * @type {number}
+     * @public
+     */
+    this.day = day;
+  }
+}
+
+/**
+ * @description Find the alliance a player is in.
+ *
+ * @public
+ * @static
+ * @param {HungryGames~Alliance[]} alliances All alliances in the game.
+ * @param {string} id The id of the player to find.
+ * @returns {?HungryGames~Alliance} The player's alliance, or null if they are
+ * not in one.
+ */
+Alliance.find = function(alliances, id) {
+  if (!alliances) return null;
+  return alliances.find((el) => el.players.includes(id)) || null;
+};
+
+/**
+ * @description Check if two players are in the same alliance.
+ *
+ * @public
+ * @static
+ * @param {HungryGames~Alliance[]} alliances All alliances in the game.
+ * @param {string} one The id of the first player.
+ * @param {string} two The id of the second player.
+ * @returns {boolean} True if the players are allies.
+ */
+Alliance.areAllies = function(alliances, one, two) {
+  if (one == two) return false;
+  const alliance = Alliance.find(alliances, one);
+  return alliance != null && alliance.players.includes(two);
+};
+
+/**
+ * @description Get all allies of the given players, excluding the given
+ * players themselves.
+ *
+ * @public
+ * @static
+ * @param {HungryGames~Alliance[]} alliances All alliances in the game.
+ * @param {string[]} ids The ids of the players to get the allies of.
+ * @returns {string[]} Ids of all allies.
+ */
+Alliance.alliesOf = function(alliances, ids) {
+  const allies = [];
+  for (const id of ids) {
+    const alliance = Alliance.find(alliances, id);
+    if (!alliance) continue;
+    alliance.players.forEach((el) => {
+      if (!ids.includes(el) && !allies.includes(el)) allies.push(el);
+    });
+  }
+  return allies;
+};
+
+/**
+ * @description Remove a player from their alliance. The alliance is disbanded
+ * if fewer than 2 players remain.
+ *
+ * @public
+ * @static
+ * @param {HungryGames~Alliance[]} alliances All alliances in the game.
+ * Modified in place.
+ * @param {string} id The id of the player leaving.
+ */
+Alliance.leave = function(alliances, id) {
+  if (!alliances) return;
+  const index = alliances.findIndex((el) => el.players.includes(id));
+  if (index < 0) return;
+  const alliance = alliances[index];
+  alliance.players = alliance.players.filter((el) => el != id);
+  if (alliance.players.length < 2) alliances.splice(index, 1);
+};
+
+/**
+ * @description Form a new alliance between the given players. Players leave
+ * any alliance they were previously in.
+ *
+ * @public
+ * @static
+ * @param {HungryGames~Alliance[]} alliances All alliances in the game.
+ * Modified in place.
+ * @param {string[]} ids The ids of the players forming the alliance.
+ * @param {number} day The current day number.
+ * @returns {?HungryGames~Alliance} The formed alliance, or null if there were
+ * not enough players to form one.
+ */
+Alliance.form = function(alliances, ids, day) {
+  if (ids.length < 2) return null;
+  ids.forEach((el) => Alliance.leave(alliances, el));
+  const alliance = new Alliance(ids.slice(0), day);
+  alliances.push(alliance);
+  return alliance;
+};
+
+/**
+ * @description Break the alliance between betrayers and their victims. The
+ * betrayers leave their alliance, and form a new one together if there is
+ * more than one of them.
+ *
+ * @public
+ * @static
+ * @param {HungryGames~Alliance[]} alliances All alliances in the game.
+ * Modified in place.
+ * @param {string[]} betrayers The ids of the players who betrayed their
+ * allies.
+ * @param {number} day The current day number.
+ */
+Alliance.betray = function(alliances, betrayers, day) {
+  betrayers.forEach((el) => Alliance.leave(alliances, el));
+  Alliance.form(alliances, betrayers, day);
+};
+
+module.exports = Alliance;
@@ -1,5 +1,6 @@
 // Copyright 2019 Campbell Crowley. All rights reserved.
 // Author: Campbell Crowley (dev@campbellcrowley.com)
+const Event = require('./Event.js');
 
 /**
  * @description An Arena event storing Events.
@@ -38,6 +39,38 @@ class ArenaEvent {
      */
     this.outcomeProbs = outcomeProbs;
   }
+
+  /**
+   * @description Check that the given data can be used as an ArenaEvent.
+   * @public
+   * @param {object} evt The event data to check.
+   * @returns {?string} Error message or null if the event is valid.
+   */
+  static validate(evt) {
+    if (!evt || typeof evt !== 'object') return 'Event must be an object.';
+    if (typeof evt.message !== 'string' || evt.message.length == 0) {
+      return 'Event must have a message.';
+    }
+    if (!Array.isArray(evt.outcomes) || evt.outcomes.length == 0) {
+      return 'Event must have at least one outcome.';
+    }
+    for (let i = 0; i < evt.outcomes.length; i++) {
+      const err = Event.validate(evt.outcomes[i]);
+      if (err) return `Outcome ${i}: ${err}`;
+    }
+    if (evt.outcomeProbs != null) {
+      if (typeof evt.outcomeProbs !== 'object') {
+        return 'Invalid outcome probabilities.';
+      }
+      for (const key of ['kill', 'wound', 'thrive', 'revive', 'nothing']) {
+        const val = evt.outcomeProbs[key];
+        if (val != null && (!isFinite(val) || val < 0)) {
+          return `Invalid outcome probability for ${key}: ${val}`;
+        }
+      }
+    }
+    return null;
+  }
 }
 
 module.exports = ArenaEvent;
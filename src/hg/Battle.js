@@ -1,6 +1,8 @@
 // Copyright 2019 Campbell Crowley. All rights reserved.
 // Author: Campbell Crowley (dev@campbellcrowley.com)
 const Event = require('./Event.js');
+const Simulator = require('./Simulator.js');
+const Player = require('./Player.js');
 
 /**
  * @description A single battle in an Event.
@@ -37,6 +39,41 @@ class Battle {
      */
     this.victim = {damage: victim};
   }
+
+  /**
+   * @description Check that the given data can be used as a Battle.
+   * @public
+   * @param {object} evt The battle data to check.
+   * @returns {?string} Error message or null if the battle is valid.
+   */
+  static validate(evt) {
+    if (!evt || typeof evt !== 'object') return 'Battle must be an object.';
+    if (typeof evt.message !== 'string' || evt.message.length == 0) {
+      return 'Battle must have a message.';
+    }
+    for (const group of ['attacker', 'victim']) {
+      const info = evt[group];
+      if (!info || !isFinite(info.damage) || info.damage < 0) {
+        return `Invalid ${group} damage.`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * @description Compare two battles to check if they are equivalent.
+   * @public
+   * @param {HungryGames~Battle} b1 First battle.
+   * @param {HungryGames~Battle} b2 Second battle to compare.
+   * @returns {boolean} If the two given battles are equivalent.
+   */
+  static equal(b1, b2) {
+    if (!b1 || !b2) return false;
+    if (b1.message != b2.message) return false;
+    if (b1.attacker.damage != b2.attacker.damage) return false;
+    if (b1.victim.damage != b2.victim.damage) return false;
+    return true;
+  }
 }
 
 /**
@@ -91,8 +128,8 @@ Battle._fistBoth = './img/fist_both.png';
 Battle.finalize = function(
     affectedUsers, numVictim, numAttacker, mention, game, battles) {
   const useNicknames = game.options.useNicknames == 'all';
-  const outcomeMessage =
-      battles.outcomes[Math.floor(Math.random() * battles.outcomes.length)];
+  const outcomeMessage = battles.outcomes[Math.floor(
+      Simulator.random() * battles.outcomes.length)];
   const finalEvent = Event.finalize(
       outcomeMessage, affectedUsers.slice(0), numVictim, numAttacker, 'dies',
       'nothing', game);
@@ -108,7 +145,7 @@ Battle.finalize = function(
   let lastAttack = {index: 0, attacker: 0, victim: 0, flipRoles: false};
 
   const startMessage =
-      battles.starts[Math.floor(Math.random() * battles.starts.length)];
+      battles.starts[Math.floor(Simulator.random() * battles.starts.length)];
   const battleString = '**A battle has broken out!**';
   let healthText =
       affectedUsers
@@ -133,29 +170,16 @@ Battle.finalize = function(
     if (loop > 1000) {
       throw new Error('INFINITE LOOP');
     }
-    const eventIndex = Math.floor(Math.random() * battles.attacks.length);
+    const eventIndex = Math.floor(Simulator.random() * battles.attacks.length);
     const eventTry = battles.attacks[eventIndex];
     const attackerEventDamage = eventTry.attacker.damage * 1;
     const victimEventDamage = eventTry.victim.damage * 1;
 
-    const flipRoles = Math.random() > 0.5;
-    const attackerIndex = Math.floor(Math.random() * numAttacker) + numVictim;
+    const flipRoles = Simulator.random() > 0.5;
+    const attackerIndex =
+        Math.floor(Simulator.random() * numAttacker) + numVictim;
 
-    if (loop == 999) {
-      console.log(
-          'Failed to find valid event for battle!\n', eventTry, flipRoles,
-          userHealth, '\nAttacker:', attackerIndex, '\nUsers:',
-          affectedUsers.length, '\nAlive:', numAlive, '\nFINAL:', finalEvent);
-    }
-
-    if ((!flipRoles &&
-         userHealth[attackerIndex] + attackerEventDamage >= maxHealth) ||
-        (flipRoles &&
-         userHealth[attackerIndex] + victimEventDamage >= maxHealth)) {
-      continue;
-    }
-
-    let victimIndex = Math.floor(Math.random() * numAlive);
+    let victimIndex = Math.floor(Simulator.random() * numAlive);
 
     let count = 0;
     for (let i = 0; i < numVictim; i++) {
@@ -166,9 +190,22 @@ Battle.finalize = function(
       }
     }
 
-    const victimDamage = (flipRoles ? attackerEventDamage : victimEventDamage);
-    const attackerDamage =
-        (!flipRoles ? attackerEventDamage : victimEventDamage);
+    // Stronger players deal more damage to their opponent.
+    const victimDamage = Battle._scaleDamage(
+        flipRoles ? attackerEventDamage : victimEventDamage,
+        affectedUsers[attackerIndex]);
+    const attackerDamage = Battle._scaleDamage(
+        !flipRoles ? attackerEventDamage : victimEventDamage,
+        affectedUsers[victimIndex]);
+
+    if (loop == 999) {
+      console.log(
+          'Failed to find valid event for battle!\n', eventTry, flipRoles,
+          userHealth, '\nAttacker:', attackerIndex, '\nUsers:',
+          affectedUsers.length, '\nAlive:', numAlive, '\nFINAL:', finalEvent);
+    }
+
+    if (userHealth[attackerIndex] + attackerDamage >= maxHealth) continue;
 
     userHealth[victimIndex] += victimDamage;
     userHealth[attackerIndex] += attackerDamage;
@@ -235,4 +272,20 @@ Battle.finalize = function(
   return finalEvent;
 };
 
+/**
+ * Scale the damage dealt in an attack by the strength of the player dealing
+ * it.
+ *
+ * @private
+ * @static
+ * @param {number} damage The damage of the attack.
+ * @param {HungryGames~Player} dealer The player dealing the damage.
+ * @returns {number} The scaled damage.
+ */
+Battle._scaleDamage = function(damage, dealer) {
+  if (!(damage > 0)) return damage;
+  return Math.max(
+      Math.round(damage * Player.attributeModifier(dealer, 'strength')), 1);
+};
+
 module.exports = Battle;
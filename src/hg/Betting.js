@@ -0,0 +1,394 @@
+// Copyright 2019 Campbell Crowley. All rights reserved.
+// Author: Campbell Crowley (dev@campbellcrowley.com)
+const StatGroup = require('./StatGroup.js');
+const StatManager = require('./StatManager.js');
+
+/**
+ * @description A single wager placed by a spectator.
+ * @typedef {object} HGBet
+ *
+ * @property {string} user The ID of the user who placed the bet.
+ * @property {string} type The type of bet. One of {@link
+ * HungryGames~Betting.types}.
+ * @property {string} target The ID of the player or team being bet on.
+ * @property {number} amount The number of coins wagered.
+ * @property {number} odds Multiplier applied to the amount if the bet wins.
+ * @property {number} time Timestamp of when the bet was placed.
+ */
+
+/**
+ * @description The outcome of a bet once the game has ended.
+ * @typedef {object} HGBetResult
+ *
+ * @property {HGBet} bet The bet that was resolved.
+ * @property {string} result `won`, `lost` or `refunded`.
+ * @property {number} payout The number of coins given back to the user.
+ */
+
+/**
+ * @description Manages spectators wagering coins on the outcome of the games
+ * in a guild. Balances are stored in the guild's lifetime {@link
+ * HungryGames~StatGroup}.
+ * @memberof HungryGames
+ * @inner
+ */
+class Betting {
+  /**
+   * @description Create the betting manager for a guild.
+   * @param {HungryGames~GuildGame} game Parent game.
+   */
+  constructor(game) {
+    /**
+     * @description Parent game to bet on.
+     * @public
+     * @type {HungryGames~GuildGame}
+     * @constant
+     */
+    this.game = game;
+    /**
+     * @description The lifetime stat group balances are stored in. Created the
+     * first time it is needed, and kept so that modifications queued to be
+     * saved are seen by the next fetch.
+     * @private
+     * @type {?HungryGames~StatGroup}
+     * @default
+     */
+    this._stats = null;
+    /**
+     * @description Balance changes waiting to run for each user, mapped by
+     * user ID. Only the first in each list is running, so a balance is never
+     * checked while another change to it is still being applied.
+     * @private
+     * @type {object.<Function[]>}
+     * @default
+     */
+    this._balanceQueue = {};
+
+    this._queueBalance = this._queueBalance.bind(this);
+    this.fetchBalance = this.fetchBalance.bind(this);
+    this.spend = this.spend.bind(this);
+    this.placeBet = this.placeBet.bind(this);
+    this.resolve = this.resolve.bind(this);
+  }
+
+  /**
+   * @description Get the stat group balances are stored in.
+   * @private
+   * @returns {HungryGames~StatGroup} The lifetime stat group.
+   */
+  get _group() {
+    if (!this._stats) this._stats = new StatGroup(this.game, 'global');
+    return this._stats;
+  }
+
+  /**
+   * @description Run a task that checks and then changes a user's balance once
+   * all earlier tasks for that user have finished.
+   * @private
+   * @param {string} user The ID of the user.
+   * @param {Function} task Task to run. The only argument is a function to call
+   * once the task is done with the balance.
+   */
+  _queueBalance(user, task) {
+    if (!this._balanceQueue[user]) this._balanceQueue[user] = [];
+    const queue = this._balanceQueue[user];
+    const run = () => {
+      try {
+        queue[0](next);
+      } catch (err) {
+        next();
+        throw err;
+      }
+    };
+    const next = () => {
+      queue.shift();
+      if (queue.length > 0) {
+        run();
+      } else if (this._balanceQueue[user] === queue) {
+        delete this._balanceQueue[user];
+      }
+    };
+    queue.push(task);
+    if (queue.length == 1) run();
+  }
+
+  /**
+   * @description Fetch the number of coins a user has available to bet.
+   * @public
+   * @param {string} user The ID of the user.
+   * @param {Function} cb Callback with optional error argument, otherwise
+   * second argument is the balance.
+   */
+  fetchBalance(user, cb) {
+    this._group.fetchValue(user, 'coinsWon', (err, value) => {
+      if (err) {
+        cb(err);
+        return;
+      }
+      cb(null, Betting.startingCoins + (value || 0));
+    });
+  }
+
+  /**
+   * @description Remove coins from a user's balance if they have enough.
+   * @public
+   * @param {string} user The ID of the user.
+   * @param {number} amount The number of coins to remove.
+   * @param {Function} cb Callback with optional error message string.
+   */
+  spend(user, amount, cb) {
+    this._queueBalance(user, (done) => {
+      this.fetchBalance(user, (err, balance) => {
+        if (err) {
+          console.error(err);
+          done();
+          cb('Failed to fetch balance.');
+          return;
+        }
+        if (amount > balance) {
+          done();
+          cb(`You only have ${balance} coins.`);
+          return;
+        }
+        if (!(amount > 0)) {
+          done();
+          cb(null);
+          return;
+        }
+        this._group.increment(user, 'coinsWon', -amount, (err) => {
+          done();
+          if (err) {
+            console.error(err);
+            cb('Failed to update balance.');
+            return;
+          }
+          cb(null);
+        });
+      });
+    });
+  }
+
+  /**
+   * @description Get the odds a bet on a target would be given right now.
+   * @public
+   * @param {string} type The type of bet.
+   * @param {string} target The ID of the player or team to bet on.
+   * @returns {string|number} Error message if the bet is not allowed, otherwise
+   * the multiplier the bet would pay out.
+   */
+  getOdds(type, target) {
+    const game = this.game;
+    const current = game.currentGame;
+    if (!current) return 'A game has not been created yet.';
+    if (current.ended) {
+      return 'The game has ended. Bets open again once a new game is created.';
+    }
+    if (current.inProgress && current.day.state !== 0) {
+      return 'Bets can only be placed between days.';
+    }
+    const players = current.includedUsers;
+    const living = players.filter((el) => el.living);
+    const aliveTeams = current.teams.filter((el) => el.numAlive > 0);
+    let candidates = 0;
+    switch (type) {
+      case 'winner': {
+        const player = living.find((el) => el.id === target);
+        if (!player) return 'That player is not alive in the game.';
+        const collab = game.options.teamSize > 0 &&
+            game.options.teammatesCollaborate == 'always';
+        candidates = collab ? aliveTeams.length : living.length;
+        break;
+      }
+      case 'firstDeath': {
+        if (players.find((el) => !el.living || el.dayOfDeath >= 0)) {
+          return 'Someone has already died.';
+        }
+        if (!players.find((el) => el.id === target)) {
+          return 'That player is not in the game.';
+        }
+        candidates = players.length;
+        break;
+      }
+      case 'team': {
+        if (!(game.options.teamSize > 0)) return 'Teams are not enabled.';
+        const team = aliveTeams.find((el) => `${el.id}` === `${target}`);
+        if (!team) return 'That team is not alive in the game.';
+        candidates = aliveTeams.length;
+        break;
+      }
+      default:
+        return `Unknown bet type: ${type}`;
+    }
+    if (candidates < 2) return 'The outcome is already decided.';
+    return Math.round(candidates * Betting.payoutRatio * 100) / 100;
+  }
+
+  /**
+   * @description Place a bet for a user. The amount is removed from their
+   * balance immediately.
+   * @public
+   * @param {string} user The ID of the user placing the bet.
+   * @param {string} type The type of bet. One of {@link
+   * HungryGames~Betting.types}.
+   * @param {string} target The ID of the player or team to bet on.
+   * @param {number|string} amount The number of coins to wager.
+   * @param {Function} cb Callback with optional error message string, otherwise
+   * second argument is the placed {@link HGBet}.
+   */
+  placeBet(user, type, target, amount, cb) {
+    const game = this.game;
+    amount = amount * 1;
+    if (!Number.isInteger(amount) || amount < 1) {
+      cb('Amount must be a whole number of coins.');
+      return;
+    }
+    if (game.currentGame &&
+        game.currentGame.includedUsers.find((el) => el.id === user)) {
+      cb('Tributes can\'t bet on their own game.');
+      return;
+    }
+    if (game.bets.find((el) => el.user === user && el.type === type)) {
+      cb('You have already placed a bet of this type.');
+      return;
+    }
+    const odds = this.getOdds(type, target);
+    if (typeof odds === 'string') {
+      cb(odds);
+      return;
+    }
+    this._queueBalance(user, (done) => {
+      this.fetchBalance(user, (err, balance) => {
+        if (err) {
+          console.error(err);
+          done();
+          cb('Failed to fetch balance.');
+          return;
+        }
+        if (amount > balance) {
+          done();
+          cb(`You only have ${balance} coins.`);
+          return;
+        }
+        // Check again since state may have changed while fetching balance.
+        if (game.bets.find((el) => el.user === user && el.type === type)) {
+          done();
+          cb('You have already placed a bet of this type.');
+          return;
+        }
+        const bet = {
+          user: user,
+          type: type,
+          target: `${target}`,
+          amount: amount,
+          odds: odds,
+          time: Date.now(),
+        };
+        game.bets.push(bet);
+        this._group.increment(user, 'coinsWon', -amount, (err) => {
+          done();
+          if (err) {
+            console.error(err);
+            const index = game.bets.indexOf(bet);
+            if (index >= 0) game.bets.splice(index, 1);
+            cb('Failed to update balance.');
+            return;
+          }
+          cb(null, bet);
+        });
+      });
+    });
+  }
+
+  /**
+   * @description Resolve all bets on the current game, and pay out winners. If
+   * the game ended before there was an outcome to a bet, the bet is refunded.
+   * @public
+   * @returns {HGBetResult[]} The outcome of every bet that was resolved.
+   */
+  resolve() {
+    const bets = this.game.bets;
+    this.game.bets = [];
+    const current = this.game.currentGame;
+    if (!current || bets.length == 0) return [];
+    const winners = StatManager.findWinners(this.game);
+    const finished = winners.length > 0 || current.numAlive == 0;
+    const firstDeath = current.includedUsers.filter((el) => el.dayOfDeath >= 0)
+        .sort((a, b) => b.rank - a.rank)[0];
+
+    const group = this._group;
+    const inc = function(...args) {
+      try {
+        group.increment(...args);
+      } catch (err) {
+        console.error(err);
+      }
+    };
+
+    return bets.map((bet) => {
+      let won = null;
+      switch (bet.type) {
+        case 'winner':
+          if (finished) won = winners.includes(bet.target);
+          break;
+        case 'firstDeath':
+          if (firstDeath) won = firstDeath.id === bet.target;
+          break;
+        case 'team': {
+          const team = current.teams.find((el) => `${el.id}` === bet.target);
+          if (finished && team) {
+            won = winners.some((el) => team.players.includes(el));
+          }
+          break;
+        }
+      }
+      let payout = 0;
+      let result = 'refunded';
+      if (won === null) {
+        payout = bet.amount;
+      } else if (won) {
+        payout = Math.floor(bet.amount * bet.odds);
+        result = 'won';
+        inc(bet.user, 'betsWon');
+      } else {
+        result = 'lost';
+        inc(bet.user, 'betsLost');
+      }
+      if (payout > 0) inc(bet.user, 'coinsWon', payout);
+      return {bet: bet, result: result, payout: payout};
+    });
+  }
+}
+
+/**
+ * @description All types of bets that may be placed.
+ * @public
+ * @static
+ * @constant
+ * @type {string[]}
+ * @default
+ */
+Betting.types = ['winner', 'firstDeath', 'team'];
+
+/**
+ * @description Number of coins every user has before they have placed any
+ * bets.
+ * @public
+ * @static
+ * @constant
+ * @type {number}
+ * @default
+ */
+Betting.startingCoins = 100;
+
+/**
+ * @description Fraction of fair odds that is paid out when a bet wins. Odds
+ * are the number of possible outcomes multiplied by this value.
+ * @public
+ * @static
+ * @constant
+ * @type {number}
+ * @default
+ */
+Betting.payoutRatio = 0.9;
+
+module.exports = Betting;
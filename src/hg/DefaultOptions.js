@@ -327,6 +327,16 @@ class DefaultOptions {
         'Probability of each player using their weapon each day if they ' +
             'have one.',
         'probabilities', {min: 0, max: 1}, 'percent');
+    this._probabilityOfCraft = new NumberOption(
+        0.5,
+        'Probability of each player crafting an item each day if they have ' +
+            'all of the ingredients.',
+        'probabilities', {min: 0, max: 1}, 'percent');
+    this._allianceLoyalty = new NumberOption(
+        0.75,
+        'Probability of a player refusing to harm one of their allies when ' +
+            'they are chosen for the same event.',
+        'probabilities', {min: 0, max: 1}, 'percent');
     this._eventAvatarSizes = new ObjectOption(
         {avatar: 64, underline: 4, gap: 4},
         'The number of pixels each player\'s avatar will be tall and wide, ' +
@@ -365,6 +375,13 @@ class DefaultOptions {
         false, 'Forced outcomes will use existing events instead of saying ' +
             '"The game makers" did it.',
         'other');
+    this._sponsorGiftsPerDay = new NumberOption(
+        3, 'Maximum number of gifts spectators may send to players between ' +
+            'each day. Gifts heal the player the next day. 0 disables gifts.',
+        'other', {min: 0, max: 100});
+    this._sponsorGiftCost = new NumberOption(
+        25, 'Number of betting coins a spectator must spend to send a gift.',
+        'other', {min: 0, max: 10000});
     this._disableOutput = new BooleanOption(
         false, 'Debugging purposes only. I mean, you can enable it, but it ma' +
             'kes the games really boring. Up to you ¯\\_(ツ)_/¯',
@@ -525,6 +542,20 @@ class DefaultOptions {
   get probabilityOfUseWeapon() {
     return this._probabilityOfUseWeapon;
   }
+  /**
+   * @description Get probabilityOfCraft.
+   * @returns {NumberOption} Option value.
+   */
+  get probabilityOfCraft() {
+    return this._probabilityOfCraft;
+  }
+  /**
+   * @description Get allianceLoyalty.
+   * @returns {NumberOption} Option value.
+   */
+  get allianceLoyalty() {
+    return this._allianceLoyalty;
+  }
   /**
    * @description Get eventAvatarSizes.
    * @returns {ObjectOption} Option value.
@@ -574,6 +605,20 @@ class DefaultOptions {
   get anonForceOutcome() {
     return this._anonForceOutcome;
   }
+  /**
+   * @description Get sponsorGiftsPerDay.
+   * @returns {NumberOption} Option value.
+   */
+  get sponsorGiftsPerDay() {
+    return this._sponsorGiftsPerDay;
+  }
+  /**
+   * @description Get sponsorGiftCost.
+   * @returns {NumberOption} Option value.
+   */
+  get sponsorGiftCost() {
+    return this._sponsorGiftCost;
+  }
   /**
    * @description Get disableOutput.
    * @returns {BooleanOption} Option value.
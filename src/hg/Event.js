@@ -4,6 +4,7 @@ const FinalEvent = require('./FinalEvent.js');
 const UserIconUrl = require('./UserIconUrl.js');
 const Grammar = require('./Grammar.js');
 const Simulator = require('./Simulator.js');
+const Alliance = require('./Alliance.js');
 const funTranslator = require('../lib/funTranslators.js');
 
 /**
@@ -121,6 +122,17 @@ class Event {
      * @default
      */
     this.consumes = null;
+    /**
+     * How this event changes alliances between players. `form` makes all
+     * affected players allies, `betray` makes the attackers betray the
+     * victims who must all be in the same alliance. Null if alliances are not
+     * affected.
+     *
+     * @public
+     * @type {?string}
+     * @default
+     */
+    this.alliance = null;
     /**
      * If the event is created by the user.
      *
@@ -208,6 +220,23 @@ class Event {
             .replace(
                 /\{attacker\}/g,
                 Grammar.formatMultiNames(affectedAttackers, useNickname));
+    if (finalMessage.indexOf('{ally}') > -1) {
+      const affected = affectedVictims.concat(affectedAttackers);
+      const allyIds = Alliance.alliesOf(
+          game.currentGame.alliances, affected.map((el) => el.id));
+      const allies = game.currentGame.includedUsers.filter(
+          (obj) => obj.living && allyIds.includes(obj.id));
+      if (allies.length === 0) {
+        finalMessage = finalMessage.replace(/\{ally\}/g, 'an imaginary friend')
+            .replace(/\[Y([^|]*)\|([^\]]*)\]/g, '$1');
+      } else {
+        const plural = allies.length === 1 ? '$1' : '$2';
+        finalMessage =
+            finalMessage.replace(/\[Y([^|]*)\|([^\]]*)\]/g, plural)
+                .replace(
+                    /\{ally\}/g, Grammar.formatMultiNames(allies, useNickname));
+      }
+    }
     if (finalMessage.indexOf('{dead}') > -1) {
       const deadUsers =
           game.currentGame.includedUsers
@@ -230,7 +259,8 @@ class Event {
                     Grammar.formatMultiNames(deadUsers, useNickname));
       }
     }
-    finalMessage = funTranslator.to(translator, finalMessage);
+    finalMessage =
+        funTranslator.to(translator, finalMessage, Simulator.random);
     const finalIcons =
         UserIconUrl.from(affectedVictims.concat(affectedAttackers));
     return new FinalEvent(
@@ -251,6 +281,7 @@ class Event {
     if (e1.action != e2.action) return false;
     if (e1.consumes != e2.consumes) return false;
     if (!e1.battle != !e2.battle) return false;
+    if ((e1.alliance || null) != (e2.alliance || null)) return false;
     const v1 = e1.victim;
     const v2 = e2.victim;
     if (v1 && v2) {
@@ -283,6 +314,69 @@ class Event {
     }
     return true;
   }
+
+  /**
+   * @description Check that the given data can be used as an Event.
+   * @public
+   * @param {object} evt The event data to check.
+   * @param {boolean} [isWeapon=false] Is this an outcome of a weapon event.
+   * Weapon outcomes may have an action instead of a message.
+   * @returns {?string} Error message or null if the event is valid.
+   */
+  static validate(evt, isWeapon = false) {
+    if (!evt || typeof evt !== 'object') return 'Event must be an object.';
+    const hasMessage = typeof evt.message === 'string' && evt.message.length;
+    const hasAction =
+        isWeapon && typeof evt.action === 'string' && evt.action.length;
+    if (!hasMessage && !hasAction) return 'Event must have a message.';
+    if (evt.alliance != null && !Event.allianceTypes.includes(evt.alliance)) {
+      return `Invalid alliance type: ${evt.alliance}`;
+    }
+    for (const group of ['victim', 'attacker']) {
+      const info = evt[group];
+      if (!info || typeof info !== 'object') {
+        return `Event must have ${group} information.`;
+      }
+      if (info.count === '' || !isFinite(info.count) ||
+          Math.floor(info.count) != info.count) {
+        return `Invalid ${group} count: ${info.count}`;
+      }
+      if (!Event.outcomes.includes(info.outcome)) {
+        return `Invalid ${group} outcome: ${info.outcome}`;
+      }
+      if (info.weapon) {
+        if (typeof info.weapon.name !== 'string' || !info.weapon.name.length) {
+          return `Invalid ${group} weapon name.`;
+        }
+        if (!isFinite(info.weapon.count)) {
+          return `Invalid ${group} weapon count: ${info.weapon.count}`;
+        }
+      }
+    }
+    return null;
+  }
 }
 
+/**
+ * All possible outcomes for a player in an event.
+ *
+ * @public
+ * @static
+ * @type {string[]}
+ * @constant
+ * @default
+ */
+Event.outcomes = ['nothing', 'dies', 'wounded', 'thrives', 'revived'];
+
+/**
+ * All possible ways an event can change alliances.
+ *
+ * @public
+ * @static
+ * @type {string[]}
+ * @constant
+ * @default
+ */
+Event.allianceTypes = ['form', 'betray'];
+
 module.exports = Event;
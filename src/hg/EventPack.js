@@ -0,0 +1,195 @@
+// Copyright 2019 Campbell Crowley. All rights reserved.
+// Author: Campbell Crowley (dev@campbellcrowley.com)
+const Event = require('./Event.js');
+const ArenaEvent = require('./ArenaEvent.js');
+const WeaponEvent = require('./WeaponEvent.js');
+const Battle = require('./Battle.js');
+
+/**
+ * @description A collection of custom events that can be exported from one
+ * guild and imported into another.
+ * @memberof HungryGames
+ * @inner
+ */
+class EventPack {
+  /**
+   * @description Create a pack of events.
+   * @param {{
+   *   bloodbath: HungryGames~Event[],
+   *   player: HungryGames~Event[],
+   *   arena: HungryGames~ArenaEvent[],
+   *   weapon: object.<HungryGames~WeaponEvent>,
+   *   battle: HungryGames~Battle[]
+   * }} [events] The events to put in this pack. Usually a GuildGame's custom
+   * events.
+   */
+  constructor(events) {
+    if (!events) events = {};
+    /**
+     * The version of the pack format.
+     *
+     * @public
+     * @type {number}
+     * @default
+     */
+    this.version = EventPack.version;
+    /**
+     * Bloodbath events in this pack.
+     *
+     * @public
+     * @type {HungryGames~Event[]}
+     * @default []
+     */
+    this.bloodbath = events.bloodbath || [];
+    /**
+     * Normal player events in this pack.
+     *
+     * @public
+     * @type {HungryGames~Event[]}
+     * @default []
+     */
+    this.player = events.player || [];
+    /**
+     * Arena events in this pack.
+     *
+     * @public
+     * @type {HungryGames~ArenaEvent[]}
+     * @default []
+     */
+    this.arena = events.arena || [];
+    /**
+     * Weapon events in this pack mapped by weapon id.
+     *
+     * @public
+     * @type {object.<HungryGames~WeaponEvent>}
+     * @default {}
+     */
+    this.weapon = events.weapon || {};
+    /**
+     * Battle attacks in this pack.
+     *
+     * @public
+     * @type {HungryGames~Battle[]}
+     * @default []
+     */
+    this.battle = events.battle || [];
+  }
+
+  /**
+   * @description Check every event in this pack, and remove the ones that are
+   * invalid or are duplicates of another event in the pack.
+   * @public
+   * @returns {string[]} Error message for every removed event, prefixed with
+   * where the event was in the pack.
+   */
+  validate() {
+    const errors = [];
+    const filter = (list, type, validate, equal) => {
+      if (!Array.isArray(list)) {
+        errors.push(`${type}: Must be a list of events.`);
+        return [];
+      }
+      const valid = [];
+      list.forEach((el, i) => {
+        const err = validate(el) ||
+            (valid.find((e) => equal(e, el)) ? 'Duplicate event.' : null);
+        if (err) {
+          errors.push(`${type}[${i}]: ${err}`);
+        } else {
+          valid.push(el);
+        }
+      });
+      return valid;
+    };
+    this.bloodbath = filter(this.bloodbath, 'bloodbath', Event.validate,
+        Event.equal);
+    this.player = filter(this.player, 'player', Event.validate, Event.equal);
+    this.arena = filter(this.arena, 'arena', ArenaEvent.validate,
+        (a, b) => a.message === b.message);
+    this.battle = filter(this.battle, 'battle', Battle.validate, Battle.equal);
+
+    if (!this.weapon || typeof this.weapon !== 'object' ||
+        Array.isArray(this.weapon)) {
+      errors.push('weapon: Must be an object of weapons.');
+      this.weapon = {};
+    }
+    for (const name of Object.keys(this.weapon)) {
+      const err = WeaponEvent.validate(this.weapon[name]);
+      if (err) {
+        errors.push(`weapon[${name}]: ${err}`);
+        delete this.weapon[name];
+      }
+    }
+    return errors;
+  }
+
+  /**
+   * @description Get the total number of events in this pack. Each arena and
+   * weapon outcome counts as an event.
+   * @public
+   * @returns {number} The number of events.
+   */
+  get numEvents() {
+    return this.bloodbath.length + this.player.length + this.battle.length +
+        this.arena.reduce((a, c) => a + c.outcomes.length, 0) +
+        Object.values(this.weapon).reduce((a, c) => a + c.outcomes.length, 0);
+  }
+
+  /**
+   * @description Convert this pack to a plain object that can be saved as
+   * JSON.
+   * @public
+   * @returns {object} Serializable version of this pack.
+   */
+  get serializable() {
+    return {
+      version: this.version,
+      bloodbath: this.bloodbath,
+      player: this.player,
+      arena: this.arena,
+      weapon: this.weapon,
+      battle: this.battle,
+    };
+  }
+}
+
+/**
+ * The current version of the pack format. Packs with a newer version can not
+ * be imported.
+ *
+ * @public
+ * @static
+ * @type {number}
+ * @constant
+ * @default
+ */
+EventPack.version = 1;
+
+/**
+ * @description Create an EventPack from parsed pack data.
+ *
+ * @public
+ * @static
+ * @param {object} data The parsed pack data.
+ * @returns {HungryGames~EventPack|string} The created pack, or an error string
+ * if the data is not a pack that can be read.
+ */
+EventPack.from = function(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return 'Pack must be an object.';
+  }
+  if (!isFinite(data.version) || data.version < 1) {
+    return 'Pack does not have a valid version.';
+  }
+  if (data.version > EventPack.version) {
+    return `Pack version ${data.version} is newer than the supported ` +
+        `version ${EventPack.version}.`;
+  }
+  if (data.weapon &&
+      Object.prototype.hasOwnProperty.call(data.weapon, '__proto__')) {
+    return 'Weapons may not be named `__proto__`.';
+  }
+  return new EventPack(JSON.parse(JSON.stringify(data)));
+};
+
+module.exports = EventPack;
@@ -17,9 +17,11 @@ class ForcedOutcome {
    * @param {string} text Message to show when the user is affected.
    * @param {boolean} [persists=false] Does this outcome persist to the end of
    * the game, if false it only exists for the next day.
+   * @param {boolean} [isGift=false] Is this outcome a gift sent by a sponsor.
    */
-  constructor(id, list, state, text, persists = false) {
+  constructor(id, list, state, text, persists = false, isGift = false) {
     if (typeof id === 'object') {
+      isGift = id.isGift;
       persists = id.persists;
       text = id.text;
       state = id.state;
@@ -64,6 +66,15 @@ class ForcedOutcome {
      * @default false
      */
     this.persists = persists;
+    /**
+     * Is this outcome a gift sent by a sponsor. Gifts are shown even if the
+     * player did not need to be healed.
+     *
+     * @public
+     * @type {boolean}
+     * @default false
+     */
+    this.isGift = isGift || false;
   }
 }
 
@@ -18,6 +18,14 @@ class Game {
    * already.
    */
   constructor(name, includedUsers, teams) {
+    /**
+     * Unique ID of this game within its guild. Used to find this game in the
+     * guild's archive after it has ended.
+     *
+     * @public
+     * @type {string}
+     */
+    this.id = Date.now().toString(36);
     /**
      * The name of this game.
      *
@@ -60,6 +68,44 @@ class Game {
      * @default
      */
     this.forcedOutcomes = [];
+    /**
+     * Every outcome that has been forced during this game, and the day it was
+     * forced on.
+     *
+     * @public
+     * @type {Array.<{day: number, time: number, outcome:
+     * HungryGames~ForcedOutcome}>}
+     * @default
+     */
+    this.forcedHistory = [];
+    /**
+     * All alliances between players that currently exist in this game.
+     *
+     * @public
+     * @type {HungryGames~Alliance[]}
+     * @default
+     */
+    this.alliances = [];
+    /**
+     * Items dropped by players who have died, mapped by item id to the number
+     * of that item. Picked up by other players during arena events.
+     *
+     * @public
+     * @type {object.<number>}
+     * @default
+     */
+    this.droppedItems = {};
+    /**
+     * Every gift that spectators have sent to players during this game.
+     *
+     * @see {@link HungryGames~Sponsorship}
+     *
+     * @public
+     * @type {Array.<{user: string, player: string, day: number, time:
+     * number}>}
+     * @default
+     */
+    this.sponsorGifts = [];
     /**
      * Has the game ended.
      *
@@ -103,9 +149,14 @@ class Game {
  */
 Game.from = function(data) {
   const game = new Game(data.name, data.includedUsers);
+  if (data.id) game.id = data.id;
   game.inProgress = data.inProgress || false;
   game.teams = data.teams || [];
   game.forcedOutcomes = data.forcedOutcomes || [];
+  game.forcedHistory = data.forcedHistory || [];
+  game.alliances = data.alliances || [];
+  game.droppedItems = data.droppedItems || {};
+  game.sponsorGifts = data.sponsorGifts || [];
   game.ended = data.ended || false;
   game.day = Day.from(data.day);
   game.includedUsers = game.includedUsers.map((el) => Player.from(el));
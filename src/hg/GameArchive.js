@@ -0,0 +1,274 @@
+// Copyright 2019 Campbell Crowley. All rights reserved.
+// Author: Campbell Crowley (dev@campbellcrowley.com)
+const common = require('../common.js');
+const fs = require('fs');
+const StatManager = require('./StatManager.js');
+
+/**
+ * @description Summary of an archived game, as listed in the archive index.
+ * @typedef {object} HGArchiveSummary
+ *
+ * @property {string} id The ID of the game.
+ * @property {string} name The name of the game.
+ * @property {number} startTime Timestamp of when the bloodbath ended.
+ * @property {?number} endTime Timestamp of when the game ended, or null if it
+ * has not ended yet.
+ * @property {number} numDays Number of days that have been archived, including
+ * the bloodbath.
+ * @property {number} numPlayers Number of players in the game.
+ * @property {string[]} winners IDs of the players who won the game.
+ */
+
+/**
+ * @description Full record of an archived game.
+ * @typedef {HGArchiveSummary} HGArchiveRecord
+ *
+ * @property {HungryGames~Day[]} days Every day of the game, in order.
+ * @property {HungryGames~Player[]} players The state of every player at the
+ * end of the last archived day.
+ * @property {HungryGames~Team[]} teams The state of every team at the end of
+ * the last archived day.
+ * @property {Array.<{day: number, time: number, outcome:
+ * HungryGames~ForcedOutcome}>} forcedHistory Every outcome that was forced
+ * during the game.
+ */
+
+/**
+ * @description Stores every day of the games played in a guild so they can be
+ * viewed after the game has ended.
+ * @memberof HungryGames
+ * @inner
+ */
+class GameArchive {
+  /**
+   * @description Create the archive for a guild.
+   * @param {HungryGames~GuildGame} game Parent game.
+   */
+  constructor(game) {
+    /**
+     * @description Parent game to archive.
+     * @public
+     * @type {HungryGames~GuildGame}
+     * @constant
+     */
+    this.game = game;
+    /**
+     * @description The directory where all archived games are stored.
+     * @private
+     * @type {string}
+     * @constant
+     */
+    this._dir = `${common.guildSaveDir}${game.id}/hg/archive/`;
+    /**
+     * @description Record of the game currently being archived, so it does not
+     * need to be read from file every day.
+     * @private
+     * @type {?HGArchiveRecord}
+     * @default
+     */
+    this._current = null;
+    /**
+     * @description Queue of callbacks to fire once a file has been read. Mapped
+     * by game ID, or `index` for the list of games.
+     * @private
+     * @type {object.<Array.<Function>>}
+     * @default
+     */
+    this._fetchQueue = {};
+
+    this.addDay = this.addDay.bind(this);
+    this.end = this.end.bind(this);
+    this.fetchGame = this.fetchGame.bind(this);
+    this.fetchList = this.fetchList.bind(this);
+  }
+
+  /**
+   * @description Add the day that just ended in the current game to the
+   * archive.
+   * @public
+   */
+  addDay() {
+    const current = this.game.currentGame;
+    if (!current || !current.day || current.day.num < 0) return;
+    // Copy now, since the game will continue to be modified while the record
+    // is being read.
+    const day = JSON.parse(JSON.stringify(current.day));
+    const players = JSON.parse(JSON.stringify(current.includedUsers));
+    const teams = JSON.parse(JSON.stringify(current.teams));
+    const history = JSON.parse(JSON.stringify(current.forcedHistory || []));
+    const winners = StatManager.findWinners(this.game);
+    const ended = winners.length > 0 || current.numAlive == 0;
+    const now = Date.now();
+
+    this._fetchRecord(current.id, (err, record) => {
+      if (err) {
+        console.error(err);
+        return;
+      }
+      if (!record || day.num == 0) {
+        record = {
+          id: current.id,
+          name: current.name,
+          startTime: now,
+          endTime: null,
+          days: [],
+        };
+      }
+      record.days = record.days.filter((el) => el.num < day.num);
+      record.days.push(day);
+      record.numDays = record.days.length;
+      record.numPlayers = players.length;
+      record.players = players;
+      record.teams = teams;
+      record.forcedHistory = history;
+      record.winners = winners;
+      if (ended) record.endTime = now;
+      this._saveRecord(record);
+    });
+  }
+
+  /**
+   * @description Mark the current game as ended in the archive. Used when the
+   * game is ended before there is a winner.
+   * @public
+   */
+  end() {
+    const current = this.game.currentGame;
+    if (!current) return;
+    this._fetchRecord(current.id, (err, record) => {
+      if (err) {
+        console.error(err);
+        return;
+      }
+      if (!record || record.endTime) return;
+      record.endTime = Date.now();
+      this._saveRecord(record);
+    });
+  }
+
+  /**
+   * @description Fetch the full record of an archived game.
+   * @public
+   * @param {string} id The ID of the game to fetch.
+   * @param {Function} cb Callback with optional error argument, otherwise
+   * second argument is the {@link HGArchiveRecord}, or null if the game does
+   * not exist.
+   */
+  fetchGame(id, cb) {
+    if (typeof id !== 'string' || !id.match(/^[a-z0-9]+$/)) {
+      cb(null, null);
+      return;
+    }
+    this._fetchRecord(id, cb);
+  }
+
+  /**
+   * @description Fetch the summaries of all archived games, newest first.
+   * @public
+   * @param {Function} cb Callback with optional error argument, otherwise
+   * second argument is array of {@link HGArchiveSummary}.
+   */
+  fetchList(cb) {
+    this._fetchFile('index', (err, list) => cb(err, list || []));
+  }
+
+  /**
+   * @description Fetch a record from the cache, or from file.
+   * @private
+   * @param {string} id The ID of the game to fetch.
+   * @param {Function} cb Callback with optional error argument, otherwise
+   * second argument is the record or null if it does not exist.
+   */
+  _fetchRecord(id, cb) {
+    if (this._current && this._current.id === id) {
+      cb(null, this._current);
+      return;
+    }
+    this._fetchFile(id, cb);
+  }
+
+  /**
+   * @description Read and parse a file from the archive directory. Multiple
+   * requests for the same file will receive the same object.
+   * @private
+   * @param {string} name The name of the file without extension.
+   * @param {Function} cb Callback with optional error argument, otherwise
+   * second argument is the parsed data or null if the file does not exist.
+   */
+  _fetchFile(name, cb) {
+    if (this._fetchQueue[name]) {
+      this._fetchQueue[name].push(cb);
+      return;
+    }
+    this._fetchQueue[name] = [cb];
+    const done = (err, data) => {
+      this._fetchQueue[name].forEach((el) => {
+        try {
+          el(err, data);
+        } catch (err) {
+          console.error(err);
+        }
+      });
+      delete this._fetchQueue[name];
+    };
+    fs.readFile(`${this._dir}${name}.json`, (err, data) => {
+      if (err) {
+        done(err.code === 'ENOENT' ? null : err, null);
+        return;
+      }
+      try {
+        done(null, JSON.parse(data));
+      } catch (err) {
+        done(err);
+      }
+    });
+  }
+
+  /**
+   * @description Save a record to file, and update the index of all games.
+   * Removes the oldest games if there are more than
+   * {@link HungryGames~GameArchive.maxGames}.
+   * @private
+   * @param {HGArchiveRecord} record The record to save.
+   */
+  _saveRecord(record) {
+    this._current = record;
+    common.mkAndWrite(`${this._dir}${record.id}.json`, this._dir, record);
+    this.fetchList((err, list) => {
+      if (err) {
+        console.error(err);
+        return;
+      }
+      const summary = {
+        id: record.id,
+        name: record.name,
+        startTime: record.startTime,
+        endTime: record.endTime,
+        numDays: record.numDays,
+        numPlayers: record.numPlayers,
+        winners: record.winners,
+      };
+      list = list.filter((el) => el.id !== record.id);
+      list.unshift(summary);
+      list.splice(GameArchive.maxGames).forEach((el) => {
+        fs.unlink(`${this._dir}${el.id}.json`, (err) => {
+          if (err && err.code !== 'ENOENT') console.error(err);
+        });
+      });
+      common.mkAndWrite(`${this._dir}index.json`, this._dir, list);
+    });
+  }
+}
+
+/**
+ * Maximum number of games to keep in the archive for each guild.
+ *
+ * @public
+ * @static
+ * @type {number}
+ * @constant
+ * @default
+ */
+GameArchive.maxGames = 50;
+
+module.exports = GameArchive;
@@ -5,6 +5,11 @@ const Event = require('./Event.js');
 const Team = require('./Team.js');
 const Simulator = require('./Simulator.js');
 const StatManager = require('./StatManager.js');
+const GameArchive = require('./GameArchive.js');
+const ForcedOutcome = require('./ForcedOutcome.js');
+const Player = require('./Player.js');
+const Betting = require('./Betting.js');
+const Sponsorship = require('./Sponsorship.js');
 
 /**
  * A single instance of a game in a guild.
@@ -31,7 +36,8 @@ class GuildGame {
    * bloodbath: HungryGames~Event[],
    * player: HungryGames~Event[],
    * weapon: object.<HungryGames~WeaponEvent>,
-   * arena: HungryGames~ArenaEvent[]
+   * arena: HungryGames~ArenaEvent[],
+   * battle: HungryGames~Battle[]
    * }} [customEvents] All custom events for the guild.
    * @param {{
    * bloodbath: HungryGames~Event[],
@@ -141,12 +147,15 @@ class GuildGame {
      *   bloodbath: HungryGames~Event[],
      *   player: HungryGames~Event[],
      *   weapon: object.<HungryGames~WeaponEvent>,
-     *   arena: HungryGames~ArenaEvent[]
+     *   arena: HungryGames~ArenaEvent[],
+     *   battle: HungryGames~Battle[]
      * }}
-     * @default {{bloodbath: [], player: [], arena: [], weapon: {}}}
+     * @default {{bloodbath: [], player: [], arena: [], weapon: {}, battle: []}}
      */
-    this.customEvents =
-        customEvents || {bloodbath: [], player: [], arena: [], weapon: {}};
+    this.customEvents = customEvents ||
+        {bloodbath: [], player: [], arena: [], weapon: {}, battle: []};
+    // Custom battles were added after the other event types.
+    if (!this.customEvents.battle) this.customEvents.battle = [];
 
     // Force custom events to have custom event flag. (This is here due to
     // updating from previous version without custom event flag).
@@ -229,6 +238,42 @@ class GuildGame {
      */
     this.statGroup = null;
 
+    /**
+     * Information about the seasons in this guild. Each season is a {@link
+     * HungryGames~StatGroup} that was started by {@link
+     * HungryGames~StatManager#rollover}.
+     *
+     * @public
+     * @type {HGSeasonInfo}
+     * @default
+     */
+    this.seasons = {length: 0, nextRollover: null, list: [], champions: []};
+
+    /**
+     * Attributes of players in this guild, mapped by player ID. Applied to the
+     * players at the start of each simulated day.
+     *
+     * @see {@link HungryGames~Player.attributeInfo}
+     *
+     * @public
+     * @type {object.<object.<number>>}
+     * @default
+     */
+    this.playerAttributes = Object.create(null);
+
+    /**
+     * Bets placed by spectators that have not been resolved yet. Stored here
+     * instead of in the current game so that bets placed before the game
+     * starts are kept when the game is refreshed.
+     *
+     * @see {@link HungryGames~Betting}
+     *
+     * @public
+     * @type {HGBet[]}
+     * @default
+     */
+    this.bets = [];
+
     /**
      * Interval for day events.
      *
@@ -263,6 +308,30 @@ class GuildGame {
      * @constant
      */
     this._stats = new StatManager(this);
+    /**
+     * Stores the history of all games that have been played.
+     *
+     * @private
+     * @type {HungryGames~GameArchive}
+     * @constant
+     */
+    this._archive = new GameArchive(this);
+    /**
+     * Manages bets placed by spectators on the outcome of the games.
+     *
+     * @private
+     * @type {HungryGames~Betting}
+     * @constant
+     */
+    this._betting = new Betting(this);
+    /**
+     * Manages gifts sent to players by spectators.
+     *
+     * @private
+     * @type {HungryGames~Sponsorship}
+     * @constant
+     */
+    this._sponsors = new Sponsorship(this);
 
     this.step = this.step.bind(this);
   }
@@ -289,6 +358,57 @@ class GuildGame {
     return output;
   }
 
+  /**
+   * @description Set the value of an attribute for a player.
+   * @public
+   * @param {string} player The ID of the player to modify. Must be in the
+   * current game.
+   * @param {string} name The name of the attribute to set.
+   * @param {number|string} value The value to set the attribute to.
+   * @returns {?string} Error message, or null if the attribute was set.
+   */
+  setPlayerAttribute(player, name, value) {
+    if (typeof player !== 'string' || !player || !this.currentGame ||
+        !this.currentGame.includedUsers.find((el) => el.id === player)) {
+      return 'That player is not in the game.';
+    }
+    if (!Object.prototype.hasOwnProperty.call(Player.attributeInfo, name)) {
+      return `Unknown attribute: ${name}`;
+    }
+    value = value * 1;
+    if (!Number.isInteger(value) || value < Player.attributeMin ||
+        value > Player.attributeMax) {
+      return `Attribute value must be a whole number from ` +
+          `${Player.attributeMin} to ${Player.attributeMax}.`;
+    }
+    if (!Object.prototype.hasOwnProperty.call(this.playerAttributes, player)) {
+      this.playerAttributes[player] = {};
+    }
+    if (value === Player.attributeDefault) {
+      delete this.playerAttributes[player][name];
+      if (Object.keys(this.playerAttributes[player]).length == 0) {
+        delete this.playerAttributes[player];
+      }
+    } else {
+      this.playerAttributes[player][name] = value;
+    }
+    return null;
+  }
+
+  /**
+   * @description Reset all attributes of a player to their defaults.
+   * @public
+   * @param {string} player The ID of the player to reset.
+   * @returns {boolean} True if the player had any attributes set.
+   */
+  resetPlayerAttributes(player) {
+    if (!Object.prototype.hasOwnProperty.call(this.playerAttributes, player)) {
+      return false;
+    }
+    delete this.playerAttributes[player];
+    return true;
+  }
+
   /**
    * @description Callback to fire when game state is about to be modified.
    * @callback HungryGames~GuildGame~StateUpdateCB
@@ -414,8 +534,10 @@ class GuildGame {
 
 
   /**
-   * @description Force this current game to end immediately.
+   * @description Force this current game to end immediately. Resolves all bets
+   * placed on the game.
    * @public
+   * @returns {HGBetResult[]} The outcome of every bet that was resolved.
    */
   end() {
     this.currentGame.inProgress = false;
@@ -423,6 +545,7 @@ class GuildGame {
     this.currentGame.ended = true;
     this.autoPlay = false;
     this.clearIntervals();
+    return this._betting.resolve();
   }
   /**
    * @description Clear all timeouts and intervals.
@@ -489,6 +612,7 @@ class GuildGame {
       }
       day.state = 0;
       this._stats.parseDay();
+      this._archive.addDay();
     } else if (index < 0) {
       return;
     } else if (
@@ -520,6 +644,10 @@ GuildGame.from = function(data) {
   game.author = data.author || null;
   game.outputChannel = data.outputChannel || null;
   game.statGroup = data.statGroup || null;
+  if (data.seasons) game.seasons = Object.assign(game.seasons, data.seasons);
+  game.playerAttributes =
+      Object.assign(Object.create(null), data.playerAttributes);
+  game.bets = data.bets || [];
   if (data.currentGame) {
     game.currentGame = Game.from(data.currentGame);
   }
@@ -545,13 +673,18 @@ GuildGame.from = function(data) {
  * affected, or array of default events if not specifying a specific message.
  * @param {boolean} [persists=false] Does this outcome persist to the end of
  * the game, if false it only exists for the next day.
+ * @param {boolean} [isGift=false] Is this outcome a gift from a sponsor. Gifts
+ * are shown even if the player is already healthy.
  * @returns {string} The output message to tell the user of the outcome of the
  * operation.
  */
 GuildGame.forcePlayerState = function(
-    game, list, state, messages, text, persists = false) {
-  if (!Array.isArray(list)) {
+    game, list, state, messages, text, persists = false, isGift = false) {
+  // Outcomes that were queued for the next day have already been recorded.
+  const queued = !Array.isArray(list);
+  if (queued) {
     persists = list.persists;
+    isGift = list.isGift;
     messages = state;
     text = list.text;
     state = list.state;
@@ -559,6 +692,16 @@ GuildGame.forcePlayerState = function(
   }
   if (!Array.isArray(list) || list.length == 0) return 'No players given.';
   if (typeof state !== 'string') return 'No outcome given.';
+  if (!queued) {
+    if (!game.currentGame.forcedHistory) game.currentGame.forcedHistory = [];
+    game.currentGame.forcedHistory.push({
+      day: game.currentGame.day.num,
+      time: Date.now(),
+      outcome: new ForcedOutcome(
+          game.id, list, state, typeof text === 'string' ? text : null,
+          persists, isGift),
+    });
+  }
   const players = [];
   list.forEach((p) => {
     const player = game.currentGame.includedUsers.find((el) => el.id == p);
@@ -572,7 +715,10 @@ GuildGame.forcePlayerState = function(
         !player.living && (state === 'living' || state === 'thriving')) {
         outcome = 'revived';
         Simulator._reviveUser(game, player, 0, null);
-      } else if (player.state === 'wounded' && state === 'thriving') {
+      } else if (
+        player.living && state === 'thriving' &&
+          (player.state === 'wounded' || isGift)) {
+        // Receiving a gift is shown even if the player was already healthy.
         outcome = 'thrives';
         Simulator._restoreUser(game, player, 0, null);
       } else if (
@@ -598,7 +744,8 @@ GuildGame.forcePlayerState = function(
           return checkOutcome && checkCount && checkDisabled;
         });
         if (eventPool.length > 0) {
-          const pick = eventPool[Math.floor(eventPool.length * Math.random())];
+          const pick =
+              eventPool[Math.floor(eventPool.length * Simulator.random())];
           text = pick.message;
           evt = Event.finalize(
               text, [player], Math.abs(pick.victim.count * 1),
@@ -641,6 +788,7 @@ GuildGame.forcePlayerState = function(
         state: state,
         text: typeof text === 'string' ? text : null,
         persists: persists,
+        isGift: isGift,
       });
     }
     if (player) players.push(player.name);
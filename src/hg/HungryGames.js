@@ -507,7 +507,8 @@ class HungryGames {
       });
       return 'Resetting ALL Hungry Games stats for this server!';
     } else if (command == 'events') {
-      game.customEvents = {bloodbath: [], player: [], arena: [], weapon: {}};
+      game.customEvents =
+          {bloodbath: [], player: [], arena: [], weapon: {}, battle: []};
       return 'Resetting ALL Hungry Games events for this server!';
     } else if (command == 'current') {
       game.currentGame = null;
@@ -794,18 +795,24 @@ HungryGames.FinalEvent = tmpRequire('./FinalEvent.js');
 HungryGames.ArenaEvent = tmpRequire('./ArenaEvent.js');
 HungryGames.WeaponEvent = tmpRequire('./WeaponEvent.js');
 HungryGames.Battle = tmpRequire('./Battle.js');
+HungryGames.EventPack = tmpRequire('./EventPack.js');
 HungryGames.OutcomeProbabilities = tmpRequire('./OutcomeProbabilities.js');
 HungryGames.Day = tmpRequire('./Day.js');
 HungryGames.Messages = tmpRequire('./Messages.js');
 HungryGames.UserIconUrl = tmpRequire('./UserIconUrl.js');
 HungryGames.Player = tmpRequire('./Player.js');
 HungryGames.Team = tmpRequire('./Team.js');
+HungryGames.Alliance = tmpRequire('./Alliance.js');
 HungryGames.Game = tmpRequire('./Game.js');
 HungryGames.Event = tmpRequire('./Event.js');
 HungryGames.Stats = tmpRequire('./Stats.js');
 HungryGames.StatGroup = tmpRequire('./StatGroup.js');
 HungryGames.StatManager = tmpRequire('./StatManager.js');
+HungryGames.GameArchive = tmpRequire('./GameArchive.js');
+HungryGames.Betting = tmpRequire('./Betting.js');
+HungryGames.Sponsorship = tmpRequire('./Sponsorship.js');
 HungryGames.GuildGame = tmpRequire('./GuildGame.js');
+HungryGames.Random = tmpRequire('./Random.js');
 HungryGames.Simulator = tmpRequire('./Simulator.js');
 
 module.exports = HungryGames;
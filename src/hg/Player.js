@@ -94,13 +94,25 @@ class Player {
      */
     this.kills = 0;
     /**
-     * The weapons the player currently has and how many of each.
+     * The weapons and items the player currently has and how many of each.
+     * Dropped in the arena when the player dies.
      *
      * @type {object.<number>}
      * @public
      * @default
      */
     this.weapons = {};
+    /**
+     * The attributes of this player mapped by name. Missing attributes use
+     * {@link HungryGames~Player.attributeDefault}.
+     *
+     * @see {@link HungryGames~Player.attributeInfo}
+     *
+     * @type {object.<number>}
+     * @public
+     * @default
+     */
+    this.attributes = {};
     /**
      * Custom settings for this user associated with the games.
      *
@@ -158,6 +170,7 @@ Player.from = function(member) {
       player.state = member.state || 'normal';
       player.kills = member.kills || 0;
       player.weapons = member.weapons || {};
+      player.attributes = member.attributes || {};
       player.settings = member.settings || {};
       if (!isNaN(member.dayOfDeath)) {
         player.dayOfDeath = member.dayOfDeath;
@@ -167,4 +180,83 @@ Player.from = function(member) {
   return player;
 };
 
+/**
+ * All attributes a player can have, mapped to a description of how they affect
+ * the player.
+ *
+ * @public
+ * @static
+ * @type {object.<string>}
+ * @constant
+ * @default
+ */
+Player.attributeInfo = {
+  strength:
+      'Deals more damage in battles, and is more likely to attack others.',
+  stealth: 'Is less likely to be chosen as the victim of a harmful event.',
+  luck: 'Is more likely to thrive, and less likely to be killed or wounded.',
+};
+
+/**
+ * The minimum value of an attribute.
+ *
+ * @public
+ * @static
+ * @type {number}
+ * @constant
+ * @default
+ */
+Player.attributeMin = 1;
+
+/**
+ * The maximum value of an attribute.
+ *
+ * @public
+ * @static
+ * @type {number}
+ * @constant
+ * @default
+ */
+Player.attributeMax = 10;
+
+/**
+ * The value of an attribute that has not been set. Attributes with this value
+ * have no effect on the player.
+ *
+ * @public
+ * @static
+ * @type {number}
+ * @constant
+ * @default
+ */
+Player.attributeDefault = 5;
+
+/**
+ * How much each point of an attribute away from the default changes its
+ * effect.
+ *
+ * @private
+ * @static
+ * @type {number}
+ * @constant
+ * @default
+ */
+Player._attributeScale = 0.15;
+
+/**
+ * @description Get the multiplier for an attribute's effect on a player.
+ *
+ * @public
+ * @static
+ * @param {HungryGames~Player} player The player to get the attribute of.
+ * @param {string} name The name of the attribute.
+ * @returns {number} The multiplier, 1 if the attribute has no effect, greater
+ * than 1 if the attribute is above the default.
+ */
+Player.attributeModifier = function(player, name) {
+  const value = player.attributes && player.attributes[name];
+  if (!isFinite(value)) return 1;
+  return 1 + (value - Player.attributeDefault) * Player._attributeScale;
+};
+
 module.exports = Player;
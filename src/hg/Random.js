@@ -0,0 +1,72 @@
+// Copyright 2019 Campbell Crowley. All rights reserved.
+// Author: Campbell Crowley (dev@campbellcrowley.com)
+
+/**
+ * @description Seedable pseudo-random number generator. Produces the same
+ * sequence of numbers for the same seed, which allows simulated games to be
+ * replayed exactly.
+ * @memberof HungryGames
+ * @inner
+ */
+class Random {
+  /**
+   * @description Create a generator from a seed.
+   * @param {number|string} seed The seed to initialize the generator with.
+   * Strings are hashed into a number.
+   */
+  constructor(seed) {
+    /**
+     * The seed this generator was created with.
+     *
+     * @public
+     * @type {number|string}
+     * @constant
+     */
+    this.seed = seed;
+    /**
+     * Current internal state of the generator.
+     *
+     * @private
+     * @type {number}
+     */
+    this._state = Random.hash(seed);
+
+    this.next = this.next.bind(this);
+  }
+  /**
+   * @description Get the next number in the sequence. Drop-in replacement for
+   * `Math.random()`.
+   * @public
+   * @returns {number} Number in the range [0, 1).
+   */
+  next() {
+    // Mulberry32
+    this._state = (this._state + 0x6D2B79F5) | 0;
+    let t = this._state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+}
+
+/**
+ * @description Convert a seed value into a 32 bit integer.
+ *
+ * @public
+ * @static
+ * @param {number|string} seed The seed to hash.
+ * @returns {number} 32 bit integer hash of the seed.
+ */
+Random.hash = function(seed) {
+  const str = `${seed}`;
+  let h = 1779033703 ^ str.length;
+  for (let i = 0; i < str.length; i++) {
+    h = Math.imul(h ^ str.charCodeAt(i), 3432918353);
+    h = (h << 13) | (h >>> 19);
+  }
+  h = Math.imul(h ^ (h >>> 16), 2246822507);
+  h = Math.imul(h ^ (h >>> 13), 3266489909);
+  return (h ^ (h >>> 16)) >>> 0;
+};
+
+module.exports = Random;
@@ -2,6 +2,9 @@
 // Author: Campbell Crowley (dev@campbellcrowley.com)
 const {Worker} = require('worker_threads');
 const Game = require('./Game.js');
+const Random = require('./Random.js');
+const Alliance = require('./Alliance.js');
+const Player = require('./Player.js');
 
 /**
  * Wrapper for logging functions that normally reference SubModule.error and
@@ -34,6 +37,7 @@ class Simulator {
     this.setGame(game);
     this.setParent(hg);
     this.setMessage(msg);
+    this.setSeed(null);
   }
   /**
    * @description Change the GuildGame to simulate.
@@ -59,6 +63,16 @@ class Simulator {
   setMessage(msg) {
     this.msg = msg;
   }
+  /**
+   * @description Set the seed to use for random rolls while simulating. The
+   * same seed with the same game state will always produce the same day.
+   *
+   * @param {?number|string} seed The seed to use, or null to use
+   * `Math.random()`.
+   */
+  setSeed(seed) {
+    this.seed = seed;
+  }
   /**
    * @description Simulate a day with the current GuildGame.
    *
@@ -82,6 +96,7 @@ class Simulator {
         battles: this.hg._defaultBattles,
       },
       messages: this.hg.messages._messages,
+      seed: this.seed,
     };
     this.game.currentGame.day.state = 1;
     const worker = new Worker(Simulator._workerPath, {workerData: data});
@@ -170,6 +185,34 @@ Simulator._lotsOfDeathRate = 0.75;
  */
 Simulator._littleDeathRate = 0.15;
 
+/**
+ * @description Source of all random numbers used while simulating. Defaults to
+ * `Math.random`, and is replaced by {@link HungryGames~Simulator.seedRandom}.
+ *
+ * @public
+ * @static
+ * @type {Function}
+ * @returns {number} Number in the range [0, 1).
+ */
+Simulator.random = Math.random;
+
+/**
+ * @description Make all following simulation rolls deterministic by using a
+ * seeded generator as {@link HungryGames~Simulator.random}.
+ *
+ * @public
+ * @static
+ * @param {?number|string} seed The seed to use, or null to revert to
+ * `Math.random()`.
+ */
+Simulator.seedRandom = function(seed) {
+  if (seed == null) {
+    Simulator.random = Math.random;
+  } else {
+    Simulator.random = new Random(seed).next;
+  }
+};
+
 /**
  * Produce a random number that is weighted by multiEventUserDistribution.
  *
@@ -181,7 +224,7 @@ Simulator._littleDeathRate = 0.15;
  */
 Simulator.weightedUserRand = function() {
   let sum = 0;
-  const r = Math.random();
+  const r = Simulator.random();
   for (const i in Simulator._multiEventUserDistribution) {
     if (typeof Simulator._multiEventUserDistribution[i] !== 'number') {
       throw new Error(
@@ -213,12 +256,16 @@ Simulator.weightedUserRand = function() {
  * @param {HungryGames~Team[]} teams All teams in this game.
  * @param {?Player} weaponWielder A player that is using a weapon in this event,
  * or null if no player is using a weapon.
+ * @param {HungryGames~Alliance[]} [alliances] All alliances in this game.
+ * Allies are less likely to be picked to harm each other.
+ * @param {object.<HungryGames~WeaponEvent>} [items] All weapons and items
+ * mapped by id. Used for weighting players by the items they are holding.
  * @returns {HungryGames~Player[]} Array of all players that will be affected by
  * this event.
  */
 Simulator._pickAffectedPlayers = function(
     numVictim, numAttacker, victimOutcome, attackerOutcome, options, userPool,
-    deadPool, teams, weaponWielder) {
+    deadPool, teams, weaponWielder, alliances, items) {
   const affectedUsers = [];
   const victimRevived = victimOutcome === 'revived';
   const attackerRevived = attackerOutcome === 'revived';
@@ -234,7 +281,7 @@ Simulator._pickAffectedPlayers = function(
     let isAttacker = false;
     const validTeam = teams.findIndex((team) => {
       if (weaponWielder) {
-        isAttacker = options.useEnemyWeapon ? (Math.random() > 0.5) : true;
+        isAttacker = options.useEnemyWeapon ? (Simulator.random() > 0.5) : true;
         return team.players.findIndex((p) => {
           return p === weaponWielder.id;
         }) > -1;
@@ -277,7 +324,7 @@ Simulator._pickAffectedPlayers = function(
         return false;
       }
       if (isAttacker && canBeVictim) {
-        isAttacker = Math.random() > 0.5;
+        isAttacker = Simulator.random() > 0.5;
       }
       return true;
     });
@@ -312,16 +359,36 @@ Simulator._pickAffectedPlayers = function(
       }
     }
   } else {
+    const harmful = victimOutcome === 'dies' || victimOutcome === 'wounded';
+    const loyalty = harmful && alliances && alliances.length > 0 ?
+        (options.allianceLoyalty || 0) :
+        0;
     let i = weaponWielder ? 1 : 0;
     for (i; i < numAttacker + numVictim; i++) {
       if (i < numVictim && victimRevived) {
-        const userIndex = Math.floor(Math.random() * deadPool.length);
+        const userIndex = Math.floor(Simulator.random() * deadPool.length);
         affectedUsers.push(deadPool.splice(userIndex, 1)[0]);
       } else if (i >= numVictim && attackerRevived) {
-        const userIndex = Math.floor(Math.random() * deadPool.length);
+        const userIndex = Math.floor(Simulator.random() * deadPool.length);
         affectedUsers.push(deadPool.splice(userIndex, 1)[0]);
       } else {
-        const userIndex = Math.floor(Math.random() * userPool.length);
+        const outcome = i < numVictim ? victimOutcome : attackerOutcome;
+        const harms = i >= numVictim && harmful;
+        let userIndex =
+            Simulator._pickWeighted(userPool, outcome, items, harms);
+        // Loyal allies will usually refuse to harm each other, so pick
+        // someone else.
+        const opponents = i < numVictim ?
+            (weaponWielder ? [weaponWielder] : []) :
+            affectedUsers.slice(0, numVictim);
+        for (let tries = 0; loyalty > 0 && tries < 10; tries++) {
+          const pick = userPool[userIndex];
+          const isAlly = opponents.find(
+              (el) => Alliance.areAllies(alliances, el.id, pick.id));
+          if (!isAlly || Simulator.random() >= loyalty) break;
+          userIndex =
+              Simulator._pickWeighted(userPool, outcome, items, harms);
+        }
         if (weaponWielder && weaponWielder.id == userPool[userIndex].id) {
           i--;
           continue;
@@ -338,6 +405,284 @@ Simulator._pickAffectedPlayers = function(
   }
   return affectedUsers;
 };
+/**
+ * Find the alliances that have enough players remaining in the pool for one
+ * group of allies to betray another.
+ *
+ * @private
+ * @static
+ * @param {number} numVictim Number of victims in the event.
+ * @param {number} numAttacker Number of attackers in the event.
+ * @param {HungryGames~Player[]} userPool Pool of all remaining players to put
+ * into an event.
+ * @param {HungryGames~Alliance[]} alliances All alliances in this game.
+ * @returns {Array.<HungryGames~Player[]>} For each valid alliance, the players
+ * of the alliance that are in the pool.
+ */
+Simulator._findBetrayals = function(
+    numVictim, numAttacker, userPool, alliances) {
+  if (!alliances || numVictim < 1 || numAttacker < 1) return [];
+  return alliances
+      .map((a) => userPool.filter((p) => p.living && a.players.includes(p.id)))
+      .filter((el) => el.length >= numVictim + numAttacker);
+};
+
+/**
+ * Pick the players to put into an event where allies betray each other. All
+ * victims and attackers will be from the same alliance.
+ *
+ * @private
+ * @static
+ * @param {number} numVictim Number of victims in the event.
+ * @param {number} numAttacker Number of attackers in the event.
+ * @param {HungryGames~Player[]} userPool Pool of all remaining players to put
+ * into an event.
+ * @param {HungryGames~Alliance[]} alliances All alliances in this game.
+ * @returns {HungryGames~Player[]} Array of all players that will be affected by
+ * this event, victims first.
+ */
+Simulator._pickBetrayal = function(
+    numVictim, numAttacker, userPool, alliances) {
+  const options =
+      Simulator._findBetrayals(numVictim, numAttacker, userPool, alliances);
+  if (options.length == 0) return [];
+  const allies = options[Math.floor(Simulator.random() * options.length)];
+  const affectedUsers = [];
+  for (let i = 0; i < numVictim + numAttacker; i++) {
+    const allyIndex = Math.floor(Simulator.random() * allies.length);
+    const pick = allies.splice(allyIndex, 1)[0];
+    const userIndex = userPool.findIndex((el) => el.id == pick.id);
+    affectedUsers.push(userPool.splice(userIndex, 1)[0]);
+  }
+  return affectedUsers;
+};
+
+/**
+ * Map of event outcomes to the key used in {@link
+ * HungryGames~OutcomeProbabilities}.
+ *
+ * @private
+ * @static
+ * @type {object.<string>}
+ * @constant
+ */
+Simulator._outcomeProbKeys = {
+  dies: 'kill',
+  wounded: 'wound',
+  thrives: 'thrive',
+  revived: 'revive',
+  nothing: 'nothing',
+};
+
+/**
+ * Get how much more or less likely a player is to receive an outcome due to
+ * the items they are holding.
+ *
+ * @private
+ * @static
+ * @param {HungryGames~Player} player The player to check the items of.
+ * @param {string} outcome The outcome of the event.
+ * @param {object.<HungryGames~WeaponEvent>} [items] All weapons and items
+ * mapped by id.
+ * @returns {number} Multiplier for the player's probability of being chosen.
+ */
+Simulator._outcomeWeight = function(player, outcome, items) {
+  const key = Simulator._outcomeProbKeys[outcome];
+  if (!items || !key || !player.weapons) return 1;
+  let weight = 1;
+  for (const name of Object.keys(player.weapons)) {
+    const item = items[name];
+    if (!item || !item.outcomeProbs || !isFinite(item.outcomeProbs[key])) {
+      continue;
+    }
+    weight *= item.outcomeProbs[key];
+  }
+  return weight;
+};
+
+/**
+ * Get how much more or less likely a player is to receive an outcome due to
+ * their attributes.
+ *
+ * @private
+ * @static
+ * @param {HungryGames~Player} player The player to check the attributes of.
+ * @param {string} outcome The outcome of the event.
+ * @param {boolean} [harms=false] Whether the player would be harming others in
+ * the event.
+ * @returns {number} Multiplier for the player's probability of being chosen.
+ */
+Simulator._attributeWeight = function(player, outcome, harms = false) {
+  const mod = (name) => Player.attributeModifier(player, name);
+  let weight = 1;
+  if (outcome === 'dies' || outcome === 'wounded') {
+    weight *= (2 - mod('stealth')) * (2 - mod('luck'));
+  } else if (outcome === 'thrives') {
+    weight *= mod('luck');
+  }
+  if (harms) weight *= mod('strength');
+  return Math.max(weight, 0);
+};
+
+/**
+ * Pick a random player from a pool, weighted by how their attributes and the
+ * items they are holding affect the given outcome.
+ *
+ * @private
+ * @static
+ * @param {HungryGames~Player[]} pool The players to choose from.
+ * @param {string} outcome The outcome the chosen player will receive.
+ * @param {object.<HungryGames~WeaponEvent>} [items] All weapons and items
+ * mapped by id.
+ * @param {boolean} [harms=false] Whether the chosen player will be harming
+ * others in the event.
+ * @returns {number} Index of the chosen player in the pool.
+ */
+Simulator._pickWeighted = function(pool, outcome, items, harms = false) {
+  const weights = pool.map(
+      (el) => Simulator._outcomeWeight(el, outcome, items) *
+          Simulator._attributeWeight(el, outcome, harms));
+  const total = weights.reduce((a, c) => a + c, 0);
+  if (total <= 0) return Math.floor(Simulator.random() * pool.length);
+  let pick = Simulator.random() * total;
+  for (let i = 0; i < weights.length; i++) {
+    pick -= weights[i];
+    if (pick < 0) return i;
+  }
+  return pool.length - 1;
+};
+
+/**
+ * Format a list of items and their counts into a human readable string.
+ *
+ * @private
+ * @static
+ * @param {object.<number>} list Item ids mapped to their count.
+ * @param {object.<HungryGames~WeaponEvent>} items All weapons and items mapped
+ * by id.
+ * @returns {string} The formatted list.
+ */
+Simulator._formatItems = function(list, items) {
+  return Object.entries(list)
+      .map((el) => {
+        const count = el[1];
+        const item = items[el[0]];
+        let name = el[0];
+        if (item && item.consumable) {
+          name = item.consumable.replace(
+              /\[C([^|]*)\|([^\]]*)\]/g, '$' + (count == 1 ? '1' : '2'));
+        } else if (count != 1) {
+          name += 's';
+        }
+        return `${count} ${name}`;
+      })
+      .join(', ');
+};
+
+/**
+ * Drop all items a player is holding into the arena, for other players to pick
+ * up later.
+ *
+ * @private
+ * @static
+ * @param {HungryGames~GuildGame} game Current GuildGame being affected.
+ * @param {HungryGames~Player} player The player dropping their items.
+ */
+Simulator._dropItems = function(game, player) {
+  if (!game.currentGame.droppedItems) game.currentGame.droppedItems = {};
+  const dropped = game.currentGame.droppedItems;
+  for (const name of Object.keys(player.weapons || {})) {
+    const count = player.weapons[name] * 1;
+    if (!(count > 0)) continue;
+    dropped[name] = (dropped[name] || 0) + count;
+  }
+  player.weapons = {};
+};
+
+/**
+ * Give all items that have been dropped in the arena to random living players.
+ *
+ * @private
+ * @static
+ * @param {HungryGames~GuildGame} game Current GuildGame being affected.
+ * @param {object.<HungryGames~WeaponEvent>} items All weapons and items mapped
+ * by id. Items that no longer exist are discarded.
+ * @returns {Array.<{player: HungryGames~Player, items: object.<number>}>} The
+ * items each player picked up.
+ */
+Simulator._pickupItems = function(game, items) {
+  const dropped = game.currentGame.droppedItems;
+  const living = game.currentGame.includedUsers.filter((el) => el.living);
+  const pickups = [];
+  if (!dropped || living.length == 0) return pickups;
+  for (const name of Object.keys(dropped)) {
+    if (!items[name]) continue;
+    const player = living[Math.floor(Simulator.random() * living.length)];
+    let pickup = pickups.find((el) => el.player === player);
+    if (!pickup) {
+      pickup = {player: player, items: {}};
+      pickups.push(pickup);
+    }
+    pickup.items[name] = dropped[name];
+    if (!player.weapons) player.weapons = {};
+    player.weapons[name] = (player.weapons[name] || 0) * 1 + dropped[name];
+  }
+  game.currentGame.droppedItems = {};
+  return pickups;
+};
+
+/**
+ * Use an item that heals wounds if the player has one.
+ *
+ * @private
+ * @static
+ * @param {HungryGames~Player} player The wounded player.
+ * @param {object.<HungryGames~WeaponEvent>} items All weapons and items mapped
+ * by id.
+ * @returns {?string} The id of the item that was used, or null if the player
+ * does not have an item that heals.
+ */
+Simulator._useHealItem = function(player, items) {
+  const name = Object.keys(player.weapons || {}).find(
+      (el) => items[el] && items[el].heals && player.weapons[el] > 0);
+  if (!name) return null;
+  player.weapons[name]--;
+  if (player.weapons[name] <= 0) delete player.weapons[name];
+  return name;
+};
+
+/**
+ * Craft an item if the player is holding all of the ingredients of its
+ * recipe. The ingredients are consumed.
+ *
+ * @private
+ * @static
+ * @param {HungryGames~Player} player The player attempting to craft.
+ * @param {object.<HungryGames~WeaponEvent>} items All weapons and items mapped
+ * by id.
+ * @returns {?{item: string, ingredients: object.<number>}} The id of the
+ * crafted item and the consumed ingredients, or null if nothing can be
+ * crafted.
+ */
+Simulator._craftItem = function(player, items) {
+  if (!player.weapons) return null;
+  const craftable = Object.keys(items).filter((name) => {
+    const recipe = items[name] && items[name].recipe;
+    if (!recipe || typeof recipe !== 'object') return false;
+    return Object.entries(recipe).every(
+        (el) => player.weapons[el[0]] >= el[1] * 1);
+  });
+  if (craftable.length == 0) return null;
+  const name = craftable[Math.floor(Simulator.random() * craftable.length)];
+  const recipe = items[name].recipe;
+  for (const ingredient of Object.keys(recipe)) {
+    player.weapons[ingredient] -= recipe[ingredient] * 1;
+    if (player.weapons[ingredient] <= 0) delete player.weapons[ingredient];
+  }
+  player.weapons[name] = (player.weapons[name] || 0) * 1 + 1;
+  return {item: name, ingredients: recipe};
+};
+
 /**
  * Base of all actions to perform on a player.
  *
@@ -378,9 +723,10 @@ Simulator._killUser = function(game, a, k, w) {
   a.living = false;
   a.bleeding = 0;
   a.state = 'dead';
-  a.weapons = {};
+  Simulator._dropItems(game, a);
   a.rank = game.currentGame.numAlive--;
   a.dayOfDeath = game.currentGame.day.num;
+  Alliance.leave(game.currentGame.alliances, a.id);
   if (game.options.teamSize > 0) {
     const team = game.currentGame.teams.find((team) => {
       return team.players.findIndex((obj) => {
@@ -482,12 +828,14 @@ Simulator._reviveUser = function(game, a, k, w) {
  * @param {?Player} weaponWielder A player that is using a weapon in this
  * event, or null if no player is using a weapon.
  * @param {string} chosenWeapon Name of the weapon the player is trying to use.
+ * @param {HungryGames~Alliance[]} [alliances] All alliances in this game.
+ * Required for choosing events that betray allies.
  * @returns {?HungryGames~Event} The chosen event that satisfies all
  * requirements, or null if something went wrong.
  */
 Simulator._pickEvent = function(
     userPool, eventPool, options, numAlive, numTotal, teams, probOpts,
-    weaponWielder, chosenWeapon) {
+    weaponWielder, chosenWeapon, alliances) {
   if (eventPool) eventPool = eventPool.filter((el) => el);
   // const fails = [];
   let loop = 0;
@@ -605,6 +953,15 @@ Simulator._pickEvent = function(
       continue;
     }
 
+    if (eventTry.alliance === 'betray' &&
+        (weaponWielder || victimRevived || attackerRevived ||
+         options.teamSize > 0 ||
+         Simulator._findBetrayals(numVictim, numAttacker, userPool, alliances)
+             .length == 0)) {
+      // fails.push('No allies to betray');
+      continue;
+    }
+
     const finalEvent = JSON.parse(JSON.stringify(eventPool[eventIndex]));
 
     finalEvent.attacker.count = numAttacker;
@@ -836,7 +1193,7 @@ Simulator._probabilityEvent = function(
     probabilityOpts.wound = 0;
   }
 
-  const value = Math.random() * probTotal;
+  const value = Simulator.random() * probTotal;
 
   let type;
   if (value > (probTotal -= probabilityOpts.nothing)) type = null;
@@ -866,7 +1223,7 @@ Simulator._probabilityEvent = function(
           'Failed to find event with probabilities: ' +
           JSON.stringify(probabilityOpts) + ' from ' + eventPool.length +
           ' events.');
-      return Math.floor(Math.random() * eventPool.length);
+      return Math.floor(Simulator.random() * eventPool.length);
     }
   } else {
     let total = finalPool.length;
@@ -875,13 +1232,13 @@ Simulator._probabilityEvent = function(
         if (eventPool[el].custom) total += customWeight - 1;
       });
     }
-    const pick = Math.random() * total;
+    const pick = Simulator.random() * total;
     return finalPool.find((el) => {
       total -= eventPool[el].custom ? customWeight : 1;
       if (total < pick) return true;
       return false;
     });
-    // return finalPool[Math.floor(Math.random() * finalPool.length)];
+    // return finalPool[Math.floor(Simulator.random() * finalPool.length)];
   }
 };
 
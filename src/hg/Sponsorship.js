@@ -0,0 +1,121 @@
+// Copyright 2019 Campbell Crowley. All rights reserved.
+// Author: Campbell Crowley (dev@campbellcrowley.com)
+const ForcedOutcome = require('./ForcedOutcome.js');
+
+/**
+ * @description Manages spectators sending gifts to players between days. A
+ * gift costs betting coins, and heals the player on the next day by queuing a
+ * {@link HungryGames~ForcedOutcome}.
+ * @memberof HungryGames
+ * @inner
+ */
+class Sponsorship {
+  /**
+   * @description Create the sponsorship manager for a guild.
+   * @param {HungryGames~GuildGame} game Parent game.
+   */
+  constructor(game) {
+    /**
+     * @description Parent game the gifts are sent in.
+     * @public
+     * @type {HungryGames~GuildGame}
+     * @constant
+     */
+    this.game = game;
+
+    this.sendGift = this.sendGift.bind(this);
+  }
+
+  /**
+   * @description Get the number of gifts that may still be sent before the
+   * next day.
+   * @public
+   * @returns {number} Number of gifts remaining.
+   */
+  get remaining() {
+    const current = this.game.currentGame;
+    if (!current) return 0;
+    const sent = current.sponsorGifts.filter((el) => {
+      return el.day === current.day.num;
+    });
+    return Math.max(0, this.game.options.sponsorGiftsPerDay - sent.length);
+  }
+
+  /**
+   * @description Check if a user may send a gift to a player right now.
+   * @public
+   * @param {string} user The ID of the user sending the gift.
+   * @param {string} player The ID of the player to receive the gift.
+   * @returns {?string} Error message, or null if the gift may be sent.
+   */
+  check(user, player) {
+    const current = this.game.currentGame;
+    if (!(this.game.options.sponsorGiftsPerDay > 0)) {
+      return 'Gifts are disabled on this server.';
+    }
+    if (!current || !current.inProgress || current.ended) {
+      return 'Gifts can only be sent while a game is in progress.';
+    }
+    if (current.day.state !== 0) {
+      return 'Gifts can only be sent between days.';
+    }
+    if (current.includedUsers.find((el) => el.id === user)) {
+      return 'Tributes can\'t send gifts.';
+    }
+    const target = current.includedUsers.find((el) => el.id === player);
+    if (!target || !target.living) {
+      return 'That player is not alive in the game.';
+    }
+    if (this.remaining <= 0) {
+      return 'No more gifts can be sent until the next day.';
+    }
+    if (current.sponsorGifts.find(
+        (el) => el.user === user && el.day === current.day.num)) {
+      return 'You have already sent a gift today.';
+    }
+    return null;
+  }
+
+  /**
+   * @description Spend a user's coins to send a gift to a player. The player
+   * will be healed by the end of the next day.
+   * @public
+   * @param {string} user The ID of the user sending the gift.
+   * @param {string} player The ID of the player to receive the gift.
+   * @param {string} text The message to show when the gift is received.
+   * @param {Function} cb Callback with optional error message string.
+   */
+  sendGift(user, player, text, cb) {
+    const err = this.check(user, player);
+    if (err) {
+      cb(err);
+      return;
+    }
+    const current = this.game.currentGame;
+    // Record the gift before spending so limits apply to concurrent requests.
+    const gift = {
+      user: user,
+      player: player,
+      day: current.day.num,
+      time: Date.now(),
+    };
+    current.sponsorGifts.push(gift);
+    const cost = this.game.options.sponsorGiftCost;
+    this.game._betting.spend(user, cost, (err) => {
+      if (err) {
+        const index = current.sponsorGifts.indexOf(gift);
+        if (index > -1) current.sponsorGifts.splice(index, 1);
+        cb(err);
+        return;
+      }
+      const outcome = new ForcedOutcome(
+          this.game.id, [player], 'thriving', text, false, true);
+      current.forcedHistory.push(
+          {day: current.day.num, time: gift.time, outcome: outcome});
+      current.forcedOutcomes.push(outcome);
+      cb(null);
+    });
+  }
+}
+
+module.exports = Sponsorship;
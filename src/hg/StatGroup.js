@@ -105,6 +105,7 @@ class StatGroup {
     this.fetchUser = this.fetchUser.bind(this);
     this.setValue = this.setValue.bind(this);
     this.fetchValue = this.fetchValue.bind(this);
+    this.fetchCount = this.fetchCount.bind(this);
     this._saveUser = this._saveUser.bind(this);
     this.setMetaName = this.setMetaName.bind(this);
     this.setMetaStart = this.setMetaStart.bind(this);
@@ -327,6 +328,26 @@ class StatGroup {
     }
   }
 
+  /**
+   * @description Fetch the number of users with stats in this group.
+   * @public
+   * @param {Function} cb Callback with optional error as first argument,
+   * otherwise has the number of users as second argument.
+   */
+  fetchCount(cb) {
+    const toSend = global.sqlCon.format(
+        'SELECT COUNT(*) AS count FROM HGStats WHERE ' +
+            'botId=? AND guildId=? AND groupId=?;',
+        [this.bot, this.guild, this.id]);
+    global.sqlCon.query(toSend, (err, rows) => {
+      if (err) {
+        cb(err);
+        return;
+      }
+      cb(null, (rows && rows[0] && rows[0].count) || 0);
+    });
+  }
+
   /**
    * @description Set a stat value for a single user.
    * @public
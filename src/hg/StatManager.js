@@ -1,6 +1,43 @@
 // Copyright 2018-2019 Campbell Crowley. All rights reserved.
 // Author: Campbell Crowley (dev@campbellcrowley.com)
 const StatGroup = require('./StatGroup.js');
+const Stats = require('./Stats.js');
+
+/**
+ * @description Information about the seasons in a guild.
+ * @typedef {object} HGSeasonInfo
+ *
+ * @property {number} length Number of days each season lasts before a new one
+ * is started automatically. 0 to only start seasons manually.
+ * @property {?number} nextRollover Timestamp at which the current season will
+ * end. The new season starts with the first game after this time.
+ * @property {string[]} list IDs of the stat group of every season, in the
+ * order they were started.
+ * @property {HGSeasonChampion[]} champions The winner of every season that
+ * has ended.
+ */
+
+/**
+ * @description The player with the most wins at the end of a season.
+ * @typedef {object} HGSeasonChampion
+ *
+ * @property {string} group The ID of the season's stat group.
+ * @property {string} name The name of the season.
+ * @property {string} user The ID of the champion.
+ * @property {number} wins Number of games the champion won in the season.
+ * @property {number} kills Number of kills the champion had in the season.
+ * @property {number} endTime Timestamp of when the season ended.
+ */
+
+/**
+ * @description A single user's position on a leaderboard.
+ * @typedef {object} HGLeaderboardEntry
+ *
+ * @property {HungryGames~Stats} stats The user's stats.
+ * @property {number} rank The user's rank, starting at 1.
+ * @property {?number} previousRank The user's rank in the previous season, or
+ * null if they were not ranked.
+ */
 
 /**
  * @description Manages stats and leaderboard information for all of HG.
@@ -21,6 +58,8 @@ class StatManager {
      */
     this.game = game;
     this.parseDay = this.parseDay.bind(this);
+    this.rollover = this.rollover.bind(this);
+    this.checkRollover = this.checkRollover.bind(this);
   }
   /**
    * @description Update stats based on the current day data of the given game.
@@ -35,6 +74,10 @@ class StatManager {
     } else if (events.length == 0) {
       return;
     }
+    // Seasons only change between games, so that a game is not split across
+    // two seasons.
+    if (current.day.num == 0) this.checkRollover();
+
     const lifetime = new StatGroup(game, 'global');
     const previous = new StatGroup(game, 'previous');
     const group = game.statGroup ? new StatGroup(game, game.statGroup) : null;
@@ -74,17 +117,7 @@ class StatManager {
       }
     }
 
-    const aliveTeams = game.options.teamSize ?
-        current.teams.filter((t) => t.numAlive > 0) :
-        [];
-    const collab = game.options.teammatesCollaborate == 'always' ||
-        (game.options.teammatesCollaborate == 'untilend' &&
-         aliveTeams.length > 1);
-    const winners = (collab && aliveTeams.length == 1) ?
-        aliveTeams[0].players :
-        (current.numAlive == 1 ?
-             [current.includedUsers.find((el) => el.living).id] :
-             []);
+    const winners = StatManager.findWinners(game);
     const ended = winners.length > 0 || current.numAlive == 0;
 
     for (const p of current.includedUsers) {
@@ -150,6 +183,170 @@ class StatManager {
     if (typeof cb === 'function') cb(created);
   }
 
+  /**
+   * @description Start a new season if the current season has reached its
+   * scheduled end.
+   * @public
+   * @returns {boolean} True if a new season was started.
+   */
+  checkRollover() {
+    const seasons = this.game.seasons;
+    if (!(seasons.length > 0) || !seasons.nextRollover) return false;
+    if (Date.now() < seasons.nextRollover) return false;
+    this.rollover();
+    return true;
+  }
+
+  /**
+   * @description End the currently selected stat group, record its champion if
+   * it was a season, then create and select a new season.
+   * @public
+   * @param {string} [name] Name of the new season. Defaults to the season
+   * number.
+   * @param {Function} [cb] Callback once completed. Only argument is the
+   * created group.
+   */
+  rollover(name, cb) {
+    if (typeof name === 'function') {
+      cb = name;
+      name = null;
+    }
+    const game = this.game;
+    const seasons = game.seasons;
+    const now = Date.now();
+    if (game.statGroup && StatGroup.exists(game, game.statGroup)) {
+      const ended = new StatGroup(game, game.statGroup);
+      ended.setMetaEnd(now);
+      if (seasons.list.includes(ended.id)) this._crownChampion(ended, now);
+    }
+    if (!name) name = `Season ${seasons.list.length + 1}`;
+    const meta = {name: name.slice(0, 24), startTime: now};
+    this.createGroup(meta, (group) => {
+      seasons.list.push(group.id);
+      game.statGroup = group.id;
+      seasons.nextRollover = seasons.length > 0 ?
+          now + seasons.length * StatManager.dayLength :
+          null;
+      if (typeof cb === 'function') cb(group);
+    });
+  }
+
+  /**
+   * @description Set how often seasons end automatically.
+   * @public
+   * @param {number} days Number of days each season lasts. 0 to disable
+   * automatic seasons.
+   * @returns {?string} Error message, or null if the schedule was set.
+   */
+  setSeasonLength(days) {
+    days = days * 1;
+    if (!Number.isInteger(days) || days < 0 || days > 365) {
+      return 'Season length must be a whole number of days from 0 to 365.';
+    }
+    const seasons = this.game.seasons;
+    seasons.length = days;
+    seasons.nextRollover =
+        days > 0 ? Date.now() + days * StatManager.dayLength : null;
+    return null;
+  }
+
+  /**
+   * @description Record the player with the most wins in a season in the hall
+   * of champions.
+   * @private
+   * @param {HungryGames~StatGroup} group The season that has ended.
+   * @param {number} endTime Timestamp of when the season ended.
+   */
+  _crownChampion(group, endTime) {
+    const champions = this.game.seasons.champions;
+    group.fetchUsers({sort: 'wins', limit: 1}, (err, rows) => {
+      if (err) {
+        console.error(err);
+        return;
+      }
+      const top = rows[0];
+      if (!top || !(top.get('wins') > 0)) return;
+      group.fetchMetadata((err, meta) => {
+        if (err) console.error(err);
+        champions.push({
+          group: group.id,
+          name: (meta && meta.name) || group.id,
+          user: top.id,
+          wins: top.get('wins'),
+          kills: top.get('kills'),
+          endTime: endTime,
+        });
+      });
+    });
+  }
+
+  /**
+   * @description Get the ID of the season before the given season.
+   * @public
+   * @param {string} id The ID of the season.
+   * @returns {?string} The ID of the previous season, or null if the given
+   * group is not a season or is the first season.
+   */
+  previousSeason(id) {
+    const index = this.game.seasons.list.indexOf(id);
+    return index > 0 ? this.game.seasons.list[index - 1] : null;
+  }
+
+  /**
+   * @description Fetch a page of a group's leaderboard. If the group is a
+   * season, each user's rank in the previous season is included.
+   * @public
+   * @param {string} id The ID of the group to fetch.
+   * @param {HGStatGroupUserSelectOptions} opts Options to sort and paginate
+   * the leaderboard.
+   * @param {Function} cb Callback with optional error argument, otherwise
+   * second argument is array of {@link HGLeaderboardEntry}, and third is the
+   * ID of the previous season if there was one.
+   */
+  fetchLeaderboard(id, opts, cb) {
+    opts = Object.assign({}, opts);
+    if (opts.sort == null) opts.sort = 'wins';
+    if (!Stats.keys.includes(opts.sort)) {
+      cb('Invalid sort key');
+      return;
+    }
+    this.fetchGroup(id, (err, group) => {
+      if (err) {
+        cb(err);
+        return;
+      }
+      group.fetchUsers(Object.assign({}, opts), (err, rows) => {
+        if (err) {
+          cb(err);
+          return;
+        }
+        const offset = opts.offset > 0 ? opts.offset : 0;
+        const entries = rows.map((el, i) => {
+          return {stats: el, rank: offset + i + 1, previousRank: null};
+        });
+        const prevId = this.previousSeason(group.id);
+        if (!prevId || !StatGroup.exists(this.game, prevId)) {
+          cb(null, entries, null);
+          return;
+        }
+        const prevOpts =
+            {sort: opts.sort, ascending: opts.ascending, limit: null};
+        new StatGroup(this.game, prevId).fetchUsers(prevOpts, (err, prev) => {
+          if (err) {
+            console.error(err);
+            cb(null, entries, null);
+            return;
+          }
+          entries.forEach((e) => {
+            const index = prev.findIndex((el) => el.id === e.stats.id);
+            if (index > -1) e.previousRank = index + 1;
+          });
+          cb(null, entries, prevId);
+        });
+      });
+    });
+  }
+
   /**
    * @description Fetch IDs of all created groups.
    * @public
@@ -160,4 +357,40 @@ class StatManager {
     StatGroup.fetchList(this.game, cb);
   }
 }
+
+/**
+ * @description Find the IDs of the players who have won the current game of
+ * the given GuildGame.
+ *
+ * @public
+ * @static
+ * @param {HungryGames~GuildGame} game The game to check.
+ * @returns {string[]} IDs of all winning players. Empty if the game has not
+ * been won yet.
+ */
+StatManager.findWinners = function(game) {
+  const current = game.currentGame;
+  const aliveTeams = game.options.teamSize ?
+      current.teams.filter((t) => t.numAlive > 0) :
+      [];
+  const collab = game.options.teammatesCollaborate == 'always' ||
+      (game.options.teammatesCollaborate == 'untilend' &&
+       aliveTeams.length > 1);
+  if (collab && aliveTeams.length == 1) return aliveTeams[0].players;
+  if (current.numAlive == 1) {
+    return [current.includedUsers.find((el) => el.living).id];
+  }
+  return [];
+};
+
+/**
+ * @description Number of milliseconds in a day, used for season lengths.
+ * @public
+ * @static
+ * @constant
+ * @type {number}
+ * @default
+ */
+StatManager.dayLength = 24 * 60 * 60 * 1000;
+
 module.exports = StatManager;
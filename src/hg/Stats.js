@@ -44,6 +44,10 @@ class Stats {
      * wounded).
      * @property {number} daysDead Number of days spent dead.
      * @property {number} daysWounded Number of days spent wounded.
+     * @property {number} coinsWon Net number of coins won from betting. May be
+     * negative if more has been lost than won.
+     * @property {number} betsWon Number of bets won.
+     * @property {number} betsLost Number of bets lost.
      */
     this._data = {
       kills: typeof data.kills === 'number' && data.kills || 0,
@@ -57,6 +61,9 @@ class Stats {
       daysDead: typeof data.daysDead === 'number' && data.daysDead || 0,
       daysWounded:
           typeof data.daysWounded === 'number' && data.daysWounded || 0,
+      coinsWon: typeof data.coinsWon === 'number' && data.coinsWon || 0,
+      betsWon: typeof data.betsWon === 'number' && data.betsWon || 0,
+      betsLost: typeof data.betsLost === 'number' && data.betsLost || 0,
     };
 
     this.get = this.get.bind(this);
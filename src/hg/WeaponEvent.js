@@ -1,8 +1,11 @@
 // Copyright 2019 Campbell Crowley. All rights reserved.
 // Author: Campbell Crowley (dev@campbellcrowley.com)
+const Event = require('./Event.js');
 
 /**
- * @description An Arena event storing Events.
+ * @description A weapon or item a player can hold in their inventory. Weapons
+ * have events that the player can cause with them, while items have passive
+ * effects such as healing or protection.
  * @memberof HungryGames
  * @inner
  */
@@ -29,6 +32,83 @@ class WeaponEvent {
      * @type {?string}
      */
     this.consumable = consumable || null;
+    /**
+     * Multipliers for how likely a player holding this item is to be chosen
+     * for an event with each outcome. Uses the same keys as {@link
+     * HungryGames~OutcomeProbabilities}. For example, `{kill: 0.5}` halves the
+     * chance of the player being killed. Null for no effect.
+     *
+     * @public
+     * @type {?object.<number>}
+     * @default
+     */
+    this.outcomeProbs = null;
+    /**
+     * Whether this item will be used to save the player from bleeding to
+     * death. One is consumed each time it is used.
+     *
+     * @public
+     * @type {boolean}
+     * @default
+     */
+    this.heals = false;
+    /**
+     * The ids of the items required to craft one of this item, mapped to the
+     * number of each that are consumed. Null if this can not be crafted.
+     *
+     * @public
+     * @type {?object.<number>}
+     * @default
+     */
+    this.recipe = null;
+  }
+
+  /**
+   * @description Check that the given data can be used as a WeaponEvent.
+   * @public
+   * @param {object} evt The event data to check.
+   * @returns {?string} Error message or null if the event is valid.
+   */
+  static validate(evt) {
+    if (!evt || typeof evt !== 'object') return 'Weapon must be an object.';
+    if (evt.name != null && typeof evt.name !== 'string') {
+      return 'Invalid weapon name.';
+    }
+    if (evt.consumable != null && typeof evt.consumable !== 'string') {
+      return 'Invalid consumable name.';
+    }
+    if (evt.outcomeProbs != null) {
+      if (typeof evt.outcomeProbs !== 'object') {
+        return 'Invalid outcome probabilities.';
+      }
+      for (const key of ['kill', 'wound', 'thrive', 'revive', 'nothing']) {
+        const val = evt.outcomeProbs[key];
+        if (val != null && (!isFinite(val) || val < 0)) {
+          return `Invalid outcome probability for ${key}: ${val}`;
+        }
+      }
+    }
+    if (evt.recipe != null) {
+      if (typeof evt.recipe !== 'object' || Array.isArray(evt.recipe) ||
+          Object.keys(evt.recipe).length == 0) {
+        return 'Invalid recipe.';
+      }
+      for (const name of Object.keys(evt.recipe)) {
+        const val = evt.recipe[name];
+        if (!isFinite(val) || val < 1 || Math.floor(val) != val) {
+          return `Invalid recipe count for ${name}: ${val}`;
+        }
+      }
+    }
+    const isItem = evt.outcomeProbs != null || evt.heals;
+    if (!Array.isArray(evt.outcomes) || (evt.outcomes.length == 0 && !isItem)) {
+      return 'Weapon must have at least one outcome.';
+    }
+    for (let i = 0; i < evt.outcomes.length; i++) {
+      const err = Event.validate(evt.outcomes[i], true);
+      if (err) return `Outcome ${i}: ${err}`;
+    }
+    return null;
   }
 }
 
@@ -0,0 +1,282 @@
+// Copyright 2019 Campbell Crowley. All rights reserved.
+// Author: Campbell Crowley (dev@campbellcrowley.com)
+const fs = require('fs');
+const Game = require('../Game.js');
+const Player = require('../Player.js');
+const GuildGame = require('../GuildGame.js');
+const DefaultOptions = require('../DefaultOptions.js');
+const Worker = require('./worker.js');
+
+/**
+ * @description Runs games to completion in the current thread, without any
+ * Discord connection. Used for replaying games and for testing.
+ * @memberof HungryGames~Simulator
+ * @inner
+ */
+class HeadlessSimulator {
+  /**
+   * @description Create a simulator for the given game.
+   * @param {HungryGames~GuildGame} game The game to simulate.
+   * @param {{
+   *   bloodbath: HungryGames~Event[],
+   *   player: HungryGames~Event[],
+   *   arena: HungryGames~ArenaEvent[],
+   *   weapons: object.<HungryGames~WeaponEvent>,
+   *   battles: object
+   * }} events The default events to simulate with.
+   * @param {object.<string[]>} messages All messages to pick from, in the
+   * format of `hgMessages.json`.
+   * @param {?number|string} [seed=null] Seed for all random rolls, or null to
+   * use `Math.random()`.
+   */
+  constructor(game, events, messages, seed = null) {
+    /**
+     * The game being simulated.
+     *
+     * @public
+     * @type {HungryGames~GuildGame}
+     */
+    this.game = game;
+    /**
+     * The default events to simulate with.
+     *
+     * @public
+     * @type {object}
+     * @constant
+     */
+    this.events = events;
+    /**
+     * All messages to pick from.
+     *
+     * @public
+     * @type {object.<string[]>}
+     * @constant
+     */
+    this.messages = messages;
+    /**
+     * Seed for all random rolls.
+     *
+     * @public
+     * @type {?number|string}
+     */
+    this.seed = seed;
+    /**
+     * Whether to collect information about how each day was simulated into
+     * {@link HungryGames~Simulator~HeadlessSimulator#reports}.
+     *
+     * @public
+     * @type {boolean}
+     * @default
+     */
+    this.trackStats = false;
+    /**
+     * Information about how each simulated day was simulated, if
+     * `trackStats` is enabled. One per day in `days`.
+     *
+     * @public
+     * @type {object[]}
+     * @default []
+     */
+    this.reports = [];
+    /**
+     * Every day that has been simulated since the game was started.
+     *
+     * @public
+     * @type {HungryGames~Day[]}
+     * @default []
+     */
+    this.days = [];
+    /**
+     * The players who won the game, once it has ended.
+     *
+     * @public
+     * @type {HungryGames~Player[]}
+     * @default []
+     */
+    this.winners = [];
+    /**
+     * The team that won the game, if a team won.
+     *
+     * @public
+     * @type {?HungryGames~Team}
+     * @default
+     */
+    this.winningTeam = null;
+  }
+
+  /**
+   * @description Reset all players and teams and start a new game.
+   * @public
+   * @returns {?string} Null if success, string if error.
+   */
+  start() {
+    const current = this.game.currentGame;
+    const players = current.includedUsers.map((el) => {
+      const p = new Player(el.id, el.name, el.avatarURL, el.nickname);
+      p.settings = el.settings || {};
+      if (el.isNPC) p.isNPC = true;
+      return p;
+    });
+    this.game.currentGame = new Game(current.name, players, current.teams);
+    const err = this.game.formTeams();
+    this.game.currentGame.inProgress = true;
+    this.days = [];
+    this.reports = [];
+    this.winners = [];
+    this.winningTeam = null;
+    return err;
+  }
+
+  /**
+   * @description Simulate the next day of the game.
+   * @public
+   * @returns {?string} Null if success, string if error.
+   */
+  simulateDay() {
+    // Copy everything, the same as passing the data to a worker thread would,
+    // since the simulation modifies the data it is given.
+    const data = JSON.parse(JSON.stringify({
+      game: this.game.serializable,
+      events: this.events,
+      messages: this.messages,
+      seed: this.seed,
+      trackStats: this.trackStats,
+    }));
+    let result = null;
+    new Worker(data, true, (msg) => {
+      result = msg;
+    });
+    if (!result) return 'Simulation did not finish';
+    if (result.endGame) this.game.end();
+    if (result.reason) return result.reason;
+
+    this.game.currentGame = Game.from(result.game.currentGame);
+    const day = this.game.currentGame.day;
+    day.state = 0;
+    this.days.push(day);
+    if (result.report) this.reports.push(result.report);
+    this._checkEnd();
+    return null;
+  }
+
+  /**
+   * @description Simulate days until the game ends.
+   * @public
+   * @param {number} [maxDays=100] Maximum number of days to simulate before
+   * giving up.
+   * @returns {?string} Null if success, string if error.
+   */
+  run(maxDays = 100) {
+    while (!this.game.currentGame.ended) {
+      if (this.days.length >= maxDays) {
+        return `Game did not end within ${maxDays} days`;
+      }
+      const err = this.simulateDay();
+      if (err) return err;
+    }
+    return null;
+  }
+
+  /**
+   * @description Check if the game has ended, and store the winners if it has.
+   * Mirrors the checks done when printing the end of a day.
+   * @private
+   */
+  _checkEnd() {
+    const game = this.game;
+    const current = game.currentGame;
+    const aliveTeams = game.options.teamSize > 0 ?
+        current.teams.filter((t) => t.numAlive > 0) :
+        [];
+    const collab = game.options.teammatesCollaborate == 'always' ||
+        (game.options.teammatesCollaborate == 'untilend' &&
+         aliveTeams.length > 1);
+    const living = current.includedUsers.filter((el) => el.living);
+
+    if (collab && aliveTeams.length == 1) {
+      this.winningTeam = aliveTeams[0];
+      this.winners = current.includedUsers.filter(
+          (el) => this.winningTeam.players.includes(el.id));
+    } else if (living.length == 1) {
+      this.winners = living;
+      if (game.options.teamSize > 0) {
+        this.winningTeam = current.teams.find(
+            (t) => t.players.includes(living[0].id)) || null;
+      }
+    } else if (living.length > 0) {
+      return;
+    }
+    current.inProgress = false;
+    current.ended = true;
+  }
+}
+
+/**
+ * @description Read all default events from their files.
+ *
+ * @public
+ * @static
+ * @param {string} [dir='./save/'] Directory containing `hgEvents.json`,
+ * `hgWeapons.json` and `hgBattles.json`.
+ * @returns {object} Events in the format expected by the simulator.
+ */
+HeadlessSimulator.loadEvents = function(dir = './save/') {
+  const events = JSON.parse(fs.readFileSync(`${dir}hgEvents.json`));
+  return {
+    bloodbath: events.bloodbath,
+    player: events.player,
+    arena: events.arena,
+    weapons: JSON.parse(fs.readFileSync(`${dir}hgWeapons.json`)),
+    battles: JSON.parse(fs.readFileSync(`${dir}hgBattles.json`)),
+  };
+};
+
+/**
+ * @description Read all messages from file.
+ *
+ * @public
+ * @static
+ * @param {string} [file='./save/hgMessages.json'] Path to the messages file.
+ * @returns {object.<string[]>} All parsed messages.
+ */
+HeadlessSimulator.loadMessages = function(file = './save/hgMessages.json') {
+  return JSON.parse(fs.readFileSync(file));
+};
+
+/**
+ * @description Create a GuildGame from saved game data, with options filled
+ * from defaults where missing.
+ *
+ * @public
+ * @static
+ * @param {object} data GuildGame like object, as saved in `game.json`.
+ * @param {object} [options] Option values to override the saved options with.
+ * @returns {HungryGames~GuildGame} The created game.
+ */
+HeadlessSimulator.makeGame = function(data, options) {
+  const defaults = new DefaultOptions();
+  const opts = {};
+  for (const key of defaults.keys) {
+    if (typeof defaults[key].value === 'object') {
+      opts[key] = Object.assign({}, defaults[key].value);
+    } else {
+      opts[key] = defaults[key].value;
+    }
+  }
+  for (const opt of [data.options, options]) {
+    if (!opt) continue;
+    for (const key of Object.keys(opt)) {
+      if (typeof opts[key] === 'undefined') continue;
+      if (typeof opts[key] === 'object') {
+        Object.assign(opts[key], opt[key]);
+      } else {
+        opts[key] = opt[key];
+      }
+    }
+  }
+  const game = GuildGame.from(Object.assign({}, data, {options: opts}));
+  game.options.disableOutput = true;
+  return game;
+};
+
+module.exports = HeadlessSimulator;
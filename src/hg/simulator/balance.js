@@ -0,0 +1,324 @@
+// Copyright 2019 Campbell Crowley. All rights reserved.
+// Author: Campbell Crowley (dev@campbellcrowley.com)
+const fs = require('fs');
+const HeadlessSimulator = require('./HeadlessSimulator.js');
+
+/**
+ * @description Collects statistics from many simulated games to show how event
+ * packs and outcome probabilities affect games.
+ *
+ * @example
+ * node src/hg/simulator/balance.js --games=1000 --players=24 --options=o.json
+ *
+ * @memberof HungryGames~Simulator
+ * @inner
+ */
+class BalanceReport {
+  /**
+   * @description Create an empty report.
+   */
+  constructor() {
+    /**
+     * Number of games that have been added to this report.
+     *
+     * @public
+     * @type {number}
+     * @default
+     */
+    this.numGames = 0;
+    /**
+     * Number of games that failed to finish.
+     *
+     * @public
+     * @type {number}
+     * @default
+     */
+    this.numFailed = 0;
+    /**
+     * Reasons games failed to finish, and the number of times each happened.
+     *
+     * @public
+     * @type {object.<number>}
+     * @default
+     */
+    this.failures = {};
+    /**
+     * Total number of days simulated across all games, excluding the
+     * bloodbath.
+     *
+     * @public
+     * @type {number}
+     * @default
+     */
+    this.numDays = 0;
+    /**
+     * Number of games that ended after each number of days.
+     *
+     * @public
+     * @type {object.<number>}
+     * @default
+     */
+    this.gameLengths = {};
+    /**
+     * Number of times each event was chosen, and how many players died from
+     * it. Mapped by event type and message.
+     *
+     * @public
+     * @type {object.<{type: string, key: string, uses: number, kills:
+     * number}>}
+     * @default
+     */
+    this.events = {};
+    /**
+     * Number of times each arena event happened. Mapped by arena event message.
+     *
+     * @public
+     * @type {object.<number>}
+     * @default
+     */
+    this.arenaEvents = {};
+    /**
+     * Number of times each weapon was used. Mapped by weapon name.
+     *
+     * @public
+     * @type {object.<number>}
+     * @default
+     */
+    this.weapons = {};
+    /**
+     * Number of teams of each size that played, and how many of them won.
+     * Without teams, every player is a team of 1.
+     *
+     * @public
+     * @type {object.<{teams: number, wins: number}>}
+     * @default
+     */
+    this.teamSizes = {};
+  }
+
+  /**
+   * @description Add the results of a finished game to this report.
+   * @public
+   * @param {HungryGames~Simulator~HeadlessSimulator} sim The simulator that ran
+   * the game with `trackStats` enabled.
+   * @param {?string} [err] Error returned by running the game, if any.
+   */
+  add(sim, err) {
+    this.numGames++;
+    if (err) {
+      this.numFailed++;
+      this.failures[err] = (this.failures[err] || 0) + 1;
+      return;
+    }
+    const length = sim.days.length - 1;
+    this.numDays += length;
+    this.gameLengths[length] = (this.gameLengths[length] || 0) + 1;
+
+    for (const report of sim.reports) {
+      if (report.arenaEvent) {
+        this.arenaEvents[report.arenaEvent] =
+            (this.arenaEvents[report.arenaEvent] || 0) + 1;
+      }
+      for (const name of Object.keys(report.weapons)) {
+        this.weapons[name] = (this.weapons[name] || 0) + report.weapons[name];
+      }
+      for (const evt of report.events) {
+        const id = `${evt.type}:${evt.key}`;
+        if (!this.events[id]) {
+          this.events[id] = {type: evt.type, key: evt.key, uses: 0, kills: 0};
+        }
+        this.events[id].uses++;
+        this.events[id].kills += evt.kills;
+      }
+    }
+
+    const game = sim.game;
+    const teams = game.options.teamSize > 0 ?
+        game.currentGame.teams.map((t) => t.players) :
+        game.currentGame.includedUsers.map((p) => [p.id]);
+    const winners = sim.winners.map((p) => p.id);
+    for (const players of teams) {
+      const size = players.length;
+      if (!this.teamSizes[size]) this.teamSizes[size] = {teams: 0, wins: 0};
+      this.teamSizes[size].teams++;
+      if (players.find((p) => winners.includes(p))) {
+        this.teamSizes[size].wins++;
+      }
+    }
+  }
+
+  /**
+   * @description Get the computed averages and rates from all added games.
+   * @public
+   * @returns {object} Summary of all games.
+   */
+  get summary() {
+    const finished = this.numGames - this.numFailed;
+    const totalEvents =
+        Object.values(this.events).reduce((a, c) => a + c.uses, 0);
+    const totalKills =
+        Object.values(this.events).reduce((a, c) => a + c.kills, 0);
+    const weaponUses = Object.values(this.weapons).reduce((a, c) => a + c, 0);
+    const sortDesc = (a, b) => b[1] - a[1];
+    return {
+      games: this.numGames,
+      failed: this.numFailed,
+      failures: this.failures,
+      averageDays: finished > 0 ? this.numDays / finished : 0,
+      gameLengths: this.gameLengths,
+      totalEvents: totalEvents,
+      totalKills: totalKills,
+      events:
+          Object.values(this.events)
+              .map((el) => Object.assign(
+                  {
+                    killsPerUse: el.kills / el.uses,
+                    killShare: totalKills > 0 ? el.kills / totalKills : 0,
+                  },
+                  el))
+              .sort((a, b) => b.kills - a.kills || b.uses - a.uses),
+      arenaEvents: Object.entries(this.arenaEvents).sort(sortDesc).map(
+          (el) => ({
+            message: el[0],
+            count: el[1],
+            perDay: this.numDays > 0 ? el[1] / this.numDays : 0,
+          })),
+      weapons: Object.entries(this.weapons).sort(sortDesc).map((el) => ({
+        name: el[0],
+        uses: el[1],
+        perGame: finished > 0 ? el[1] / finished : 0,
+        share: weaponUses > 0 ? el[1] / weaponUses : 0,
+        eventShare: totalEvents > 0 ? el[1] / totalEvents : 0,
+      })),
+      teamSizes: Object.entries(this.teamSizes).map((el) => ({
+        size: el[0] * 1,
+        teams: el[1].teams,
+        wins: el[1].wins,
+        winRate: el[1].wins / el[1].teams,
+      })),
+    };
+  }
+
+  /**
+   * @description Format the summary as human readable text.
+   * @public
+   * @param {number} [numEvents=25] Maximum number of events to list.
+   * @returns {string} Formatted report.
+   */
+  format(numEvents = 25) {
+    const s = this.summary;
+    const pct = (num) => `${(num * 100).toFixed(2)}%`;
+    const lines = [
+      `Games: ${s.games} (${s.failed} failed)`,
+      `Average length: ${s.averageDays.toFixed(2)} days`,
+      'Lengths: ' +
+          Object.entries(s.gameLengths)
+              .map((el) => `${el[0]}d: ${el[1]}`)
+              .join(', '),
+    ];
+    Object.entries(s.failures).forEach(
+        (el) => lines.push(`  Failed ${el[1]}x: ${el[0]}`));
+
+    lines.push('', `Deadliest events (${s.totalKills} kills):`);
+    s.events.slice(0, numEvents).forEach((el) => {
+      lines.push(
+          `${pct(el.killShare)} ${el.kills} kills in ${el.uses} uses ` +
+          `[${el.type}] ${el.key}`);
+    });
+
+    lines.push('', 'Arena events:');
+    s.arenaEvents.forEach((el) => {
+      lines.push(`${pct(el.perDay)} of days (${el.count}) ${el.message}`);
+    });
+
+    lines.push('', 'Weapons:');
+    s.weapons.forEach((el) => {
+      lines.push(
+          `${el.perGame.toFixed(2)} uses/game ${pct(el.eventShare)} of ` +
+          `events (${el.uses}) ${el.name}`);
+    });
+
+    lines.push('', 'Win rate by team size:');
+    s.teamSizes.forEach((el) => {
+      lines.push(`${el.size}: ${pct(el.winRate)} (${el.wins}/${el.teams})`);
+    });
+    return lines.join('\n');
+  }
+}
+
+/**
+ * @description Run many games and print a balance report. Must be run from the
+ * root project directory.
+ *
+ * @private
+ * @param {string[]} argv Command line arguments, excluding the node binary and
+ * script name.
+ * @returns {number} Exit code.
+ */
+function main(argv) {
+  let numGames = 1000;
+  let numPlayers = 24;
+  let gameFile = null;
+  let optionsFile = null;
+  let eventDir = './save/';
+  let seed = null;
+  let json = false;
+  for (const arg of argv) {
+    const value = arg.indexOf('=') > -1 ? arg.split('=').slice(1).join('=') :
+                                         null;
+    if (arg.startsWith('--games=')) {
+      numGames = value * 1 || numGames;
+    } else if (arg.startsWith('--players=')) {
+      numPlayers = value * 1 || numPlayers;
+    } else if (arg.startsWith('--game=')) {
+      gameFile = value;
+    } else if (arg.startsWith('--options=')) {
+      optionsFile = value;
+    } else if (arg.startsWith('--events=')) {
+      eventDir = value.endsWith('/') ? value : value + '/';
+    } else if (arg.startsWith('--seed=')) {
+      seed = value;
+    } else if (arg === '--json') {
+      json = true;
+    } else {
+      throw new Error(`Unrecognized argument '${arg}'`);
+    }
+  }
+
+  let data;
+  if (gameFile) {
+    data = JSON.parse(fs.readFileSync(gameFile));
+  } else {
+    const players = [];
+    for (let i = 0; i < numPlayers; i++) {
+      players.push({id: `NPC${i}`, name: `Player ${i + 1}`, isNPC: true});
+    }
+    data = {id: 'balance', currentGame: {includedUsers: players, day: {}}};
+  }
+  const options = optionsFile ? JSON.parse(fs.readFileSync(optionsFile)) : null;
+  const events = HeadlessSimulator.loadEvents(eventDir);
+  const messages = HeadlessSimulator.loadMessages();
+
+  const report = new BalanceReport();
+  for (let i = 0; i < numGames; i++) {
+    const game = HeadlessSimulator.makeGame(data, options);
+    const sim = new HeadlessSimulator(
+        game, events, messages, seed == null ? null : `${seed}:${i}`);
+    sim.trackStats = true;
+    const err = sim.start() || sim.run();
+    report.add(sim, err);
+  }
+
+  if (json) {
+    console.log(JSON.stringify(report.summary));
+  } else {
+    console.log(report.format());
+  }
+  return 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = BalanceReport;
@@ -0,0 +1,163 @@
+// Copyright 2019 Campbell Crowley. All rights reserved.
+// Author: Campbell Crowley (dev@campbellcrowley.com)
+const fs = require('fs');
+const HeadlessSimulator = require('./HeadlessSimulator.js');
+
+/**
+ * @description Command line entry point for simulating a Hungry Games outside
+ * of Discord. Must be run from the root project directory.
+ *
+ * @example
+ * node src/hg/simulator/cli.js --game=game.json --options=opts.json --seed=42
+ *
+ * @memberof HungryGames~Simulator
+ * @inner
+ */
+class SimulatorCLI {
+  /**
+   * @description Parse arguments.
+   * @param {string[]} argv Command line arguments, excluding the node binary
+   * and script name.
+   */
+  constructor(argv) {
+    /**
+     * Path to the saved GuildGame JSON.
+     *
+     * @public
+     * @type {?string}
+     */
+    this.gameFile = null;
+    /**
+     * Path to a JSON file of option values to override.
+     *
+     * @public
+     * @type {?string}
+     */
+    this.optionsFile = null;
+    /**
+     * Seed for all random rolls.
+     *
+     * @public
+     * @type {?string}
+     */
+    this.seed = null;
+    /**
+     * Output format, either `text` or `json`.
+     *
+     * @public
+     * @type {string}
+     * @default
+     */
+    this.format = 'text';
+    /**
+     * Directory to read default event files from.
+     *
+     * @public
+     * @type {string}
+     * @default
+     */
+    this.eventDir = './save/';
+    /**
+     * Maximum number of days to simulate.
+     *
+     * @public
+     * @type {number}
+     * @default
+     */
+    this.maxDays = 100;
+
+    for (const arg of argv) {
+      const value = arg.indexOf('=') > -1 ? arg.split('=').slice(1).join('=') :
+                                           null;
+      if (arg.startsWith('--game=')) {
+        this.gameFile = value;
+      } else if (arg.startsWith('--options=')) {
+        this.optionsFile = value;
+      } else if (arg.startsWith('--seed=')) {
+        this.seed = value;
+      } else if (arg === '--json') {
+        this.format = 'json';
+      } else if (arg.startsWith('--format=')) {
+        this.format = value;
+      } else if (arg.startsWith('--events=')) {
+        this.eventDir = value.endsWith('/') ? value : value + '/';
+      } else if (arg.startsWith('--days=')) {
+        this.maxDays = value * 1 || this.maxDays;
+      } else {
+        throw new Error(`Unrecognized argument '${arg}'`);
+      }
+    }
+    if (!this.gameFile) throw new Error('A game file must be given (--game=)');
+    if (this.format !== 'text' && this.format !== 'json') {
+      throw new Error(`Unknown format '${this.format}'`);
+    }
+  }
+
+  /**
+   * @description Load all data, simulate the game, and print the output.
+   * @public
+   * @returns {number} Exit code.
+   */
+  run() {
+    const data = JSON.parse(fs.readFileSync(this.gameFile));
+    const options =
+        this.optionsFile ? JSON.parse(fs.readFileSync(this.optionsFile)) : null;
+    const game = HeadlessSimulator.makeGame(data, options);
+    const sim = new HeadlessSimulator(
+        game, HeadlessSimulator.loadEvents(this.eventDir),
+        HeadlessSimulator.loadMessages(), this.seed);
+
+    let err = sim.start();
+    if (err) console.error(err);
+    err = sim.run(this.maxDays);
+
+    if (this.format === 'json') {
+      console.log(JSON.stringify({
+        seed: this.seed,
+        days: sim.days,
+        winners: sim.winners.map((el) => el.id),
+        winningTeam: sim.winningTeam && sim.winningTeam.name,
+        error: err,
+      }));
+    } else {
+      sim.days.forEach((el) => console.log(SimulatorCLI.formatDay(el)));
+      if (err) {
+        console.log(`Failed: ${err}`);
+      } else if (sim.winningTeam) {
+        console.log(`${sim.winningTeam.name} has won!`);
+      } else if (sim.winners.length > 0) {
+        console.log(`${sim.winners[0].name} has won!`);
+      } else {
+        console.log('Everyone has died! There are no winners!');
+      }
+    }
+    return err ? 1 : 0;
+  }
+}
+
+/**
+ * @description Format a simulated day as plain text.
+ *
+ * @public
+ * @static
+ * @param {HungryGames~Day} day The day to format.
+ * @returns {string} The formatted day.
+ */
+SimulatorCLI.formatDay = function(day) {
+  const title = day.num === 0 ? 'Bloodbath' : `Day ${day.num}`;
+  const lines = [`=== ${title} ===`];
+  for (const evt of day.events) {
+    if (evt.battle) {
+      evt.attacks.forEach((el) => lines.push('  ' + el.message));
+    }
+    lines.push(evt.message);
+    if (evt.subMessage) lines.push('  ' + evt.subMessage.trim());
+  }
+  return lines.join('\n');
+};
+
+if (require.main === module) {
+  process.exitCode = new SimulatorCLI(process.argv.slice(2)).run();
+}
+
+module.exports = SimulatorCLI;
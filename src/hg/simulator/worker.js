@@ -6,6 +6,7 @@ const Battle = require('../Battle.js');
 const Grammar = require('../Grammar.js');
 const Simulator = require('../Simulator.js');
 const GuildGame = require('../GuildGame.js');
+const Alliance = require('../Alliance.js');
 
 /**
  * @description Asyncronous worker that does the actual simulating.
@@ -17,15 +18,36 @@ class Worker {
    * @description Create and start simulating.
    * @param {{
    * game: object,
-   * messages: object.<string>
+   * messages: object.<string>,
+   * seed: ?number|string,
+   * trackStats: ?boolean
    * }} sim Simulation data.
    * @param {boolean} [retry=true] Whether to try again if there is an error.
+   * @param {Function} [cb] Callback to pass results to instead of posting them
+   * to the parent thread. Used for simulating outside of a worker thread.
    */
-  constructor(sim, retry = true) {
+  constructor(sim, retry = true, cb) {
+    /**
+     * @description Callback to receive results if not running as a worker
+     * thread.
+     * @private
+     * @type {?Function}
+     */
+    this._cb = cb || null;
+
     sim.game.currentGame.day.state = 1;
     sim.game.currentGame.day.num++;
     sim.game.currentGame.day.events = [];
 
+    // Seed per day so that any single day can be replayed from the state the
+    // game was in before it was simulated. Unseeded games must not reuse the
+    // generator left behind by a seeded game in the same process.
+    if (sim.seed == null) {
+      Simulator.seedRandom(null);
+    } else if (retry) {
+      Simulator.seedRandom(`${sim.seed}:${sim.game.currentGame.day.num}`);
+    }
+
     sim.messages = {
       _messages: sim.messages,
       /**
@@ -40,30 +62,44 @@ class Worker {
         if (!list) return 'badtype';
         const length = list.length;
         if (length == 0) return 'nomessage';
-        return list[Math.floor(Math.random() * length)];
+        return list[Math.floor(Simulator.random() * length)];
       },
     };
 
     const id = sim.game.id;
 
+    // Attributes may have been changed since the last day.
+    const attributes = sim.game.playerAttributes || {};
+    sim.game.currentGame.includedUsers.forEach((obj) => {
+      obj.attributes = Object.assign({}, attributes[obj.id]);
+    });
+
     const userPool =
         sim.game.currentGame.includedUsers.filter((obj) => obj.living);
     // Shuffle user order because games may have been rigged :thonk:.
     for (let i = 0; i < userPool.length; i++) {
-      const index = Math.floor(Math.random() * (userPool.length - i)) + i;
+      const index = Math.floor(Simulator.random() * (userPool.length - i)) + i;
       const tmp = userPool[i];
       userPool[i] = userPool[index];
       userPool[index] = tmp;
     }
+    if (!sim.game.currentGame.alliances) sim.game.currentGame.alliances = [];
+    const alliances = sim.game.currentGame.alliances;
     const teams = sim.game.currentGame.teams;
     // Shuffle team order because games may have been rigged :hyperthonk:.
     for (let i = 0; i < teams.length; i++) {
-      const index = Math.floor(Math.random() * (teams.length - i)) + i;
+      const index = Math.floor(Simulator.random() * (teams.length - i)) + i;
       const tmp = teams[i];
       teams[i] = teams[index];
       teams[index] = tmp;
     }
     const startingAlive = userPool.length;
+    // Information about how the day was simulated, for balance reports.
+    const report = !sim.trackStats ? null : {
+      arenaEvent: null,
+      events: [],
+      weapons: {},
+    };
     let userEventPool;
     let doArenaEvent = false;
     let arenaEvent;
@@ -89,7 +125,7 @@ class Worker {
       }
     } else {
       doArenaEvent = startingAlive > 2 && sim.game.options.arenaEvents &&
-          Math.random() < sim.game.options.probabilityOfArenaEvent;
+          Simulator.random() < sim.game.options.probabilityOfArenaEvent;
       if (doArenaEvent) {
         const arenaEventPool =
             sim.events.arena.concat(sim.game.customEvents.arena);
@@ -102,7 +138,7 @@ class Worker {
               }
             });
           }
-          const pick = Math.random() * total;
+          const pick = Simulator.random() * total;
           const index = arenaEventPool.findIndex((el) => {
             total -= el.custom ? sim.game.options.customEventWeight : 1;
             if (total < pick) return true;
@@ -125,6 +161,7 @@ class Worker {
             sim.game.currentGame.day.events.push(
                 Event.finalizeSimple(
                     `**___${arenaEvent.message}___**`, sim.game));
+            if (report) report.arenaEvent = arenaEvent.message;
             break;
           }
         } while (arenaEventPool.length > 0);
@@ -178,6 +215,11 @@ class Worker {
       }
     }
 
+    const battles = Object.assign({}, sim.events.battles);
+    if (sim.game.customEvents.battle && sim.game.customEvents.battle.length) {
+      battles.attacks = battles.attacks.concat(sim.game.customEvents.battle);
+    }
+
     const probOpts = sim.game.currentGame.day.num === 0 ?
         sim.game.options.bloodbathOutcomeProbs :
         (doArenaEvent ?
@@ -185,9 +227,24 @@ class Worker {
              sim.game.options.playerOutcomeProbs);
 
     const nameFormat = sim.game.options.useNicknames ? 'nickname' : 'username';
+    // Items without any events can be held, but not used as a weapon.
+    const isWeapon = (name) => weapons[name] && weapons[name].outcomes &&
+        weapons[name].outcomes.length > 0;
+
+    if (doArenaEvent) {
+      // Players scramble for the items left behind by the dead.
+      Simulator._pickupItems(sim.game, weapons).forEach((el) => {
+        const message = sim.messages.get('pickupItems').replace(
+            /\{items\}/g, Simulator._formatItems(el.items, weapons));
+        sim.game.currentGame.day.events.push(
+            Event.finalize(
+                message, [el.player], 1, 0, 'nothing', 'nothing', sim.game));
+      });
+    }
 
     while (userPool.length > 0) {
       let eventTry;
+      let eventKey;
       let affectedUsers;
       let numAttacker;
       let numVictim;
@@ -203,21 +260,22 @@ class Worker {
         const usersWithWeapon = [];
         for (let i = 0; i < userPool.length; i++) {
           if (userPool[i].weapons &&
-              Object.keys(userPool[i].weapons).length > 0) {
+              Object.keys(userPool[i].weapons).find(isWeapon)) {
             usersWithWeapon.push(userPool[i]);
           }
         }
         if (usersWithWeapon.length > 0) {
           userWithWeapon = usersWithWeapon[Math.floor(
-              Math.random() * usersWithWeapon.length)];
+              Simulator.random() * usersWithWeapon.length)];
         }
       }
       let useWeapon = userWithWeapon &&
-          Math.random() < sim.game.options.probabilityOfUseWeapon;
+          Simulator.random() < sim.game.options.probabilityOfUseWeapon;
       if (useWeapon) {
-        const userWeapons = Object.keys(userWithWeapon.weapons);
+        const userWeapons =
+            Object.keys(userWithWeapon.weapons).filter(isWeapon);
         const chosenWeapon =
-            userWeapons[Math.floor(Math.random() * userWeapons.length)];
+            userWeapons[Math.floor(Simulator.random() * userWeapons.length)];
 
         if (!weapons[chosenWeapon]) {
           useWeapon = false;
@@ -227,19 +285,25 @@ class Worker {
               userPool, weapons[chosenWeapon].outcomes, sim.game.options,
               sim.game.currentGame.numAlive,
               sim.game.currentGame.includedUsers.length, teams, probOpts,
-              userWithWeapon, chosenWeapon);
+              userWithWeapon, chosenWeapon, alliances);
           if (!eventTry) {
             useWeapon = false;
             /* self.error(
                 'No event with weapon "' + chosenWeapon +
                 '" for available players ' + id); */
           } else {
+            eventKey =
+                `${chosenWeapon}: ${eventTry.message || eventTry.action}`;
+            if (report) {
+              report.weapons[chosenWeapon] =
+                  (report.weapons[chosenWeapon] || 0) + 1;
+            }
             numAttacker = eventTry.attacker.count;
             numVictim = eventTry.victim.count;
             affectedUsers = Simulator._pickAffectedPlayers(
                 numVictim, numAttacker, eventTry.victim.outcome,
                 eventTry.attacker.outcome, sim.game.options, userPool, deadPool,
-                teams, userWithWeapon, chosenWeapon);
+                teams, userWithWeapon, alliances, weapons);
 
             const consumed = Simulator._parseConsumeCount(
                 eventTry.consumes, numVictim, numAttacker);
@@ -308,7 +372,7 @@ class Worker {
 
       const doBattle = ((!useWeapon && !doArenaEvent) || !eventTry) &&
           userPool.length > 1 &&
-          (Math.random() < sim.game.options.probabilityOfBattle ||
+          (Simulator.random() < sim.game.options.probabilityOfBattle ||
            sim.game.currentGame.numAlive == 2) &&
           !Simulator._validateEventRequirements(
               1, 1, userPool, sim.game.currentGame.numAlive, teams,
@@ -322,15 +386,16 @@ class Worker {
             teams, sim.game.options, true, false));
         affectedUsers = Simulator._pickAffectedPlayers(
             numVictim, numAttacker, 'dies', 'nothing', sim.game.options,
-            userPool, deadPool, teams, null);
+            userPool, deadPool, teams, null, alliances, weapons);
         eventTry = Battle.finalize(
             affectedUsers, numVictim, numAttacker, sim.game.options.mentionAll,
-            sim.game, sim.events.battles);
+            sim.game, battles);
       } else if (!useWeapon || !eventTry) {
         eventTry = Simulator._pickEvent(
             userPool, userEventPool, sim.game.options,
             sim.game.currentGame.numAlive,
-            sim.game.currentGame.includedUsers.length, teams, probOpts);
+            sim.game.currentGame.includedUsers.length, teams, probOpts, null,
+            null, alliances);
         if (!eventTry) {
           console.error(
               'No event for ' + userPool.length + ' from ' +
@@ -341,7 +406,7 @@ class Worker {
           sim.game.currentGame.day.state = 0;
           sim.game.currentGame.day.num--;
           if (retry) {
-            return new Worker(sim, false);
+            return new Worker(sim, false, cb);
           }
           this.cb({
             reply: 'Oops! I wasn\'t able to find a valid event for the ' +
@@ -357,12 +422,18 @@ class Worker {
           return;
         }
 
+        eventKey = eventTry.message;
         numAttacker = eventTry.attacker.count;
         numVictim = eventTry.victim.count;
-        affectedUsers = Simulator._pickAffectedPlayers(
-            numVictim, numAttacker, eventTry.victim.outcome,
-            eventTry.attacker.outcome, sim.game.options, userPool, deadPool,
-            teams, null);
+        if (eventTry.alliance === 'betray') {
+          affectedUsers = Simulator._pickBetrayal(
+              numVictim, numAttacker, userPool, alliances);
+        } else {
+          affectedUsers = Simulator._pickAffectedPlayers(
+              numVictim, numAttacker, eventTry.victim.outcome,
+              eventTry.attacker.outcome, sim.game.options, userPool, deadPool,
+              teams, null, alliances, weapons);
+        }
       }
 
       let numKilled = 0;
@@ -433,6 +504,40 @@ class Worker {
         }
       }
 
+      if (!doBattle && eventTry.alliance === 'form') {
+        Alliance.form(
+            alliances,
+            affectedUsers.slice(0, numVictim + numAttacker)
+                .filter((el) => el.living)
+                .map((el) => el.id),
+            sim.game.currentGame.day.num);
+      } else if (!doBattle && eventTry.alliance === 'betray') {
+        Alliance.betray(
+            alliances,
+            affectedUsers.slice(numVictim, numVictim + numAttacker)
+                .filter((el) => el.living)
+                .map((el) => el.id),
+            sim.game.currentGame.day.num);
+      }
+
+      if (report) {
+        let type = 'player';
+        if (doBattle) {
+          type = 'battle';
+        } else if (useWeapon) {
+          type = 'weapon';
+        } else if (sim.game.currentGame.day.num === 0) {
+          type = 'bloodbath';
+        } else if (doArenaEvent) {
+          type = 'arena';
+        }
+        report.events.push({
+          type: type,
+          key: doBattle ? 'battle' : eventKey,
+          kills: numKilled,
+        });
+      }
+
       let finalEvent = eventTry;
 
       if (eventTry.attacker.weapon) {
@@ -534,20 +639,50 @@ class Worker {
             return el.persists;
           });
     }
+    sim.game.currentGame.includedUsers.forEach((obj) => {
+      if (!obj.living ||
+          Simulator.random() >= sim.game.options.probabilityOfCraft) {
+        return;
+      }
+      const crafted = Simulator._craftItem(obj, weapons);
+      if (!crafted) return;
+      const message =
+          sim.messages.get('craftItem')
+              .replace(
+                  /\{item\}/g,
+                  Simulator._formatItems({[crafted.item]: 1}, weapons))
+              .replace(
+                  /\{ingredients\}/g,
+                  Simulator._formatItems(crafted.ingredients, weapons));
+      sim.game.currentGame.day.events.push(
+          Event.finalize(message, [obj], 1, 0, 'nothing', 'nothing', sim.game));
+    });
     const usersBleeding = [];
     const usersRecovered = [];
     sim.game.currentGame.includedUsers.forEach((obj) => {
       if (obj.bleeding > 0 && obj.bleeding >= sim.game.options.bleedDays &&
           obj.living) {
-        if (Math.random() < sim.game.options.probabilityOfBleedToDeath &&
+        const healItem = Simulator._useHealItem(obj, weapons);
+        if (healItem) {
+          obj.bleeding = 0;
+          obj.state = 'normal';
+          const message = sim.messages.get('healItem').replace(
+              /\{item\}/g, Simulator._formatItems({[healItem]: 1}, weapons));
+          sim.game.currentGame.day.events.push(
+              Event.finalize(
+                  message, [obj], 1, 0, 'thrives', 'nothing', sim.game));
+        } else if (
+          Simulator.random() < sim.game.options.probabilityOfBleedToDeath &&
             (sim.game.options.allowNoVictors ||
              sim.game.currentGame.numAlive > 1)) {
           usersBleeding.push(obj);
           obj.living = false;
           obj.bleeding = 0;
           obj.state = 'dead';
+          Simulator._dropItems(sim.game, obj);
           obj.rank = sim.game.currentGame.numAlive--;
           obj.dayOfDeath = sim.game.currentGame.day.num;
+          Alliance.leave(alliances, obj.id);
           if (sim.game.options.teamSize > 0) {
             const team = teams.find((team) => {
               return team.players.findIndex((player) => {
@@ -581,6 +716,10 @@ class Worker {
           Event.finalize(
               sim.messages.get('bleedOut'), usersBleeding, usersBleeding.length,
               0, 'dies', 'nothing', sim.game));
+      if (report) {
+        report.events.push(
+            {type: 'bleed', key: 'bleedOut', kills: usersBleeding.length});
+      }
     }
 
     const deathPercentage =
@@ -598,7 +737,7 @@ class Worker {
           Event.finalizeSimple(sim.messages.get('littleDeath'), sim.game));
     }
     sim.game.currentGame.day.state = 2;
-    this.cb({game: sim.game});
+    this.cb({game: sim.game, report: report});
   }
   /**
    * @description Pass a message back to the parent.
@@ -606,8 +745,16 @@ class Worker {
    * @param {*} [data] Data to send to the parent.
    */
   cb(data) {
-    parentPort.postMessage(data);
+    if (this._cb) {
+      this._cb(data);
+    } else {
+      parentPort.postMessage(data);
+    }
   }
 }
 
-module.exports = new Worker(workerData);
+if (parentPort) {
+  module.exports = new Worker(workerData);
+} else {
+  module.exports = Worker;
+}
@@ -184,6 +184,21 @@ function HG() {
    */
   const patreonColor = 0xF96854FF;
 
+  /**
+   * Words users may use to specify each type of bet, mapped by the bet type.
+   *
+   * @see {@link HungryGames~Betting.types}
+   *
+   * @private
+   * @type {object.<string[]>}
+   * @constant
+   */
+  const betTypeNames = {
+    winner: ['winner', 'win', 'wins', 'victor'],
+    firstDeath: ['first', 'firstdeath', 'death', 'dies', 'die'],
+    team: ['team', 'teams'],
+  };
+
   /**
    * Helper object of emoji characters mapped to names.
    *
@@ -538,6 +553,12 @@ function HG() {
             new self.command.SingleCommand(
                 ['toggle', 'enable', 'disable'], mkCmd(commandToggleEvent),
                 cmdOpts),
+            new self.command.SingleCommand(
+                ['export', 'download', 'save'], mkCmd(commandExportEvents),
+                cmdOpts),
+            new self.command.SingleCommand(
+                ['import', 'upload', 'load'], mkCmd(commandImportEvents),
+                cmdOpts),
           ]),
       new self.command.SingleCommand(
           ['npc', 'ai', 'npcs', 'ais', 'bots', 'bot'], mkCmd(listNPCs), cmdOpts,
@@ -552,7 +573,16 @@ function HG() {
                 ['exclude', 'exc', 'ex'], mkCmd(excludeNPC), cmdOpts),
           ]),
       new self.command.SingleCommand(
-          ['players', 'player', 'list'], mkCmd(listPlayers), cmdOpts),
+          ['players', 'player', 'list'], mkCmd(listPlayers), cmdOpts,
+          [
+            new self.command.SingleCommand(
+                ['attributes', 'attribute', 'attrs', 'attr', 'stats'],
+                mkCmd(commandPlayerAttributes), cmdOpts),
+            new self.command.SingleCommand(
+                ['set'], mkCmd(commandSetAttribute), cmdOpts),
+            new self.command.SingleCommand(
+                ['reset', 'clear'], mkCmd(commandResetAttributes), cmdOpts),
+          ]),
       new self.command.SingleCommand(
           ['start', 's', 'begin'], mkCmd(startGame), cmdOpts),
       new self.command.SingleCommand(['pause', 'p'], mkCmd(pauseGame), cmdOpts),
@@ -590,6 +620,23 @@ function HG() {
             'ranks',
           ],
           mkCmd(commandLeaderboard), {validOnlyInGuild: true}),
+      new self.command.SingleCommand(
+          ['replay', 'replays', 'history', 'archive', 'past'],
+          mkCmd(commandReplay), {validOnlyInGuild: true}),
+      new self.command.SingleCommand(
+          ['gift', 'sponsor', 'parachute', 'donate'], mkCmd(commandGift),
+          {validOnlyInGuild: true}),
+      new self.command.SingleCommand(
+          ['bet', 'bets', 'wager', 'gamble'], mkCmd(commandBet),
+          {validOnlyInGuild: true},
+          [
+            new self.command.SingleCommand(
+                ['list', 'all', 'show'], mkCmd(commandBetList),
+                {validOnlyInGuild: true}),
+            new self.command.SingleCommand(
+                ['balance', 'coins', 'money', 'wallet'],
+                mkCmd(commandBetBalance), {validOnlyInGuild: true}),
+          ]),
       new self.command.SingleCommand(
           ['group', 'groups', 'season', 'seasons', 'g', 'gr'],
           mkCmd(commandGroups), cmdOpts,
@@ -604,6 +651,15 @@ function HG() {
             new self.command.SingleCommand(
                 ['rename', 'name', 'title'], mkCmd(commandRenameGroup),
                 cmdOpts),
+            new self.command.SingleCommand(
+                ['next', 'rollover', 'advance'], mkCmd(commandRolloverSeason),
+                cmdOpts),
+            new self.command.SingleCommand(
+                ['schedule', 'length', 'every'], mkCmd(commandSeasonSchedule),
+                cmdOpts),
+            new self.command.SingleCommand(
+                ['champions', 'champs', 'hall', 'winners'],
+                mkCmd(commandChampions), {validOnlyInGuild: true}),
           ]),
       new self.command.SingleCommand(['nums'], mkCmd(commandNums), cmdOpts),
       new self.command.SingleCommand(
@@ -2182,6 +2238,7 @@ function HG() {
 
     const finalMessage = new self.Discord.MessageEmbed();
     finalMessage.setColor(defaultColor);
+    let betResults = [];
 
     const collab = game.options.teammatesCollaborate == 'always' ||
         (game.options.teammatesCollaborate == 'untilend' &&
@@ -2206,9 +2263,7 @@ function HG() {
         teamPlayerList = `${teamPlayerList.substring(0, 1021)}...`;
       }
       finalMessage.setDescription(teamPlayerList);
-      current.inProgress = false;
-      current.ended = true;
-      game.autoPlay = false;
+      betResults = game.end();
     } else if (numAlive == 1) {
       const p = current.includedUsers[lastIndex];
       const winnerName =
@@ -2220,15 +2275,11 @@ function HG() {
       finalMessage.setTitle(
           `\`${winnerName}${teamName}\` has won ${current.name}!`);
       finalMessage.setThumbnail(current.includedUsers[lastIndex].avatarURL);
-      current.inProgress = false;
-      current.ended = true;
-      game.autoPlay = false;
+      betResults = game.end();
     } else if (numAlive < 1) {
       finalMessage.setTitle(
           `Everyone has died in ${current.name}!\nThere are no winners!`);
-      current.inProgress = false;
-      current.ended = true;
-      game.autoPlay = false;
+      betResults = game.end();
     } else {
       if (game.options.teamSize > 0) sortTeams(game);
       let prevTeam = -1;
@@ -2334,6 +2385,9 @@ function HG() {
                 .replaceAll('{}', current.teams[lastWholeTeam].name));
       }
     }
+    if (betResults.length > 0) {
+      finalMessage.addField('Bets', formatBetResults(betResults));
+    }
     if (!current.ended) {
       const embed = new self.Discord.MessageEmbed();
       if (current.day.num == 0) {
@@ -2575,8 +2629,13 @@ function HG() {
         self.common.reply(msg, 'There isn\'t a game in progress.');
       }
     } else {
-      game.end();
-      if (!silent && msg) self.common.reply(msg, 'The game has ended!');
+      const results = game.end();
+      game._archive.end();
+      if (!silent && msg) {
+        self.common.reply(
+            msg, 'The game has ended!',
+            results.length > 0 ? formatBetResults(results) : null);
+      }
     }
   }
 
@@ -4499,6 +4558,83 @@ function HG() {
     return 'Failed to find event to remove.';
   };
 
+  /**
+   * Create an event pack of all custom events in a guild.
+   *
+   * @public
+   * @param {string} id The id of the guild to export the events of.
+   * @returns {HungryGames~EventPack|string} The created pack, or error message.
+   */
+  this.exportEventPack = function(id) {
+    if (!hg.getGame(id) || !hg.getGame(id).customEvents) {
+      return 'Invalid ID or no game.';
+    }
+    return new HungryGames.EventPack(
+        JSON.parse(JSON.stringify(hg.getGame(id).customEvents)));
+  };
+
+  /**
+   * Add all events from an event pack to a guild's custom events. Events that
+   * are invalid or already exist are skipped.
+   *
+   * @public
+   * @param {string} id The id of the guild to add the events to.
+   * @param {object} data The parsed event pack.
+   * @returns {{added: number, duplicates: number, errors: string[]}|string}
+   * Number of events added and skipped, and the error for each invalid event,
+   * or error message if nothing could be imported.
+   */
+  this.importEventPack = function(id, data) {
+    if (!hg.getGame(id) || !hg.getGame(id).customEvents) {
+      return 'Invalid ID or no game.';
+    }
+    const pack = HungryGames.EventPack.from(data);
+    if (typeof pack === 'string') return pack;
+    const res = {added: 0, duplicates: 0, errors: pack.validate()};
+    const custom = hg.getGame(id).customEvents;
+    const count = (list, evt, equal) => {
+      if (list.find((el) => equal(el, evt))) {
+        res.duplicates++;
+        return;
+      }
+      list.push(evt);
+      res.added++;
+    };
+
+    for (const type of ['bloodbath', 'player', 'battle']) {
+      const equal = type === 'battle' ? HungryGames.Battle.equal :
+                                        HungryGames.Event.equal;
+      pack[type].forEach((evt) => {
+        evt.custom = true;
+        count(custom[type], evt, equal);
+      });
+    }
+    for (const evt of pack.arena) {
+      const match = custom.arena.find((el) => el.message === evt.message);
+      if (!match) {
+        evt.custom = true;
+        custom.arena.push(evt);
+        res.added += evt.outcomes.length;
+        continue;
+      }
+      evt.outcomes.forEach(
+          (el) => count(match.outcomes, el, HungryGames.Event.equal));
+    }
+    for (const name of Object.keys(pack.weapon)) {
+      const evt = pack.weapon[name];
+      if (!Object.prototype.hasOwnProperty.call(custom.weapon, name)) {
+        evt.custom = true;
+        custom.weapon[name] = evt;
+        res.added += evt.outcomes.length;
+        continue;
+      }
+      evt.outcomes.forEach((el) => {
+        count(custom.weapon[name].outcomes, el, HungryGames.Event.equal);
+      });
+    }
+    return res;
+  };
+
   /**
    * Toggle events in the games.
    *
@@ -4800,7 +4936,8 @@ function HG() {
     const helpMsg =
         '```\nEdit your message until you are happy with the below outcomes, ' +
         'then click the type of event.\n\nReplace names with "{victim}" or ' +
-        '"{attacker}" (with brackets).\n\nUse "[Vsingular|plural]" or ' +
+        '"{attacker}" (with brackets). Use "{ally}" for the allies of the ' +
+        'players in the event.\n\nUse "[Vsingular|plural]" or ' +
         '"[Asingular|plural]" to put "singular" if there\'s only one person, ' +
         'or "plural" if there are more\n (A for attacker, V for victim).\n```';
     const finalOptionsHelp =
@@ -4961,6 +5098,133 @@ function HG() {
     events.numWound = numWound;
     events.numThrive = numThrive;
   }
+  /**
+   * Send all custom events for a guild as an event pack file.
+   *
+   * @private
+   * @type {HungryGames~hgCommandHandler}
+   * @param {Discord~Message} msg The message that lead to this being called.
+   * @param {string} id The id of the guild this was triggered from.
+   */
+  function commandExportEvents(msg, id) {
+    const pack = self.exportEventPack(id);
+    if (typeof pack === 'string') {
+      self.common.reply(msg, 'Unable to export events.', pack);
+      return;
+    }
+    const file = new self.Discord.MessageAttachment();
+    file.setFile(Buffer.from(JSON.stringify(pack.serializable, null, 2)));
+    file.setName(`HG-Events-${id}.json`);
+    msg.channel
+        .send(
+            `${self.common.mention(msg)} Exported ${pack.numEvents} custom ` +
+                'events. Use `' + msg.prefix + self.postPrefix +
+                'events import` with this file attached to add them to ' +
+                'another server.',
+            file)
+        .catch((err) => {
+          self.error('Failed to send event pack: ' + msg.channel.id);
+          console.error(err);
+        });
+  }
+
+  /**
+   * Import an event pack attached to the message into the guild's custom
+   * events.
+   *
+   * @private
+   * @type {HungryGames~hgCommandHandler}
+   * @param {Discord~Message} msg The message that lead to this being called.
+   * @param {string} id The id of the guild this was triggered from.
+   */
+  function commandImportEvents(msg, id) {
+    if (!hg.getGame(id)) {
+      self.common.reply(
+          msg, 'You must create a game before importing events.',
+          msg.prefix + self.postPrefix + 'create');
+      return;
+    }
+    if (msg.attachments.size != 1) {
+      self.common.reply(
+          msg, 'Please attach one event pack file to import.',
+          'Event packs can be made with `' + msg.prefix + self.postPrefix +
+              'events export`');
+      return;
+    }
+    const a = msg.attachments.first();
+    const url = a.proxyURL || a.url;
+    if (a.size > self.maxBytes) {
+      self.common.reply(
+          msg, 'Please ensure the file is not larger than ' +
+              (self.maxBytes / 1000 / 1000) + 'MB.',
+          Math.round(a.size / 1000 / 100) / 10 + 'MB');
+      return;
+    }
+
+    let request = https.request;
+    if (url.startsWith('http://')) request = http.request;
+    const opt = {headers: {'User-Agent': self.common.ua}};
+
+    let req;
+    try {
+      req = request(url, opt, onIncoming);
+    } catch (err) {
+      self.warn('Failed to request event pack: ' + url);
+      self.common.reply(msg, err.message);
+      return;
+    }
+    req.on('error', (err) => {
+      self.error('Failed to fetch event pack: ' + url);
+      console.error(err);
+      self.common.reply(msg, 'Failed to download event pack.');
+    });
+    req.end();
+    msg.channel.startTyping();
+
+    /**
+     * Fired on the 'response' http event.
+     *
+     * @private
+     *
+     * @param {http.IncomingMessage} incoming Response object.
+     */
+    function onIncoming(incoming) {
+      if (incoming.statusCode != 200) {
+        incoming.destroy();
+        self.common.reply(
+            msg, 'Failed to download event pack.',
+            'Status code: ' + incoming.statusCode);
+        msg.channel.stopTyping();
+        return;
+      }
+      let data = '';
+      incoming.on('data', (chunk) => data += chunk);
+      incoming.on('end', () => {
+        msg.channel.stopTyping();
+        let parsed;
+        try {
+          parsed = JSON.parse(data);
+        } catch (err) {
+          self.common.reply(msg, 'Event pack is not valid JSON.', err.message);
+          return;
+        }
+        const res = self.importEventPack(id, parsed);
+        if (typeof res === 'string') {
+          self.common.reply(msg, 'Unable to import events.', res);
+          return;
+        }
+        let errors = res.errors.slice(0, 10).join('\n');
+        if (res.errors.length > 10) {
+          errors += `\n...and ${res.errors.length - 10} more.`;
+        }
+        self.common.reply(
+            msg,
+            `Imported ${res.added} events, skipped ${res.duplicates} ` +
+                `duplicates, ${res.errors.length} invalid.`,
+            errors || null);
+      });
+    }
+  }
   /**
    * Allow user to view all events available on their server and summary of each
    * type of event.
@@ -5175,7 +5439,8 @@ function HG() {
   function formatEventString(arenaEvent, newline) {
     let message = arenaEvent.message.replaceAll('{attacker}', '`attacker`')
         .replaceAll('{victim}', '`victim`')
-        .replaceAll('{dead}', '`dead`');
+        .replaceAll('{dead}', '`dead`')
+        .replaceAll('{ally}', '`ally`');
     if (newline) message += '\n    ';
     message += '(' + emoji.crossedSwords + ': ' +
         ('' + arenaEvent.attacker.count).replace('-', '>');
@@ -5191,6 +5456,11 @@ function HG() {
       message += ', ' + getOutcomeEmoji(arenaEvent.victim.outcome) +
           (arenaEvent.victim.killer ? ' Killer' : '');
     }
+    if (arenaEvent.alliance === 'form') {
+      message += ', Forms alliance';
+    } else if (arenaEvent.alliance === 'betray') {
+      message += ', Betrays allies';
+    }
 
     return message + ')';
   }
@@ -5750,6 +6020,355 @@ function HG() {
         });
   }
 
+  /**
+   * @description Lists past games, shows a summary of a past game, or re-posts
+   * a day from a past game.
+   *
+   * @private
+   * @type {HungryGames~hgCommandHandler}
+   * @param {Discord~Message} msg The message that lead to this being called.
+   * @param {string} id Guild ID this command was called from.
+   */
+  function commandReplay(msg, id) {
+    const game = hg.getGame(id);
+    if (!game) {
+      self.common.reply(msg, 'There haven\'t been any games on this server.');
+      return;
+    }
+    const args = msg.text.trim().split(/\s+/).filter((el) => el);
+    if (args.length == 0) {
+      game._archive.fetchList((err, list) => {
+        if (err) {
+          self.error('Failed to fetch HG archive list: ' + id);
+          console.error(err);
+          self.common.reply(msg, 'Failed to fetch past games.');
+          return;
+        }
+        if (list.length == 0) {
+          self.common.reply(msg, 'No games have been archived yet.');
+          return;
+        }
+        const embed = new self.Discord.MessageEmbed();
+        embed.setTitle('Past Games');
+        embed.setColor(defaultColor);
+        embed.setDescription(
+            list.slice(0, 15)
+                .map((el) => {
+                  const date = new Date(el.startTime).toDateString();
+                  const state = el.endTime ? `${el.numDays - 1} days` :
+                                             'In progress';
+                  return `\`${el.id}\` ${el.name} (${date}, ${state})`;
+                })
+                .join('\n'));
+        embed.setFooter(
+            `${msg.prefix}${self.postPrefix}replay <id> [day] to view a game.`);
+        msg.channel.send(self.common.mention(msg), embed).catch(() => {});
+      });
+      return;
+    }
+    game._archive.fetchGame(args[0], (err, record) => {
+      if (err) {
+        self.error('Failed to fetch HG archive: ' + id + '/' + args[0]);
+        console.error(err);
+        self.common.reply(msg, 'Failed to fetch past game.');
+        return;
+      }
+      if (!record) {
+        self.common.reply(
+            msg, 'I couldn\'t find that game.',
+            `${msg.prefix}${self.postPrefix}replay to list past games.`);
+        return;
+      }
+      const getName = (pId) => {
+        const p = record.players.find((el) => el.id == pId);
+        if (!p) return pId;
+        return game.options.useNicknames ? (p.nickname || p.name) : p.name;
+      };
+      if (args.length < 2) {
+        const embed = new self.Discord.MessageEmbed();
+        embed.setTitle(record.name);
+        embed.setColor(defaultColor);
+        embed.setTimestamp(record.startTime);
+        embed.addField('Days', record.numDays - 1, true);
+        embed.addField('Players', record.numPlayers, true);
+        embed.addField(
+            'Winners',
+            record.winners.map(getName).join(', ') ||
+                (record.endTime ? 'None' : 'In progress'),
+            true);
+        if (record.forcedHistory.length > 0) {
+          embed.addField(
+              'Forced Outcomes',
+              record.forcedHistory.slice(0, 10)
+                  .map((el) => {
+                    const names = el.outcome.list.map(getName).join(', ');
+                    const day = el.day > 0 ? `Day ${el.day}` : 'Bloodbath';
+                    return `${day}: ${names} ${el.outcome.state}`;
+                  })
+                  .join('\n'));
+        }
+        embed.setFooter(
+            `${msg.prefix}${self.postPrefix}replay ${record.id} <day> to ` +
+            'view a day. The bloodbath is day 0.');
+        msg.channel.send(self.common.mention(msg), embed).catch(() => {});
+        return;
+      }
+      const day = record.days.find((el) => el.num == args[1]);
+      if (!day) {
+        self.common.reply(
+            msg, 'That day isn\'t in this game.',
+            `Days 0 to ${record.numDays - 1} are available.`);
+        return;
+      }
+      const lines = day.events.map((el) => {
+        const sub = el.subMessage ? `\n${el.subMessage.trim()}` : '';
+        return el.message + sub;
+      });
+      const pages = [];
+      let page = '';
+      for (const line of lines) {
+        if (page.length + line.length + 1 > 2048) {
+          pages.push(page);
+          page = '';
+        }
+        page += (page.length > 0 ? '\n' : '') + line.substring(0, 2048);
+      }
+      if (page.length > 0 || pages.length == 0) pages.push(page || '...');
+      pages.forEach((el, i) => {
+        const embed = new self.Discord.MessageEmbed();
+        if (i == 0) {
+          embed.setTitle(
+              `${record.name}: ` +
+              (day.num == 0 ? 'Bloodbath' : `Day ${day.num}`));
+        }
+        embed.setColor(defaultColor);
+        embed.setDescription(el);
+        msg.channel.send(embed).catch((err) => {
+          self.error('Failed to send HG replay: ' + msg.channel.id);
+          console.error(err);
+        });
+      });
+    });
+  }
+  /**
+   * @description Place a bet on the outcome of the current game.
+   *
+   * @private
+   * @type {HungryGames~hgCommandHandler}
+   * @param {Discord~Message} msg The message that lead to this being called.
+   * @param {string} id Guild ID this command was called from.
+   * @param {HungryGames~GuildGame} [game] The game object to bet on.
+   */
+  function commandBet(msg, id, game) {
+    if (!game) game = hg.getGame(id);
+    if (!game || !game.currentGame) {
+      createGame(msg, id, false, (game) => {
+        if (!game) {
+          self.common.reply(msg, 'Failed to create game for unknown reason.');
+          return;
+        }
+        commandBet(msg, id, game);
+      });
+      return;
+    }
+    const example = `${msg.prefix}${self.postPrefix}bet winner @player 50`;
+    const args = msg.text.trim().split(/\s+/).filter((el) => el);
+    const typeName = (args.shift() || '').toLowerCase();
+    const type = Object.keys(betTypeNames)
+        .find((el) => betTypeNames[el].includes(typeName));
+    if (!type) {
+      self.common.reply(
+          msg, 'Bet on who wins, who dies first, or which team wins.',
+          `${example}\n${msg.prefix}${self.postPrefix}bet first @player 50\n` +
+              `${msg.prefix}${self.postPrefix}bet team Team 2 50`);
+      return;
+    }
+    const amount = args.pop();
+    let target;
+    if (type === 'team') {
+      const name = args.join(' ').toLowerCase();
+      const teams = game.currentGame.teams;
+      const team = teams.find((el) => el.name.toLowerCase() === name) ||
+          teams[name * 1 - 1];
+      target = team && team.id;
+    } else {
+      target = parseGamePlayers(msg, game)[0];
+    }
+    if (target == null) {
+      self.common.reply(msg, 'Please specify who to bet on.', example);
+      return;
+    }
+    game._betting.placeBet(msg.author.id, type, target, amount, (err, bet) => {
+      if (err) {
+        self.common.reply(msg, err, example);
+        return;
+      }
+      const payout = Math.floor(bet.amount * bet.odds);
+      self.common.reply(
+          msg, 'Bet placed',
+          `${formatBet(game, bet)}\nPays ${payout} coins if you win.`);
+    });
+  }
+
+  /**
+   * @description List all bets placed on the current game.
+   *
+   * @private
+   * @type {HungryGames~hgCommandHandler}
+   * @param {Discord~Message} msg The message that lead to this being called.
+   * @param {string} id Guild ID this command was called from.
+   */
+  function commandBetList(msg, id) {
+    const game = hg.getGame(id);
+    if (!game || game.bets.length == 0) {
+      self.common.reply(
+          msg, 'No bets have been placed.',
+          `${msg.prefix}${self.postPrefix}bet winner @player 50`);
+      return;
+    }
+    const list = game.bets.map((el) => `<@${el.user}>: ${formatBet(game, el)}`);
+    const embed = new self.Discord.MessageEmbed();
+    embed.setTitle('Bets');
+    embed.setColor(defaultColor);
+    embed.setDescription(list.join('\n').slice(0, 2048));
+    msg.channel.send(self.common.mention(msg), embed).catch((err) => {
+      self.error('Failed to send HG bet list: ' + msg.channel.id);
+      console.error(err);
+    });
+  }
+
+  /**
+   * @description Show the number of coins a user has available to bet.
+   *
+   * @private
+   * @type {HungryGames~hgCommandHandler}
+   * @param {Discord~Message} msg The message that lead to this being called.
+   * @param {string} id Guild ID this command was called from.
+   */
+  function commandBetBalance(msg, id) {
+    const game = hg.getGame(id);
+    if (!game) {
+      self.common.reply(msg, 'There haven\'t been any games on this server.');
+      return;
+    }
+    const user = msg.softMentions.users.first() || msg.author;
+    game._betting.fetchBalance(user.id, (err, balance) => {
+      if (err) {
+        self.error('Failed to fetch HG bet balance: ' + id + '@' + user.id);
+        console.error(err);
+        self.common.reply(msg, 'Failed to fetch balance.');
+        return;
+      }
+      self.common.reply(msg, `${user.tag} has ${balance} coins.`);
+    });
+  }
+
+  /**
+   * @description Format a bet as a human readable string.
+   *
+   * @private
+   * @param {HungryGames~GuildGame} game The game the bet was placed on.
+   * @param {HGBet} bet The bet to format.
+   * @returns {string} The formatted bet.
+   */
+  function formatBet(game, bet) {
+    const current = game.currentGame;
+    let target;
+    if (bet.type === 'team') {
+      target = current.teams.find((el) => `${el.id}` === bet.target);
+    } else {
+      target = current.includedUsers.find((el) => el.id === bet.target);
+    }
+    const name = target ? target.name : bet.target;
+    const outcome = {
+      winner: 'to win',
+      firstDeath: 'to die first',
+      team: 'to be the winning team',
+    }[bet.type];
+    return `${bet.amount} coins on ${name} ${outcome} (${bet.odds}x)`;
+  }
+
+  /**
+   * @description Format the outcome of resolved bets as a human readable
+   * string.
+   *
+   * @private
+   * @param {HGBetResult[]} results The resolved bets.
+   * @returns {string} The formatted list, limited to 1024 characters.
+   */
+  function formatBetResults(results) {
+    const list = results.map((el) => {
+      const user = `<@${el.bet.user}>`;
+      if (el.result === 'won') return `${user} won ${el.payout} coins`;
+      if (el.result === 'lost') return `${user} lost ${el.bet.amount} coins`;
+      return `${user} was refunded ${el.payout} coins`;
+    }).join('\n');
+    return list.length > 1024 ? `${list.substring(0, 1021)}...` : list;
+  }
+
+  /**
+   * @description Send a gift from a spectator to a player in a guild's game.
+   * The gift is paid for with betting coins, and heals the player during the
+   * next day.
+   *
+   * @public
+   * @param {string} id The guild id of the game.
+   * @param {string} user The ID of the user sending the gift.
+   * @param {string} player The ID of the player to receive the gift.
+   * @param {Function} cb Callback with optional error message string.
+   */
+  this.sendGift = function(id, user, player, cb) {
+    const game = hg.getGame(id);
+    if (!game) {
+      cb('No game has been created yet.');
+      return;
+    }
+    const guild = self.client.guilds.get(id);
+    const member = guild && guild.members.get(user);
+    let name = 'A sponsor';
+    if (member) {
+      name = game.options.useNicknames ? member.displayName :
+                                         member.user.username;
+    }
+    const text = hg.messages.get('sponsorGift').replace(/\{sponsor\}/g, name);
+    game._sponsors.sendGift(user, player, text, cb);
+  };
+
+  /**
+   * @description Send a gift to a player in the current game.
+   *
+   * @private
+   * @type {HungryGames~hgCommandHandler}
+   * @param {Discord~Message} msg The message that lead to this being called.
+   * @param {string} id Guild ID this command was called from.
+   */
+  function commandGift(msg, id) {
+    const game = hg.getGame(id);
+    if (!game || !game.currentGame) {
+      self.common.reply(msg, 'A game has not been created yet.');
+      return;
+    }
+    const player = parseGamePlayers(msg, game)[0];
+    if (!player) {
+      self.common.reply(
+          msg, 'Please specify a player in the games to send a gift to.',
+          `${msg.prefix}${self.postPrefix}gift @player`);
+      return;
+    }
+    self.sendGift(id, msg.author.id, player, (err) => {
+      if (err) {
+        self.common.reply(msg, err);
+        return;
+      }
+      const p = game.currentGame.includedUsers.find((el) => el.id === player);
+      const remaining = game._sponsors.remaining;
+      self.common.reply(
+          msg, `Sent a gift to ${p.name}`,
+          `It will arrive during the next day. ${remaining} gift` +
+              `${remaining == 1 ? '' : 's'} may still be sent today.`);
+    });
+  }
+
   /**
    * @description Responds with stats about a player in the games.
    *
@@ -6013,6 +6632,114 @@ function HG() {
     });
   }
 
+  /**
+   * @description Ends the current season and starts a new one.
+   *
+   * @private
+   * @type {HungryGames~hgCommandHandler}
+   * @param {Discord~Message} msg The message that lead to this being called.
+   * @param {string} id Guild ID this command was called from.
+   */
+  function commandRolloverSeason(msg, id) {
+    const game = hg.getGame(id);
+    if (!game) {
+      self.common.reply(msg, 'There haven\'t been any games on this server.');
+      return;
+    }
+    if (game.currentGame && game.currentGame.inProgress) {
+      self.common.reply(
+          msg, 'A new season can\'t start while a game is in progress.');
+      return;
+    }
+    const previous = game.statGroup;
+    game._stats.rollover(msg.text.trim(), (group) => {
+      let res = group.id;
+      if (previous) res = `${previous} has ended. ${res}`;
+      group.fetchMetadata((err, meta) => {
+        if (!err && meta.name) res = `${res}: ${meta.name}`;
+        self.common.reply(msg, 'Started a new season', res);
+      });
+    });
+  }
+
+  /**
+   * @description Sets how often seasons automatically end.
+   *
+   * @private
+   * @type {HungryGames~hgCommandHandler}
+   * @param {Discord~Message} msg The message that lead to this being called.
+   * @param {string} id Guild ID this command was called from.
+   */
+  function commandSeasonSchedule(msg, id) {
+    const game = hg.getGame(id);
+    if (!game) {
+      self.common.reply(msg, 'There haven\'t been any games on this server.');
+      return;
+    }
+    const text = msg.text.trim().toLowerCase();
+    if (!text) {
+      const seasons = game.seasons;
+      if (seasons.length > 0) {
+        self.common.reply(
+            msg, `Seasons last ${seasons.length} days`,
+            'The next season starts with the first game after ' +
+                new Date(seasons.nextRollover).toUTCString());
+      } else {
+        self.common.reply(
+            msg, 'Seasons only end manually',
+            `${msg.prefix}${self.postPrefix}season schedule 30`);
+      }
+      return;
+    }
+    const days = ['off', 'never', 'none', 'disable'].includes(text) ?
+        0 :
+        text.replace(/\s*days?$/, '');
+    const err = game._stats.setSeasonLength(days);
+    if (err) {
+      self.common.reply(msg, err);
+    } else if (game.seasons.length > 0) {
+      self.common.reply(
+          msg, `Seasons will last ${game.seasons.length} days`,
+          'The next season starts with the first game after ' +
+              new Date(game.seasons.nextRollover).toUTCString());
+    } else {
+      self.common.reply(msg, 'Disabled automatic seasons');
+    }
+  }
+
+  /**
+   * @description Lists the champion of every season that has ended.
+   *
+   * @private
+   * @type {HungryGames~hgCommandHandler}
+   * @param {Discord~Message} msg The message that lead to this being called.
+   * @param {string} id Guild ID this command was called from.
+   */
+  function commandChampions(msg, id) {
+    const game = hg.getGame(id);
+    const champions = game && game.seasons.champions;
+    if (!champions || champions.length == 0) {
+      self.common.reply(
+          msg, 'No seasons have been won yet.',
+          `Start a season with "${msg.prefix}${self.postPrefix}season next"`);
+      return;
+    }
+    const embed = new self.Discord.MessageEmbed();
+    embed.setTitle('Hall of Champions');
+    embed.setColor([255, 0, 255]);
+    champions.slice(-25).reverse().forEach((el) => {
+      const date = new Date(el.endTime).toDateString();
+      embed.addField(
+          `${el.name} (${el.group})`,
+          `<@${el.user}>\n${el.wins} wins, ${el.kills} kills\nEnded ${date}`,
+          true);
+    });
+    msg.channel.send(self.common.mention(msg), embed).catch((err) => {
+      self.error('Failed to send hall of champions: ' + msg.channel.id);
+      console.error(err);
+    });
+  }
+
   /**
    * @description Ranks players by stat.
    *
@@ -6027,8 +6754,12 @@ function HG() {
     let groupID = msg.text.match(regex);
     if (!groupID) {
       const prevList = ['last', 'previous', 'recent'];
+      const seasonList = ['season', 'current'];
       if (prevList.find((el) => msg.text.indexOf(el) > -1)) {
         groupID = 'previous';
+      } else if (
+        game.statGroup && seasonList.find((el) => msg.text.indexOf(el) > -1)) {
+        groupID = game.statGroup;
       } else {
         groupID = 'global';
       }
@@ -6042,8 +6773,19 @@ function HG() {
                 text.indexOf(
                     self.common.camelToSpaces(el).toLocaleLowerCase()) > -1) ||
         'wins';
-    game._stats.fetchGroup(groupID, (err, group) => {
-      if (err) {
+    const opts = {};
+    opts.sort = col;
+    const num = msg.text.replace(regex, '').match(/\d+/);
+    if (num && num[0] * 1 > 0) opts.limit = num[0] * 1;
+    game._stats.fetchLeaderboard(groupID, opts, (err, rows, prevSeason) => {
+      if (err && typeof err !== 'string') {
+        self.error('Failed to fetch leaderboard: ' + id + '/' + groupID);
+        console.error(err);
+        self.common.reply(
+            msg,
+            'Oops! Something went wrong while fetching the leaderboard...');
+        return;
+      } else if (err) {
         if (groupID === 'previous' || groupID === 'global') {
           self.common.reply(
               msg, 'It doesn\'t look like you\'ve finished a game yet.',
@@ -6056,76 +6798,73 @@ function HG() {
         }
         return;
       }
-      const opts = {};
-      opts.sort = col;
-      const num = msg.text.replace(regex, '').match(/\d+/);
-      if (num && num[0] * 1 > 0) opts.limit = num[0] * 1;
-      group.fetchUsers(opts, (err, rows) => {
-        if (err) {
-          self.error('Failed to fetch leaderboard: ' + id + '/' + groupID);
-          console.error(err);
-          self.common.reply(
-              msg,
-              'Oops! Something went wrong while fetching the leaderboard...');
-          return;
-        }
-        if (!rows || rows.length === 0) {
-          self.common.reply(
-              msg, 'It doesn\'t look like this group has any game data yet.',
-              'Check back after a game to see your stats!');
-          return;
-        }
-        const list = rows.map((el, i) => {
-          let name;
-          if (el.id.startsWith('NPC')) {
-            const npc = game.includedNPCs.find((n) => n.id === el.id) ||
-                game.excludedNPCs.find((n) => n.id === el.id);
-            name = npc ? npc.name : el.id;
+      if (!rows || rows.length === 0) {
+        self.common.reply(
+            msg, 'It doesn\'t look like this group has any game data yet.',
+            'Check back after a game to see your stats!');
+        return;
+      }
+      const list = rows.map((entry) => {
+        const el = entry.stats;
+        let name;
+        if (el.id.startsWith('NPC')) {
+          const npc = game.includedNPCs.find((n) => n.id === el.id) ||
+              game.excludedNPCs.find((n) => n.id === el.id);
+          name = npc ? npc.name : el.id;
+        } else {
+          const iU =
+              game.currentGame.includedUsers.find((u) => u.id === el.id);
+          if (iU) {
+            name = (game.options.useNicknames && iU.nickname) || iU.name;
           } else {
-            const iU =
-                game.currentGame.includedUsers.find((u) => u.id === el.id);
-            if (iU) {
-              name = (game.options.useNicknames && iU.nickname) || iU.name;
-            } else {
-              const m = msg.guild.members.get(el.id);
-              name = m ?
-                  (game.options.useNicknames && m.nickname) || m.user.username :
-                  el.id;
-            }
+            const m = msg.guild.members.get(el.id);
+            name = m ?
+                (game.options.useNicknames && m.nickname) || m.user.username :
+                el.id;
           }
-          return `${i+1}) ${name}: ${el.get(col)}`;
-        });
+        }
+        const prev = entry.previousRank;
+        let change = '';
+        if (prevSeason && prev == null) {
+          change = ' (new)';
+        } else if (prev != null && prev > entry.rank) {
+          change = ` (▲${prev - entry.rank})`;
+        } else if (prev != null && prev < entry.rank) {
+          change = ` (▼${entry.rank - prev})`;
+        }
+        return `${entry.rank}) ${name}: ${el.get(col)}${change}`;
+      });
 
-        const embed = new self.Discord.MessageEmbed();
-        embed.setTitle(`Rank by ${col}`);
-        const groupName = groupID === 'global' ? 'lifetime' : groupID;
-        embed.setDescription(groupName);
-        embed.setColor([255, 0, 255]);
+      const embed = new self.Discord.MessageEmbed();
+      embed.setTitle(`Rank by ${col}`);
+      const groupName = groupID === 'global' ? 'lifetime' : groupID;
+      embed.setDescription(groupName);
+      embed.setColor([255, 0, 255]);
+      if (prevSeason) embed.setFooter(`Rank change since ${prevSeason}`);
 
-        const numCols = calcColNum(1, list);
-        const numTotal = list.length;
-        const quarterLength = Math.ceil(numTotal / numCols);
+      const numCols = calcColNum(1, list);
+      const numTotal = list.length;
+      const quarterLength = Math.ceil(numTotal / numCols);
 
-        for (let i = 0; i < numCols - 1; i++) {
-          const thisMessage =
-              list.splice(0, quarterLength).join('\n').slice(0, 1024);
-          embed.addField(
-              `${i * quarterLength + 1}-${(i + 1) * quarterLength}`,
-              thisMessage, true);
-        }
+      for (let i = 0; i < numCols - 1; i++) {
+        const thisMessage =
+            list.splice(0, quarterLength).join('\n').slice(0, 1024);
         embed.addField(
-            `${(numCols - 1) * quarterLength + 1}-${numTotal}`,
-            list.join('\n').slice(0, 1024) || '.', true);
+            `${i * quarterLength + 1}-${(i + 1) * quarterLength}`,
+            thisMessage, true);
+      }
+      embed.addField(
+          `${(numCols - 1) * quarterLength + 1}-${numTotal}`,
+          list.join('\n').slice(0, 1024) || '.', true);
 
-        msg.channel.send(self.common.mention(msg), embed).catch((err) => {
-          self.error(
-              'Failed to send leaderboard in channel: ' + msg.channel.id);
-          console.error(err);
-          self.common.reply(
-              msg, 'Oops! I wasn\'t able to send the leaderboard here for an ' +
-                  'unknown reason.',
-              err.code);
-        });
+      msg.channel.send(self.common.mention(msg), embed).catch((err) => {
+        self.error(
+            'Failed to send leaderboard in channel: ' + msg.channel.id);
+        console.error(err);
+        self.common.reply(
+            msg, 'Oops! I wasn\'t able to send the leaderboard here for an ' +
+                'unknown reason.',
+            err.code);
       });
     });
   }
@@ -6438,6 +7177,155 @@ function HG() {
     }
   }
 
+  /**
+   * @description Set the value of an attribute for a player in a guild.
+   *
+   * @public
+   * @param {string|number} id The guild id of the game to modify.
+   * @param {string} player The ID of the player to modify.
+   * @param {string} name The name of the attribute to set.
+   * @param {number|string} value The value to set the attribute to.
+   * @returns {?string} Error message, or null if the attribute was set.
+   */
+  this.setPlayerAttribute = function(id, player, name, value) {
+    const game = hg.getGame(id);
+    if (!game) return 'No game has been created yet.';
+    return game.setPlayerAttribute(player, name, value);
+  };
+
+  /**
+   * @description Show the attributes of players in the game, or what each
+   * attribute does if no players have any set.
+   *
+   * @private
+   * @type {HungryGames~hgCommandHandler}
+   * @param {Discord~Message} msg The message that lead to this being called.
+   * @param {string} id The id of the guild this was triggered from.
+   * @param {HungryGames~GuildGame} [game] The game object to read.
+   */
+  function commandPlayerAttributes(msg, id, game) {
+    if (!game) game = hg.getGame(id);
+    if (!game || !game.currentGame) {
+      createGame(msg, id, false, (game) => {
+        if (!game) {
+          self.common.reply(msg, 'Failed to create game for unknown reason.');
+          return;
+        }
+        commandPlayerAttributes(msg, id, game);
+      });
+      return;
+    }
+    const Player = HungryGames.Player;
+    const embed = new self.Discord.MessageEmbed();
+    embed.setTitle('Player Attributes');
+    embed.setColor(defaultColor);
+    embed.setDescription(
+        Object.entries(Player.attributeInfo)
+            .map((el) => `**${el[0]}**: ${el[1]}`)
+            .join('\n') +
+        `\n\nValues range from ${Player.attributeMin} to ` +
+        `${Player.attributeMax}, and default to ${Player.attributeDefault}.`);
+
+    let players = parseGamePlayers(msg, game);
+    if (players.length == 0) players = Object.keys(game.playerAttributes);
+    const list = players.slice(0, 25).map((p) => {
+      const player = game.currentGame.includedUsers.find((el) => el.id == p);
+      const name = player ? player.name : p;
+      const attributes = game.playerAttributes[p] || {};
+      const values = Object.keys(Player.attributeInfo).map((el) => {
+        const value = attributes[el] || Player.attributeDefault;
+        return `${el}: ${value}`;
+      });
+      return {name: name, value: values.join(', ')};
+    });
+    list.forEach((el) => embed.addField(el.name, el.value, true));
+    if (list.length == 0) {
+      embed.setFooter(
+          `Set with "${msg.prefix}${self.postPrefix}player set @player ` +
+          'strength 7"');
+    }
+    msg.channel.send(self.common.mention(msg), embed).catch((err) => {
+      self.common.reply(
+          msg, 'Oops, Discord rejected my message for some reason...',
+          'This is possibly because there are too many players in the game.');
+      self.error('Failed to send player attributes: ' + msg.channel.id);
+      console.error(err);
+    });
+  }
+
+  /**
+   * @description Set an attribute of players in the game.
+   *
+   * @private
+   * @type {HungryGames~hgCommandHandler}
+   * @param {Discord~Message} msg The message that lead to this being called.
+   * @param {string} id The id of the guild this was triggered from.
+   * @param {HungryGames~GuildGame} [game] The game object to modify.
+   */
+  function commandSetAttribute(msg, id, game) {
+    if (!game) game = hg.getGame(id);
+    if (!game || !game.currentGame) {
+      createGame(msg, id, false, (game) => {
+        if (!game) {
+          self.common.reply(msg, 'Failed to create game for unknown reason.');
+          return;
+        }
+        commandSetAttribute(msg, id, game);
+      });
+      return;
+    }
+    const args = msg.text.trim().split(/\s+/);
+    const value = args.pop();
+    const name = (args.pop() || '').toLowerCase();
+    const players = parseGamePlayers(msg, game);
+    if (!players || players.length == 0) {
+      self.common.reply(
+          msg, 'Please specify a player in the games to modify.',
+          `${msg.prefix}${self.postPrefix}player set @player strength 7`);
+      return;
+    }
+    for (const p of players) {
+      const err = game.setPlayerAttribute(p, name, value);
+      if (err) {
+        self.common.reply(
+            msg, err, 'Attributes: ' +
+                Object.keys(HungryGames.Player.attributeInfo).join(', '));
+        return;
+      }
+    }
+    self.common.reply(
+        msg, `Set ${name} to ${value * 1}`,
+        `For ${players.length} player${players.length == 1 ? '' : 's'}.`);
+  }
+
+  /**
+   * @description Reset all attributes of players in the game.
+   *
+   * @private
+   * @type {HungryGames~hgCommandHandler}
+   * @param {Discord~Message} msg The message that lead to this being called.
+   * @param {string} id The id of the guild this was triggered from.
+   * @param {HungryGames~GuildGame} [game] The game object to modify.
+   */
+  function commandResetAttributes(msg, id, game) {
+    if (!game) game = hg.getGame(id);
+    if (!game || !game.currentGame) {
+      self.common.reply(msg, 'A game has not been created yet.');
+      return;
+    }
+    const players = parseGamePlayers(msg, game);
+    if (!players || players.length == 0) {
+      self.common.reply(
+          msg, 'Please specify a player in the games to reset.');
+      return;
+    }
+    const num =
+        players.filter((p) => game.resetPlayerAttributes(p)).length;
+    self.common.reply(
+        msg, 'Reset player attributes',
+        `${num} player${num == 1 ? '' : 's'} had attributes to reset.`);
+  }
+
   /**
    * @description Start or stop allowing users to enter in to a game by clicking
    * on a reaction to a message.
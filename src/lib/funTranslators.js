@@ -14,16 +14,18 @@ function FunTranslators() {
    *
    * @param {string} name The name of the translator.
    * @param {string} input The string to convert.
+   * @param {Function} [random=Math.random] Random number generator for
+   * translators that pick letters at random.
    * @returns {string} The formatted string.
    */
-  this.to = function(name, input) {
+  this.to = function(name, input, random = Math.random) {
     switch (name) {
       default:
         return input;
       case 'leet':
         return self.toLeetSpeak(input);
       case 'mocking':
-        return self.toMockingFont(input);
+        return self.toMockingFont(input, random);
       case 'smallcaps':
         return self.toSmallCaps(input);
       case 'superscript':
@@ -70,12 +72,14 @@ function FunTranslators() {
    * @public
    *
    * @param {string} input The string to convert.
+   * @param {Function} [random=Math.random] Random number generator used to
+   * pick which letters to capitalize.
    * @returns {string} The formatted string.
    */
-  this.toMockingFont = function(input) {
+  this.toMockingFont = function(input, random = Math.random) {
     const output = input.toLowerCase().split('');
     for (let i = 0; i < output.length / 2; i++) {
-      const rand = Math.floor(Math.random() * output.length);
+      const rand = Math.floor(random() * output.length);
       output[rand] = output[rand].toUpperCase();
     }
     return output.join('');
@@ -898,9 +898,10 @@ function Main() {
         let matchCount = 0;
         for (let i = 0; i < matchedRigged.length; i++) {
           const check = matchedRigged[i].replace(/([\S])\1+/g, '$1');
-          riggedSimilarity = checkSimilarity('riged', check);
+          const similarity = self.common.checkSimilarity;
+          riggedSimilarity = similarity('riged', check);
           const similarityCheck = riggedSimilarity > 0.6667 &&
-              riggedSimilarity > checkSimilarity('trigered', check);
+              riggedSimilarity > similarity('trigered', check);
           if (similarityCheck) {
             matchCount++;
           }
@@ -1047,63 +1048,6 @@ function Main() {
     }
   }
 
-  /**
-   * @description Returns the percentage of how similar the two given strings
-   * are.
-   *
-   * @private
-   * @param {string} s1 First string.
-   * @param {string} s2 Second string to compare.
-   * @returns {number} Number from 0 to 1 of how similar the two strings are.
-   */
-  function checkSimilarity(s1, s2) {
-    let longer = s1;
-    let shorter = s2;
-    if (s1.length < s2.length) {
-      longer = s2;
-      shorter = s1;
-    }
-    const longerLength = longer.length;
-    if (longerLength == 0) {
-      return 1.0;
-    }
-    return (longerLength - editDistance(longer, shorter)) /
-        parseFloat(longerLength);
-  }
-  /**
-   * @description Calculates the edit distance between the two strings.
-   *
-   * @private
-   * @param {string} s1 First string.
-   * @param {string} s2 Second string to compare to the first.
-   * @returns {number} Number of characters distance between the two strings.
-   */
-  function editDistance(s1, s2) {
-    s1 = s1.toLowerCase();
-    s2 = s2.toLowerCase();
-
-    const costs = [];
-    for (let i = 0; i <= s1.length; i++) {
-      let lastValue = i;
-      for (let j = 0; j <= s2.length; j++) {
-        if (i == 0) {
-          costs[j] = j;
-        } else {
-          if (j > 0) {
-            let newValue = costs[j - 1];
-            if (s1.charAt(i - 1) != s2.charAt(j - 1)) {
-              newValue = Math.min(Math.min(newValue, lastValue), costs[j]) + 1;
-            }
-            costs[j - 1] = lastValue;
-            lastValue = newValue;
-          }
-        }
-      }
-      if (i > 0) costs[s2.length] = lastValue;
-    }
-    return costs[s2.length];
-  }
-
   /**
    * Replies to message with URL for inviting the bot to a guild.
    *
@@ -1264,19 +1208,31 @@ function Main() {
    */
   function commandEvaluate(msg) {
     try {
-      let formula = msg.text;
-      if (formula.indexOf('=') > -1) {
-        const split = formula.split('=');
-        formula = split[1] + ' - (' + split[0] + ')';
-      }
-      let simplified = math.evaluate(formula).toString();
-      simplified = simplified.replace(/ \* ([A-Za-z])/g, '$1');
-      self.common.reply(msg, simplified);
+      self.common.reply(msg, evaluate(msg.text));
     } catch (err) {
       self.common.reply(msg, err.message);
     }
   }
 
+  /**
+   * Evaluate a string as an equation with units. If the string contains an
+   * equals sign, the difference between both sides is evaluated.
+   *
+   * @public
+   * @param {string} formula The equation to evaluate.
+   * @returns {string} The simplified result.
+   * @throws {Error} If the formula could not be evaluated.
+   */
+  function evaluate(formula) {
+    if (formula.indexOf('=') > -1) {
+      const split = formula.split('=');
+      formula = split[1] + ' - (' + split[0] + ')';
+    }
+    const simplified = math.evaluate(formula).toString();
+    return simplified.replace(/ \* ([A-Za-z])/g, '$1');
+  }
+  this.evaluate = evaluate;
+
   /**
    * Graph a given equation by plugging in values for X and creating an image
    * based off values.
@@ -1938,10 +1894,17 @@ function Main() {
     let reason =
         msg.text.replace(self.Discord.MessageMentions.USERS_PATTERN, '')
             .replace(self.Discord.MessageMentions.ROLES_PATTERN, '')
-            .replace(/\d{17,19}/g)
+            .replace(/\d{17,19}/g, '')
             .replace(/\s{2,}/g, ' ')
             .trim();
-    if (reason == 'undefined') reason = null;
+    const moderation = self.bot.getSubmodule('./moderation.js');
+    let duration = 0;
+    if (moderation) {
+      const parsed = moderation.parseDuration(reason);
+      duration = parsed.duration;
+      reason = parsed.text;
+    }
+    if (!reason) reason = null;
     banList.forEach(function(toBan) {
       if (msg.guild.ownerID !== msg.author.id &&
           msg.member.roles.highest.comparePositionTo(toBan.roles.highest) <=
@@ -1966,10 +1929,20 @@ function Main() {
           const banMsg = banMsgs[Math.floor(Math.random() * banMsgs.length)];
           toBan.ban({reason: reason || banMsg})
               .then(() => {
-                self.common.reply(msg, banMsg, 'Banned ' + toBan.user.username)
+                const length = duration ?
+                    ` for ${self.common.formatDelay(duration)}` :
+                    '';
+                self.common
+                    .reply(
+                        msg, banMsg,
+                        `Banned ${toBan.user.username}${length}`)
                     .catch(() => {});
                 const modLog = self.bot.getSubmodule('./modLog.js');
-                if (modLog) {
+                if (moderation) {
+                  moderation.addInfraction(
+                      msg.guild, toBan.user, msg.author, 'ban',
+                      reason || banMsg, [], duration);
+                } else if (modLog) {
                   modLog.output(
                       msg.guild, 'ban', toBan.user, msg.author,
                       reason || banMsg);
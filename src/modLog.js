@@ -4,9 +4,43 @@ const fs = require('fs');
 const SubModule = require('./subModule.js');
 
 /**
- * @description Manages moderator logging on guilds.
+ * @description A single action that was logged in a guild.
+ * @typedef {object} ModLog~Entry
+ *
+ * @property {number} time Timestamp of when the action was logged.
+ * @property {string} action The action that was performed.
+ * @property {?string} user The ID of the user that was affected.
+ * @property {?string} userTag The tag of the user that was affected.
+ * @property {?string} moderator The ID of the user that performed the action,
+ * or null if it was performed by ourself.
+ * @property {?string} moderatorTag The tag of the moderator.
+ * @property {?string} message Additional information about the action.
+ * @property {?string} message2 Additional information about the action.
+ * @property {?number} caseId The infraction case this action is recorded as.
+ */
+
+/**
+ * @description Filters to apply when searching the logged actions of a guild.
+ * All properties are optional, and omitted properties match everything.
+ * @typedef {object} ModLog~Query
+ *
+ * @property {string} [user] The ID of the user that was affected.
+ * @property {string} [moderator] The ID of the user that performed the action.
+ * @property {string} [action] The action that was performed.
+ * @property {number} [since] Only match actions logged at or after this
+ * timestamp.
+ * @property {number} [until] Only match actions logged before this timestamp.
+ * @property {string} [text] Text the additional information must contain.
+ * @property {number} [limit] The maximum number of entries to return.
+ */
+
+/**
+ * @description Manages moderator logging on guilds. Every logged action is
+ * also stored so that it may be searched and exported later.
  * @listens Command#setLogChannel
  * @listens Command#logChannel
+ * @listens Command#modLog
+ * @listens Command#auditLog
  */
 class ModLog extends SubModule {
   /**
@@ -24,9 +58,29 @@ class ModLog extends SubModule {
      * @default
      */
     this._settings = {};
+    /**
+     * Actions that have been logged in each guild, mapped by their guild id.
+     * Oldest entries are first.
+     *
+     * @private
+     * @type {object.<ModLog~Entry[]>}
+     * @default
+     */
+    this._history = {};
+    /**
+     * IDs of guilds whose history has changed since it was last saved.
+     *
+     * @private
+     * @type {object.<boolean>}
+     * @default
+     */
+    this._historyDirty = {};
     this.save = this.save.bind(this);
     this.getSettings = this.getSettings.bind(this);
+    this.search = this.search.bind(this);
+    this.parseQuery = this.parseQuery.bind(this);
     this._commandSetLogChannel = this._commandSetLogChannel.bind(this);
+    this._commandModLog = this._commandModLog.bind(this);
   }
 
   /** @inheritdoc */
@@ -41,8 +95,34 @@ class ModLog extends SubModule {
                   this.Discord.Permissions.FLAGS.BAN_MEMBERS |
                   this.Discord.Permissions.FLAGS.KICK_MEMBERS,
             }));
+    this.command.on(
+        new this.command.SingleCommand(
+            ['modlog', 'auditlog', 'modlogs'], this._commandModLog, {
+              validOnlyInGuild: true,
+              defaultDisabled: true,
+              permissions: this.Discord.Permissions.FLAGS.MANAGE_GUILD |
+                  this.Discord.Permissions.FLAGS.BAN_MEMBERS |
+                  this.Discord.Permissions.FLAGS.KICK_MEMBERS,
+            }));
 
     this.client.guilds.forEach((g) => {
+      fs.readFile(
+          `${this.common.guildSaveDir}${g.id}/modLogHistory.json`,
+          (err, file) => {
+            if (err) return;
+            let parsed;
+            try {
+              parsed = JSON.parse(file);
+            } catch (e) {
+              this.error('Failed to parse modLog history: ' + g.id);
+              console.error(e);
+              return;
+            }
+            if (!Array.isArray(parsed)) return;
+            // Entries may have been logged while the file was being read.
+            const current = this._history[g.id] || [];
+            this._history[g.id] = parsed.concat(current);
+          });
       fs.readFile(
           `${this.common.guildSaveDir}${g.id}/modLog.json`, (err, file) => {
             if (err) return;
@@ -59,6 +139,7 @@ class ModLog extends SubModule {
   /** @inheritdoc */
   shutdown() {
     this.command.removeListener('setlogchannel');
+    this.command.removeListener('modlog');
   }
   /** @inheritdoc */
   save(opt) {
@@ -73,6 +154,17 @@ class ModLog extends SubModule {
         this.common.mkAndWriteSync(filename, dir, JSON.stringify(obj[1]));
       }
     });
+    Object.keys(this._historyDirty).forEach((gId) => {
+      const dir = `${this.common.guildSaveDir}${gId}/`;
+      const filename = `${dir}modLogHistory.json`;
+      const data = JSON.stringify(this._history[gId] || []);
+      if (opt == 'async') {
+        this.common.mkAndWrite(filename, dir, data);
+      } else {
+        this.common.mkAndWriteSync(filename, dir, data);
+      }
+    });
+    this._historyDirty = {};
   }
 
   /**
@@ -96,6 +188,178 @@ class ModLog extends SubModule {
     }
   }
 
+  /**
+   * @description Search or export the actions that have been logged in a
+   * guild.
+   *
+   * @private
+   * @type {commandHandler}
+   * @param {Discord~Message} msg Message that triggered command.
+   * @listens Command#modLog
+   * @listens Command#auditLog
+   */
+  _commandModLog(msg) {
+    let text = msg.text.trim();
+    let format = null;
+    const exportMatch = text.match(/^export(?:\s+(csv|json))?\b/i);
+    if (exportMatch) {
+      format = (exportMatch[1] || 'csv').toLowerCase();
+      text = text.slice(exportMatch[0].length);
+    } else if (!text) {
+      this.common.reply(
+          msg, 'Please specify what to search for.',
+          `${msg.prefix}${msg.cmd} search @user\n${msg.prefix}${
+            msg.cmd} since 7d action:ban\n${msg.prefix}${
+            msg.cmd} export csv since 30d`);
+      return;
+    }
+    const query = this.parseQuery(text);
+    if (typeof query === 'string') {
+      this.common.reply(msg, 'Invalid search', query);
+      return;
+    }
+    const entries = this.search(msg.guild.id, query);
+    if (entries.length == 0) {
+      this.common.reply(msg, 'No logged actions were found.');
+      return;
+    }
+    if (format) {
+      const file = new this.Discord.MessageAttachment();
+      file.setFile(Buffer.from(ModLog.format(entries, format)));
+      file.setName(`ModLog-${msg.guild.id}.${format}`);
+      msg.channel.send(`Exported ${entries.length} logged actions`, file)
+          .catch((err) => {
+            this.error('Failed to send modLog export: ' + msg.channel.id);
+            console.error(err);
+            this.common.reply(msg, 'Failed to send export.');
+          });
+      return;
+    }
+    const lines = entries.slice(0, ModLog.searchDisplayLimit).map((el) => {
+      const caseId = el.caseId != null ? `#${el.caseId} ` : '';
+      const user = el.user ? ` ${el.userTag || el.user}` : '';
+      const mod = el.moderatorTag ? ` by ${el.moderatorTag}` : '';
+      const info = el.message ? `: ${el.message}` : '';
+      return `${caseId}${new Date(el.time).toUTCString()} ${
+        this._actionString(el.action)}${user}${mod}${info}`.substr(0, 200);
+    });
+    let title = `Found ${entries.length} logged actions`;
+    if (entries.length > lines.length) {
+      title += ` (showing newest ${lines.length})`;
+    }
+    this.common.reply(msg, title, lines.join('\n'));
+  }
+
+  /**
+   * @description Parse a search query from a string. Users may be mentioned or
+   * given by ID, and `by:@user` or `mod:@user` filter by moderator.
+   * `action:ban` filters by action, `since 7d` and `until 1d` filter by time
+   * ago, and `limit:20` limits the number of results. Any other words must be
+   * found in the additional information of the action.
+   * @public
+   * @param {string} text The query to parse.
+   * @returns {ModLog~Query|string} The parsed query, or an error message string
+   * if the query was invalid.
+   */
+  parseQuery(text) {
+    const query = {};
+    const words = [];
+    const tokens = text.trim().split(/\s+/).filter((el) => el);
+    const idRegex = /^<?@?!?(\d{17,19})>?$/;
+    for (let i = 0; i < tokens.length; i++) {
+      const match = tokens[i].match(/^([a-z]+):(.*)$/i);
+      let key = match ? match[1].toLowerCase() : tokens[i].toLowerCase();
+      let value = match ? match[2] : null;
+      if (!match && (key === 'since' || key === 'until')) {
+        value = tokens[++i];
+      } else if (!match) {
+        key = null;
+      }
+      switch (key) {
+        case 'since':
+        case 'until': {
+          const ms = this.common.stringToMilliseconds(value || '');
+          if (!(ms > 0)) return `Unable to parse time: ${value || ''}`;
+          query[key] = Date.now() - ms;
+          break;
+        }
+        case 'action':
+          query.action = value;
+          break;
+        case 'by':
+        case 'mod':
+        case 'moderator':
+        case 'user': {
+          const id = (value || '').match(idRegex);
+          if (!id) return `Invalid user: ${value}`;
+          query[key === 'user' ? 'user' : 'moderator'] = id[1];
+          break;
+        }
+        case 'limit':
+          query.limit = Math.floor(value * 1);
+          if (!(query.limit > 0)) return `Invalid limit: ${value}`;
+          break;
+        default: {
+          const id = tokens[i].match(idRegex);
+          if (id) {
+            query.user = id[1];
+          } else if (i > 0 || tokens[i].toLowerCase() !== 'search') {
+            words.push(tokens[i]);
+          }
+        }
+      }
+    }
+    if (words.length > 0) query.text = words.join(' ');
+    return query;
+  }
+
+  /**
+   * @description Search the actions that have been logged in a guild.
+   * @public
+   * @param {string} gId The ID of the guild to search.
+   * @param {ModLog~Query} [query={}] The filters to apply.
+   * @returns {ModLog~Entry[]} The matching entries, newest first.
+   */
+  search(gId, query = {}) {
+    const history = this._history[gId] || [];
+    const text =
+        typeof query.text === 'string' && query.text.toLocaleLowerCase();
+    const action =
+        typeof query.action === 'string' && query.action.toLowerCase();
+    const output = [];
+    for (let i = history.length - 1; i >= 0; i--) {
+      const el = history[i];
+      if (query.limit > 0 && output.length >= query.limit) break;
+      if (query.user && el.user !== query.user) continue;
+      if (query.moderator && el.moderator !== query.moderator) continue;
+      if (action && el.action.toLowerCase() !== action) continue;
+      if (query.since && el.time < query.since) continue;
+      if (query.until && el.time >= query.until) continue;
+      if (text) {
+        const info = `${el.message || ''}\n${el.message2 || ''}`;
+        if (!info.toLocaleLowerCase().includes(text)) continue;
+      }
+      output.push(el);
+    }
+    return output;
+  }
+
+  /**
+   * @description Store an action that was logged in a guild.
+   * @private
+   * @param {string} gId The ID of the guild the action took place in.
+   * @param {ModLog~Entry} entry The action to store.
+   */
+  _record(gId, entry) {
+    if (!this._history[gId]) this._history[gId] = [];
+    const history = this._history[gId];
+    history.push(entry);
+    if (history.length > ModLog.historyLimit) {
+      history.splice(0, history.length - ModLog.historyLimit);
+    }
+    this._historyDirty[gId] = true;
+  }
+
   /**
    * @description Set the log channel for a guild.
    * @public
@@ -143,12 +407,28 @@ class ModLog extends SubModule {
         return 'Purged Messages';
       case 'messageDelete':
         return 'Deleted a Message';
+      case 'messageEdit':
+        return 'Edited a Message';
       case 'memberJoin':
         return 'Joined the Server';
       case 'memberLeave':
         return 'Left the Server';
       case 'lockdown':
         return 'Raid Lockdown Started';
+      case 'verify':
+        return 'Held for Verification';
+      case 'verified':
+        return 'Passed Verification';
+      case 'warn':
+        return 'Warned';
+      case 'pardon':
+        return 'Pardoned';
+      case 'unmute':
+        return 'Unmuted';
+      case 'unban':
+        return 'Unbanned';
+      case 'automod':
+        return 'AutoMod Removed a Message';
       default:
         return `${action[0].toLocaleUpperCase()}${action.slice(1)}`;
     }
@@ -178,12 +458,28 @@ class ModLog extends SubModule {
         return 'BLUE';
       case 'messageDelete':
         return 'DARK_BLUE';
+      case 'messageEdit':
+        return 'NAVY';
       case 'memberJoin':
         return 'GREEN';
       case 'memberLeave':
         return 'GREY';
       case 'lockdown':
         return 'DARK_NAVY';
+      case 'verify':
+        return 'PURPLE';
+      case 'verified':
+        return 'GREEN';
+      case 'warn':
+        return 'LUMINOUS_VIVID_PINK';
+      case 'pardon':
+        return 'AQUA';
+      case 'unmute':
+        return 'DARK_GREEN';
+      case 'unban':
+        return 'DARK_AQUA';
+      case 'automod':
+        return 'DARK_RED';
       default:
         return 'DEFAULT';
     }
@@ -202,15 +498,35 @@ class ModLog extends SubModule {
    * message.
    * @param {string} [message2=null] Additional information to attach to the log
    * message.
+   * @param {?number} [caseId=null] The number of the infraction case this
+   * action is recorded as, if any.
+   * @param {?external:Discord~MessageAttachment} [file=null] A file to upload
+   * with the log message. The file is not stored in the history.
    */
-  output(guild, action, user, owner, message, message2) {
+  output(guild, action, user, owner, message, message2, caseId, file) {
     const s = this._settings[guild.id];
     if (!s || !s.channel) return;
     if (!s.check(action)) return;
+    // Only actions the guild chose to log are stored in the history.
+    this._record(guild.id, {
+      time: Date.now(),
+      action: action,
+      user: user ? user.id : null,
+      userTag: user ? user.tag : null,
+      moderator: owner ? owner.id : null,
+      moderatorTag: owner ? owner.tag : null,
+      message: message != null ? `${message}` : null,
+      message2: message2 != null ? `${message2}` : null,
+      caseId: caseId != null ? caseId : null,
+    });
     const channel = guild.channels.get(s.channel);
     if (!channel) return;
     const embed = new this.Discord.MessageEmbed();
-    embed.setTitle(this._actionString(action));
+    if (caseId != null) {
+      embed.setTitle(`Case #${caseId}: ${this._actionString(action)}`);
+    } else {
+      embed.setTitle(this._actionString(action));
+    }
     embed.setColor(this._actionColor(action));
     embed.setFooter(new Date().toString());
     if (user) {
@@ -228,10 +544,152 @@ class ModLog extends SubModule {
       }
     }
     embed.setTimestamp();
-    channel.send(embed);
+    if (file) {
+      channel.send({embed: embed, files: [file]});
+    } else {
+      channel.send(embed);
+    }
   }
 }
 
+/**
+ * @description Maximum number of logged actions stored for each guild. The
+ * oldest entries are removed first.
+ * @public
+ * @static
+ * @constant
+ * @type {number}
+ * @default
+ */
+ModLog.historyLimit = 10000;
+
+/**
+ * @description Maximum number of search results shown in a message.
+ * @public
+ * @static
+ * @constant
+ * @type {number}
+ * @default
+ */
+ModLog.searchDisplayLimit = 10;
+
+/**
+ * @description The columns of each row when exporting logged actions as CSV.
+ * @public
+ * @static
+ * @constant
+ * @type {string[]}
+ * @default
+ */
+ModLog.exportColumns = [
+  'time',
+  'date',
+  'action',
+  'caseId',
+  'user',
+  'userTag',
+  'moderator',
+  'moderatorTag',
+  'message',
+  'message2',
+];
+
+/**
+ * @description Format logged actions for export.
+ * @public
+ * @static
+ * @param {ModLog~Entry[]} entries The entries to format.
+ * @param {string} format The format to export as. `csv` or `json`.
+ * @returns {string} The formatted entries.
+ */
+ModLog.format = function(entries, format) {
+  if (format === 'json') return JSON.stringify(entries, null, 2);
+  const escape = function(value) {
+    if (value == null) return '';
+    value = `${value}`;
+    // Spreadsheets run cells starting with these as formulas.
+    if (/^[=+\-@\t\r]/.test(value)) value = `'${value}`;
+    if (!/[",\r\n]/.test(value)) return value;
+    return `"${value.replace(/"/g, '""')}"`;
+  };
+  const rows = entries.map((el) => {
+    return ModLog.exportColumns
+        .map((col) => {
+          if (col === 'date') return new Date(el.time).toISOString();
+          return escape(el[col]);
+        })
+        .join(',');
+  });
+  return [ModLog.exportColumns.join(',')].concat(rows).join('\r\n');
+};
+
+/**
+ * @description Show the words that changed between two versions of a message.
+ * Removed words are struck through, and added words are bold.
+ * @public
+ * @static
+ * @param {string} before The original text.
+ * @param {string} after The new text.
+ * @returns {string} The text with changes marked.
+ */
+ModLog.diff = function(before, after) {
+  const a = before.split(/(\s+)/);
+  const b = after.split(/(\s+)/);
+  if (a.length * b.length > ModLog.diffLimit) {
+    return `~~${before}~~\n**${after}**`;
+  }
+  // Longest common subsequence table, lengths of suffixes.
+  const table = [];
+  for (let i = a.length; i >= 0; i--) {
+    table[i] = [];
+    for (let j = b.length; j >= 0; j--) {
+      if (i == a.length || j == b.length) {
+        table[i][j] = 0;
+      } else if (a[i] === b[j]) {
+        table[i][j] = table[i + 1][j + 1] + 1;
+      } else {
+        table[i][j] = Math.max(table[i + 1][j], table[i][j + 1]);
+      }
+    }
+  }
+  const output = [];
+  const push = function(word, mark) {
+    if (!word) return;
+    if (!mark || !word.trim()) {
+      output.push(word);
+    } else {
+      output.push(`${mark}${word}${mark}`);
+    }
+  };
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push(a[i++]);
+      j++;
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      push(a[i++], '~~');
+    } else {
+      push(b[j++], '**');
+    }
+  }
+  while (i < a.length) push(a[i++], '~~');
+  while (j < b.length) push(b[j++], '**');
+  return output.join('');
+};
+
+/**
+ * @description Maximum product of the number of words in two messages that
+ * will be compared word by word in {@link ModLog.diff}. Longer messages show
+ * the entire before and after text instead.
+ * @public
+ * @static
+ * @constant
+ * @type {number}
+ * @default
+ */
+ModLog.diffLimit = 250000;
+
 /**
  * @description Settings for moderation logging.
  * @memberof ModLog
@@ -270,6 +728,14 @@ class Settings {
      * @default
      */
     this.logMutes = false;
+    /**
+     * @description Should the bot log when users are warned or infractions are
+     * pardoned?
+     * @public
+     * @type {boolean}
+     * @default
+     */
+    this.logWarnings = false;
     /**
      * @description Should the bot log when users abuse mentions?
      * @public
@@ -291,6 +757,31 @@ class Settings {
      * @default
      */
     this.logMessageDelete = false;
+    /**
+     * @description Should the content and attachment names of deleted messages
+     * be included when they are logged? Off unless the guild opts in, since the
+     * content is kept in the guild's history.
+     * @public
+     * @type {boolean}
+     * @default
+     */
+    this.logDeletedContent = false;
+    /**
+     * @description Should the bot log when a message is edited, showing what
+     * was changed?
+     * @public
+     * @type {boolean}
+     * @default
+     */
+    this.logMessageEdit = false;
+    /**
+     * @description Should a transcript of the deleted messages be uploaded
+     * when messages are purged?
+     * @public
+     * @type {boolean}
+     * @default
+     */
+    this.logPurgeTranscript = false;
     /**
      * @description Should the bot log when a lockdown is started?
      * @public
@@ -298,6 +789,13 @@ class Settings {
      * @default
      */
     this.logRaidLockdown = false;
+    /**
+     * @description Should the bot log when AutoMod removes a message?
+     * @public
+     * @type {boolean}
+     * @default
+     */
+    this.logAutoMod = false;
     /**
      * Log other actions that have not been classified.
      *
@@ -320,23 +818,34 @@ class Settings {
       case 'kick':
         return this.logKicks;
       case 'ban':
+      case 'unban':
         return this.logBans;
       case 'mute':
+      case 'unmute':
       case 'warnAndMute':
       case 'smite':
         return this.logMutes;
+      case 'warn':
+      case 'pardon':
+        return this.logWarnings;
       case 'mentionAbuse':
         return this.logMentionAbuse;
       case 'messagePurge':
         return this.logMessagePurge;
       case 'messageDelete':
         return this.logMessageDelete;
+      case 'messageEdit':
+        return this.logMessageEdit;
       case 'memberLeave':
         return this.logMemberLeave;
       case 'memberJoin':
         return this.logMemberJoin;
       case 'lockdown':
+      case 'verify':
+      case 'verified':
         return this.logRaidLockdown;
+      case 'automod':
+        return this.logAutoMod;
       default:
         return this.logOther;
     }
@@ -357,12 +866,17 @@ Settings.from = function(obj) {
   output.logKicks = obj.logKicks || false;
   output.logBans = obj.logBans || false;
   output.logMutes = obj.logMutes || false;
+  output.logWarnings = obj.logWarnings || false;
   output.logMentionAbuse = obj.logMentionAbuse || false;
   output.logMessagePurge = obj.logMessagePurge || false;
   output.logMessageDelete = obj.logMessageDelete || false;
+  output.logDeletedContent = obj.logDeletedContent || false;
+  output.logMessageEdit = obj.logMessageEdit || false;
+  output.logPurgeTranscript = obj.logPurgeTranscript || false;
   output.logMemberLeave = obj.logMemberLeave || false;
   output.logMemberJoin = obj.logMemberJoin || false;
   output.logRaidLockdown = obj.logRaidLockdown || false;
+  output.logAutoMod = obj.logAutoMod || false;
   output.logOther = obj.logOther || false;
   return output;
 };
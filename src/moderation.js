@@ -3,6 +3,38 @@
 const fs = require('fs');
 const SubModule = require('./subModule.js');
 
+/**
+ * @description A single numbered case in a guild's infraction ledger.
+ * @typedef {object} Moderation~Infraction
+ *
+ * @property {number} id The case number, unique within the guild.
+ * @property {string} user The ID of the user the action was taken against.
+ * @property {?string} moderator The ID of the moderator who took the action,
+ * or null if it was taken automatically.
+ * @property {string} action The action that was taken. (`warn`, `mute`,
+ * `kick`, or `ban`).
+ * @property {?string} reason The reason given by the moderator.
+ * @property {string[]} evidence URLs to messages, screenshots or other files
+ * supporting the case.
+ * @property {number} time Timestamp of when the action was taken.
+ * @property {?number} expires Timestamp of when a mute or ban will be lifted
+ * automatically, or null if it is permanent.
+ * @property {boolean} expired True if the action has been lifted
+ * automatically.
+ * @property {?{moderator: ?string, reason: ?string, time: number}} pardon
+ * Information about the case being pardoned, or null if it is still active.
+ */
+
+/**
+ * @description The infraction history and settings of a single guild.
+ * @typedef {object} Moderation~Ledger
+ *
+ * @property {number} nextCase The number to give the next case.
+ * @property {Moderation~Infraction[]} cases All cases in the guild.
+ * @property {object.<string>} escalation Number of active warnings mapped to
+ * the action to take automatically once a user reaches that many.
+ */
+
 /**
  * @description Handle all moderator related commands and control.
  * @augments SubModule
@@ -38,6 +70,21 @@ class Moderation extends SubModule {
      * @type {object.<object.<string>>}
      */
     this._mentionAccumulator = {};
+    /**
+     * Infraction ledgers mapped by the ID of the guild they are for.
+     *
+     * @private
+     * @type {object.<Moderation~Ledger>}
+     */
+    this._ledgers = {};
+    /**
+     * Timeouts to lift temporary mutes and bans, mapped by guild id and case
+     * number joined with a `/`.
+     *
+     * @private
+     * @type {object.<Timeout>}
+     */
+    this._expiryTimeouts = {};
     /**
      * All of the possible messages to show when using the ban command.
      *
@@ -65,9 +112,24 @@ class Moderation extends SubModule {
     this.muteMember = this.muteMember.bind(this);
     this._onMessageDelete = this._onMessageDelete.bind(this);
     this._onMessageDeleteBulk = this._onMessageDeleteBulk.bind(this);
+    this._onMessageUpdate = this._onMessageUpdate.bind(this);
     this._onGuildMemberRemove = this._onGuildMemberRemove.bind(this);
     this._onGuildMemberAdd = this._onGuildMemberAdd.bind(this);
+    this.addInfraction = this.addInfraction.bind(this);
+    this.getInfractions = this.getInfractions.bind(this);
+    this.countWarnings = this.countWarnings.bind(this);
+    this.pardon = this.pardon.bind(this);
+    this.setEscalation = this.setEscalation.bind(this);
+    this.unmuteMember = this.unmuteMember.bind(this);
+    this.parseDuration = this.parseDuration.bind(this);
+    this._expire = this._expire.bind(this);
     this._commandKick = this._commandKick.bind(this);
+    this._commandMute = this._commandMute.bind(this);
+    this._commandUnmute = this._commandUnmute.bind(this);
+    this._commandWarn = this._commandWarn.bind(this);
+    this._commandInfractions = this._commandInfractions.bind(this);
+    this._commandPardon = this._commandPardon.bind(this);
+    this._commandEscalation = this._commandEscalation.bind(this);
   }
   /** @inheritdoc */
   initialize() {
@@ -118,8 +180,66 @@ class Moderation extends SubModule {
           defaultDisabled: true,
           permissions: this.Discord.Permissions.FLAGS.KICK_MEMBERS,
         }));
+    const muteOpts = new this.command.CommandSetting({
+      validOnlyInGuild: true,
+      defaultDisabled: true,
+      permissions: this.Discord.Permissions.FLAGS.MANAGE_ROLES,
+    });
+    this.command.on(
+        new this.command.SingleCommand(
+            ['mute'], this._commandMute, muteOpts));
+    this.command.on(
+        new this.command.SingleCommand(
+            ['unmute'], this._commandUnmute, muteOpts));
+    const caseOpts = new this.command.CommandSetting({
+      validOnlyInGuild: true,
+      defaultDisabled: true,
+      permissions: this.Discord.Permissions.FLAGS.KICK_MEMBERS,
+    });
+    this.command.on(
+        new this.command.SingleCommand(
+            ['warn'], this._commandWarn, caseOpts));
+    this.command.on(
+        new this.command.SingleCommand(
+            ['infractions', 'warnings', 'cases'], this._commandInfractions,
+            caseOpts));
+    this.command.on(
+        new this.command.SingleCommand(
+            ['pardon', 'unwarn'], this._commandPardon, caseOpts));
+    this.command.on(
+        new this.command.SingleCommand(
+            ['escalation', 'escalate'], this._commandEscalation, {
+              validOnlyInGuild: true,
+              defaultDisabled: true,
+              permissions: this.Discord.Permissions.FLAGS.MANAGE_GUILD |
+                  this.Discord.Permissions.FLAGS.BAN_MEMBERS,
+            }));
 
     this.client.guilds.forEach((g) => {
+      // Read synchronously so cases recorded before loading has finished
+      // can't be overwritten or reuse case numbers.
+      let file;
+      try {
+        file = fs.readFileSync(
+            `${this.common.guildSaveDir}${g.id}/infractions.json`);
+      } catch (err) {
+        if (err.code !== 'ENOENT') {
+          this.error('Failed to read infractions: ' + g.id);
+          console.error(err);
+        }
+      }
+      if (file) {
+        try {
+          this._ledgers[g.id] =
+              Object.assign(this._getLedger(g.id), JSON.parse(file));
+          this._ledgers[g.id].cases.forEach((el) => {
+            if (el.expires && !el.expired) this._scheduleExpiry(g.id, el);
+          });
+        } catch (e) {
+          this.error('Failed to parse infractions: ' + g.id);
+          console.error(e);
+        }
+      }
       if (!fs.existsSync(
           `${this.common.guildSaveDir}${g.id}/moderation.json`)) {
         // This is here to upgrade to new file-system. After first load
@@ -163,6 +283,7 @@ class Moderation extends SubModule {
     });
     this.client.on('messageDelete', this._onMessageDelete);
     this.client.on('messageDeleteBulk', this._onMessageDeleteBulk);
+    this.client.on('messageUpdate', this._onMessageUpdate);
     this.client.on('guildMemberRemove', this._onGuildMemberRemove);
     this.client.on('guildMemberAdd', this._onGuildMemberAdd);
   }
@@ -174,10 +295,20 @@ class Moderation extends SubModule {
     this.command.removeListener('togglemute');
     this.command.removeListener('togglebanmessages'); */
     this.command.removeListener('kick');
+    this.command.removeListener('mute');
+    this.command.removeListener('unmute');
+    this.command.removeListener('warn');
+    this.command.removeListener('infractions');
+    this.command.removeListener('pardon');
+    this.command.removeListener('escalation');
     this.client.removeListener('messageDelete', this._onMessageDelete);
     this.client.removeListener('messageDeleteBulk', this._onMessageDeleteBulk);
+    this.client.removeListener('messageUpdate', this._onMessageUpdate);
     this.client.removeListener('guildMemberRemove', this._onGuildMemberRemove);
     this.client.removeListener('guildMemberAdd', this._onGuildMemberAdd);
+    Object.values(this._expiryTimeouts)
+        .forEach((el) => this.client.clearTimeout(el));
+    this._expiryTimeouts = {};
   }
   /** @inheritdoc */
   save(opt) {
@@ -196,6 +327,15 @@ class Moderation extends SubModule {
         this.common.mkAndWriteSync(filename, dir, JSON.stringify(data));
       }
     });
+    Object.entries(this._ledgers).forEach((obj) => {
+      const dir = `${this.common.guildSaveDir}${obj[0]}/`;
+      const filename = `${dir}infractions.json`;
+      if (opt == 'async') {
+        this.common.mkAndWrite(filename, dir, JSON.stringify(obj[1]));
+      } else {
+        this.common.mkAndWriteSync(filename, dir, JSON.stringify(obj[1]));
+      }
+    });
   }
 
   /**
@@ -214,12 +354,37 @@ class Moderation extends SubModule {
         msg.content === '`Autoplaying...`') {
       return;
     }
-    const files = msg.attachments.map((el) => el.url);
+    const s = modLog.getSettings(msg.guild.id);
+    if (!s.check('messageDelete')) return;
+    let content = null;
+    if (s.logDeletedContent) {
+      const files = msg.attachments.map((el) => el.name);
+      content = msg.content.substr(0, 900);
+      if (files.length > 0) {
+        content += `\n\nFiles: ${files.join(', ')}`.substr(0, 100);
+      }
+    }
     modLog.output(
         msg.guild, 'messageDelete', null, null,
-        `${tag}'s (${id}) message in #${channel}`, files.length > 0 ?
-            `${msg.content.substr(0, 100)}\n\nFiles: ${files.join(' ')}` :
-            msg.content);
+        `${tag}'s (${id}) message in #${channel}`, content || null);
+  }
+  /**
+   * @description Handle logging when a message is edited.
+   * @private
+   * @param {external:Discord~Message} oldMsg The message before it was edited.
+   * @param {external:Discord~Message} newMsg The message after it was edited.
+   */
+  _onMessageUpdate(oldMsg, newMsg) {
+    if (!newMsg.guild || !newMsg.author || newMsg.author.bot) return;
+    // Embeds being loaded also fire updates without the content changing.
+    if (oldMsg.content === newMsg.content) return;
+    const modLog = this.bot.getSubmodule('./modLog.js');
+    if (!modLog) return;
+    if (!modLog.getSettings(newMsg.guild.id).check('messageEdit')) return;
+    const diff = modLog.constructor.diff(oldMsg.content, newMsg.content);
+    modLog.output(
+        newMsg.guild, 'messageEdit', newMsg.author, null,
+        `Edited in #${newMsg.channel.name}`, diff.substr(0, 1000));
   }
   /**
    * @description Handle logging when multiple messages are deleted.
@@ -244,9 +409,26 @@ class Moderation extends SubModule {
     } else {
       channels = channels.join(', ');
     }
+    const guild = msgs.first().guild;
+    let file = null;
+    if (modLog.getSettings(guild.id).logPurgeTranscript) {
+      const lines = msgs.array()
+          .sort((a, b) => a.createdTimestamp - b.createdTimestamp)
+          .map((m) => {
+            const files = m.attachments.map((el) => el.name);
+            const author =
+                m.author ? `${m.author.tag} (${m.author.id})` : 'Unknown';
+            return `[${new Date(m.createdTimestamp).toISOString()}] #${
+              m.channel.name} ${author}: ${m.content}${
+              files.length > 0 ? ` [Files: ${files.join(', ')}]` : ''}`;
+          });
+      file = new this.Discord.MessageAttachment();
+      file.setFile(Buffer.from(lines.join('\n')));
+      file.setName(`Purge-${guild.id}-${Date.now()}.txt`);
+    }
     modLog.output(
-        msgs.first().guild, 'messagePurge', null, null,
-        `${msgs.size} messages deleted from ${channels}.`);
+        guild, 'messagePurge', null, null,
+        `${msgs.size} messages deleted from ${channels}.`, null, null, file);
   }
   /**
    * @description Handle a guild member leaving the guild.
@@ -383,6 +565,357 @@ class Moderation extends SubModule {
     }
   }
 
+  /**
+   * @description Remove the muted role given by {@link Moderation#muteMember}
+   * from a guild member.
+   * @public
+   * @param {external:Discord~GuildMember} member The member of the guild to
+   * unmute.
+   * @param {Function} cb Callback function with a single argument which is a
+   * string if there was an error, or null if success.
+   */
+  unmuteMember(member, cb) {
+    const muteRole = member.roles.find((el) => el.name == 'Muted');
+    if (!muteRole) {
+      cb(null);
+      return;
+    }
+    member.roles.remove(muteRole)
+        .then(() => cb(null))
+        .catch((err) => {
+          this.error(
+              'Failed to unmute member: ' + member.guild.id + '@' + member.id);
+          console.error(err);
+          cb('Failed to remove role');
+        });
+  }
+
+  /**
+   * @description Get the infraction ledger for a guild.
+   * @private
+   * @param {string} gId The ID of the guild.
+   * @returns {Moderation~Ledger} The guild's ledger, created if it doesn't
+   * exist yet.
+   */
+  _getLedger(gId) {
+    if (!this._ledgers[gId]) {
+      this._ledgers[gId] = {nextCase: 1, cases: [], escalation: {}};
+    }
+    return this._ledgers[gId];
+  }
+
+  /**
+   * @description Record a new case in a guild's infraction ledger, and log it
+   * in the guild's mod log. If the action is a warning, any configured
+   * escalation is applied.
+   * @public
+   * @param {external:Discord~Guild} guild The guild the action was taken in.
+   * @param {external:Discord~User} user The user the action was taken against.
+   * @param {?external:Discord~User} moderator The moderator who took the
+   * action, or null if it was automatic.
+   * @param {string} action The action that was taken.
+   * @param {?string} [reason=null] The reason for the action.
+   * @param {string[]} [evidence=[]] URLs to evidence supporting the case.
+   * @param {number} [duration=0] Milliseconds until a mute or ban is lifted
+   * automatically, or 0 if it is permanent.
+   * @returns {Moderation~Infraction} The created case.
+   */
+  addInfraction(guild, user, moderator, action, reason, evidence, duration) {
+    const ledger = this._getLedger(guild.id);
+    const infraction = {
+      id: ledger.nextCase++,
+      user: user.id,
+      moderator: moderator ? moderator.id : null,
+      action: action,
+      reason: reason || null,
+      evidence: evidence || [],
+      time: Date.now(),
+      expires: null,
+      expired: false,
+      pardon: null,
+    };
+    if (duration > 0 && (action === 'mute' || action === 'ban')) {
+      infraction.expires = infraction.time + duration;
+    }
+    ledger.cases.push(infraction);
+    if (infraction.expires) this._scheduleExpiry(guild.id, infraction);
+
+    const modLog = this.bot.getSubmodule('./modLog.js');
+    if (modLog) {
+      let details = reason || 'No reason given.';
+      if (infraction.evidence.length > 0) {
+        details += `\nEvidence: ${infraction.evidence.join(' ')}`;
+      }
+      if (infraction.expires) {
+        details += `\nDuration: ${this.common.formatDelay(duration)}`;
+      }
+      modLog.output(
+          guild, action, user, moderator, details, null, infraction.id);
+    }
+    if (action === 'warn') this._escalate(guild, user);
+    return infraction;
+  }
+
+  /**
+   * @description Get all cases against a user in a guild.
+   * @public
+   * @param {string} gId The ID of the guild.
+   * @param {string} uId The ID of the user.
+   * @returns {Moderation~Infraction[]} The user's cases, oldest first.
+   */
+  getInfractions(gId, uId) {
+    const ledger = this._ledgers[gId];
+    if (!ledger) return [];
+    return ledger.cases.filter((el) => el.user === uId);
+  }
+
+  /**
+   * @description Count the warnings against a user that have not been
+   * pardoned.
+   * @public
+   * @param {string} gId The ID of the guild.
+   * @param {string} uId The ID of the user.
+   * @returns {number} Number of active warnings.
+   */
+  countWarnings(gId, uId) {
+    return this.getInfractions(gId, uId)
+        .filter((el) => el.action === 'warn' && !el.pardon)
+        .length;
+  }
+
+  /**
+   * @description Pardon a case so that it no longer counts towards escalation.
+   * The case is kept in the ledger for history.
+   * @public
+   * @param {external:Discord~Guild} guild The guild the case is in.
+   * @param {number|string} caseId The number of the case to pardon.
+   * @param {?external:Discord~User} moderator The moderator pardoning the case.
+   * @param {?string} [reason=null] The reason for the pardon.
+   * @returns {?string} Error message, or null if the case was pardoned.
+   */
+  pardon(guild, caseId, moderator, reason) {
+    const ledger = this._ledgers[guild.id];
+    const infraction = ledger && ledger.cases.find((el) => el.id == caseId);
+    if (!infraction) return `Case #${caseId} does not exist.`;
+    if (infraction.pardon) return `Case #${caseId} has already been pardoned.`;
+    infraction.pardon = {
+      moderator: moderator ? moderator.id : null,
+      reason: reason || null,
+      time: Date.now(),
+    };
+    const modLog = this.bot.getSubmodule('./modLog.js');
+    if (modLog) {
+      modLog.output(
+          guild, 'pardon', this.client.users.get(infraction.user) || null,
+          moderator, `Pardoned ${this._actionName(infraction.action)}`,
+          reason || 'No reason given.', infraction.id);
+    }
+    return null;
+  }
+
+  /**
+   * @description Set the action to take automatically once a user reaches a
+   * number of active warnings.
+   * @public
+   * @param {string} gId The ID of the guild.
+   * @param {number|string} count The number of warnings.
+   * @param {?string} action The action to take, one of {@link
+   * Moderation.escalationActions}, or null to remove the threshold.
+   * @returns {?string} Error message, or null if the threshold was set.
+   */
+  setEscalation(gId, count, action) {
+    count = count * 1;
+    if (!Number.isInteger(count) || count < 1 || count > 100) {
+      return 'Number of warnings must be a whole number from 1 to 100.';
+    }
+    if (action && !Moderation.escalationActions.includes(action)) {
+      return `Action must be one of ${
+        Moderation.escalationActions.join(', ')}.`;
+    }
+    const ledger = this._getLedger(gId);
+    if (action) {
+      ledger.escalation[count] = action;
+    } else {
+      delete ledger.escalation[count];
+    }
+    return null;
+  }
+
+  /**
+   * @description Apply the escalation threshold a user has reached, if any.
+   * Only fires when the number of active warnings exactly matches a threshold,
+   * so each threshold is applied once.
+   * @private
+   * @param {external:Discord~Guild} guild The guild to check.
+   * @param {external:Discord~User} user The user who was just warned.
+   */
+  _escalate(guild, user) {
+    const count = this.countWarnings(guild.id, user.id);
+    const action = this._getLedger(guild.id).escalation[count];
+    if (!action) return;
+    const member = guild.members.get(user.id);
+    if (!member) return;
+    const reason = `Automatic: ${count} warnings`;
+    const done = (err) => {
+      if (err) {
+        this.error(
+            `Failed to ${action} after escalation: ${guild.id}@${user.id}`);
+        console.error(err);
+        return;
+      }
+      this.addInfraction(guild, user, null, action, reason);
+    };
+    switch (action) {
+      case 'mute':
+        this.muteMember(member, done);
+        break;
+      case 'kick':
+        member.kick(reason).then(() => done()).catch(done);
+        break;
+      case 'ban':
+        member.ban({reason: reason}).then(() => done()).catch(done);
+        break;
+    }
+  }
+
+  /**
+   * @description Parse a duration from the beginning of a string, such as
+   * `2h` or `7 days`.
+   * @public
+   * @param {string} text The text to parse.
+   * @returns {{duration: number, text: string}} The duration in milliseconds
+   * (0 if none was found), and the rest of the text after the duration.
+   */
+  parseDuration(text) {
+    const match = text.match(Moderation.durationRegex);
+    const duration = match ? this.common.stringToMilliseconds(match[1]) : 0;
+    if (!duration) return {duration: 0, text: text};
+    return {duration: duration, text: text.slice(match[0].length).trim()};
+  }
+
+  /**
+   * @description Set the timeout to lift a temporary mute or ban. Timeouts
+   * longer than {@link Moderation.maxTimeout} are split up, since Timeouts do
+   * not work properly for long durations.
+   * @private
+   * @param {string} gId The ID of the guild the case is in.
+   * @param {Moderation~Infraction} infraction The case to lift once it
+   * expires.
+   */
+  _scheduleExpiry(gId, infraction) {
+    const key = `${gId}/${infraction.id}`;
+    if (this._expiryTimeouts[key]) {
+      this.client.clearTimeout(this._expiryTimeouts[key]);
+    }
+    const delay = Math.max(0, infraction.expires - Date.now());
+    this._expiryTimeouts[key] = this.client.setTimeout(() => {
+      delete this._expiryTimeouts[key];
+      if (delay > Moderation.maxTimeout) {
+        this._scheduleExpiry(gId, infraction);
+      } else {
+        this._expire(gId, infraction.id);
+      }
+    }, Math.min(delay, Moderation.maxTimeout));
+  }
+
+  /**
+   * @description Lift a temporary mute or ban that has expired, and log it in
+   * the guild's mod log.
+   * @private
+   * @param {string} gId The ID of the guild the case is in.
+   * @param {number} caseId The number of the case that expired.
+   */
+  _expire(gId, caseId) {
+    const guild = this.client.guilds.get(gId);
+    const ledger = this._ledgers[gId];
+    if (!guild || !ledger) return;
+    const infraction = ledger.cases.find((el) => el.id === caseId);
+    if (!infraction || infraction.expired) return;
+    infraction.expired = true;
+
+    const user = this.client.users.get(infraction.user) || null;
+    const action = infraction.action === 'ban' ? 'unban' : 'unmute';
+    const reason = `Case #${caseId} expired`;
+    const done = (err) => {
+      if (err) {
+        this.error(
+            `Failed to ${action} after expiry: ${gId}@${infraction.user}`);
+        console.error(err);
+        return;
+      }
+      const modLog = this.bot.getSubmodule('./modLog.js');
+      if (modLog) {
+        modLog.output(guild, action, user, null, reason, null, caseId);
+      }
+    };
+    if (infraction.action === 'ban') {
+      guild.members.unban(infraction.user, reason)
+          .then(() => done())
+          .catch(done);
+    } else {
+      const member = guild.members.get(infraction.user);
+      // The member left the server, so there is no role to remove.
+      if (!member) return;
+      this.unmuteMember(member, done);
+    }
+  }
+
+  /**
+   * @description Get the human readable name of a case action.
+   * @private
+   * @param {string} action The action of the case.
+   * @returns {string} Human readable name.
+   */
+  _actionName(action) {
+    switch (action) {
+      case 'warn':
+        return 'Warning';
+      case 'mute':
+        return 'Mute';
+      case 'kick':
+        return 'Kick';
+      case 'ban':
+        return 'Ban';
+      default:
+        return action;
+    }
+  }
+
+  /**
+   * @description Find the members of the guild mentioned or referenced by ID in
+   * a message, and the remaining text after they are removed.
+   * @private
+   * @param {Discord~Message} msg The message to parse.
+   * @returns {{members: external:Discord~GuildMember[], text: string}} The
+   * found members and remaining text.
+   */
+  _parseTargets(msg) {
+    const members = [];
+    const add = (id) => {
+      const m = msg.guild.members.get(id);
+      if (m && !members.includes(m)) members.push(m);
+    };
+    // Only mentions and standalone IDs are targets, so IDs inside links such
+    // as message links are kept in the text.
+    const text =
+        msg.text
+            .replace(
+                this.Discord.MessageMentions.USERS_PATTERN,
+                (match, id) => {
+                  add(id);
+                  return '';
+                })
+            .replace(
+                /(^|\s)(\d{17,19})(?=\s|$)/g,
+                (match, space, id) => {
+                  add(id);
+                  return space;
+                })
+            .replace(/\s{2,}/g, ' ')
+            .trim();
+    return {members: members, text: text};
+  }
+
   /**
    * Kick a mentioed user (or role from ID) and send a message saying they were
    * banned.
@@ -452,14 +985,14 @@ class Moderation extends SubModule {
           const banMsg = 'Kicked';
           toBan.kick({reason: reason || banMsg})
               .then(() => {
-                this.common.reply(msg, banMsg, 'Kicked ' + toBan.user.username)
+                const infraction = this.addInfraction(
+                    msg.guild, toBan.user, msg.author, 'kick',
+                    reason || banMsg);
+                this.common
+                    .reply(
+                        msg, banMsg, `Kicked ${toBan.user.username} (Case #${
+                          infraction.id})`)
                     .catch(() => {});
-                const modLog = this.bot.getSubmodule('./modLog.js');
-                if (modLog) {
-                  modLog.output(
-                      msg.guild, 'kick', toBan.user, msg.author,
-                      reason || banMsg);
-                }
               })
               .catch((err) => {
                 this.common
@@ -474,6 +1007,289 @@ class Moderation extends SubModule {
       }
     });
   }
+
+  /**
+   * Mute mentioned users, optionally for an amount of time.
+   *
+   * @private
+   * @type {commandHandler}
+   * @param {Discord~Message} msg Message that triggered command.
+   * @listens Command#mute
+   */
+  _commandMute(msg) {
+    const parsed = this._parseTargets(msg);
+    if (parsed.members.length == 0) {
+      this.common.reply(
+          msg, 'You must mention someone to mute or specify an ID of ' +
+              'someone on the server.',
+          `${msg.prefix}${msg.cmd} @SpikeyRobot 2h Spamming`);
+      return;
+    }
+    const {duration, text} = this.parseDuration(parsed.text);
+    const reason = text || null;
+    parsed.members.forEach((member) => {
+      if (msg.guild.ownerID !== msg.author.id &&
+          msg.member.roles.highest.comparePositionTo(member.roles.highest) <=
+              0) {
+        this.common
+            .reply(
+                msg, 'You can\'t mute ' + member.user.username +
+                    '! You are not stronger than them!')
+            .catch(() => {});
+        return;
+      }
+      this.muteMember(member, (err) => {
+        if (err) {
+          this.common.reply(
+              msg, 'Failed to mute ' + member.user.username, err);
+          return;
+        }
+        const infraction = this.addInfraction(
+            msg.guild, member.user, msg.author, 'mute', reason, [], duration);
+        const length = infraction.expires ?
+            ` for ${this.common.formatDelay(duration)}` :
+            '';
+        this.common.reply(
+            msg, `Muted ${member.user.username}${length}`,
+            `Case #${infraction.id}`);
+      });
+    });
+  }
+
+  /**
+   * Unmute mentioned users, and cancel any timed mutes they have.
+   *
+   * @private
+   * @type {commandHandler}
+   * @param {Discord~Message} msg Message that triggered command.
+   * @listens Command#unmute
+   */
+  _commandUnmute(msg) {
+    const parsed = this._parseTargets(msg);
+    if (parsed.members.length == 0) {
+      this.common.reply(
+          msg, 'You must mention someone to unmute or specify an ID of ' +
+              'someone on the server.');
+      return;
+    }
+    parsed.members.forEach((member) => {
+      this.unmuteMember(member, (err) => {
+        if (err) {
+          this.common.reply(
+              msg, 'Failed to unmute ' + member.user.username, err);
+          return;
+        }
+        this.getInfractions(msg.guild.id, member.id).forEach((el) => {
+          if (el.action !== 'mute' || !el.expires || el.expired) return;
+          el.expired = true;
+          const key = `${msg.guild.id}/${el.id}`;
+          this.client.clearTimeout(this._expiryTimeouts[key]);
+          delete this._expiryTimeouts[key];
+        });
+        const modLog = this.bot.getSubmodule('./modLog.js');
+        if (modLog) {
+          modLog.output(msg.guild, 'unmute', member.user, msg.author);
+        }
+        this.common.reply(msg, `Unmuted ${member.user.username}`);
+      });
+    });
+  }
+
+  /**
+   * Warn mentioned users and record it in the infraction ledger. Links and
+   * attachments in the message are saved as evidence.
+   *
+   * @private
+   * @type {commandHandler}
+   * @param {Discord~Message} msg Message that triggered command.
+   * @listens Command#warn
+   */
+  _commandWarn(msg) {
+    const parsed = this._parseTargets(msg);
+    if (parsed.members.length == 0) {
+      this.common.reply(
+          msg, 'You must mention someone to warn or specify an ID of ' +
+              'someone on the server.');
+      return;
+    }
+    const urlRegex = /https?:\/\/\S+/g;
+    const evidence = (parsed.text.match(urlRegex) || [])
+        .concat(msg.attachments.map((el) => el.url));
+    const reason =
+        parsed.text.replace(urlRegex, '').replace(/\s{2,}/g, ' ').trim() ||
+        null;
+    const warned = [];
+    parsed.members.forEach((member) => {
+      if (msg.guild.ownerID !== msg.author.id &&
+          msg.member.roles.highest.comparePositionTo(member.roles.highest) <=
+              0) {
+        this.common
+            .reply(
+                msg, 'You can\'t warn ' + member.user.username +
+                    '! You are not stronger than them!')
+            .catch(() => {});
+        return;
+      }
+      const infraction = this.addInfraction(
+          msg.guild, member.user, msg.author, 'warn', reason, evidence);
+      warned.push(`${member.user.username} (Case #${infraction.id})`);
+      member.user
+          .send(
+              `You have been warned in ${msg.guild.name}` +
+              (reason ? `: ${reason}` : '.'))
+          .catch(() => {});
+    });
+    if (warned.length == 0) return;
+    this.common.reply(msg, 'Warned', warned.join('\n'));
+  }
+
+  /**
+   * Show all cases against a mentioned user.
+   *
+   * @private
+   * @type {commandHandler}
+   * @param {Discord~Message} msg Message that triggered command.
+   * @listens Command#infractions
+   * @listens Command#warnings
+   * @listens Command#cases
+   */
+  _commandInfractions(msg) {
+    const member = this._parseTargets(msg).members[0];
+    if (!member) {
+      this.common.reply(
+          msg, 'You must mention someone to view their infractions or ' +
+              'specify an ID of someone on the server.');
+      return;
+    }
+    const cases = this.getInfractions(msg.guild.id, member.id);
+    if (cases.length == 0) {
+      this.common.reply(
+          msg, `${member.user.tag} has no infractions.`, member.id);
+      return;
+    }
+    const embed = new this.Discord.MessageEmbed();
+    embed.setTitle(`Infractions for ${member.user.tag}`);
+    embed.setColor([255, 0, 255]);
+    const count = this.countWarnings(msg.guild.id, member.id);
+    embed.setDescription(`${count} active warning${count == 1 ? '' : 's'}`);
+    // Embeds are limited to 25 fields, so only the latest cases are shown.
+    cases.slice(-25).reverse().forEach((el) => {
+      const title = `Case #${el.id}: ${this._actionName(el.action)}`;
+      const mod = el.moderator ? `<@${el.moderator}>` : 'Automatic';
+      let body = `${el.reason || 'No reason given.'}\nBy ${mod} on ${
+        new Date(el.time).toDateString()}`;
+      if (el.evidence.length > 0) body += `\n${el.evidence.join(' ')}`;
+      if (el.pardon) {
+        const why = el.pardon.reason || 'No reason given.';
+        body = `~~${body}~~\nPardoned: ${why}`;
+      }
+      embed.addField(title, body.substr(0, 1024));
+    });
+    msg.channel.send(this.common.mention(msg), embed).catch((err) => {
+      this.error('Failed to send infractions: ' + msg.channel.id);
+      console.error(err);
+    });
+  }
+
+  /**
+   * Pardon a case so it no longer counts towards escalation.
+   *
+   * @private
+   * @type {commandHandler}
+   * @param {Discord~Message} msg Message that triggered command.
+   * @listens Command#pardon
+   * @listens Command#unwarn
+   */
+  _commandPardon(msg) {
+    const match = msg.text.match(/^\s*#?(\d+)\s*(.*)$/);
+    if (!match) {
+      this.common.reply(
+          msg, 'Please specify the case number to pardon.',
+          `${msg.prefix}${msg.cmd} 12 Apologized`);
+      return;
+    }
+    const err =
+        this.pardon(msg.guild, match[1], msg.author, match[2].trim() || null);
+    if (err) {
+      this.common.reply(msg, 'Unable to pardon case.', err);
+    } else {
+      this.common.reply(msg, `Pardoned case #${match[1]}`);
+    }
+  }
+
+  /**
+   * Show or change the actions taken automatically after a number of warnings.
+   *
+   * @private
+   * @type {commandHandler}
+   * @param {Discord~Message} msg Message that triggered command.
+   * @listens Command#escalation
+   * @listens Command#escalate
+   */
+  _commandEscalation(msg) {
+    const args = msg.text.trim().split(/\s+/).filter((el) => el);
+    if (args.length == 0) {
+      const escalation = this._getLedger(msg.guild.id).escalation;
+      const list = Object.keys(escalation)
+          .sort((a, b) => a - b)
+          .map((el) => `${el} warnings: ${escalation[el]}`);
+      this.common.reply(
+          msg, 'Warning Escalation',
+          list.join('\n') || 'No automatic actions are configured.');
+      return;
+    }
+    let action = (args[1] || '').toLowerCase();
+    if (['none', 'off', 'remove'].includes(action)) action = null;
+    if (action === '') {
+      this.common.reply(
+          msg, 'Please specify a number of warnings and an action.',
+          `${msg.prefix}${msg.cmd} 3 mute`);
+      return;
+    }
+    const err = this.setEscalation(msg.guild.id, args[0], action);
+    if (err) {
+      this.common.reply(msg, 'Unable to change escalation.', err);
+    } else if (action) {
+      const past = {mute: 'muted', kick: 'kicked', ban: 'banned'};
+      this.common.reply(
+          msg, `Users will be ${past[action]} after ${args[0]} warnings.`);
+    } else {
+      this.common.reply(msg, `Removed action after ${args[0]} warnings.`);
+    }
+  }
 }
 
+/**
+ * @description Actions that may be taken automatically after a number of
+ * warnings.
+ * @public
+ * @static
+ * @constant
+ * @type {string[]}
+ * @default
+ */
+Moderation.escalationActions = ['mute', 'kick', 'ban'];
+
+/**
+ * @description The maximum amount of time to set a Timeout for. The JS limit is
+ * 24 days, after which Timeouts do not work properly.
+ * @public
+ * @static
+ * @constant
+ * @type {number}
+ * @default 14 Days
+ */
+Moderation.maxTimeout = 14 * 24 * 60 * 60 * 1000;
+
+/**
+ * @description Matches a possible duration at the beginning of a string, such
+ * as `2h`, `30 min` or `7days`. The first group is the matched text, which is
+ * only a duration if it has a known unit.
+ * @public
+ * @static
+ * @constant
+ * @type {RegExp}
+ */
+Moderation.durationRegex = /^(\d+(?:\.\d+)?\s*[a-z]+)(?:\s+|$)/i;
+
 module.exports = new Moderation();
@@ -11,6 +11,7 @@ const SubModule = require('./subModule.js');
  * @fires RaidBlock#shutdown
  * @fires RaidBlock#lockdown
  * @fires RaidBlock#action
+ * @fires RaidBlock#risk
  */
 class RaidBlock extends SubModule {
   /**
@@ -36,9 +37,19 @@ class RaidBlock extends SubModule {
      * @default
      */
     this._events = {};
+    /**
+     * Number of times each invite has been used, mapped by guild id, then
+     * invite code. Used to find which invite a new member joined with.
+     *
+     * @private
+     * @type {object.<object.<number>>}
+     * @default
+     */
+    this._inviteUses = {};
     this.save = this.save.bind(this);
     this.on = this.on.bind(this);
     this.removeListener = this.removeListener.bind(this);
+    this.assessRisk = this.assessRisk.bind(this);
     this._commandLockdown = this._commandLockdown.bind(this);
     this._onGuildMemberAdd = this._onGuildMemberAdd.bind(this);
   }
@@ -145,23 +156,154 @@ class RaidBlock extends SubModule {
     s.history.push({time: now, id: member.id});
     if (s.enabled) {
       if (s.numJoin <= s.history.length) {
-        this._fire('lockdown', {id: member.guild.id, settings: s});
-        if (now - s.start >= s.duration) {
-          this._modLog(
-              member.guild, 'lockdown', null, null,
-              'Lockdown Activated Automatically');
-          for (let i = 0; s.history[i].time < now; i++) {
-            const m = member.guild.members.get(s.history[i].id);
-            if (m) this._doAction(m, s);
-          }
-        }
-        s.start = now;
+        this._lockdown(
+            member.guild, s, now, 'Lockdown Activated Automatically');
       }
 
       if (now - s.start < s.duration) {
         this._doAction(member, s);
+      } else if (s.riskThreshold > 0) {
+        this._checkRisk(member, s, now);
+      }
+    }
+  }
+
+  /**
+   * @description Start or extend a lockdown. If the lockdown was not already
+   * active, the lockdown action is performed on all members who joined within
+   * the time interval.
+   * @private
+   * @param {external:Discord~Guild} guild The guild to lock down.
+   * @param {RaidBlock~RaidSettings} s Guild settings for raids.
+   * @param {number} now The current timestamp.
+   * @param {string} reason The reason to show in the mod log.
+   */
+  _lockdown(guild, s, now, reason) {
+    this._fire('lockdown', {id: guild.id, settings: s});
+    if (now - s.start >= s.duration) {
+      this._modLog(guild, 'lockdown', null, null, reason);
+      for (let i = 0; i < s.history.length && s.history[i].time < now; i++) {
+        const m = guild.members.get(s.history[i].id);
+        if (m) this._doAction(m, s);
       }
     }
+    s.start = now;
+  }
+
+  /**
+   * @description Find which invite a member most likely joined with, by
+   * comparing invite uses to the last time they were fetched. The first join
+   * after starting up can not be attributed to an invite.
+   * @private
+   * @param {external:Discord~Guild} guild The guild the member joined.
+   * @param {Function} cb Callback with a single argument, the invite code, or
+   * null if it could not be determined.
+   */
+  _findInvite(guild, cb) {
+    const before = this._inviteUses[guild.id];
+    guild.fetchInvites()
+        .then((invites) => {
+          const uses = {};
+          invites.forEach((el) => uses[el.code] = el.uses);
+          this._inviteUses[guild.id] = uses;
+          if (!before) {
+            cb(null);
+            return;
+          }
+          const code =
+              Object.keys(uses).find((el) => uses[el] > (before[el] || 0));
+          cb(code || null);
+        })
+        .catch(() => cb(null));
+  }
+
+  /**
+   * @description Calculate how likely a new member is part of a raid, based
+   * on their account, and the other members who have joined recently.
+   * @public
+   * @param {external:Discord~GuildMember} member The member who joined.
+   * @param {RaidBlock~RaidSettings} s Guild settings for raids.
+   * @param {?string} invite The invite code the member joined with, if known.
+   * @param {number} [now=Date.now()] The current timestamp.
+   * @returns {{score: number, reasons: string[]}} The total risk score, and
+   * the human readable reasons that contributed to it.
+   */
+  assessRisk(member, s, invite, now = Date.now()) {
+    const weights = RaidBlock.riskWeights;
+    const user = member.user;
+    const others = s.riskHistory.filter((el) => el.id !== member.id);
+    let score = 0;
+    const reasons = [];
+    const dayLength = 24 * 60 * 60 * 1000;
+    if (s.minAccountAge > 0 &&
+        now - user.createdTimestamp < s.minAccountAge * dayLength) {
+      score += weights.newAccount;
+      reasons.push('New account');
+    }
+    if (s.checkAvatar && !user.avatar) {
+      score += weights.defaultAvatar;
+      reasons.push('Default avatar');
+    }
+    if (s.nameSimilarity > 0 &&
+        others.find(
+            (el) => this.common.checkSimilarity(el.name, user.username) >=
+                s.nameSimilarity)) {
+      score += weights.similarName;
+      reasons.push('Similar username');
+    }
+    if (s.inviteBurst > 0 && invite &&
+        others.filter((el) => el.invite === invite).length + 1 >=
+            s.inviteBurst) {
+      score += weights.inviteBurst;
+      reasons.push(`Invite burst (${invite})`);
+    }
+    return {score: score, reasons: reasons};
+  }
+
+  /**
+   * @description Check the risk score of a new member, and perform the risk
+   * action on them, or start a lockdown if too many risky members have joined.
+   * @private
+   * @param {external:Discord~GuildMember} member The member who joined.
+   * @param {RaidBlock~RaidSettings} s Guild settings for raids.
+   * @param {number} now The timestamp the member joined at.
+   */
+  _checkRisk(member, s, now) {
+    const done = (invite) => {
+      s.riskHistory = s.riskHistory.filter(
+          (el) => now - el.time <= s.riskInterval && el.id !== member.id);
+      const risk = this.assessRisk(member, s, invite, now);
+      s.riskHistory.push({
+        time: now,
+        id: member.id,
+        name: member.user.username,
+        invite: invite,
+        score: risk.score,
+      });
+      if (risk.score < s.riskThreshold) return;
+      this._fire('risk', {
+        id: member.guild.id,
+        user: member.user,
+        score: risk.score,
+        reasons: risk.reasons,
+      });
+      const reason = `Risk score ${risk.score}: ${risk.reasons.join(', ')}`;
+      const risky =
+          s.riskHistory.filter((el) => el.score >= s.riskThreshold).length;
+      if (s.riskLockdownCount > 0 && risky >= s.riskLockdownCount) {
+        this._lockdown(
+            member.guild, s, now,
+            `Lockdown Activated: ${risky} suspicious members joined`);
+        this._doAction(member, s);
+      } else {
+        this._doAction(member, s, s.riskAction, reason, false);
+      }
+    };
+    if (s.inviteBurst > 0) {
+      this._findInvite(member.guild, done);
+    } else {
+      done(null);
+    }
   }
 
   /**
@@ -169,17 +311,24 @@ class RaidBlock extends SubModule {
    * @private
    * @param {external:Discord~GuildMember} member Member to perform action on.
    * @param {RaidBlock~RaidSettings} s Guild settings for raids.
+   * @param {string} [action=s.action] The action to perform. `kick`, `ban`,
+   * `mute`, or `verify`.
+   * @param {string} [reason='Raid Lockdown'] The reason to show in the mod log.
+   * @param {boolean} [warn=s.sendWarning] Should `warnMessage` be sent to the
+   * member first.
    */
-  _doAction(member, s) {
+  _doAction(
+      member, s, action = s.action, reason = 'Raid Lockdown',
+      warn = s.sendWarning) {
     this._fire(
-        'action', {id: member.guild.id, action: s.action, user: member.user});
+        'action', {id: member.guild.id, action: action, user: member.user});
     const self = this;
     const go = function() {
-      switch (s.action) {
+      switch (action) {
         case 'kick':
           member.kick('Server on raid lockdown.')
               .then((m) => {
-                self._modLog(m.guild, s.action, m.user, null, 'Raid Lockdown');
+                self._modLog(m.guild, action, m.user, null, reason);
               })
               .catch((err) => {
                 self.error('Failed to kick user during raid!');
@@ -189,7 +338,7 @@ class RaidBlock extends SubModule {
         case 'ban':
           member.ban({reason: 'Server on raid lockdown.'})
               .then((m) => {
-                self._modLog(m.guild, s.action, m.user, null, 'Raid Lockdown');
+                self._modLog(m.guild, action, m.user, null, reason);
               })
               .catch((err) => {
                 self.error('Failed to kick user during raid!');
@@ -200,20 +349,50 @@ class RaidBlock extends SubModule {
           self._muteMember(member, (err) => {
             if (err) {
               self._modLog(
-                  member.guild, s.action, member.user, null,
+                  member.guild, action, member.user, null,
                   'Failed to mute: ' + err);
             } else {
-              self._modLog(
-                  member.guild, s.action, member.user, null, 'Raid Lockdown');
+              self._modLog(member.guild, action, member.user, null, reason);
             }
           });
           break;
+        case 'verify': {
+          const verification = self.bot.getSubmodule('./verification.js');
+          if (verification &&
+              verification.getSettings(member.guild.id).role) {
+            verification.challenge(member, reason, (err) => {
+              if (!err) return;
+              self._modLog(
+                  member.guild, action, member.user, null,
+                  'Failed to hold for verification: ' + err);
+            });
+            break;
+          }
+          const role = member.guild.roles.get(s.verifyRole);
+          if (!role) {
+            self._modLog(
+                member.guild, action, member.user, null,
+                'Failed to hold for verification: Role not found');
+            break;
+          }
+          member.roles.add(role, reason)
+              .then(() => {
+                self._modLog(member.guild, action, member.user, null, reason);
+              })
+              .catch((err) => {
+                self.error(
+                    'Failed to give verification role: ' + member.guild.id +
+                    '@' + member.id);
+                console.error(err);
+              });
+          break;
+        }
       }
     };
 
-    if (s.sendWarning) {
+    if (warn) {
       let verb = '';
-      switch (s.action) {
+      switch (action) {
         case 'kick':
           verb = 'kicked';
           break;
@@ -223,6 +402,9 @@ class RaidBlock extends SubModule {
         case 'mute':
           verb = 'muted';
           break;
+        case 'verify':
+          verb = 'held for verification';
+          break;
       }
       const finalMessage = s.warnMessage.replace(/\{action\}/, verb)
           .replace(/\{server\}/g, member.guild.name)
@@ -277,6 +459,10 @@ class RaidBlock extends SubModule {
         finalString.push(`Duration: ${durationString}`);
         finalString.push(`Action: ${s.action}`);
       }
+      if (s.riskThreshold > 0) {
+        finalString.push(
+            `Suspicious members (risk ${s.riskThreshold}+): ${s.riskAction}`);
+      }
       this.common.reply(msg, 'Lockdown Status', finalString.join('\n'));
       return;
     }
@@ -475,13 +661,13 @@ class RaidSettings {
     this.duration = duration;
     /**
      * @description Action to perform, while on lockdown, to new member who
-     * join. Possible values are `kick`, `ban`, or `mute`.
+     * join. Possible values are `kick`, `ban`, `mute`, or `verify`.
      * @public
      * @type {string}
      * @default 'kick'
      */
     this.action = action;
-    if (!['kick', 'ban', 'mute'].includes(this.action)) this.action = 'kick';
+    if (!RaidBlock.riskActions.includes(this.action)) this.action = 'kick';
     /**
      * @description Current raid block state information. Not null is if server
      * has had a lockdown, start is the last timestamp we consider the raid to
@@ -517,6 +703,89 @@ class RaidSettings {
      * @default
      */
     this.sendWarning = sendWarning;
+    /**
+     * @description Risk score at which a new member is considered suspicious,
+     * and `riskAction` is performed on them. 0 to disable risk checks. See
+     * {@link RaidBlock.riskWeights} for how much each signal adds.
+     * @public
+     * @type {number}
+     * @default
+     */
+    this.riskThreshold = 0;
+    /**
+     * @description Action to perform on suspicious members while not on
+     * lockdown. Possible values are `kick`, `ban`, `mute`, or `verify`.
+     * @public
+     * @type {string}
+     * @default 'verify'
+     */
+    this.riskAction = 'verify';
+    /**
+     * @description ID of the role to give members held for verification. The
+     * role should only be able to see channels unverified members may use.
+     * @public
+     * @type {?string}
+     * @default
+     */
+    this.verifyRole = null;
+    /**
+     * @description Number of suspicious members joined within `riskInterval`
+     * to start a lockdown. 0 to never start a lockdown from risk scores.
+     * @public
+     * @type {number}
+     * @default
+     */
+    this.riskLockdownCount = 3;
+    /**
+     * @description Amount of time in milliseconds recent joins are compared
+     * against for similar usernames and invite bursts.
+     * @public
+     * @type {number}
+     * @default 300000 (5 Minutes)
+     */
+    this.riskInterval = 300000;
+    /**
+     * @description Accounts created fewer than this many days ago are risky. 0
+     * to disable.
+     * @public
+     * @type {number}
+     * @default
+     */
+    this.minAccountAge = 7;
+    /**
+     * @description Are accounts without a custom avatar risky.
+     * @public
+     * @type {boolean}
+     * @default
+     */
+    this.checkAvatar = true;
+    /**
+     * @description Similarity from 0 to 1 of a username to another recent
+     * join's username for it to be risky. 0 to disable.
+     * @public
+     * @type {number}
+     * @default
+     */
+    this.nameSimilarity = 0.85;
+    /**
+     * @description Number of joins within `riskInterval` from the same invite
+     * for them to be risky. 0 to disable. Requires the Manage Server
+     * permission to see invites.
+     * @public
+     * @type {number}
+     * @default
+     */
+    this.inviteBurst = 5;
+    /**
+     * @description Recent joins used for risk checks. Time is timestamp of
+     * join, id is the user's account id, name is their username, invite is the
+     * invite code they used if known, and score is their risk score.
+     * @public
+     * @type {Array.<{time: number, id: string, name: string, invite: ?string,
+     * score: number}>}
+     * @default
+     */
+    this.riskHistory = [];
   }
 }
 
@@ -533,9 +802,51 @@ RaidSettings.from = function(obj) {
   const output = new RaidSettings(
       obj.enabled, obj.numJoin, obj.timeInterval, obj.duration, obj.action,
       obj.warnMessage, obj.sendWarning);
+  const keys = [
+    'riskThreshold',
+    'riskLockdownCount',
+    'riskInterval',
+    'minAccountAge',
+    'checkAvatar',
+    'nameSimilarity',
+    'inviteBurst',
+  ];
+  keys.forEach((key) => {
+    if (typeof obj[key] === typeof output[key]) output[key] = obj[key];
+  });
+  if (RaidBlock.riskActions.includes(obj.riskAction)) {
+    output.riskAction = obj.riskAction;
+  }
+  output.verifyRole = obj.verifyRole || null;
+  if (Array.isArray(obj.riskHistory)) output.riskHistory = obj.riskHistory;
   return output;
 };
 
+/**
+ * @description Amount each signal adds to a new member's risk score.
+ * @public
+ * @static
+ * @constant
+ * @type {object.<number>}
+ * @default
+ */
+RaidBlock.riskWeights = {
+  newAccount: 2,
+  defaultAvatar: 1,
+  similarName: 2,
+  inviteBurst: 2,
+};
+
+/**
+ * @description Actions that may be performed on suspicious members.
+ * @public
+ * @static
+ * @constant
+ * @type {string[]}
+ * @default
+ */
+RaidBlock.riskActions = ['kick', 'ban', 'mute', 'verify'];
+
 RaidBlock.RaidSettings = RaidSettings;
 
 module.exports = new RaidBlock();
@@ -1,5 +1,6 @@
 // Copyright 2019 Campbell Crowley. All rights reserved.
 // Author: Campbell Crowley (dev@campbellcrowley.com)
+const fs = require('fs');
 
 require('./subModule.js').extend(RoleColors);  // Extends the SubModule class.
 
@@ -9,6 +10,7 @@ require('./subModule.js').extend(RoleColors);  // Extends the SubModule class.
  * @class
  * @augments SubModule
  * @listens Command#color
+ * @listens Command#colorConfig
  */
 function RoleColors() {
   const self = this;
@@ -25,19 +27,306 @@ function RoleColors() {
           defaultDisabled: true,
           permissions: self.Discord.Permissions.FLAGS.MANAGE_ROLES |
               self.Discord.Permissions.FLAGS.MANAGE_GUILD,
-        }));
+        }),
+        [
+          new self.command.SingleCommand(
+              ['config', 'settings', 'options'], commandColorConfig,
+              new self.command.CommandSetting({
+                validOnlyInGuild: true,
+                defaultDisabled: true,
+                permissions: self.Discord.Permissions.FLAGS.MANAGE_ROLES |
+                    self.Discord.Permissions.FLAGS.MANAGE_GUILD,
+              })),
+        ]);
     self.command.on(cmdColor);
+
+    self.client.guilds.forEach((g) => {
+      const filename = self.common.guildSaveDir + g.id + saveFile;
+      fs.readFile(filename, (err, data) => {
+        if (err) {
+          if (err.code !== 'ENOENT') {
+            self.error('Failed to read file: ' + filename);
+            console.error(err);
+          }
+          return;
+        }
+        try {
+          Object.assign(getSettings(g.id), JSON.parse(data));
+        } catch (err) {
+          self.error('Failed to parse color settings: ' + g.id);
+          console.error(err);
+        }
+      });
+    });
+
+    sweepInterval = self.client.setInterval(sweepAll, sweepDelay);
   };
 
   /** @inheritdoc */
   this.shutdown = function() {
     self.command.deleteEvent('color');
+    self.client.clearInterval(sweepInterval);
+  };
+
+  /** @inheritdoc */
+  this.save = function(opt) {
+    Object.entries(guildSettings).forEach((el) => {
+      const dir = self.common.guildSaveDir + el[0];
+      const filename = dir + saveFile;
+      if (opt == 'async') {
+        self.common.mkAndWrite(filename, dir, JSON.stringify(el[1]));
+      } else {
+        self.common.mkAndWriteSync(filename, dir, JSON.stringify(el[1]));
+      }
+    });
+  };
+
+  /**
+   * The file path to save color settings for a specific guild relative to
+   * Common~guildSaveDir.
+   * @see {@link Common~guildSaveDir}
+   *
+   * @private
+   * @type {string}
+   * @constant
+   * @default
+   */
+  const saveFile = '/roleColors.json';
+
+  /**
+   * How often to look for color roles of members who have left. Only roles
+   * created by this module in guilds with color settings are swept.
+   *
+   * @private
+   * @type {number}
+   * @constant
+   * @default 1 Hour
+   */
+  const sweepDelay = 60 * 60 * 1000;
+
+  /**
+   * The background color of Discord's dark theme, which colors are compared
+   * against for contrast.
+   *
+   * @private
+   * @type {number}
+   * @constant
+   * @default
+   */
+  const darkThemeColor = 0x36393F;
+
+  /**
+   * Named colors users may pick.
+   *
+   * @private
+   * @type {string[]}
+   * @constant
+   */
+  const colorList = [
+    'DEFAULT',
+    'WHITE',
+    'AQUA',
+    'GREEN',
+    'BLUE',
+    'PURPLE',
+    'LUMINOUS_VIVID_PINK',
+    'GOLD',
+    'ORANGE',
+    'RED',
+    'GREY',
+    'DARKER_GREY',
+    'NAVY',
+    'DARK_AQUA',
+    'DARK_GREEN',
+    'DARK_BLUE',
+    'DARK_PURPLE',
+    'DARK_VIVID_PINK',
+    'DARK_GOLD',
+    'DARK_ORANGE',
+    'DARK_RED',
+    'DARK_GREY',
+    'LIGHT_GREY',
+    'DARK_NAVY',
+    'RANDOM',
+  ];
+
+  /**
+   * Restrictions on the colors members may pick in a guild.
+   *
+   * @typedef {object} RoleColors~Settings
+   *
+   * @property {number[]} palette The only colors that may be picked, or empty
+   * to allow any color.
+   * @property {number} minContrast The minimum contrast ratio a color must have
+   * against the dark theme background, or 0 to allow any color.
+   * @property {?string} ceiling The ID of a role that color roles must be
+   * positioned below, or null to leave them where they are created.
+   * @property {string[]} roles The IDs of the color roles this module has
+   * created or updated, which are the only roles that may be swept.
+   */
+
+  /**
+   * Color settings for each guild, mapped by guild ID.
+   *
+   * @private
+   * @type {Object.<RoleColors~Settings>}
+   */
+  const guildSettings = {};
+
+  /**
+   * The interval sweeping orphaned color roles.
+   *
+   * @private
+   * @type {?Interval}
+   */
+  let sweepInterval = null;
+
+  /**
+   * Get the color settings for a guild, creating defaults if they don't exist
+   * yet.
+   *
+   * @private
+   * @param {string} gId The ID of the guild.
+   * @returns {RoleColors~Settings} The guild's settings.
+   */
+  function getSettings(gId) {
+    if (!guildSettings[gId]) {
+      guildSettings[gId] =
+          {palette: [], minContrast: 0, ceiling: null, roles: []};
+    }
+    if (!Array.isArray(guildSettings[gId].roles)) {
+      guildSettings[gId].roles = [];
+    }
+    return guildSettings[gId];
+  }
+
+  /**
+   * Calculate the contrast ratio between two colors, as defined by WCAG.
+   *
+   * @public
+   * @param {number} a The first color as a 24-bit integer.
+   * @param {number} b The second color as a 24-bit integer.
+   * @returns {number} The contrast ratio, from 1 to 21.
+   */
+  this.contrast = function(a, b) {
+    const luminance = function(color) {
+      const channels = [color >> 16, (color >> 8) & 0xFF, color & 0xFF];
+      const linear = channels.map((el) => {
+        el /= 255;
+        return el <= 0.03928 ? el / 12.92 : Math.pow((el + 0.055) / 1.055, 2.4);
+      });
+      return 0.2126 * linear[0] + 0.7152 * linear[1] + 0.0722 * linear[2];
+    };
+    const la = luminance(a);
+    const lb = luminance(b);
+    return (Math.max(la, lb) + 0.05) / (Math.min(la, lb) + 0.05);
   };
 
   /**
-   * Allow a user to set their name color. This isn't very smart, and doesn't
-   * check for correct position in hierarchy, but will try not to create
-   * multiple roles for one person.
+   * Format a color as a hex string.
+   *
+   * @private
+   * @param {number} color The color as a 24-bit integer.
+   * @returns {string} The color formatted as `#RRGGBB`.
+   */
+  function toHex(color) {
+    return '#' + `000000${color.toString(16).toUpperCase()}`.slice(-6);
+  }
+
+  /**
+   * Check if a color may be used in a guild.
+   *
+   * @public
+   * @param {string} gId The ID of the guild.
+   * @param {number} color The color as a 24-bit integer.
+   * @returns {?string} Error message, or null if the color is allowed.
+   */
+  this.checkColor = function(gId, color) {
+    const s = getSettings(gId);
+    // No color removes the color, and is always allowed.
+    if (color === 0) return null;
+    if (s.palette.length > 0 && !s.palette.includes(color)) {
+      return 'That color isn\'t allowed. Pick one of ' +
+          s.palette.map(toHex).join(', ');
+    }
+    if (s.minContrast > 0 &&
+        self.contrast(color, darkThemeColor) < s.minContrast) {
+      return 'That color is too hard to read. Try a brighter color.';
+    }
+    return null;
+  };
+
+  /**
+   * Pick a random color that is allowed in a guild.
+   *
+   * @private
+   * @param {string} gId The ID of the guild.
+   * @returns {?number} The color, or null if no allowed color was found.
+   */
+  function randomColor(gId) {
+    const s = getSettings(gId);
+    if (s.palette.length > 0) {
+      const allowed = s.palette.filter((el) => !self.checkColor(gId, el));
+      if (allowed.length == 0) return null;
+      return allowed[Math.floor(Math.random() * allowed.length)];
+    }
+    for (let i = 0; i < 50; i++) {
+      const color = Math.floor(Math.random() * 0xFFFFFF) + 1;
+      if (!self.checkColor(gId, color)) return color;
+    }
+    return null;
+  }
+
+  /**
+   * Parse a color given by a user.
+   *
+   * @private
+   * @param {string} text The name, hex or RGB value of the color.
+   * @returns {?{color: number, string: string}} The color as a 24-bit integer,
+   * and how to show it to the user, or null if it couldn't be parsed.
+   */
+  function parseColor(text) {
+    if (colorList.includes(text.toUpperCase())) {
+      return {
+        color: self.Discord.Util.resolveColor(text.toUpperCase()),
+        string: text,
+      };
+    }
+    const rgbMatch = text.match(/(\d{1,3})\b\D+\b(\d{1,3})\b\D+\b(\d{1,3}\b)/);
+    const hexMatch = text.match(/#?([A-Fa-f0-9]{6})/);
+    if (rgbMatch) {
+      const rgb = [rgbMatch[1], rgbMatch[2], rgbMatch[3]].map(
+          (el) => Math.max(0, Math.min(255, el)));
+      return {
+        color: (rgb[0] << 16) + (rgb[1] << 8) + rgb[2],
+        string: rgb.join(', '),
+      };
+    } else if (hexMatch) {
+      return {color: parseInt(hexMatch[1], 16), string: `#${hexMatch[1]}`};
+    }
+    return null;
+  }
+
+  /**
+   * Move a color role below the guild's ceiling role, if it is above it.
+   *
+   * @private
+   * @param {Discord~Role} role The color role.
+   * @returns {Promise<Discord~Role>} Resolves once the role has been moved.
+   */
+  function enforceCeiling(role) {
+    const s = getSettings(role.guild.id);
+    const ceiling = s.ceiling && role.guild.roles.get(s.ceiling);
+    if (!ceiling || role.position < ceiling.position) {
+      return Promise.resolve(role);
+    }
+    return role.setPosition(Math.max(1, ceiling.position - 1));
+  }
+
+  /**
+   * Allow a user to set their name color. Colors are checked against the
+   * guild's palette and contrast settings, and roles are kept below the
+   * configured ceiling role. `reset` removes the color.
    *
    * @private
    * @type {commandHandler}
@@ -57,97 +346,233 @@ function RoleColors() {
       msg.text =
           msg.text.replace(self.Discord.MessageMentions.USERS_PATTERN, '');
     }
-    let color = msg.text.trim();
-    let colorString = color;
+    const text = msg.text.trim();
     const role = msg.guild.roles.find((el) => el.name == target.id);
-    const colorList = [
-      'DEFAULT',
-      'WHITE',
-      'AQUA',
-      'GREEN',
-      'BLUE',
-      'PURPLE',
-      'LUMINOUS_VIVID_PINK',
-      'GOLD',
-      'ORANGE',
-      'RED',
-      'GREY',
-      'DARKER_GREY',
-      'NAVY',
-      'DARK_AQUA',
-      'DARK_GREEN',
-      'DARK_BLUE',
-      'DARK_PURPLE',
-      'DARK_VIVID_PINK',
-      'DARK_GOLD',
-      'DARK_ORANGE',
-      'DARK_RED',
-      'DARK_GREY',
-      'LIGHT_GREY',
-      'DARK_NAVY',
-      'RANDOM',
-    ];
-    if (colorList.includes(color.toUpperCase())) {
-      color = color.toUpperCase();
-    } else {
-      const rgbMatch =
-          color.match(/(\d{1,3})\b\D+\b(\d{1,3})\b\D+\b(\d{1,3}\b)/);
-      const hexMatch = color.match(/#?([A-Fa-f0-9]{6})/);
-      if (rgbMatch) {
-        color = [rgbMatch[1], rgbMatch[2], rgbMatch[3]];
-        colorString = '';
-        for (let i = 0; i < color.length; i++) {
-          color[i] = Math.max(0, Math.min(255, color[i]));
-        }
-        colorString = color.join(', ');
-      } else if (hexMatch) {
-        color = hexMatch[1];
-        colorString = `#${color}`;
-      } else {
-        self.common.reply(
-            msg, 'I\'m not sure what color that is, sorry.', color);
+    if (['reset', 'none', 'remove', 'clear'].includes(text.toLowerCase())) {
+      if (!role) {
+        self.common.reply(msg, 'There is no color to reset.');
         return;
       }
-    }
-    if (!role) {
-      const roleData = {name: target.id, color: color, permissions: 0};
-      msg.guild.roles.create({data: roleData})
-          .then((r) => {
-            r.setColor(color);
-            target.roles.add(r).then(() => {
-              const embed = new self.Discord.MessageEmbed();
-              embed.setColor(color);
-              embed.setTitle('Updated color.');
-              embed.setDescription(colorString);
-              msg.channel.send(embed).catch(() => {
-                self.common.reply(msg, 'Updated color.', colorString);
-              });
-            });
+      role.delete('Color reset')
+          .then(() => {
+            untrackRole(msg.guild.id, role.id);
+            self.common.reply(msg, 'Reset color.');
           })
           .catch((err) => {
-            self.error('Unable to create color role:' + msg.channel.id);
+            self.error('Unable to delete color role:' + msg.channel.id);
             console.error(err);
-            self.common.reply(msg, 'Unable to update color.', err.message);
+            self.common.reply(msg, 'Unable to reset color.', err.message);
           });
+      return;
+    }
+    const parsed = parseColor(text);
+    if (!parsed) {
+      self.common.reply(msg, 'I\'m not sure what color that is, sorry.', text);
+      return;
+    }
+    let color = parsed.color;
+    let colorString = parsed.string;
+    if (text.toUpperCase() === 'RANDOM') {
+      color = randomColor(msg.guild.id);
+      if (color == null) {
+        self.common.reply(msg, 'Unable to find an allowed color.');
+        return;
+      }
+      colorString = toHex(color);
+    }
+    const err = self.checkColor(msg.guild.id, color);
+    if (err) {
+      self.common.reply(msg, err, colorString);
+      return;
+    }
+    let promise;
+    if (!role) {
+      const roleData = {name: target.id, color: color, permissions: 0};
+      promise = msg.guild.roles.create({data: roleData});
     } else {
-      role.setColor(color)
-          .then((r) => {
-            target.roles.add(r).then(() => {
-              const embed = new self.Discord.MessageEmbed();
-              embed.setColor(color);
-              embed.setTitle('Updated color.');
-              embed.setDescription(colorString);
-              msg.channel.send(embed).catch(() => {
-                self.common.reply(msg, 'Updated color.', colorString);
-              });
-            });
-          })
-          .catch((err) => {
-            self.error('Unable to edit color role:' + msg.channel.id);
-            console.error(err);
-            self.common.reply(msg, 'Unable to update color.', err.message);
+      promise = role.setColor(color);
+    }
+    promise.then(enforceCeiling)
+        .then((r) => {
+          trackRole(msg.guild.id, r.id);
+          return target.roles.add(r);
+        })
+        .then(() => {
+          const embed = new self.Discord.MessageEmbed();
+          embed.setColor(color);
+          embed.setTitle('Updated color.');
+          embed.setDescription(colorString);
+          msg.channel.send(embed).catch(() => {
+            self.common.reply(msg, 'Updated color.', colorString);
           });
+        })
+        .catch((err) => {
+          self.error('Unable to update color role:' + msg.channel.id);
+          console.error(err);
+          self.common.reply(msg, 'Unable to update color.', err.message);
+        });
+  }
+
+  /**
+   * Show or change the color restrictions of a guild, or sweep orphaned color
+   * roles.
+   *
+   * @private
+   * @type {commandHandler}
+   * @param {Discord~Message} msg Message that triggered command.
+   * @listens Command#colorConfig
+   */
+  function commandColorConfig(msg) {
+    const s = getSettings(msg.guild.id);
+    const args = msg.text.trim().split(/\s+/).filter((el) => el);
+    const action = (args[0] || '').toLowerCase();
+    const rest = args.slice(1).join(' ');
+    switch (action) {
+      case '': {
+        const ceiling = s.ceiling && msg.guild.roles.get(s.ceiling);
+        self.common.reply(
+            msg, 'Color Settings',
+            'Palette: ' +
+                (s.palette.length > 0 ? s.palette.map(toHex).join(', ') :
+                                        'Any color') +
+                '\nMinimum contrast: ' + (s.minContrast || 'None') +
+                '\nCeiling: ' + (ceiling ? ceiling.name : 'None'));
+        return;
+      }
+      case 'palette': {
+        const colors = rest.split(/[\s,]+/).filter((el) => el).map(parseColor);
+        if (colors.includes(null) || colors.length > 50) {
+          self.common.reply(
+              msg, 'Please list hex colors, or nothing to allow any color.',
+              '`' + msg.prefix + msg.cmd + ' palette #E74C3C #3498DB`');
+          return;
+        }
+        s.palette = colors.map((el) => el.color);
+        self.common.reply(
+            msg, 'Updated palette',
+            s.palette.length > 0 ? s.palette.map(toHex).join(', ') :
+                                   'Any color');
+        return;
+      }
+      case 'contrast': {
+        const ratio = rest * 1;
+        if (isNaN(ratio) || ratio < 0 || ratio > 21) {
+          self.common.reply(
+              msg, 'Contrast must be a ratio from 1 to 21, or 0 to disable.',
+              'Readable text is usually at least 4.5');
+          return;
+        }
+        s.minContrast = ratio;
+        self.common.reply(
+            msg, 'Updated minimum contrast', ratio > 0 ? ratio : 'Disabled');
+        return;
+      }
+      case 'ceiling': {
+        const role = msg.mentions.roles.first();
+        s.ceiling = role ? role.id : null;
+        self.common.reply(
+            msg, role ? 'Color roles will be kept below ' + role.name :
+                        'Removed color role ceiling');
+        return;
+      }
+      case 'sweep':
+        sweepGuild(msg.guild, (num) => {
+          self.common.reply(msg, 'Deleted ' + num + ' orphaned color roles.');
+        });
+        return;
+      default:
+        self.common.reply(
+            msg, 'Unknown setting.',
+            'Options are palette, contrast, ceiling, or sweep.');
+    }
+  }
+
+  /**
+   * Remember that a role is a color role created by this module.
+   *
+   * @private
+   * @param {string} gId The ID of the guild the role is in.
+   * @param {string} rId The ID of the role.
+   */
+  function trackRole(gId, rId) {
+    const s = getSettings(gId);
+    if (!s.roles.includes(rId)) s.roles.push(rId);
+  }
+
+  /**
+   * Forget a color role, usually because it was deleted.
+   *
+   * @private
+   * @param {string} gId The ID of the guild the role is in.
+   * @param {string} rId The ID of the role.
+   */
+  function untrackRole(gId, rId) {
+    const s = getSettings(gId);
+    s.roles = s.roles.filter((el) => el !== rId);
+  }
+
+  /**
+   * Delete color roles created by this module for members who are no longer
+   * in the guild.
+   *
+   * @private
+   * @param {Discord~Guild} guild The guild to sweep.
+   * @param {Function} [cb] Callback with the number of roles deleted.
+   */
+  function sweepGuild(guild, cb) {
+    if (typeof cb !== 'function') cb = function() {};
+    const s = getSettings(guild.id);
+    // Forget roles that were deleted by someone else.
+    s.roles = s.roles.filter((el) => guild.roles.get(el));
+    if (!guild.me || !guild.me.hasPermission('MANAGE_ROLES')) {
+      cb(0);
+      return;
     }
+    const roles = guild.roles.filter((el) => {
+      return s.roles.includes(el.id) && el.name.match(/^\d{17,19}$/) &&
+          el.permissions.bitfield === 0 && !guild.members.get(el.name) &&
+          el.position < guild.me.roles.highest.position;
+    }).array();
+    let deleted = 0;
+    (function next(i) {
+      if (i >= roles.length) {
+        if (deleted > 0) self.debug(`Swept ${deleted} roles in ${guild.id}`);
+        cb(deleted);
+        return;
+      }
+      const role = roles[i];
+      guild.members.fetch(role.name)
+          .then(() => next(i + 1))
+          .catch((err) => {
+            // Only delete the role if we know the member has left.
+            if (err.code !== 10007) {
+              next(i + 1);
+              return;
+            }
+            role.delete('Member left')
+                .then(() => {
+                  untrackRole(guild.id, role.id);
+                  deleted++;
+                })
+                .catch((err) => {
+                  self.error('Failed to delete color role: ' + role.id);
+                  console.error(err);
+                })
+                .then(() => next(i + 1));
+          });
+    })(0);
+  }
+
+  /**
+   * Sweep orphaned color roles in all guilds that have color settings.
+   *
+   * @private
+   */
+  function sweepAll() {
+    Object.keys(guildSettings).forEach((gId) => {
+      const guild = self.client.guilds.get(gId);
+      if (guild && getSettings(gId).roles.length > 0) sweepGuild(guild);
+    });
   }
 }
 
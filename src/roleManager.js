@@ -1,6 +1,7 @@
 /* eslint-disable */
 // Copyright 2018-2019 Campbell Crowley. All rights reserved.
 // Author: Campbell Crowley (dev@campbellcrowley.com)
+const emojiChecker = require('./lib/twemojiChcker.js');
 const fs = require('fs');
 const mkdirp = require('mkdirp');
 
@@ -11,7 +12,9 @@ require('./subModule.js').extend(RoleManager);  // Extends the SubModule class.
  * @class
  * @augments SubModule
  * @listens Discord#message
- * @listens Command#chat
+ * @listens Discord~Client#messageReactionAdd
+ * @listens Discord~Client#messageReactionRemove
+ * @listens Command#role
  */
 function RoleManager() {
   const self = this;
@@ -49,36 +52,115 @@ function RoleManager() {
               defaultDisabled: true,
               permissions: self.Discord.Permissions.FLAGS.MANAGE_ROLES |
                   self.Discord.Permissions.FLAGS.MANAGE_GUILD,
-            })),
-        [
-          new self.command.SingleCommand(
-              [
-                'manage',
-                'edit',
-                'modify',
-                'change',
-                'config',
-                'configure',
-                'settings',
-                'setting',
-                'options',
-                'option',
-                'opt',
-              ],
-              commandRoleManage, new self.command.CommandSetting({
-                validOnlyInGuild: true,
-                defaultDisabled: true,
-                permissions: self.Discord.Permissions.FLAGS.MANAGE_ROLES |
-                    self.Discord.Permissions.FLAGS.MANAGE_GUILD,
-              })),
-          cmdRoleAdd,
-          cmdRoleRemove,
-        ]);
+            }),
+            [
+              new self.command.SingleCommand(
+                  [
+                    'manage',
+                    'edit',
+                    'modify',
+                    'change',
+                    'config',
+                    'configure',
+                    'settings',
+                    'setting',
+                    'options',
+                    'option',
+                    'opt',
+                  ],
+                  commandRoleManage, new self.command.CommandSetting({
+                    validOnlyInGuild: true,
+                    defaultDisabled: true,
+                    permissions: self.Discord.Permissions.FLAGS.MANAGE_ROLES |
+                        self.Discord.Permissions.FLAGS.MANAGE_GUILD,
+                  })),
+              new self.command.SingleCommand(
+                  ['menu', 'menus', 'reaction', 'reactions'], commandRoleMenu,
+                  new self.command.CommandSetting({
+                    validOnlyInGuild: true,
+                    defaultDisabled: true,
+                    permissions: self.Discord.Permissions.FLAGS.MANAGE_ROLES |
+                        self.Discord.Permissions.FLAGS.MANAGE_GUILD,
+                  })),
+              new self.command.SingleCommand(
+                  ['auto', 'autorole', 'autoroles', 'rules'], commandRoleAuto,
+                  new self.command.CommandSetting({
+                    validOnlyInGuild: true,
+                    defaultDisabled: true,
+                    permissions: self.Discord.Permissions.FLAGS.MANAGE_ROLES |
+                        self.Discord.Permissions.FLAGS.MANAGE_GUILD,
+                  })),
+              new self.command.SingleCommand(
+                  ['temp', 'timed', 'temporary'], commandRoleTemp,
+                  new self.command.CommandSetting({
+                    validOnlyInGuild: true,
+                    defaultDisabled: true,
+                    permissions: self.Discord.Permissions.FLAGS.MANAGE_ROLES |
+                        self.Discord.Permissions.FLAGS.MANAGE_GUILD,
+                  })),
+              cmdRoleAdd,
+              cmdRoleRemove,
+            ]));
+
+    self.client.on('messageReactionAdd', onReactionAdd);
+    self.client.on('messageReactionRemove', onReactionRemove);
+    self.client.on('guildMemberAdd', onGuildMemberAdd);
+    self.client.on('message', onMessage);
+    autoRoleInterval =
+        self.client.setInterval(checkAutoRoles, autoRoleCheckDelay);
+
+    // Read synchronously so menus and rules added before loading has finished
+    // can't be overwritten.
+    self.client.guilds.forEach((g) => {
+      const filename = self.common.guildSaveDir + g.id + menuFile;
+      let data;
+      try {
+        data = fs.readFileSync(filename);
+      } catch (err) {
+        if (err.code !== 'ENOENT') {
+          self.error('Failed to read file: ' + filename);
+          console.error(err);
+        }
+      }
+      if (data) {
+        try {
+          menus[g.id] = Object.assign(JSON.parse(data), menus[g.id]);
+          Object.values(menus[g.id]).forEach(fetchMenuMessage);
+        } catch (err) {
+          self.error('Failed to parse role menus: ' + g.id);
+          console.error(err);
+        }
+      }
+      const autoFilename = self.common.guildSaveDir + g.id + autoRoleFile;
+      let autoData;
+      try {
+        autoData = fs.readFileSync(autoFilename);
+      } catch (err) {
+        if (err.code !== 'ENOENT') {
+          self.error('Failed to read file: ' + autoFilename);
+          console.error(err);
+        }
+      }
+      if (autoData) {
+        try {
+          autoRoles[g.id] =
+              Object.assign(getAutoRoles(g.id), JSON.parse(autoData));
+        } catch (err) {
+          self.error('Failed to parse auto roles: ' + g.id);
+          console.error(err);
+        }
+      }
+    });
   };
 
   /** @inheritdoc */
   this.shutdown = function() {
     self.command.deleteEvent('role');
+    self.client.removeListener('messageReactionAdd', onReactionAdd);
+    self.client.removeListener('messageReactionRemove', onReactionRemove);
+    self.client.removeListener('guildMemberAdd', onGuildMemberAdd);
+    self.client.removeListener('message', onMessage);
+    self.client.clearInterval(autoRoleInterval);
   };
   /**
    * @override
@@ -130,6 +212,24 @@ function RoleManager() {
         }
       }
     });
+    Object.entries(menus).forEach((el) => {
+      const dir = self.common.guildSaveDir + el[0];
+      const filename = dir + menuFile;
+      if (opt == 'async') {
+        self.common.mkAndWrite(filename, dir, JSON.stringify(el[1]));
+      } else {
+        self.common.mkAndWriteSync(filename, dir, JSON.stringify(el[1]));
+      }
+    });
+    Object.entries(autoRoles).forEach((el) => {
+      const dir = self.common.guildSaveDir + el[0];
+      const filename = dir + autoRoleFile;
+      if (opt == 'async') {
+        self.common.mkAndWrite(filename, dir, JSON.stringify(el[1]));
+      } else {
+        self.common.mkAndWriteSync(filename, dir, JSON.stringify(el[1]));
+      }
+    });
   };
 
   /**
@@ -281,6 +381,1107 @@ function RoleManager() {
 
   }
 
+  /**
+   * The file path to save reaction role menus for a specific guild relative to
+   * Common~guildSaveDir.
+   * @see {@link Common~guildSaveDir}
+   *
+   * @private
+   * @type {string}
+   * @constant
+   * @default
+   */
+  const menuFile = '/roleMenus.json';
+
+  /**
+   * Maximum number of options in a single menu. Limited by the number of
+   * reactions Discord allows on a message.
+   *
+   * @private
+   * @type {number}
+   * @constant
+   * @default
+   */
+  const maxMenuOptions = 20;
+
+  /**
+   * A single role that may be picked from a menu.
+   *
+   * @typedef {object} RoleManager~MenuOption
+   *
+   * @property {string} emoji The emoji to react with. Either a unicode emoji,
+   * or a custom emoji formatted as `<:name:id>`.
+   * @property {string} role The ID of the role to give.
+   * @property {?string} description Text shown next to the role in the menu.
+   */
+
+  /**
+   * A message members may react to in order to give themselves roles.
+   *
+   * @typedef {object} RoleManager~Menu
+   *
+   * @property {string} id The ID of the message the menu is shown in.
+   * @property {string} channel The ID of the channel the message is in.
+   * @property {string} title The title shown at the top of the menu.
+   * @property {boolean} exclusive Members may only have one of the roles in
+   * this menu at a time. Picking another role removes the previous one.
+   * @property {string[]} required IDs of the roles a member must all have
+   * before they can pick roles from this menu.
+   * @property {RoleManager~MenuOption[]} options The roles that may be picked.
+   */
+
+  /**
+   * All reaction role menus. Mapped by guild id, then message id.
+   *
+   * @private
+   * @type {Object.<Object.<RoleManager~Menu>>}
+   */
+  const menus = {};
+
+  /**
+   * Reactions we are removing ourselves, that should not cause the role to be
+   * removed from the member. Formatted as `messageId/userId/emoji`.
+   *
+   * @private
+   * @type {Object.<boolean>}
+   */
+  const ignoredRemovals = {};
+
+  /**
+   * Get a menu in a guild.
+   *
+   * @private
+   * @param {string} gId The ID of the guild.
+   * @param {string} mId The ID of the menu's message.
+   * @returns {?RoleManager~Menu} The menu, or null if it doesn't exist.
+   */
+  function getMenu(gId, mId) {
+    const guildMenus = menus[gId];
+    if (!guildMenus || !Object.prototype.hasOwnProperty.call(guildMenus, mId)) {
+      return null;
+    }
+    return guildMenus[mId];
+  }
+
+  /**
+   * Fetch a menu's message so that reactions to it are received after a
+   * restart.
+   *
+   * @private
+   * @param {RoleManager~Menu} menu The menu to fetch.
+   */
+  function fetchMenuMessage(menu) {
+    const channel = self.client.channels.get(menu.channel);
+    if (!channel) {
+      self.error('Failed to find channel: ' + menu.channel);
+      return;
+    }
+    channel.messages.fetch(menu.id).catch((err) => {
+      self.error(
+          'Failed to find role menu message: ' + menu.id + ' in ' +
+          menu.channel);
+      console.error(err);
+    });
+  }
+
+  /**
+   * Get the key used to identify an emoji in a message's reactions.
+   *
+   * @private
+   * @param {string} emoji The emoji as stored in a
+   * {@link RoleManager~MenuOption}.
+   * @returns {string} The custom emoji ID, or the unicode emoji.
+   */
+  function emojiKey(emoji) {
+    const match = emoji.match(/^<a?:\w+:(\d+)>$/);
+    return match ? match[1] : emoji;
+  }
+
+  /**
+   * Find an emoji at the start of a string.
+   *
+   * @private
+   * @param {string} text The text to search.
+   * @returns {?string} The emoji, or null if the text does not start with an
+   * emoji.
+   */
+  function parseEmoji(text) {
+    const custom = text.match(/^<a?:\w+:\d+>/);
+    if (custom) return custom[0];
+    const match = emojiChecker.match(text);
+    if (!match || text.indexOf(match[0]) !== 0) return null;
+    return match[0];
+  }
+
+  /**
+   * Check that a role may be given out by a menu or auto-role rule.
+   *
+   * @private
+   * @param {Discord~Guild} guild The guild the role is in.
+   * @param {string} rId The ID of the role to check.
+   * @param {?Discord~GuildMember} member The member configuring the menu or
+   * rule, who must be able to manage the role, or null to skip checking.
+   * @returns {?string} Error message, or null if the role may be used.
+   */
+  function checkAssignable(guild, rId, member) {
+    const role = guild.roles.get(rId);
+    if (!role) return 'Unable to find role: ' + rId;
+    if (role.managed || role.id === guild.id) {
+      return role.name + ' can\'t be given to members.';
+    }
+    const flags = self.Discord.Permissions.FLAGS;
+    if (!guild.me.permissions.has(flags.MANAGE_ROLES) ||
+        role.position >= guild.me.roles.highest.position) {
+      return 'I don\'t have permission to give ' + role.name + '.';
+    }
+    if (member && member.id !== guild.ownerID &&
+        role.position >= member.roles.highest.position) {
+      return 'You don\'t have permission to give ' + role.name + '.';
+    }
+    return null;
+  }
+
+  /**
+   * Create the embed showing a menu's options.
+   *
+   * @private
+   * @param {RoleManager~Menu} menu The menu to show.
+   * @returns {Discord~MessageEmbed} The embed to send.
+   */
+  function renderMenu(menu) {
+    const embed = new self.Discord.MessageEmbed();
+    embed.setTitle(menu.title || 'Pick your roles');
+    if (menu.options.length > 0) {
+      embed.setDescription(menu.options.map((el) => {
+        const desc = el.description ? ` ${el.description}` : '';
+        return `${el.emoji} <@&${el.role}>${desc}`;
+      }).join('\n'));
+    } else {
+      embed.setDescription('No roles have been added yet.');
+    }
+    if (menu.required.length > 0) {
+      embed.addField(
+          'Requires', menu.required.map((el) => `<@&${el}>`).join(' '));
+    }
+    embed.setFooter(
+        (menu.exclusive ? 'Pick one. ' : '') + 'Menu ID: ' + menu.id);
+    return embed;
+  }
+
+  /**
+   * Update a menu's message to show its current options, and add any missing
+   * reactions.
+   *
+   * @private
+   * @param {RoleManager~Menu} menu The menu to update.
+   */
+  function updateMenuMessage(menu) {
+    const channel = self.client.channels.get(menu.channel);
+    if (!channel) return;
+    channel.messages.fetch(menu.id)
+        .then((msg) => {
+          return msg.edit(renderMenu(menu)).then(() => {
+            const missing = menu.options.filter((el) => {
+              const reaction = msg.reactions.get(emojiKey(el.emoji));
+              return !reaction || !reaction.me;
+            });
+            addNextReaction(msg, missing.map((el) => emojiKey(el.emoji)))();
+          });
+        })
+        .catch((err) => {
+          self.error('Failed to update role menu: ' + menu.id);
+          console.error(err);
+        });
+  }
+
+  /**
+   * Create a callback for adding reactions to a message one at a time.
+   *
+   * @private
+   * @param {Discord~Message} msg The message to react to.
+   * @param {string[]} emojis The emojis to add.
+   * @param {number} [index=0] The index of the emoji to add first.
+   * @returns {Function} The callback to run on Promise completion.
+   */
+  function addNextReaction(msg, emojis, index = 0) {
+    return function() {
+      if (emojis.length <= index) return;
+      msg.react(emojis[index])
+          .then(addNextReaction(msg, emojis, index + 1))
+          .catch((err) => {
+            self.error('Failed to react to role menu: ' + msg.id);
+            console.error(err);
+          });
+    };
+  }
+
+  /**
+   * Find the menu and option a reaction was added to.
+   *
+   * @private
+   * @param {Discord~MessageReaction} reaction The reaction to look up.
+   * @returns {?{menu: RoleManager~Menu, option: RoleManager~MenuOption}} The
+   * menu and option, or null if the reaction is not for a menu option.
+   */
+  function findOption(reaction) {
+    const msg = reaction.message;
+    if (!msg.guild) return null;
+    const menu = getMenu(msg.guild.id, msg.id);
+    if (!menu) return null;
+    const key = reaction.emoji.id || reaction.emoji.name;
+    const option = menu.options.find((el) => emojiKey(el.emoji) === key);
+    if (!option) return null;
+    return {menu: menu, option: option};
+  }
+
+  /**
+   * Give a member a role when they react to a menu.
+   *
+   * @private
+   * @param {Discord~MessageReaction} reaction The reaction that was added.
+   * @param {Discord~User} user The user who reacted.
+   * @listens Discord~Client#messageReactionAdd
+   */
+  function onReactionAdd(reaction, user) {
+    if (user.bot) return;
+    const found = findOption(reaction);
+    if (!found) return;
+    const menu = found.menu;
+    const msg = reaction.message;
+    const unreact = function(key) {
+      const r = msg.reactions.get(key);
+      if (!r) return;
+      ignoredRemovals[`${msg.id}/${user.id}/${key}`] = true;
+      r.users.remove(user).catch(() => {
+        delete ignoredRemovals[`${msg.id}/${user.id}/${key}`];
+      });
+    };
+    msg.guild.members.fetch(user.id)
+        .then((member) => {
+          const missing = menu.required.filter((el) => !member.roles.get(el));
+          if (missing.length > 0) {
+            unreact(reaction.emoji.id || reaction.emoji.name);
+            const names = missing.map((el) => {
+              const role = msg.guild.roles.get(el);
+              return role ? role.name : el;
+            });
+            user.send(
+                'You need the ' + names.join(', ') + ' role' +
+                    (names.length > 1 ? 's' : '') + ' in ' + msg.guild.name +
+                    ' before you can pick from that menu.')
+                .catch(() => {});
+            return;
+          }
+          const remove = [];
+          if (menu.exclusive) {
+            menu.options.forEach((el) => {
+              if (el === found.option) return;
+              if (member.roles.get(el.role)) remove.push(el.role);
+              const key = emojiKey(el.emoji);
+              const r = msg.reactions.get(key);
+              if (r && r.users.get(user.id)) unreact(key);
+            });
+          }
+          const done = remove.length > 0 ?
+              member.roles.remove(remove, 'Role menu') :
+              Promise.resolve(member);
+          return done.then(
+              (member) => member.roles.add(found.option.role, 'Role menu'));
+        })
+        .catch((err) => {
+          self.error(
+              'Failed to give role from menu: ' + msg.guild.id + '@' +
+              user.id + ' ' + found.option.role);
+          console.error(err);
+        });
+  }
+
+  /**
+   * Remove a role from a member when they remove their reaction from a menu.
+   *
+   * @private
+   * @param {Discord~MessageReaction} reaction The reaction that was removed.
+   * @param {Discord~User} user The user whose reaction was removed.
+   * @listens Discord~Client#messageReactionRemove
+   */
+  function onReactionRemove(reaction, user) {
+    if (user.bot) return;
+    const found = findOption(reaction);
+    if (!found) return;
+    const msg = reaction.message;
+    const ignoreKey =
+        `${msg.id}/${user.id}/${reaction.emoji.id || reaction.emoji.name}`;
+    if (ignoredRemovals[ignoreKey]) {
+      delete ignoredRemovals[ignoreKey];
+      return;
+    }
+    msg.guild.members.fetch(user.id)
+        .then((member) => {
+          if (!member.roles.get(found.option.role)) return;
+          return member.roles.remove(found.option.role, 'Role menu');
+        })
+        .catch((err) => {
+          self.error(
+              'Failed to remove role from menu: ' + msg.guild.id + '@' +
+              user.id + ' ' + found.option.role);
+          console.error(err);
+        });
+  }
+
+  /**
+   * Get all reaction role menus in a guild.
+   *
+   * @public
+   * @param {string} gId The ID of the guild.
+   * @return {Object.<RoleManager~Menu>} The menus mapped by message ID.
+   */
+  this.getMenus = function(gId) {
+    return menus[gId] || {};
+  };
+
+  /**
+   * Send a new, empty, reaction role menu.
+   *
+   * @public
+   * @param {Discord~TextChannel} channel The channel to send the menu in.
+   * @param {string} title The title to show at the top of the menu.
+   * @param {Function} cb Callback with optional error message string, otherwise
+   * second argument is the created {@link RoleManager~Menu}.
+   */
+  this.createMenu = function(channel, title, cb) {
+    const menu = {
+      id: null,
+      channel: channel.id,
+      title: `${title || ''}`.substr(0, 256),
+      exclusive: false,
+      required: [],
+      options: [],
+    };
+    channel.send(renderMenu(menu))
+        .then((msg) => {
+          menu.id = msg.id;
+          if (!menus[channel.guild.id]) menus[channel.guild.id] = {};
+          menus[channel.guild.id][msg.id] = menu;
+          // Footer shows the menu ID, which is only known once sent.
+          return msg.edit(renderMenu(menu)).then(() => cb(null, menu));
+        })
+        .catch((err) => {
+          self.error('Failed to send role menu: ' + channel.id);
+          console.error(err);
+          cb('Failed to send menu.');
+        });
+  };
+
+  /**
+   * Change a setting of a reaction role menu, and update the menu's message.
+   *
+   * @public
+   * @param {string} gId The ID of the guild the menu is in.
+   * @param {string} mId The ID of the menu's message.
+   * @param {string} key The setting to change. `title`, `exclusive`,
+   * `required` or `options`.
+   * @param {*} value The new value. `required` must be an array of role IDs,
+   * and `options` an array of {@link RoleManager~MenuOption}.
+   * @param {?Discord~GuildMember} [member] The member making the change, who
+   * must be able to manage all roles in the menu.
+   * @return {?string} Error message, or null if the change was made.
+   */
+  this.editMenu = function(gId, mId, key, value, member) {
+    const menu = getMenu(gId, mId);
+    if (!menu) return 'Unable to find menu: ' + mId;
+    const guild = self.client.guilds.get(gId);
+    switch (key) {
+      case 'title':
+        if (typeof value !== 'string') return 'Title must be text.';
+        menu.title = value.substr(0, 256);
+        break;
+      case 'exclusive':
+        if (typeof value !== 'boolean') return 'Exclusive must be a boolean.';
+        menu.exclusive = value;
+        break;
+      case 'required': {
+        if (!Array.isArray(value)) return 'Required must be a list of roles.';
+        const missing = value.find((el) => !guild.roles.get(el));
+        if (missing) return 'Unable to find role: ' + missing;
+        menu.required = value.slice();
+        break;
+      }
+      case 'options': {
+        if (!Array.isArray(value)) return 'Options must be a list.';
+        if (value.length > maxMenuOptions) {
+          return 'Menus may only have ' + maxMenuOptions + ' roles.';
+        }
+        const options = [];
+        for (const el of value) {
+          if (!el || typeof el.emoji !== 'string' || !parseEmoji(el.emoji)) {
+            return 'Every role needs an emoji.';
+          }
+          const err = checkAssignable(guild, el.role, member);
+          if (err) return err;
+          const key = emojiKey(el.emoji);
+          if (options.find((o) => emojiKey(o.emoji) === key)) {
+            return el.emoji + ' is used more than once.';
+          }
+          options.push({
+            emoji: parseEmoji(el.emoji),
+            role: el.role,
+            description: el.description ?
+                `${el.description}`.substr(0, 100) :
+                null,
+          });
+        }
+        menu.options = options;
+        break;
+      }
+      default:
+        return 'Unknown setting: ' + key;
+    }
+    updateMenuMessage(menu);
+    return null;
+  };
+
+  /**
+   * Delete a reaction role menu and its message.
+   *
+   * @public
+   * @param {string} gId The ID of the guild the menu is in.
+   * @param {string} mId The ID of the menu's message.
+   * @return {?string} Error message, or null if the menu was deleted.
+   */
+  this.deleteMenu = function(gId, mId) {
+    const menu = getMenu(gId, mId);
+    if (!menu) return 'Unable to find menu: ' + mId;
+    delete menus[gId][mId];
+    const channel = self.client.channels.get(menu.channel);
+    if (channel) {
+      channel.messages.fetch(mId)
+          .then((msg) => msg.delete())
+          .catch(() => {});
+    }
+    return null;
+  };
+
+  /**
+   * Build and manage reaction role menus.
+   *
+   * @private
+   * @type {commandHandler}
+   * @param {Discord~Message} msg Message that triggered command.
+   * @listens Command#roleMenu
+   */
+  function commandRoleMenu(msg) {
+    const args = msg.text.trim().split(/\s+/).filter((el) => el);
+    const action = (args[0] || '').toLowerCase();
+    const usage = '```\n' + [
+      'create <title>',
+      'add <menu id> <emoji> @Role [description]',
+      'remove <menu id> <emoji>',
+      'exclusive <menu id> <on|off>',
+      'require <menu id> [@Role...]',
+      'delete <menu id>',
+      'list',
+    ].map((el) => `${msg.prefix}${msg.cmd} ${el}`).join('\n') + '\n```';
+    if (action === 'create' || action === 'new') {
+      self.createMenu(msg.channel, args.slice(1).join(' '), (err, menu) => {
+        if (err) {
+          self.common.reply(msg, err);
+        } else {
+          self.common.reply(
+              msg, 'Created role menu ' + menu.id,
+              'Add roles with `' + msg.prefix + msg.cmd + ' add ' +
+                  menu.id + ' <emoji> @Role`');
+        }
+      });
+      return;
+    } else if (action === 'list' || !action) {
+      const list = Object.values(self.getMenus(msg.guild.id));
+      if (list.length == 0) {
+        self.common.reply(msg, 'There are no role menus.', usage);
+      } else {
+        self.common.reply(
+            msg, 'Role Menus', list.map((el) => {
+              return `${el.id} in <#${el.channel}>: ${el.title} (${
+                el.options.length} roles${el.exclusive ? ', exclusive' : ''})`;
+            }).join('\n'));
+      }
+      return;
+    }
+    const menu = self.getMenus(msg.guild.id)[args[1]];
+    if (!menu) {
+      self.common.reply(msg, 'Please specify a valid menu ID.', usage);
+      return;
+    }
+    let err = null;
+    let done = 'Updated menu';
+    switch (action) {
+      case 'add': {
+        const role = msg.mentions.roles.first();
+        const emoji = parseEmoji(args[2] || '');
+        if (!role || !emoji) {
+          err = 'Please specify an emoji and a role to add.';
+          break;
+        }
+        const description = args.slice(3)
+            .filter((el) => !el.match(/^<@&\d+>$/))
+            .join(' ');
+        const options = menu.options.filter(
+            (el) => emojiKey(el.emoji) !== emojiKey(emoji));
+        options.push({emoji: emoji, role: role.id, description: description});
+        err = self.editMenu(
+            msg.guild.id, menu.id, 'options', options, msg.member);
+        done = 'Added ' + role.name;
+        break;
+      }
+      case 'remove': {
+        const emoji = parseEmoji(args[2] || '');
+        const options = menu.options.filter(
+            (el) => !emoji || emojiKey(el.emoji) !== emojiKey(emoji));
+        if (!emoji || options.length == menu.options.length) {
+          err = 'Please specify the emoji of a role in the menu.';
+          break;
+        }
+        err = self.editMenu(
+            msg.guild.id, menu.id, 'options', options, msg.member);
+        done = 'Removed ' + emoji;
+        break;
+      }
+      case 'exclusive':
+      case 'single': {
+        const value = !['off', 'false', 'no', 'disable'].includes(
+            (args[2] || '').toLowerCase());
+        err = self.editMenu(msg.guild.id, menu.id, 'exclusive', value);
+        done = value ? 'Members may only pick one role.' :
+                       'Members may pick any roles.';
+        break;
+      }
+      case 'require':
+      case 'requires':
+      case 'prerequisite': {
+        const roles = msg.mentions.roles.map((el) => el.id);
+        err = self.editMenu(msg.guild.id, menu.id, 'required', roles);
+        done = roles.length > 0 ? 'Updated required roles.' :
+                                  'Removed required roles.';
+        break;
+      }
+      case 'delete':
+        err = self.deleteMenu(msg.guild.id, menu.id);
+        done = 'Deleted menu';
+        break;
+      default:
+        self.common.reply(msg, 'Unknown action.', usage);
+        return;
+    }
+    if (err) {
+      self.common.reply(msg, err);
+    } else {
+      self.common.reply(msg, done, menu.id);
+    }
+  }
+
+  /**
+   * The file path to save auto-role rules and timed grants for a specific
+   * guild relative to Common~guildSaveDir.
+   * @see {@link Common~guildSaveDir}
+   *
+   * @private
+   * @type {string}
+   * @constant
+   * @default
+   */
+  const autoRoleFile = '/autoRoles.json';
+
+  /**
+   * How often to check for members who have been in a guild long enough to
+   * get a role, and for timed roles that have expired.
+   *
+   * @private
+   * @type {number}
+   * @constant
+   * @default 5 Minutes
+   */
+  const autoRoleCheckDelay = 5 * 60 * 1000;
+
+  /**
+   * The types of events that may trigger an auto-role rule. `join` gives the
+   * role when a member joins, `age` once they have been a member for `delay`
+   * milliseconds, and `messages` once they have sent `count` messages.
+   *
+   * @private
+   * @type {string[]}
+   * @constant
+   * @default
+   */
+  const autoRoleTriggers = ['join', 'age', 'messages'];
+
+  /**
+   * A rule that gives members a role automatically.
+   *
+   * @typedef {object} RoleManager~AutoRole
+   *
+   * @property {number} id The ID of this rule, unique in the guild.
+   * @property {string} role The ID of the role to give.
+   * @property {string} trigger What causes the role to be given. One of
+   * {@link RoleManager~autoRoleTriggers}.
+   * @property {?number} delay Milliseconds a member must have been in the guild
+   * for `age` rules.
+   * @property {?number} count Number of messages a member must send for
+   * `messages` rules.
+   * @property {?number} duration Milliseconds after which the role is removed
+   * again, or null to keep it.
+   */
+
+  /**
+   * A role given to a member that will be removed at a certain time.
+   *
+   * @typedef {object} RoleManager~TimedRole
+   *
+   * @property {string} user The ID of the member with the role.
+   * @property {string} role The ID of the role.
+   * @property {number} expires Timestamp at which the role will be removed.
+   */
+
+  /**
+   * Auto-role rules, timed roles and progress of members in each guild.
+   * Mapped by guild id.
+   *
+   * @private
+   * @type {Object.<{
+   *   nextId: number,
+   *   rules: RoleManager~AutoRole[],
+   *   timed: RoleManager~TimedRole[],
+   *   counts: Object.<number>,
+   *   given: Object.<string[]>
+   * }>}
+   */
+  const autoRoles = {};
+
+  /**
+   * The interval checking auto-role rules and timed roles.
+   *
+   * @private
+   * @type {?Interval}
+   */
+  let autoRoleInterval = null;
+
+  /**
+   * IDs of guilds whose members have all been fetched. Members who join later
+   * are added to the cache, so each guild only needs to be fetched once.
+   *
+   * @private
+   * @type {Object.<boolean>}
+   */
+  const membersFetched = {};
+
+  /**
+   * Get the auto-role data for a guild, creating it if it doesn't exist yet.
+   *
+   * @private
+   * @param {string} gId The ID of the guild.
+   * @return {object} The guild's entry in {@link RoleManager~autoRoles}.
+   */
+  function getAutoRoles(gId) {
+    if (!autoRoles[gId]) {
+      autoRoles[gId] =
+          {nextId: 1, rules: [], timed: [], counts: {}, given: {}};
+    }
+    return autoRoles[gId];
+  }
+
+  /**
+   * Give a member a role, optionally removing it again after some time.
+   *
+   * @private
+   * @param {Discord~GuildMember} member The member to give the role to.
+   * @param {string} rId The ID of the role to give.
+   * @param {?number} duration Milliseconds until the role is removed, or null
+   * to keep it.
+   * @param {string} reason The reason to show in the audit log.
+   * @param {Function} [cb] Callback with optional error message string.
+   */
+  function grantRole(member, rId, duration, reason, cb) {
+    if (typeof cb !== 'function') cb = function() {};
+    const data = getAutoRoles(member.guild.id);
+    member.roles.add(rId, reason)
+        .then(() => {
+          if (duration > 0) {
+            data.timed = data.timed.filter(
+                (el) => el.user !== member.id || el.role !== rId);
+            data.timed.push({
+              user: member.id,
+              role: rId,
+              expires: Date.now() + duration,
+            });
+          }
+          cb(null);
+        })
+        .catch((err) => {
+          self.error(
+              'Failed to give auto role: ' + member.guild.id + '@' +
+              member.id + ' ' + rId);
+          console.error(err);
+          cb('Failed to give role.');
+        });
+  }
+
+  /**
+   * Give a member the role of a rule. Members who reach an `age` or `messages`
+   * rule are remembered so the role is not given again if it is removed.
+   *
+   * @private
+   * @param {Discord~GuildMember} member The member to give the role to.
+   * @param {RoleManager~AutoRole} rule The rule that was triggered.
+   */
+  function applyRule(member, rule) {
+    const data = getAutoRoles(member.guild.id);
+    if (rule.trigger !== 'join') {
+      if (!data.given[rule.id]) data.given[rule.id] = [];
+      if (data.given[rule.id].includes(member.id)) return;
+      data.given[rule.id].push(member.id);
+    }
+    if (member.roles.get(rule.role)) return;
+    grantRole(member, rule.role, rule.duration, 'Auto role #' + rule.id);
+  }
+
+  /**
+   * Give roles to members who join a guild.
+   *
+   * @private
+   * @param {Discord~GuildMember} member The member who joined.
+   * @listens Discord~Client#guildMemberAdd
+   */
+  function onGuildMemberAdd(member) {
+    const data = autoRoles[member.guild.id];
+    if (!data || member.user.bot) return;
+    data.rules.forEach((rule) => {
+      if (rule.trigger === 'join') applyRule(member, rule);
+    });
+  }
+
+  /**
+   * Count messages sent by members, and give roles once they have sent
+   * enough.
+   *
+   * @private
+   * @param {Discord~Message} msg The message that was sent.
+   * @listens Discord~Client#message
+   */
+  function onMessage(msg) {
+    if (!msg.guild || !msg.member || msg.author.bot) return;
+    const data = autoRoles[msg.guild.id];
+    if (!data) return;
+    const rules = data.rules.filter((el) => el.trigger === 'messages');
+    if (rules.length == 0) return;
+    const count = data.counts[msg.author.id] =
+        (data.counts[msg.author.id] || 0) + 1;
+    rules.forEach((rule) => {
+      if (count >= rule.count) applyRule(msg.member, rule);
+    });
+  }
+
+  /**
+   * Make sure every member of a guild is cached, since only some members are
+   * cached when the bot starts.
+   *
+   * @private
+   * @param {Discord~Guild} guild The guild to fetch the members of.
+   * @param {Function} cb Callback once the members are cached, or fetching
+   * failed and only the cached members are available.
+   */
+  function fetchMembers(guild, cb) {
+    if (membersFetched[guild.id]) {
+      cb();
+      return;
+    }
+    guild.members.fetch()
+        .then(() => {
+          membersFetched[guild.id] = true;
+          cb();
+        })
+        .catch((err) => {
+          self.error('Failed to fetch members for auto roles: ' + guild.id);
+          console.error(err);
+          cb();
+        });
+  }
+
+  /**
+   * Give roles to members who have been in a guild long enough, and remove
+   * timed roles that have expired.
+   *
+   * @private
+   */
+  function checkAutoRoles() {
+    const now = Date.now();
+    Object.entries(autoRoles).forEach((el) => {
+      const guild = self.client.guilds.get(el[0]);
+      if (!guild) return;
+      const data = el[1];
+      const ageRules = data.rules.filter((rule) => rule.trigger === 'age');
+      if (ageRules.length > 0) {
+        fetchMembers(guild, () => {
+          ageRules.forEach((rule) => {
+            // The rule may have been removed while fetching.
+            if (!data.rules.includes(rule)) return;
+            guild.members.forEach((member) => {
+              if (member.user.bot || !member.joinedTimestamp) return;
+              if (now - member.joinedTimestamp < rule.delay) return;
+              applyRule(member, rule);
+            });
+          });
+        });
+      }
+      data.timed = data.timed.filter((timed) => {
+        if (timed.expires > now) return true;
+        // The member may not be cached. Fetching fails if they have left.
+        guild.members.fetch(timed.user)
+            .then((member) => {
+              if (!member.roles.get(timed.role)) return;
+              member.roles.remove(timed.role, 'Timed role expired')
+                  .catch((err) => {
+                    self.error(
+                        'Failed to remove timed role: ' + guild.id + '@' +
+                        timed.user + ' ' + timed.role);
+                    console.error(err);
+                  });
+            })
+            .catch(() => {});
+        return false;
+      });
+    });
+  }
+
+  /**
+   * Get the auto-role rules and timed roles in a guild.
+   *
+   * @public
+   * @param {string} gId The ID of the guild.
+   * @return {{rules: RoleManager~AutoRole[], timed: RoleManager~TimedRole[]}}
+   * The rules and timed roles.
+   */
+  this.getAutoRoles = function(gId) {
+    const data = getAutoRoles(gId);
+    return {rules: data.rules, timed: data.timed};
+  };
+
+  /**
+   * Add a rule to give members a role automatically.
+   *
+   * @public
+   * @param {string} gId The ID of the guild to add the rule to.
+   * @param {string} rId The ID of the role to give.
+   * @param {string} trigger What causes the role to be given. One of
+   * {@link RoleManager~autoRoleTriggers}.
+   * @param {?number} amount Milliseconds of membership for `age` rules, or
+   * number of messages for `messages` rules.
+   * @param {?number} [duration] Milliseconds after which the role is removed
+   * again, or null to keep it.
+   * @param {?Discord~GuildMember} [member] The member adding the rule, who
+   * must be able to manage the role.
+   * @return {string|RoleManager~AutoRole} Error message, or the created rule.
+   */
+  this.addAutoRole = function(gId, rId, trigger, amount, duration, member) {
+    const guild = self.client.guilds.get(gId);
+    if (!guild) return 'Unable to find guild: ' + gId;
+    if (!autoRoleTriggers.includes(trigger)) {
+      return 'Trigger must be one of ' + autoRoleTriggers.join(', ');
+    }
+    const err = checkAssignable(guild, rId, member);
+    if (err) return err;
+    if (trigger !== 'join' && !(amount > 0)) {
+      return trigger === 'age' ? 'Please specify how long members must wait.' :
+                                 'Please specify how many messages to send.';
+    }
+    if (duration != null && !(duration > 0)) {
+      return 'Duration must be a positive amount of time.';
+    }
+    const data = getAutoRoles(gId);
+    const rule = {
+      id: data.nextId++,
+      role: rId,
+      trigger: trigger,
+      delay: trigger === 'age' ? amount : null,
+      count: trigger === 'messages' ? Math.floor(amount) : null,
+      duration: duration || null,
+    };
+    data.rules.push(rule);
+    return rule;
+  };
+
+  /**
+   * Remove an auto-role rule. Roles already given are kept.
+   *
+   * @public
+   * @param {string} gId The ID of the guild the rule is in.
+   * @param {number} id The ID of the rule.
+   * @return {?string} Error message, or null if the rule was removed.
+   */
+  this.removeAutoRole = function(gId, id) {
+    const data = getAutoRoles(gId);
+    const index = data.rules.findIndex((el) => el.id == id);
+    if (index < 0) return 'Unable to find rule #' + id;
+    data.rules.splice(index, 1);
+    delete data.given[id];
+    if (!data.rules.find((el) => el.trigger === 'messages')) data.counts = {};
+    return null;
+  };
+
+  /**
+   * Give a member a role that is removed automatically after some time.
+   *
+   * @public
+   * @param {Discord~GuildMember} member The member to give the role to.
+   * @param {string} rId The ID of the role to give.
+   * @param {number} duration Milliseconds until the role is removed.
+   * @param {?Discord~GuildMember} [moderator] The member giving the role, who
+   * must be able to manage the role.
+   * @param {Function} [cb] Callback with optional error message string.
+   */
+  this.grantTimedRole = function(member, rId, duration, moderator, cb) {
+    if (typeof cb !== 'function') cb = function() {};
+    const err = checkAssignable(member.guild, rId, moderator);
+    if (err) {
+      cb(err);
+      return;
+    }
+    if (!(duration > 0)) {
+      cb('Duration must be a positive amount of time.');
+      return;
+    }
+    grantRole(
+        member, rId, duration,
+        moderator ? 'Timed role from ' + moderator.user.tag : 'Timed role',
+        cb);
+  };
+
+  /**
+   * Format an auto-role rule for showing to a user.
+   *
+   * @private
+   * @param {RoleManager~AutoRole} rule The rule to format.
+   * @return {string} The rule as a human readable string.
+   */
+  function formatRule(rule) {
+    let when;
+    switch (rule.trigger) {
+      case 'join':
+        when = 'on join';
+        break;
+      case 'age':
+        when = 'after ' + self.common.formatDelay(rule.delay);
+        break;
+      case 'messages':
+        when = 'after ' + rule.count + ' messages';
+        break;
+    }
+    const duration =
+        rule.duration ? ' for ' + self.common.formatDelay(rule.duration) : '';
+    return `#${rule.id}: <@&${rule.role}> ${when}${duration}`;
+  }
+
+  /**
+   * List, add or remove auto-role rules.
+   *
+   * @private
+   * @type {commandHandler}
+   * @param {Discord~Message} msg Message that triggered command.
+   * @listens Command#roleAuto
+   */
+  function commandRoleAuto(msg) {
+    const args = msg.text.trim().split(/\s+/).filter((el) => el);
+    const action = (args[0] || '').toLowerCase();
+    const usage = '```\n' + [
+      'add @Role join [for <duration>]',
+      'add @Role after <duration> [for <duration>]',
+      'add @Role messages <count> [for <duration>]',
+      'remove <rule id>',
+      'list',
+    ].map((el) => `${msg.prefix}${msg.cmd} ${el}`).join('\n') + '\n```';
+    if (action === 'list' || !action) {
+      const rules = self.getAutoRoles(msg.guild.id).rules;
+      if (rules.length == 0) {
+        self.common.reply(msg, 'There are no auto-role rules.', usage);
+      } else {
+        self.common.reply(msg, 'Auto Roles', rules.map(formatRule).join('\n'));
+      }
+      return;
+    } else if (action === 'remove' || action === 'delete') {
+      const id = (args[1] || '').replace('#', '');
+      const err = self.removeAutoRole(msg.guild.id, id);
+      if (err) {
+        self.common.reply(msg, err, usage);
+      } else {
+        self.common.reply(msg, 'Removed auto-role rule', '#' + id);
+      }
+      return;
+    } else if (action !== 'add' && action !== 'create') {
+      self.common.reply(msg, 'Unknown action.', usage);
+      return;
+    }
+    const role = msg.mentions.roles.first();
+    if (!role) {
+      self.common.reply(msg, 'Please mention a role to give.', usage);
+      return;
+    }
+    const text = args.slice(1)
+        .filter((el) => !el.match(/^<@&\d+>$/))
+        .join(' ')
+        .toLowerCase();
+    const match = text.match(
+        /^(join|after\s+(.+?)|messages\s+(\d+))(?:\s+for\s+(.+))?$/);
+    if (!match) {
+      self.common.reply(msg, 'Please specify when to give the role.', usage);
+      return;
+    }
+    let trigger = 'join';
+    let amount = null;
+    if (match[2]) {
+      trigger = 'age';
+      amount = self.common.stringToMilliseconds(match[2]);
+    } else if (match[3]) {
+      trigger = 'messages';
+      amount = match[3] * 1;
+    }
+    const duration =
+        match[4] ? self.common.stringToMilliseconds(match[4]) : null;
+    const rule = self.addAutoRole(
+        msg.guild.id, role.id, trigger, amount, duration, msg.member);
+    if (typeof rule === 'string') {
+      self.common.reply(msg, rule, usage);
+    } else {
+      self.common.reply(msg, 'Added auto-role rule', formatRule(rule));
+    }
+  }
+
+  /**
+   * Give a member a role for a limited time.
+   *
+   * @private
+   * @type {commandHandler}
+   * @param {Discord~Message} msg Message that triggered command.
+   * @listens Command#roleTemp
+   */
+  function commandRoleTemp(msg) {
+    const member = msg.mentions.members.first();
+    const role = msg.mentions.roles.first();
+    const text = msg.text.replace(/<@[!&]?\d+>/g, '').trim();
+    const duration = self.common.stringToMilliseconds(text);
+    if (!member || !role || !(duration > 0)) {
+      self.common.reply(
+          msg, 'Please mention a member, a role, and how long to give it for.',
+          '`' + msg.prefix + msg.cmd + ' @SpikeyRobot @Event 2d`');
+      return;
+    }
+    self.grantTimedRole(member, role.id, duration, msg.member, (err) => {
+      if (err) {
+        self.common.reply(msg, err);
+      } else {
+        self.common.reply(
+            msg, 'Gave ' + member.user.username + ' ' + role.name,
+            'For ' + self.common.formatDelay(duration));
+      }
+    });
+  }
+
   /**
    * Returns a guild's data. Returns cached version if that exists, or searches
    * the file system for saved data. Data will only be checked from disk at most
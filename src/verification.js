@@ -0,0 +1,663 @@
+// Copyright 2019 Campbell Crowley. All rights reserved.
+// Author: Campbell Crowley (dev@campbellcrowley.com)
+const fs = require('fs');
+const SubModule = require('./subModule.js');
+
+/**
+ * @description A challenge a member must answer in their DMs before they are
+ * let into a guild.
+ * @typedef {object} Verification~Challenge
+ *
+ * @property {string} type The type of challenge. `math` or `reaction`.
+ * @property {string} question The question sent to the member.
+ * @property {string} answer The expected answer, or emoji to react with.
+ * @property {?string} message The ID of the DM the challenge was sent in.
+ * @property {number} tries Number of wrong answers given so far.
+ * @property {number} expires Timestamp at which the member is kicked if they
+ * have not answered correctly.
+ */
+
+/**
+ * @description Holds new members in a quarantine role until they answer a
+ * challenge sent to them in a DM. Members who do not answer in time are
+ * kicked.
+ * @listens external:Discord~Client#guildMemberAdd
+ * @listens external:Discord~Client#guildMemberRemove
+ * @listens external:Discord~Client#message
+ * @listens external:Discord~Client#messageReactionAdd
+ * @listens Command#verify
+ * @listens Command#verification
+ */
+class Verification extends SubModule {
+  /**
+   * @description SubModule managing member verification.
+   */
+  constructor() {
+    super();
+    /** @inheritdoc */
+    this.myName = 'Verification';
+    /**
+     * Guild settings for verification mapped by their guild id.
+     *
+     * @private
+     * @type {object.<Verification~Settings>}
+     * @default
+     */
+    this._settings = {};
+    /**
+     * Challenges members have not answered yet, mapped by guild id, then user
+     * id.
+     *
+     * @private
+     * @type {object.<object.<Verification~Challenge>>}
+     * @default
+     */
+    this._pending = {};
+    /**
+     * Timeouts to kick members who have not answered, mapped by guild id and
+     * user id joined with a `/`.
+     *
+     * @private
+     * @type {object.<Timeout>}
+     * @default
+     */
+    this._timeouts = {};
+    this.save = this.save.bind(this);
+    this.getSettings = this.getSettings.bind(this);
+    this.challenge = this.challenge.bind(this);
+    this.approve = this.approve.bind(this);
+    this._onGuildMemberAdd = this._onGuildMemberAdd.bind(this);
+    this._onGuildMemberRemove = this._onGuildMemberRemove.bind(this);
+    this._onMessage = this._onMessage.bind(this);
+    this._onReaction = this._onReaction.bind(this);
+    this._commandVerify = this._commandVerify.bind(this);
+  }
+
+  /** @inheritdoc */
+  initialize() {
+    this.command.on(
+        new this.command.SingleCommand(
+            ['verify', 'verification'], this._commandVerify, {
+              validOnlyInGuild: true,
+              defaultDisabled: true,
+              permissions: this.Discord.Permissions.FLAGS.MANAGE_ROLES |
+                  this.Discord.Permissions.FLAGS.MANAGE_GUILD |
+                  this.Discord.Permissions.FLAGS.KICK_MEMBERS,
+            }));
+    this.client.on('guildMemberAdd', this._onGuildMemberAdd);
+    this.client.on('guildMemberRemove', this._onGuildMemberRemove);
+    this.client.on('message', this._onMessage);
+    this.client.on('messageReactionAdd', this._onReaction);
+
+    this.client.guilds.forEach((g) => {
+      fs.readFile(
+          `${this.common.guildSaveDir}${g.id}/verification.json`,
+          (err, file) => {
+            if (err) return;
+            let parsed;
+            try {
+              parsed = JSON.parse(file);
+              this._settings[g.id] = Settings.from(parsed.settings || {});
+            } catch (e) {
+              this.error('Failed to parse verification: ' + g.id);
+              console.error(e);
+              return;
+            }
+            this._pending[g.id] = parsed.pending || {};
+            Object.keys(this._pending[g.id])
+                .forEach((uId) => this._scheduleTimeout(g.id, uId));
+          });
+    });
+  }
+  /** @inheritdoc */
+  shutdown() {
+    this.command.removeListener('verify');
+    this.client.removeListener('guildMemberAdd', this._onGuildMemberAdd);
+    this.client.removeListener('guildMemberRemove', this._onGuildMemberRemove);
+    this.client.removeListener('message', this._onMessage);
+    this.client.removeListener('messageReactionAdd', this._onReaction);
+    Object.values(this._timeouts)
+        .forEach((el) => this.client.clearTimeout(el));
+    this._timeouts = {};
+  }
+  /** @inheritdoc */
+  save(opt) {
+    if (!this.initialized) return;
+
+    Object.entries(this._settings).forEach((obj) => {
+      const dir = `${this.common.guildSaveDir}${obj[0]}/`;
+      const filename = `${dir}verification.json`;
+      const data = JSON.stringify(
+          {settings: obj[1], pending: this._pending[obj[0]] || {}});
+      if (opt == 'async') {
+        this.common.mkAndWrite(filename, dir, data);
+      } else {
+        this.common.mkAndWriteSync(filename, dir, data);
+      }
+    });
+  }
+
+  /**
+   * @description Get the settings for a guild.
+   * @public
+   * @param {string} gId The ID of the guild to fetch.
+   * @returns {Verification~Settings} Reference to settings object. If it does
+   * not exist yet, it will first be created with defaults.
+   */
+  getSettings(gId) {
+    if (!this._settings[gId]) this._settings[gId] = new Settings();
+    return this._settings[gId];
+  }
+
+  /**
+   * @description Send a message to a guild's moderation channel (if
+   * configured), describing the action that took place.
+   * @see {@link ModLog}
+   *
+   * @private
+   * @param {*} args The arguments to pass to ModLog.
+   */
+  _modLog(...args) {
+    const modLog = this.bot.getSubmodule('./modLog.js');
+    if (!modLog) return;
+    modLog.output(...args);
+  }
+
+  /**
+   * @description Handle a member joining a guild.
+   * @private
+   * @param {external:Discord~GuildMember} member The member who joined.
+   */
+  _onGuildMemberAdd(member) {
+    const s = this._settings[member.guild.id];
+    if (!s || !s.enabled || member.user.bot) return;
+    this.challenge(member, 'New member');
+  }
+
+  /**
+   * @description Handle a member leaving a guild. Any pending challenge is
+   * cancelled.
+   * @private
+   * @param {external:Discord~GuildMember} member The member who left.
+   */
+  _onGuildMemberRemove(member) {
+    this._clear(member.guild.id, member.id);
+  }
+
+  /**
+   * @description Quarantine a member, and send them a challenge in their DMs.
+   * Does nothing if the member already has a challenge pending.
+   * @public
+   * @param {external:Discord~GuildMember} member The member to verify.
+   * @param {string} [reason] The reason the member must be verified, shown in
+   * the mod log.
+   * @param {Function} [cb] Callback with optional error message string.
+   */
+  challenge(member, reason, cb) {
+    if (typeof cb !== 'function') cb = function() {};
+    const gId = member.guild.id;
+    const s = this.getSettings(gId);
+    const role = member.guild.roles.get(s.role);
+    if (!role) {
+      cb('Verification role has not been set.');
+      return;
+    }
+    if (!this._pending[gId]) this._pending[gId] = {};
+    if (this._pending[gId][member.id]) {
+      cb(null);
+      return;
+    }
+    const challenge = this._createChallenge(s.challenge);
+    challenge.expires = Date.now() + s.timeout;
+    this._pending[gId][member.id] = challenge;
+    this._scheduleTimeout(gId, member.id);
+
+    member.roles.add(role, reason)
+        .then(() => {
+          this._modLog(member.guild, 'verify', member.user, null, reason);
+        })
+        .catch((err) => {
+          this.error('Failed to give verification role: ' + gId + '@' +
+                     member.id);
+          console.error(err);
+        });
+
+    const text = `To get access to ${member.guild.name}, ${
+      challenge.question}\nYou have ${
+      this.common.formatDelay(s.timeout)} to answer.`;
+    member.send(text)
+        .then((msg) => {
+          challenge.message = msg.id;
+          if (challenge.type !== 'reaction') return;
+          Verification.reactionChoices.forEach((el) => {
+            msg.react(el).catch(() => {});
+          });
+        })
+        .catch(() => {
+          this._modLog(
+              member.guild, 'verify', member.user, null,
+              'Unable to send verification DM');
+        });
+    cb(null);
+  }
+
+  /**
+   * @description Create a new challenge.
+   * @private
+   * @param {string} type The type of challenge to create. Falls back to
+   * `reaction` if math can not be evaluated.
+   * @returns {Verification~Challenge} The challenge without `expires` set.
+   */
+  _createChallenge(type) {
+    const rand = (max) => Math.floor(Math.random() * max);
+    const main = this.bot.getSubmodule('./main.js');
+    if (type === 'math' && main && main.evaluate) {
+      const ops = ['+', '-', '*'];
+      const question = `${rand(10) + 1} ${ops[rand(ops.length)]} ${
+        rand(10) + 1} ${ops[rand(ops.length)]} ${rand(10) + 1}`;
+      return {
+        type: 'math',
+        question: `please reply with the answer to \`${question}\`.`,
+        answer: main.evaluate(question),
+        message: null,
+        tries: 0,
+      };
+    }
+    const choices = Verification.reactionChoices;
+    const index = rand(choices.length);
+    return {
+      type: 'reaction',
+      question: `please react to this message with the ${
+        Verification.reactionNames[index]}.`,
+      answer: choices[index],
+      message: null,
+      tries: 0,
+    };
+  }
+
+  /**
+   * @description Set the timeout to kick a member if they have not answered
+   * their challenge in time.
+   * @private
+   * @param {string} gId The ID of the guild.
+   * @param {string} uId The ID of the member.
+   */
+  _scheduleTimeout(gId, uId) {
+    const key = `${gId}/${uId}`;
+    if (this._timeouts[key]) this.client.clearTimeout(this._timeouts[key]);
+    const challenge = this._pending[gId][uId];
+    const delay = Math.min(
+        Math.max(0, challenge.expires - Date.now()), Verification.maxTimeout);
+    this._timeouts[key] = this.client.setTimeout(() => {
+      delete this._timeouts[key];
+      this._fail(gId, uId, 'Did not answer verification in time');
+    }, delay);
+  }
+
+  /**
+   * @description Remove a member's pending challenge.
+   * @private
+   * @param {string} gId The ID of the guild.
+   * @param {string} uId The ID of the member.
+   */
+  _clear(gId, uId) {
+    const key = `${gId}/${uId}`;
+    if (this._timeouts[key]) {
+      this.client.clearTimeout(this._timeouts[key]);
+      delete this._timeouts[key];
+    }
+    if (this._pending[gId]) delete this._pending[gId][uId];
+  }
+
+  /**
+   * @description Kick a member who failed their challenge.
+   * @private
+   * @param {string} gId The ID of the guild.
+   * @param {string} uId The ID of the member.
+   * @param {string} reason The reason the member failed.
+   */
+  _fail(gId, uId, reason) {
+    this._clear(gId, uId);
+    const guild = this.client.guilds.get(gId);
+    const member = guild && guild.members.get(uId);
+    if (!member) return;
+    member.send(`You failed verification in ${guild.name}: ${reason}`)
+        .catch(() => {})
+        .then(() => member.kick(reason))
+        .then(() => this._modLog(guild, 'kick', member.user, null, reason))
+        .catch((err) => {
+          this.error('Failed to kick unverified member: ' + gId + '@' + uId);
+          console.error(err);
+        });
+  }
+
+  /**
+   * @description Let a member into the guild, removing the verification role
+   * and giving the verified role if one is set.
+   * @public
+   * @param {external:Discord~GuildMember} member The member to approve.
+   * @param {?external:Discord~User} [moderator=null] The moderator who
+   * approved the member, or null if they answered their challenge.
+   * @param {Function} [cb] Callback with optional error message string.
+   */
+  approve(member, moderator, cb) {
+    if (typeof cb !== 'function') cb = function() {};
+    const gId = member.guild.id;
+    const s = this.getSettings(gId);
+    this._clear(gId, member.id);
+    const remove = member.roles.get(s.role);
+    const add = member.guild.roles.get(s.verifiedRole);
+    const done = remove ? member.roles.remove(remove) : Promise.resolve();
+    done.then(() => add && member.roles.add(add))
+        .then(() => {
+          this._modLog(
+              member.guild, 'verified', member.user, moderator || null);
+          cb(null);
+        })
+        .catch((err) => {
+          this.error('Failed to verify member: ' + gId + '@' + member.id);
+          console.error(err);
+          cb('Failed to update roles.');
+        });
+  }
+
+  /**
+   * @description Check an answer to a challenge.
+   * @private
+   * @param {string} gId The ID of the guild the challenge is for.
+   * @param {external:Discord~User} user The user who answered.
+   * @param {string} answer The answer given.
+   * @param {external:Discord~TextChannel} channel The DM channel to reply in.
+   */
+  _answer(gId, user, answer, channel) {
+    const challenge = this._pending[gId][user.id];
+    const guild = this.client.guilds.get(gId);
+    const member = guild && guild.members.get(user.id);
+    if (!member) {
+      this._clear(gId, user.id);
+      return;
+    }
+    if (answer === challenge.answer) {
+      this.approve(member, null, (err) => {
+        if (err) return;
+        channel.send(`You have been verified in ${guild.name}!`)
+            .catch(() => {});
+      });
+      return;
+    }
+    challenge.tries++;
+    if (challenge.tries >= Verification.maxTries) {
+      this._fail(gId, user.id, 'Too many wrong answers');
+    } else {
+      channel.send('That isn\'t right, please try again.').catch(() => {});
+    }
+  }
+
+  /**
+   * @description Handle a message being sent. Checks answers to math
+   * challenges sent in DMs.
+   * @private
+   * @param {external:Discord~Message} msg The message that was sent.
+   */
+  _onMessage(msg) {
+    if (msg.guild || msg.author.bot) return;
+    const gId = Object.keys(this._pending).find((el) => {
+      const challenge = this._pending[el][msg.author.id];
+      return challenge && challenge.type === 'math';
+    });
+    if (!gId) return;
+    this._answer(gId, msg.author, msg.content.trim(), msg.channel);
+  }
+
+  /**
+   * @description Handle a reaction being added to a message. Checks answers to
+   * reaction challenges.
+   * @private
+   * @param {external:Discord~MessageReaction} reaction The reaction added.
+   * @param {external:Discord~User} user The user who reacted.
+   */
+  _onReaction(reaction, user) {
+    if (user.bot || reaction.message.guild) return;
+    const gId = Object.keys(this._pending).find((el) => {
+      const challenge = this._pending[el][user.id];
+      return challenge && challenge.message === reaction.message.id;
+    });
+    if (!gId) return;
+    this._answer(gId, user, reaction.emoji.name, reaction.message.channel);
+  }
+
+  /**
+   * @description Show or change verification settings, or manually approve a
+   * member.
+   *
+   * @private
+   * @type {commandHandler}
+   * @param {Discord~Message} msg Message that triggered command.
+   * @listens Command#verify
+   * @listens Command#verification
+   */
+  _commandVerify(msg) {
+    const s = this.getSettings(msg.guild.id);
+    const args = msg.text.trim().split(/\s+/).filter((el) => el);
+    const cmd = (args[0] || '').toLowerCase();
+    const member = msg.mentions.members && msg.mentions.members.first();
+    switch (cmd) {
+      case '': {
+        const role = msg.guild.roles.get(s.role);
+        const verified = msg.guild.roles.get(s.verifiedRole);
+        const pending = Object.keys(this._pending[msg.guild.id] || {}).length;
+        this.common.reply(
+            msg, 'Verification Status',
+            `Verify all new members: ${s.enabled}\nRole: ${
+              role ? role.name : 'Not set'}\nVerified role: ${
+              verified ? verified.name : 'None'}\nChallenge: ${
+              s.challenge}\nTimeout: ${
+              this.common.formatDelay(s.timeout)}\nPending: ${pending}`);
+        return;
+      }
+      case 'on':
+      case 'enable':
+        if (!msg.guild.roles.get(s.role)) {
+          this.common.reply(
+              msg, 'Please set the verification role first.',
+              `${msg.prefix}${msg.cmd} role @Unverified`);
+          return;
+        }
+        s.enabled = true;
+        this.common.reply(msg, 'New members must now be verified.');
+        return;
+      case 'off':
+      case 'disable':
+        s.enabled = false;
+        this.common.reply(msg, 'New members will no longer be verified.');
+        return;
+      case 'role':
+      case 'verifiedrole': {
+        const role = msg.mentions.roles.first();
+        const key = cmd === 'role' ? 'role' : 'verifiedRole';
+        s[key] = role ? role.id : null;
+        this.common.reply(
+            msg, `${cmd === 'role' ? 'Verification' : 'Verified'} role ${
+              role ? `set to ${role.name}` : 'removed'}`);
+        return;
+      }
+      case 'challenge':
+      case 'type': {
+        const type = (args[1] || '').toLowerCase();
+        if (!Verification.challengeTypes.includes(type)) {
+          this.common.reply(
+              msg, 'Challenge must be one of ' +
+                  Verification.challengeTypes.join(', '));
+          return;
+        }
+        s.challenge = type;
+        this.common.reply(msg, `Challenge set to ${type}`);
+        return;
+      }
+      case 'timeout': {
+        const timeout =
+            this.common.stringToMilliseconds(args.slice(1).join(''));
+        if (timeout < 60000 || timeout > Verification.maxTimeout) {
+          this.common.reply(
+              msg, 'Timeout must be from 1 minute to ' +
+                  this.common.formatDelay(Verification.maxTimeout) + '.');
+          return;
+        }
+        s.timeout = timeout;
+        this.common.reply(
+            msg, `Timeout set to ${this.common.formatDelay(timeout)}`);
+        return;
+      }
+      case 'approve':
+      case 'pass':
+        if (!member) {
+          this.common.reply(msg, 'Please mention a member to approve.');
+          return;
+        }
+        this.approve(member, msg.author, (err) => {
+          if (err) {
+            this.common.reply(msg, 'Failed to approve member.', err);
+          } else {
+            this.common.reply(msg, `Approved ${member.user.username}`);
+          }
+        });
+        return;
+      default:
+        this.common.reply(
+            msg, 'Oops! I don\'t understand that.',
+            'Options are on, off, role, verifiedrole, challenge, timeout, ' +
+                'or approve.');
+    }
+  }
+}
+
+/**
+ * @description Possible types of challenges.
+ * @public
+ * @static
+ * @constant
+ * @type {string[]}
+ * @default
+ */
+Verification.challengeTypes = ['math', 'reaction'];
+
+/**
+ * @description Emojis members may be asked to react with.
+ * @public
+ * @static
+ * @constant
+ * @type {string[]}
+ * @default
+ */
+Verification.reactionChoices = ['🍎', '🍌', '🍇', '🍒'];
+
+/**
+ * @description Names of each emoji in {@link Verification.reactionChoices}.
+ * @public
+ * @static
+ * @constant
+ * @type {string[]}
+ * @default
+ */
+Verification.reactionNames = ['apple', 'banana', 'grapes', 'cherries'];
+
+/**
+ * @description Number of wrong answers a member may give before they are
+ * kicked.
+ * @public
+ * @static
+ * @constant
+ * @type {number}
+ * @default
+ */
+Verification.maxTries = 3;
+
+/**
+ * @description Longest time in milliseconds members may be given to answer
+ * their challenge. Timeouts longer than about 24 days fire immediately.
+ * @public
+ * @static
+ * @constant
+ * @type {number}
+ * @default 1209600000 (14 Days)
+ */
+Verification.maxTimeout = 14 * 24 * 60 * 60 * 1000;
+
+/**
+ * @description Settings for member verification in a guild.
+ * @memberof Verification
+ * @inner
+ */
+class Settings {
+  /**
+   * @description Create default settings.
+   */
+  constructor() {
+    /**
+     * @description Should every new member be verified. Members may also be
+     * sent to verification by {@link RaidBlock} during a lockdown, or if they
+     * look suspicious, while this is disabled.
+     * @public
+     * @type {boolean}
+     * @default
+     */
+    this.enabled = false;
+    /**
+     * @description ID of the role given to members until they are verified.
+     * @public
+     * @type {?string}
+     * @default
+     */
+    this.role = null;
+    /**
+     * @description ID of the role given to members once they are verified, or
+     * null to only remove the verification role.
+     * @public
+     * @type {?string}
+     * @default
+     */
+    this.verifiedRole = null;
+    /**
+     * @description The type of challenge to send. One of {@link
+     * Verification.challengeTypes}.
+     * @public
+     * @type {string}
+     * @default
+     */
+    this.challenge = 'math';
+    /**
+     * @description Time in milliseconds members have to answer before they
+     * are kicked.
+     * @public
+     * @type {number}
+     * @default 600000 (10 Minutes)
+     */
+    this.timeout = 600000;
+  }
+}
+
+/**
+ * @description Create a Settings object from a Settings-like object. Similar to
+ * copy-constructor.
+ * @public
+ * @static
+ * @param {object} obj Object to create a Settings object from.
+ * @returns {Verification~Settings} The created object.
+ */
+Settings.from = function(obj) {
+  const output = new Settings();
+  output.enabled = obj.enabled || false;
+  output.role = obj.role || null;
+  output.verifiedRole = obj.verifiedRole || null;
+  if (Verification.challengeTypes.includes(obj.challenge)) {
+    output.challenge = obj.challenge;
+  }
+  if (obj.timeout > 0) {
+    output.timeout = Math.min(obj.timeout, Verification.maxTimeout);
+  }
+  return output;
+};
+
+Verification.Settings = Settings;
+
+module.exports = new Verification();
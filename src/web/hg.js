@@ -209,6 +209,7 @@ function HGWeb() {
     socket.on('fetchChannel', (...args) => handle(fetchChannel, args));
     socket.on('fetchGames', (...args) => handle(fetchGames, args));
     socket.on('fetchDay', (...args) => handle(fetchDay, args));
+    socket.on('fetchPastGame', (...args) => handle(fetchPastGame, args));
     socket.on('excludeMember', (...args) => handle(excludeMember, args));
     socket.on('includeMember', (...args) => handle(includeMember, args));
     socket.on('toggleOption', (...args) => handle(toggleOption, args));
@@ -226,8 +227,12 @@ function HGWeb() {
     socket.on('editMajorEvent', (...args) => handle(editMajorEvent, args));
     socket.on('removeEvent', (...args) => handle(removeEvent, args));
     socket.on('toggleEvent', (...args) => handle(toggleEvent, args));
+    socket.on('exportEvents', (...args) => handle(exportEvents, args));
+    socket.on('importEvents', (...args) => handle(importEvents, args));
     socket.on('forcePlayerState', (...args) => handle(forcePlayerState, args));
     socket.on('renameGame', (...args) => handle(renameGame, args));
+    socket.on(
+        'setPlayerAttribute', (...args) => handle(setPlayerAttribute, args));
     socket.on('removeNPC', (...args) => handle(removeNPC, args));
     socket.on(
         'fetchStatGroupList', (...args) => handle(fetchStatGroupList, args));
@@ -236,6 +241,10 @@ function HGWeb() {
         (...args) => handle(fetchStatGroupMetadata, args));
     socket.on('fetchStats', (...args) => handle(fetchStats, args));
     socket.on('fetchLeaderboard', (...args) => handle(fetchLeaderboard, args));
+    socket.on('fetchSeasons', (...args) => handle(fetchSeasons, args));
+    socket.on('fetchBets', (...args) => handle(fetchBets, args));
+    socket.on('placeBet', (...args) => handle(placeBet, args));
+    socket.on('sendGift', (...args) => handle(sendGift, args));
     socket.on('imageChunk', (...args) => handle(imageChunk, args));
     socket.on('imageInfo', (...args) => handle(imageInfo, args));
     // End Restricted Access \\
@@ -955,6 +964,56 @@ function HGWeb() {
     }
   }
   this.fetchDay = fetchDay;
+  /**
+   * Fetch a game that has been archived, or the list of all archived games.
+   *
+   * @see {@link HungryGames~GameArchive}
+   *
+   * @private
+   * @type {HGWeb~SocketFunction}
+   * @param {object} userData The current user's session data.
+   * @param {socketIo~Socket} socket The socket connection to reply on.
+   * @param {number|string} gId The guild id to look at.
+   * @param {?string} gameId The ID of the archived game to fetch, or null to
+   * fetch the list of all archived games.
+   * @param {basicCB} cb Callback that fires once the requested action is
+   * complete, or has failed. Second argument is the {@link HGArchiveRecord},
+   * or array of {@link HGArchiveSummary} if no game ID was given.
+   */
+  function fetchPastGame(userData, socket, gId, gameId, cb) {
+    if (typeof cb !== 'function') {
+      self.common.logWarning(
+          'Fetch past game attempted without callback', socket.id);
+      return;
+    }
+    if (!checkPerm(userData, gId, null, 'replay')) {
+      if (!checkMyGuild(gId)) return;
+      cb('NO_PERM');
+      return;
+    }
+    const game = hg().getHG().getGame(gId);
+    if (!game) {
+      cb('NO_GAME_IN_GUILD');
+      return;
+    }
+    const done = (err, data) => {
+      if (err) {
+        self.error('Failed to fetch past game: ' + gId + '/' + gameId);
+        console.error(err);
+        cb('ATTEMPT_FAILED');
+      } else if (!data) {
+        cb('BAD_GAME');
+      } else {
+        cb(null, data);
+      }
+    };
+    if (gameId == null) {
+      game._archive.fetchList(done);
+    } else {
+      game._archive.fetchGame(gameId, done);
+    }
+  }
+  this.fetchPastGame = fetchPastGame;
   /**
    * Exclude a member from the Games.
    *
@@ -1564,6 +1623,80 @@ function HGWeb() {
   }
   this.toggleEvent = toggleEvent;
 
+  /**
+   * @description Get all custom events in a guild as an event pack.
+   * @see {@link HungryGames.exportEventPack}
+   *
+   * @private
+   * @type {HGWeb~SocketFunction}
+   * @param {object} userData The current user's session data.
+   * @param {socketIo-Socket} socket The socket connection to reply on.
+   * @param {number|string} gId The guild id to export the events of.
+   * @param {basicCB} cb Callback that fires once the requested action is
+   * complete, or has failed. Second argument is the serializable event pack.
+   */
+  function exportEvents(userData, socket, gId, cb) {
+    if (typeof cb !== 'function') {
+      self.common.logWarning(
+          'Export events attempted without callback', socket.id);
+      return;
+    }
+    if (!checkPerm(userData, gId, null, 'event')) {
+      if (!checkMyGuild(gId)) return;
+      cb('NO_PERM');
+      return;
+    }
+    const pack = hg().exportEventPack(gId);
+    if (typeof pack === 'string') {
+      cb('ATTEMPT_FAILED');
+    } else {
+      cb(null, pack.serializable);
+    }
+  }
+  this.exportEvents = exportEvents;
+
+  /**
+   * @description Add all events in an event pack to a guild's custom events.
+   * @see {@link HungryGames.importEventPack}
+   *
+   * @private
+   * @type {HGWeb~SocketFunction}
+   * @param {object} userData The current user's session data.
+   * @param {socketIo-Socket} socket The socket connection to reply on.
+   * @param {number|string} gId The guild id to import the events into.
+   * @param {object} pack The parsed event pack.
+   * @param {basicCB} [cb] Callback that fires once the requested action is
+   * complete, or has failed. Second argument is the number of events added and
+   * skipped and the error for each invalid event, third is the updated game.
+   */
+  function importEvents(userData, socket, gId, pack, cb) {
+    if (!checkPerm(userData, gId, null, 'event')) {
+      if (!checkMyGuild(gId)) return;
+      if (typeof cb === 'function') cb('NO_PERM');
+      replyNoPerm(socket, 'importEvents');
+      return;
+    }
+    const res = hg().importEventPack(gId, pack);
+    if (typeof res === 'string') {
+      if (typeof cb === 'function') {
+        cb('ATTEMPT_FAILED', res);
+      } else {
+        socket.emit('message', 'Failed to import events: ' + res);
+      }
+      return;
+    }
+    const game = hg().getHG().getGame(gId);
+    if (typeof cb === 'function') {
+      cb(null, res, game && game.serializable);
+    } else {
+      socket.emit(
+          'message', `Imported ${res.added} events, skipped ` +
+              `${res.duplicates} duplicates, ${res.errors.length} invalid.`);
+      if (game) socket.emit('game', gId, game.serializable);
+    }
+  }
+  this.importEvents = importEvents;
+
   /**
    * Force a player in the game to end a day in a certain state.
    *
@@ -1616,6 +1749,68 @@ function HGWeb() {
   }
   this.forcePlayerState = forcePlayerState;
 
+  /**
+   * Send a gift from the current user to a player in the game.
+   *
+   * @see {@link HungryGames.sendGift}
+   *
+   * @private
+   * @type {HGWeb~SocketFunction}
+   * @param {object} userData The current user's session data.
+   * @param {socketIo~Socket} socket The socket connection to reply on.
+   * @param {number|string} gId The guild id to run this command on.
+   * @param {string} pId The ID of the player to send the gift to.
+   * @param {basicCB} [cb] Callback that fires once the requested action is
+   * complete. First argument is an error message or null.
+   */
+  function sendGift(userData, socket, gId, pId, cb) {
+    if (!checkPerm(userData, gId, null, 'gift')) {
+      if (!checkMyGuild(gId)) return;
+      if (typeof cb === 'function') cb('NO_PERM');
+      replyNoPerm(socket, 'sendGift');
+      return;
+    }
+    hg().sendGift(gId, userData.id, pId, (err) => {
+      if (typeof cb === 'function') cb(err || null);
+    });
+  }
+  this.sendGift = sendGift;
+
+  /**
+   * Set the value of an attribute for a player.
+   *
+   * @see {@link HungryGames.setPlayerAttribute}
+   *
+   * @private
+   * @type {HGWeb~SocketFunction}
+   * @param {object} userData The current user's session data.
+   * @param {socketIo-Socket} socket The socket connection to reply on.
+   * @param {number|string} gId The guild id to run this command on.
+   * @param {string} pId The ID of the player to modify.
+   * @param {string} name The name of the attribute to set.
+   * @param {number} value The value to set the attribute to.
+   * @param {basicCB} [cb] Callback that fires once the requested action is
+   * complete. First argument is an error message or null, second is the
+   * player's attributes if successful.
+   */
+  function setPlayerAttribute(userData, socket, gId, pId, name, value, cb) {
+    if (!checkPerm(userData, gId, null, 'players set')) {
+      if (!checkMyGuild(gId)) return;
+      if (typeof cb === 'function') cb('NO_PERM');
+      replyNoPerm(socket, 'setPlayerAttribute');
+      return;
+    }
+    const error = hg().setPlayerAttribute(gId, pId, name, value);
+    if (typeof cb === 'function') {
+      if (error) {
+        cb(error);
+      } else {
+        cb(null, hg().getHG().getGame(gId).playerAttributes[pId] || {});
+      }
+    }
+  }
+  this.setPlayerAttribute = setPlayerAttribute;
+
   /**
    * Rename the guild's game.
    *
@@ -1817,7 +2012,10 @@ function HGWeb() {
   this.fetchStats = fetchStats;
 
   /**
-   * Respond with leaderboard information.
+   * Respond with a page of leaderboard information. If the group is a season,
+   * each user's rank in the previous season is included.
+   *
+   * @see {@link HungryGames~StatManager#fetchLeaderboard}
    *
    * @private
    * @type {HGWeb~SocketFunction}
@@ -1825,9 +2023,11 @@ function HGWeb() {
    * @param {socketIo~Socket} socket The socket connection to reply on.
    * @param {number|string} guildId The guild id to look at.
    * @param {string} groupId The ID of the group.
-   * @param {HGStatGroupUserSelectOptions} opt Data select options.
+   * @param {HGStatGroupUserSelectOptions} opt Data select options. `sort` must
+   * be a stat key, `limit` is capped at 100.
    * @param {basicCB} [cb] Callback that fires once the requested action is
-   * complete, or has failed.
+   * complete, or has failed. Second argument is the array of ranked stats,
+   * third is the total number of users in the group.
    */
   function fetchLeaderboard(userData, socket, guildId, groupId, opt, cb) {
     if (!checkPerm(userData, guildId, null, 'stats')) {
@@ -1841,29 +2041,160 @@ function HGWeb() {
       if (typeof cb === 'function') cb('NO_GAME_IN_GUILD');
       return;
     }
-    game._stats.fetchGroup(groupId, (err, group) => {
-      if (err) {
+    if (!opt || typeof opt !== 'object') opt = {};
+    const opts = {
+      sort: typeof opt.sort === 'string' ? opt.sort : 'wins',
+      ascending: opt.ascending === true,
+      limit: Math.min(Math.max(Math.floor(opt.limit * 1) || 10, 1), 100),
+      offset: Math.max(Math.floor(opt.offset * 1) || 0, 0),
+    };
+    if (!HungryGames.Stats.keys.includes(opts.sort)) {
+      if (typeof cb === 'function') cb('BAD_SORT');
+      return;
+    }
+    game._stats.fetchLeaderboard(groupId, opts, (err, rows) => {
+      if (err && typeof err === 'string') {
         if (typeof cb === 'function') cb('BAD_GROUP');
         return;
+      } else if (err) {
+        self.error('Failed to fetch leaderboard: ' + guildId + '/' + groupId);
+        console.error(err);
+        if (typeof cb === 'function') cb('ATTEMPT_FAILED');
+        return;
       }
-      group.fetchUsers(opt, (err, rows) => {
-        if (err) {
-          self.error(
-              'Failed to fetch leaderboard: ' + guildId + '/' + group.id);
-          console.error(err);
-          if (typeof cb === 'function') cb('ATTEMPT_FAILED');
-          return;
-        }
-        const serializable = rows.map((el) => el.serializable);
-        if (typeof cb === 'function') {
-          cb(null, serializable);
-        } else {
-          socket.emit('userStats', guildId, groupId, opt, serializable);
-        }
+      const serializable = rows.map((el) => {
+        return Object.assign(
+            {id: el.stats.id, rank: el.rank, previousRank: el.previousRank},
+            el.stats.serializable);
+      });
+      game._stats.fetchGroup(groupId, (err, group) => {
+        group.fetchCount((err, total) => {
+          if (err) {
+            self.error(
+                'Failed to count leaderboard: ' + guildId + '/' + groupId);
+            console.error(err);
+            total = null;
+          }
+          if (typeof cb === 'function') {
+            cb(null, serializable, total);
+          } else {
+            socket.emit(
+                'userStats', guildId, groupId, opts, serializable, total);
+          }
+        });
       });
     });
   }
   this.fetchLeaderboard = fetchLeaderboard;
+
+  /**
+   * Respond with information about the seasons in a guild, including the hall
+   * of champions.
+   *
+   * @private
+   * @type {HGWeb~SocketFunction}
+   * @param {object} userData The current user's session data.
+   * @param {socketIo~Socket} socket The socket connection to reply on.
+   * @param {number|string} guildId The guild id to look at.
+   * @param {basicCB} [cb] Callback that fires once the requested action is
+   * complete, or has failed. Second argument is the {@link HGSeasonInfo}.
+   */
+  function fetchSeasons(userData, socket, guildId, cb) {
+    if (!checkPerm(userData, guildId, null, 'stats')) {
+      if (!checkMyGuild(guildId)) return;
+      if (typeof cb === 'function') cb('NO_PERM');
+      replyNoPerm(socket, 'stats');
+      return;
+    }
+    const game = hg().getHG().getGame(guildId);
+    if (!game) {
+      if (typeof cb === 'function') cb('NO_GAME_IN_GUILD');
+      return;
+    }
+    if (typeof cb === 'function') {
+      cb(null, game.seasons);
+    } else {
+      socket.emit('seasons', guildId, game.seasons);
+    }
+  }
+  this.fetchSeasons = fetchSeasons;
+
+  /**
+   * Respond with all bets placed on the current game, and the current user's
+   * balance.
+   *
+   * @private
+   * @type {HGWeb~SocketFunction}
+   * @param {object} userData The current user's session data.
+   * @param {socketIo~Socket} socket The socket connection to reply on.
+   * @param {number|string} guildId The guild id to look at.
+   * @param {basicCB} [cb] Callback that fires once the requested action is
+   * complete, or has failed. Second argument is the array of bets, third is
+   * the user's balance.
+   */
+  function fetchBets(userData, socket, guildId, cb) {
+    if (!checkPerm(userData, guildId, null, 'bet list')) {
+      if (!checkMyGuild(guildId)) return;
+      if (typeof cb === 'function') cb('NO_PERM');
+      replyNoPerm(socket, 'fetchBets');
+      return;
+    }
+    const game = hg().getHG().getGame(guildId);
+    if (!game) {
+      if (typeof cb === 'function') cb('NO_GAME_IN_GUILD');
+      return;
+    }
+    game._betting.fetchBalance(userData.id, (err, balance) => {
+      if (err) {
+        self.error(
+            'Failed to fetch bet balance: ' + guildId + '@' + userData.id);
+        console.error(err);
+        if (typeof cb === 'function') cb('ATTEMPT_FAILED');
+        return;
+      }
+      if (typeof cb === 'function') {
+        cb(null, game.bets, balance);
+      } else {
+        socket.emit('bets', guildId, game.bets, balance);
+      }
+    });
+  }
+  this.fetchBets = fetchBets;
+
+  /**
+   * Place a bet on the current game as the current user.
+   *
+   * @see {@link HungryGames~Betting#placeBet}
+   *
+   * @private
+   * @type {HGWeb~SocketFunction}
+   * @param {object} userData The current user's session data.
+   * @param {socketIo~Socket} socket The socket connection to reply on.
+   * @param {number|string} guildId The guild id to bet in.
+   * @param {string} type The type of bet.
+   * @param {string} target The ID of the player or team to bet on.
+   * @param {number} amount The number of coins to wager.
+   * @param {basicCB} [cb] Callback that fires once the requested action is
+   * complete. First argument is an error message or null, second is the placed
+   * bet if successful.
+   */
+  function placeBet(userData, socket, guildId, type, target, amount, cb) {
+    if (!checkPerm(userData, guildId, null, 'bet')) {
+      if (!checkMyGuild(guildId)) return;
+      if (typeof cb === 'function') cb('NO_PERM');
+      replyNoPerm(socket, 'placeBet');
+      return;
+    }
+    const game = hg().getHG().getGame(guildId);
+    if (!game) {
+      if (typeof cb === 'function') cb('NO_GAME_IN_GUILD');
+      return;
+    }
+    game._betting.placeBet(userData.id, type, target, amount, (err, bet) => {
+      if (typeof cb === 'function') cb(err || null, bet);
+    });
+  }
+  this.placeBet = placeBet;
   /**
    * Handle receiving image data for avatar uploading.
    *
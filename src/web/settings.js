@@ -41,6 +41,8 @@ function WebSettings() {
       cmdScheduler.removeListener('shutdown', handleShutdown);
       cmdScheduler.removeListener('commandRegistered', handleCommandRegistered);
       cmdScheduler.removeListener('commandCancelled', handleCommandCancelled);
+      cmdScheduler.removeListener('commandPaused', handleCommandPaused);
+      cmdScheduler.removeListener('commandResumed', handleCommandResumed);
       self.command.removeEventListener(
           'settingsChanged', handleSettingsChanged);
       self.command.removeEventListener('settingsReset', handleSettingsReset);
@@ -99,6 +101,8 @@ function WebSettings() {
         cmdScheduler.on('shutdown', handleShutdown);
         cmdScheduler.on('commandRegistered', handleCommandRegistered);
         cmdScheduler.on('commandCancelled', handleCommandCancelled);
+        cmdScheduler.on('commandPaused', handleCommandPaused);
+        cmdScheduler.on('commandResumed', handleCommandResumed);
       }
     }
     if (!raidBlock || !raidBlock.initialized) {
@@ -127,6 +131,8 @@ function WebSettings() {
       cmdScheduler.removeListener('shutdown', handleShutdown);
       cmdScheduler.removeListener('commandRegistered', handleCommandRegistered);
       cmdScheduler.removeListener('commandCancelled', handleCommandCancelled);
+      cmdScheduler.removeListener('commandPaused', handleCommandPaused);
+      cmdScheduler.removeListener('commandResumed', handleCommandResumed);
     }
     cmdScheduler = null;
     if (!self.initialized) return;
@@ -164,7 +170,11 @@ function WebSettings() {
       channel: cmd.channelId,
       cmd: cmd.cmd,
       repeatDelay: cmd.repeatDelay,
+      cron: cmd.cron,
+      timezone: cmd.timezone,
       time: cmd.time,
+      paused: cmd.paused,
+      history: cmd.history,
       member: makeMember(cmd.member),
     };
     for (const i in sockets) {
@@ -197,6 +207,44 @@ function WebSettings() {
       ioClient.emit('_guildBroadcast', gId, 'commandCancelled', cmdId, gId);
     }
   }
+  /**
+   * Handle a CmdScheduling.ScheduledCommand being paused.
+   *
+   * @private
+   * @listens CmdScheduling#commandPaused
+   * @param {string} cmdId The ID of the command that was paused.
+   * @param {string|number} gId The ID of the guild the command was paused in.
+   */
+  function handleCommandPaused(cmdId, gId) {
+    for (const i in sockets) {
+      if (sockets[i] && sockets[i].cachedGuilds &&
+          sockets[i].cachedGuilds.includes(gId)) {
+        sockets[i].emit('commandPaused', cmdId, gId);
+      }
+    }
+    if (ioClient) {
+      ioClient.emit('_guildBroadcast', gId, 'commandPaused', cmdId, gId);
+    }
+  }
+  /**
+   * Handle a CmdScheduling.ScheduledCommand being resumed.
+   *
+   * @private
+   * @listens CmdScheduling#commandResumed
+   * @param {string} cmdId The ID of the command that was resumed.
+   * @param {string|number} gId The ID of the guild the command was resumed in.
+   */
+  function handleCommandResumed(cmdId, gId) {
+    for (const i in sockets) {
+      if (sockets[i] && sockets[i].cachedGuilds &&
+          sockets[i].cachedGuilds.includes(gId)) {
+        sockets[i].emit('commandResumed', cmdId, gId);
+      }
+    }
+    if (ioClient) {
+      ioClient.emit('_guildBroadcast', gId, 'commandResumed', cmdId, gId);
+    }
+  }
 
   /**
    * Handle Command~CommandSetting value changed.
@@ -405,6 +453,12 @@ function WebSettings() {
     socket.on('fetchModLogSettings', (...args) => {
       callSocketFunction(fetchModLogSettings, args);
     });
+    socket.on('searchModLog', (...args) => {
+      callSocketFunction(searchModLog, args);
+    });
+    socket.on('fetchAutoModSettings', (...args) => {
+      callSocketFunction(fetchAutoModSettings, args);
+    });
     socket.on('fetchCommandSettings', (...args) => {
       callSocketFunction(fetchCommandSettings, args);
     });
@@ -417,6 +471,9 @@ function WebSettings() {
     socket.on('cancelScheduledCommand', (...args) => {
       callSocketFunction(cancelScheduledCommand, args);
     });
+    socket.on('pauseScheduledCommand', (...args) => {
+      callSocketFunction(pauseScheduledCommand, args);
+    });
     socket.on('registerScheduledCommand', (...args) => {
       callSocketFunction(registerScheduledCommand, args);
     });
@@ -429,9 +486,30 @@ function WebSettings() {
     socket.on('changeModLogSetting', (...args) => {
       callSocketFunction(changeModLogSetting, args);
     });
+    socket.on('changeAutoModSetting', (...args) => {
+      callSocketFunction(changeAutoModSetting, args);
+    });
+    socket.on('fetchRoleMenus', (...args) => {
+      callSocketFunction(fetchRoleMenus, args);
+    });
+    socket.on('createRoleMenu', (...args) => {
+      callSocketFunction(createRoleMenu, args);
+    });
+    socket.on('changeRoleMenu', (...args) => {
+      callSocketFunction(changeRoleMenu, args);
+    });
+    socket.on('deleteRoleMenu', (...args) => {
+      callSocketFunction(deleteRoleMenu, args);
+    });
     socket.on('changeCommandSetting', (...args) => {
       callSocketFunction(changeCommandSetting, args);
     });
+    socket.on('fetchCustomCommands', (...args) => {
+      callSocketFunction(fetchCustomCommands, args);
+    });
+    socket.on('changeCustomCommand', (...args) => {
+      callSocketFunction(changeCustomCommand, args);
+    });
 
     /**
      * Calls the functions with added arguments, and copies the request to all
@@ -960,6 +1038,7 @@ function WebSettings() {
         prefix: self.bot.getPrefix(g),
         commandSettings: self.command.getUserSettings(g.id),
         commandDefaults: cmdDefaults,
+        customCommands: self.command.getCustomCommands(g.id),
         raidSettings: raidBlock && raidBlock.getSettings(g.id) || null,
         modLogSettings: modLog && modLog.getSettings(g.id) || null,
       };
@@ -1041,6 +1120,95 @@ function WebSettings() {
   }
   this.fetchModLogSettings = fetchModLogSettings;
 
+  /**
+   * Client has requested to search the actions that have been logged in a
+   * guild.
+   *
+   * @public
+   * @type {WebSettings~SocketFunction}
+   * @param {object} userData The current user's session data.
+   * @param {socketIo~Socket} socket The socket connection to reply on.
+   * @param {string} gId The guild ID to search.
+   * @param {ModLog~Query|string} query The filters to apply, or a query string
+   * in the same format as the `modlog` command.
+   * @param {?string} format The format to export the results as (`csv` or
+   * `json`), or null to reply with the matching entries.
+   * @param {basicCB} [cb] Callback that fires once the requested action is
+   * complete, with an optional error string, and the matching entries or the
+   * exported string.
+   */
+  function searchModLog(userData, socket, gId, query, format, cb) {
+    if (!checkMyGuild(gId)) return;
+    if (typeof cb !== 'function') cb = function() {};
+    if (!checkPerm(userData, gId, null, 'modlog')) {
+      if (!checkMyGuild(gId)) return;
+      replyNoPerm(socket, 'searchModLog');
+      cb('Forbidden');
+      return;
+    }
+    const modLog = self.bot.getSubmodule('./modLog.js');
+    if (!modLog) {
+      cb('Internal Server Error');
+      return;
+    }
+    if (typeof query === 'string') {
+      query = modLog.parseQuery(query);
+      if (typeof query === 'string') {
+        cb(query);
+        return;
+      }
+    } else if (!query || typeof query !== 'object') {
+      cb('Bad Payload');
+      return;
+    }
+    if (format && !['csv', 'json'].includes(format)) {
+      cb('Bad Payload');
+      return;
+    }
+    const entries = modLog.search(gId, query);
+    if (format) {
+      cb(null, modLog.constructor.format(entries, format));
+    } else {
+      cb(null, entries);
+    }
+  }
+  this.searchModLog = searchModLog;
+
+  /**
+   * Client has requested settings specific to AutoMod for single guild.
+   *
+   * @public
+   * @type {WebSettings~SocketFunction}
+   * @param {object} userData The current user's session data.
+   * @param {socketIo~Socket} socket The socket connection to reply on.
+   * @param {string} gId The guild ID to fetch the settings for.
+   * @param {basicCB} [cb] Callback that fires once the requested action is
+   * complete and has data, or has failed.
+   */
+  function fetchAutoModSettings(userData, socket, gId, cb) {
+    if (!checkMyGuild(gId)) return;
+    if (typeof cb !== 'function') cb = function() {};
+    if (!userData) {
+      cb('Not signed in.', null);
+      return;
+    }
+    if (userData.id != self.common.spikeyId) {
+      const guild = self.client.guilds.get(gId);
+      const member = guild.members.get(userData.id);
+      if (!member) {
+        cb('NO_PERM');
+        return;
+      }
+    }
+    const autoMod = self.bot.getSubmodule('./autoMod.js');
+    if (!autoMod) {
+      cb('Internal Server Error');
+      return;
+    }
+    cb(autoMod.getSettings(gId));
+  }
+  this.fetchAutoModSettings = fetchAutoModSettings;
+
   /**
    * Client has requested settings specific to a single command in a single
    * guild. This only supplies user settings, if values are default, this will
@@ -1123,7 +1291,11 @@ function WebSettings() {
             channel: el.channel.id,
             cmd: el.cmd,
             repeatDelay: el.repeatDelay,
+            cron: el.cron,
+            timezone: el.timezone,
             time: el.time,
+            paused: el.paused,
+            history: el.history,
             member: makeMember(el.member),
           };
         });
@@ -1177,7 +1349,11 @@ function WebSettings() {
           channel: el.channel.id,
           cmd: el.cmd,
           repeatDelay: el.repeatDelay,
+          cron: el.cron,
+          timezone: el.timezone,
           time: el.time,
+          paused: el.paused,
+          history: el.history,
           member: makeMember(el.member),
         };
       });
@@ -1212,6 +1388,43 @@ function WebSettings() {
   }
   this.cancelScheduledCommand = cancelScheduledCommand;
 
+  /**
+   * Client has requested that a scheduled command be paused or resumed.
+   *
+   * @public
+   * @type {WebSettings~SocketFunction}
+   * @param {object} userData The current user's session data.
+   * @param {socketIo~Socket} socket The socket connection to reply on.
+   * @param {string|number} gId The id of the guild of which to change the
+   * command.
+   * @param {string} cmdId The ID of the command to change.
+   * @param {boolean} paused True to pause the command, false to resume it.
+   * @param {basicCB} [cb] Callback that fires once the requested action is
+   * complete, or has failed.
+   */
+  function pauseScheduledCommand(userData, socket, gId, cmdId, paused, cb) {
+    if (typeof cb !== 'function') cb = function() {};
+    if (!checkPerm(userData, gId, null, 'schedule')) {
+      if (!checkMyGuild(gId)) return;
+      replyNoPerm(socket, 'pauseScheduledCommand');
+      cb('Forbidden');
+      return;
+    }
+    if (typeof paused !== 'boolean') {
+      cb('Bad Payload');
+      return;
+    }
+    updateModuleReferences();
+    const sCmd = paused ? cmdScheduler.pauseCmd(gId, cmdId) :
+                          cmdScheduler.resumeCmd(gId, cmdId);
+    if (!sCmd) {
+      cb('Invalid Command');
+      return;
+    }
+    cb();
+  }
+  this.pauseScheduledCommand = pauseScheduledCommand;
+
   /**
    * @description Client has created a new scheduled command.
    * @see {@link CmdScheduling~ScheduledCommand}
@@ -1222,7 +1435,9 @@ function WebSettings() {
    * @param {socketIo~Socket} socket The socket connection to reply on.
    * @param {string|number} gId The id of the guild of which to add the command.
    * @param {object} cmd The command data of which to make into a
-   * scheduled command and register.
+   * scheduled command and register. If `cmd.cron` is set, `cmd.time` and
+   * `cmd.repeatDelay` are ignored, and the command runs whenever the cron
+   * expression matches in `cmd.timezone`.
    * @param {basicCB} [cb] Callback that fires once the requested action is
    * complete, or has failed.
    */
@@ -1238,11 +1453,32 @@ function WebSettings() {
       cb('Invalid Data');
       return;
     }
+    updateModuleReferences();
+    let cron = null;
+    let timezone = null;
+    if (cmd.cron) {
+      const parsed = cmdScheduler.parseCron(cmd.cron);
+      if (typeof parsed === 'string') {
+        cb('Invalid Cron');
+        return;
+      }
+      cron = parsed.expression;
+      timezone = cmdScheduler.resolveTimezone(cmd.timezone || 'UTC');
+      if (!timezone) {
+        cb('Invalid Timezone');
+        return;
+      }
+      cmd.time = cmdScheduler.nextCronTime(parsed, timezone);
+      cmd.repeatDelay = 0;
+      if (!cmd.time) {
+        cb('Cron never runs.');
+        return;
+      }
+    }
     if (!cmd.time || cmd.time < Date.now()) {
       cb('Time cannot be in past.');
       return;
     }
-    updateModuleReferences();
     if (cmd.repeatDelay && cmd.repeatDelay < cmdScheduler.minRepeatDelay) {
       cb('Repeat time is too soon.');
       return;
@@ -1276,7 +1512,7 @@ function WebSettings() {
       cmd.cmd = prefix + cmd.cmd;
     }
 
-    const single = self.command.find(cmd.cmd, {prefix: prefix});
+    const single = self.command.find(cmd.cmd, msg);
     if (!single) {
       cb('Invalid Command');
       return;
@@ -1292,6 +1528,8 @@ function WebSettings() {
       message: msg,
       time: cmd.time,
       repeatDelay: cmd.repeatDelay,
+      cron: cron,
+      timezone: timezone,
       member: msg.member,
     });
 
@@ -1374,7 +1612,18 @@ function WebSettings() {
     }
 
 
-    if (typeof settings[key] === typeof value) {
+    if ((key === 'action' || key === 'riskAction') &&
+        !raidBlock.constructor.riskActions.includes(value)) {
+      cb('Bad Payload');
+      return;
+    }
+    if (key === 'verifyRole') {
+      if (value && !self.client.guilds.get(gId).roles.get(value)) {
+        cb('Bad Payload');
+        return;
+      }
+      settings[key] = value || null;
+    } else if (typeof settings[key] === typeof value) {
       if (typeof value === 'string' && value.length > 1000) {
         value = value.substr(0, 1000);
       }
@@ -1463,6 +1712,271 @@ function WebSettings() {
   }
   this.changeModLogSetting = changeModLogSetting;
 
+  /**
+   * Client has requested to change a single AutoMod setting for a guild. Lists
+   * of exempt channels, exempt roles, and blocked words are replaced entirely
+   * by the given array.
+   *
+   * @public
+   * @type {WebSettings~SocketFunction}
+   * @param {object} userData The current user's session data.
+   * @param {socketIo~Socket} socket The socket connection to reply on.
+   * @param {string|number} gId The id of the guild of which to change the
+   * setting.
+   * @param {string} key The name of the setting to change.
+   * @param {string|boolean|number|string[]} value The value to set the setting
+   * to.
+   * @param {basicCB} [cb] Callback that fires once the requested action is
+   * complete, or has failed.
+   */
+  function changeAutoModSetting(userData, socket, gId, key, value, cb) {
+    if (!checkMyGuild(gId)) return;
+    if (typeof cb !== 'function') cb = function() {};
+    if (!checkPerm(userData, gId, null, 'automod')) {
+      replyNoPerm(socket, 'changeAutoModSetting');
+      cb('Forbidden');
+      return;
+    }
+    const autoMod = self.bot.getSubmodule('./autoMod.js');
+    if (!autoMod) {
+      cb('Internal Server Error');
+      self.common.error(
+          'Attempted to change AutoMod settings while autoMod.js is not ' +
+              'loaded!',
+          socket.id);
+      return;
+    }
+    // Only settings that exist by default may be changed.
+    const defaults = new autoMod.constructor.Settings();
+    if (typeof key !== 'string' ||
+        !Object.prototype.hasOwnProperty.call(defaults, key)) {
+      cb('Bad Payload');
+      return;
+    }
+    const settings = autoMod.getSettings(gId);
+    const guild = self.client.guilds.get(gId);
+    if (typeof settings[key] === 'number') {
+      value *= 1;
+      if (isNaN(value) || value < 0) {
+        cb('Bad Payload');
+        return;
+      }
+    }
+    if (key.endsWith('Action')) {
+      if (!autoMod.constructor.actions.includes(value)) {
+        cb('Bad Payload');
+        return;
+      }
+    } else if (key === 'exemptChannels' || key === 'exemptRoles') {
+      const store = key === 'exemptChannels' ? guild.channels : guild.roles;
+      if (!Array.isArray(value) || value.find((el) => !store.get(el))) {
+        cb('Bad Payload');
+        return;
+      }
+    } else if (key === 'blockedWords') {
+      if (!Array.isArray(value) || value.length > 100) {
+        cb('Bad Payload');
+        return;
+      }
+      const invalid = value.findIndex((el) => {
+        return !autoMod.constructor.compileWord(el);
+      });
+      if (invalid > -1) {
+        cb('Bad Payload');
+        return;
+      }
+    } else if (typeof settings[key] !== typeof value) {
+      cb('Bad Payload');
+      return;
+    }
+    settings[key] = value;
+    cb();
+
+    for (const i in sockets) {
+      if (sockets[i] && sockets[i].cachedGuilds &&
+          sockets[i].cachedGuilds.includes(gId)) {
+        sockets[i].emit('autoModSettingsChanged', gId);
+      }
+    }
+    if (ioClient) {
+      ioClient.emit('_guildBroadcast', gId, 'autoModSettingsChanged', gId);
+    }
+  }
+  this.changeAutoModSetting = changeAutoModSetting;
+
+  /**
+   * Client has requested all reaction role menus in a guild.
+   *
+   * @public
+   * @type {WebSettings~SocketFunction}
+   * @param {object} userData The current user's session data.
+   * @param {socketIo~Socket} socket The socket connection to reply on.
+   * @param {string} gId The guild ID to fetch the menus for.
+   * @param {basicCB} [cb] Callback that fires once the requested action is
+   * complete and has data, or has failed.
+   */
+  function fetchRoleMenus(userData, socket, gId, cb) {
+    if (!checkMyGuild(gId)) return;
+    if (typeof cb !== 'function') cb = function() {};
+    if (!userData) {
+      cb('Not signed in.', null);
+      return;
+    }
+    if (userData.id != self.common.spikeyId) {
+      const guild = self.client.guilds.get(gId);
+      const member = guild.members.get(userData.id);
+      if (!member) {
+        cb('NO_PERM');
+        return;
+      }
+    }
+    const roleManager = self.bot.getSubmodule('./roleManager.js');
+    if (!roleManager) {
+      cb('Internal Server Error');
+      return;
+    }
+    cb(roleManager.getMenus(gId));
+  }
+  this.fetchRoleMenus = fetchRoleMenus;
+
+  /**
+   * Tell all clients viewing a guild that its role menus have changed.
+   *
+   * @private
+   * @param {string} gId The ID of the guild that changed.
+   */
+  function broadcastRoleMenusChanged(gId) {
+    for (const i in sockets) {
+      if (sockets[i] && sockets[i].cachedGuilds &&
+          sockets[i].cachedGuilds.includes(gId)) {
+        sockets[i].emit('roleMenusChanged', gId);
+      }
+    }
+    if (ioClient) {
+      ioClient.emit('_guildBroadcast', gId, 'roleMenusChanged', gId);
+    }
+  }
+
+  /**
+   * Client has requested to send a new reaction role menu.
+   *
+   * @public
+   * @type {WebSettings~SocketFunction}
+   * @param {object} userData The current user's session data.
+   * @param {socketIo~Socket} socket The socket connection to reply on.
+   * @param {string} gId The guild ID to create the menu in.
+   * @param {string} cId The channel ID to send the menu in.
+   * @param {string} title The title of the menu.
+   * @param {basicCB} [cb] Callback that fires once the requested action is
+   * complete, with an optional error string, and the created menu.
+   */
+  function createRoleMenu(userData, socket, gId, cId, title, cb) {
+    if (!checkMyGuild(gId)) return;
+    if (typeof cb !== 'function') cb = function() {};
+    if (!checkChannelPerm(userData, gId, cId) ||
+        !checkPerm(userData, gId, cId, 'role menu')) {
+      if (!checkMyGuild(gId)) return;
+      replyNoPerm(socket, 'createRoleMenu');
+      cb('Forbidden');
+      return;
+    }
+    const roleManager = self.bot.getSubmodule('./roleManager.js');
+    if (!roleManager) {
+      cb('Internal Server Error');
+      return;
+    }
+    const channel = self.client.guilds.get(gId).channels.get(cId);
+    if (!channel || channel.type !== 'text') {
+      cb('Bad Payload');
+      return;
+    }
+    roleManager.createMenu(channel, `${title || ''}`, (err, menu) => {
+      if (err) {
+        cb(err);
+        return;
+      }
+      cb(null, menu);
+      broadcastRoleMenusChanged(gId);
+    });
+  }
+  this.createRoleMenu = createRoleMenu;
+
+  /**
+   * Client has requested to change a setting of a reaction role menu.
+   *
+   * @public
+   * @type {WebSettings~SocketFunction}
+   * @param {object} userData The current user's session data.
+   * @param {socketIo~Socket} socket The socket connection to reply on.
+   * @param {string} gId The guild ID the menu is in.
+   * @param {string} mId The ID of the menu's message.
+   * @param {string} key The setting to change. `title`, `exclusive`,
+   * `required` or `options`.
+   * @param {*} value The new value of the setting.
+   * @param {basicCB} [cb] Callback that fires once the requested action is
+   * complete, or has failed.
+   */
+  function changeRoleMenu(userData, socket, gId, mId, key, value, cb) {
+    if (!checkMyGuild(gId)) return;
+    if (typeof cb !== 'function') cb = function() {};
+    if (!checkPerm(userData, gId, null, 'role menu')) {
+      if (!checkMyGuild(gId)) return;
+      replyNoPerm(socket, 'changeRoleMenu');
+      cb('Forbidden');
+      return;
+    }
+    const roleManager = self.bot.getSubmodule('./roleManager.js');
+    if (!roleManager) {
+      cb('Internal Server Error');
+      return;
+    }
+    const member = self.client.guilds.get(gId).members.get(userData.id);
+    const err = roleManager.editMenu(gId, mId, key, value, member || null);
+    if (err) {
+      cb(err);
+      return;
+    }
+    cb();
+    broadcastRoleMenusChanged(gId);
+  }
+  this.changeRoleMenu = changeRoleMenu;
+
+  /**
+   * Client has requested to delete a reaction role menu.
+   *
+   * @public
+   * @type {WebSettings~SocketFunction}
+   * @param {object} userData The current user's session data.
+   * @param {socketIo~Socket} socket The socket connection to reply on.
+   * @param {string} gId The guild ID the menu is in.
+   * @param {string} mId The ID of the menu's message.
+   * @param {basicCB} [cb] Callback that fires once the requested action is
+   * complete, or has failed.
+   */
+  function deleteRoleMenu(userData, socket, gId, mId, cb) {
+    if (!checkMyGuild(gId)) return;
+    if (typeof cb !== 'function') cb = function() {};
+    if (!checkPerm(userData, gId, null, 'role menu')) {
+      if (!checkMyGuild(gId)) return;
+      replyNoPerm(socket, 'deleteRoleMenu');
+      cb('Forbidden');
+      return;
+    }
+    const roleManager = self.bot.getSubmodule('./roleManager.js');
+    if (!roleManager) {
+      cb('Internal Server Error');
+      return;
+    }
+    const err = roleManager.deleteMenu(gId, mId);
+    if (err) {
+      cb(err);
+      return;
+    }
+    cb();
+    broadcastRoleMenusChanged(gId);
+  }
+  this.deleteRoleMenu = deleteRoleMenu;
+
   /**
    * Client has requested to change a single command setting for a guild.
    *
@@ -1477,7 +1991,8 @@ function WebSettings() {
    * @param {string|boolean} value The value to set the setting to, or the key
    * if changing an enabled or disabled category.
    * @param {?string} id The ID of the channel, user, or role to change
-   * the setting for if changing the enabled or disabled category.
+   * the setting for if changing the enabled or disabled category. Cooldown
+   * bypass roles are given as `guildId/roleId`.
    * @param {?boolean} enabled The setting to set the value of the ID setting.
    * @param {basicCB} [cb] Callback that fires once the requested action is
    * complete, or has failed.
@@ -1505,6 +2020,21 @@ function WebSettings() {
 
     const setting = userSettings[name];
 
+    if (key === 'cooldown' &&
+        (typeof value !== 'number' || isNaN(value) || value < 0)) {
+      cb('Bad Payload');
+      return;
+    } else if (
+      key === 'cooldownScope' && !self.command.cooldownScopes.includes(value)) {
+      cb('Bad Payload');
+      return;
+    } else if (
+      key === 'cooldownBypass' &&
+        (typeof id !== 'string' || !id.startsWith(`${gId}/`))) {
+      cb('Bad Payload');
+      return;
+    }
+
     if (typeof setting[key] === 'object' && typeof value === 'string') {
       if (typeof id !== 'string' ||
           typeof setting[key][value] === 'undefined') {
@@ -1540,5 +2070,104 @@ function WebSettings() {
     }
   }
   this.changeCommandSetting = changeCommandSetting;
+
+  /**
+   * Client has requested the custom aliases, custom response commands, and
+   * macros for a guild.
+   *
+   * @public
+   * @type {WebSettings~SocketFunction}
+   * @param {object} userData The current user's session data.
+   * @param {socketIo~Socket} socket The socket connection to reply on.
+   * @param {string} gId The guild ID to fetch the custom commands for.
+   * @param {basicCB} [cb] Callback that fires once the requested action is
+   * complete and has data, or has failed.
+   */
+  function fetchCustomCommands(userData, socket, gId, cb) {
+    if (!checkMyGuild(gId)) return;
+    if (typeof cb !== 'function') cb = function() {};
+    if (!userData) {
+      cb('Not signed in.', null);
+      return;
+    }
+    if (userData.id != self.common.spikeyId) {
+      const guild = self.client.guilds.get(gId);
+      const member = guild.members.get(userData.id);
+      if (!member) {
+        cb('NO_PERM');
+        return;
+      }
+    }
+    cb(self.command.getCustomCommands(gId));
+  }
+  this.fetchCustomCommands = fetchCustomCommands;
+
+  /**
+   * Client has requested to create, replace, or remove a custom alias, custom
+   * response command, or macro in a guild.
+   *
+   * @public
+   * @type {WebSettings~SocketFunction}
+   * @param {object} userData The current user's session data.
+   * @param {socketIo~Socket} socket The socket connection to reply on.
+   * @param {string} gId The ID of the guild to change.
+   * @param {string} type One of `alias`, `response` or `macro`.
+   * @param {string} name The name of the alias, custom command, or macro.
+   * @param {?string|Command~Macro} value The command the alias triggers, the
+   * text the custom command replies with, or the macro's steps and options.
+   * Null to remove it.
+   * @param {basicCB} [cb] Callback that fires once the requested action is
+   * complete, or has failed.
+   */
+  function changeCustomCommand(userData, socket, gId, type, name, value, cb) {
+    if (!checkMyGuild(gId)) return;
+    if (typeof cb !== 'function') cb = function() {};
+    const cmdName = {alias: 'alias', response: 'customcmd', macro: 'macro'};
+    if (!Object.prototype.hasOwnProperty.call(cmdName, type) ||
+        typeof name !== 'string') {
+      cb('Bad Payload');
+      return;
+    }
+    if (!checkPerm(userData, gId, null, cmdName[type])) {
+      replyNoPerm(socket, 'changeCustomCommand');
+      cb('Forbidden');
+      return;
+    }
+    if (value !== null &&
+        (type === 'macro' ? typeof value !== 'object' :
+                            typeof value !== 'string')) {
+      cb('Bad Payload');
+      return;
+    }
+    let err;
+    if (type === 'alias') {
+      err = value === null ? self.command.removeAlias(gId, name) :
+                             self.command.setAlias(gId, name, value);
+    } else if (type === 'response') {
+      err = value === null ? self.command.removeCustomResponse(gId, name) :
+                             self.command.setCustomResponse(gId, name, value);
+    } else {
+      err = value === null ?
+          self.command.removeMacro(gId, name) :
+          self.command.setMacro(
+              gId, name, value.steps, value.stopOnFailure !== false);
+    }
+    if (err) {
+      cb(err);
+      return;
+    }
+    cb();
+
+    for (const i in sockets) {
+      if (sockets[i] && sockets[i].cachedGuilds &&
+          sockets[i].cachedGuilds.includes(gId)) {
+        sockets[i].emit('customCommandsChanged', gId);
+      }
+    }
+    if (ioClient) {
+      ioClient.emit('_guildBroadcast', gId, 'customCommandsChanged', gId);
+    }
+  }
+  this.changeCustomCommand = changeCustomCommand;
 }
 module.exports = new WebSettings();
@@ -237,6 +237,1220 @@ const hgTests = [
   new Test('Delete NPC', '~hg npc delete TESTNPC', ['#embed']), */
 ];
 
+/**
+ * Minimal set of events for simulating games without depending on the default
+ * event files.
+ */
+const simEvents = {
+  bloodbath: [
+    {
+      message: '{attacker} kills {victim}.',
+      attacker: {count: 1, outcome: 'nothing', killer: true},
+      victim: {count: 1, outcome: 'dies'},
+    },
+    {
+      message: '{victim} runs away.',
+      attacker: {count: 0, outcome: 'nothing'},
+      victim: {count: 1, outcome: 'nothing'},
+    },
+  ],
+  player: [
+    {
+      message: '{attacker} kills {victim}.',
+      attacker: {count: 1, outcome: 'nothing', killer: true},
+      victim: {count: 1, outcome: 'dies'},
+    },
+    {
+      message: '{victim} hurts themself.',
+      attacker: {count: 0, outcome: 'nothing'},
+      victim: {count: 1, outcome: 'wounded'},
+    },
+    {
+      message: '{victim} takes a nap.',
+      attacker: {count: 0, outcome: 'nothing'},
+      victim: {count: 1, outcome: 'nothing'},
+    },
+  ],
+  arena: [],
+  weapons: {message: '{attacker} {action} {victim} with {weapon}.'},
+  battles: {
+    starts: ['Fight!'],
+    outcomes: ['{attacker} beats {victim}.'],
+    attacks: [{
+      message: '{attacker} punches {victim}.',
+      attacker: {damage: 0},
+      victim: {damage: 1},
+    }],
+  },
+};
+
+/**
+ * Simulate an entire game without Discord.
+ *
+ * @param {?string} seed The seed to simulate with.
+ * @param {string} [translator] The fun translator every player uses.
+ * @returns {HeadlessSimulator} The simulator after the game has ended.
+ */
+function simulateGame(seed, translator) {
+  const HeadlessSimulator =
+      require('../src/hg/simulator/HeadlessSimulator.js');
+  const players = [];
+  for (let i = 0; i < 12; i++) {
+    const settings = translator ? {'hg:fun_translators': translator} : {};
+    players.push({id: `NPC${i}`, name: `Player ${i}`, settings: settings});
+  }
+  const game = HeadlessSimulator.makeGame(
+      {id: 'test', currentGame: {includedUsers: players, day: {num: -1}}},
+      {arenaEvents: false});
+  const messages = HeadlessSimulator.loadMessages();
+  const sim = new HeadlessSimulator(game, simEvents, messages, seed);
+  sim.start();
+  expect(sim.run()).to.equal(null);
+  return sim;
+}
+
+/**
+ * Run tests of the simulator that do not require Discord.
+ */
+function runSimulatorTests() {
+  it('Simulates a game to completion', function() {
+    const sim = simulateGame(null);
+    expect(sim.game.currentGame.ended).to.equal(true);
+    expect(sim.days.length).to.be.above(0);
+    expect(sim.days[0].num).to.equal(0);
+  });
+  it('Same seed simulates the same game', function() {
+    const first = simulateGame('spikey');
+    const second = simulateGame('spikey');
+    expect(JSON.stringify(second.days)).to.equal(JSON.stringify(first.days));
+    expect(second.winners.map((el) => el.id))
+        .to.deep.equal(first.winners.map((el) => el.id));
+  });
+  it('Same seed translates messages the same', function() {
+    const first = simulateGame('spikey', 'mocking');
+    const second = simulateGame('spikey', 'mocking');
+    expect(JSON.stringify(second.days)).to.equal(JSON.stringify(first.days));
+  });
+  it('Does not keep the seed for unseeded games', function() {
+    const Simulator = require('../src/hg/Simulator.js');
+    simulateGame('spikey');
+    simulateGame(null);
+    expect(Simulator.random).to.equal(Math.random);
+  });
+  it('Forms and breaks alliances', function() {
+    const Alliance = require('../src/hg/Alliance.js');
+    const alliances = [];
+    Alliance.form(alliances, ['a', 'b', 'c'], 1);
+    expect(Alliance.areAllies(alliances, 'a', 'c')).to.equal(true);
+    expect(Alliance.alliesOf(alliances, ['a'])).to.deep.equal(['b', 'c']);
+    Alliance.betray(alliances, ['a'], 2);
+    expect(Alliance.areAllies(alliances, 'a', 'b')).to.equal(false);
+    expect(Alliance.areAllies(alliances, 'b', 'c')).to.equal(true);
+    Alliance.leave(alliances, 'b');
+    expect(alliances.length).to.equal(0);
+  });
+  it('Weights players by their attributes', function() {
+    const Simulator = require('../src/hg/Simulator.js');
+    const sneaky = {attributes: {stealth: 10, luck: 10}};
+    const strong = {attributes: {strength: 10}};
+    expect(Simulator._attributeWeight({}, 'dies')).to.equal(1);
+    expect(Simulator._attributeWeight(sneaky, 'dies')).to.be.below(1);
+    expect(Simulator._attributeWeight(sneaky, 'thrives')).to.be.above(1);
+    expect(Simulator._attributeWeight(strong, 'nothing', true))
+        .to.be.above(1);
+  });
+  it('Only sets known attributes', function() {
+    const GuildGame = require('../src/hg/GuildGame.js');
+    const game = new GuildGame('bot', 'guild');
+    game.currentGame.includedUsers.push({id: 'a'});
+    expect(game.setPlayerAttribute('a', 'constructor', 7)).to.be.a('string');
+    expect(game.setPlayerAttribute('a', 'luck', 11)).to.be.a('string');
+    expect(game.setPlayerAttribute('a', 'luck', 7)).to.equal(null);
+    expect(game.playerAttributes).to.deep.equal({a: {luck: 7}});
+    expect(game.setPlayerAttribute('b', 'luck', 7)).to.be.a('string');
+    expect(game.setPlayerAttribute('__proto__', 'luck', 7)).to.be.a('string');
+    expect(game.setPlayerAttribute('constructor', 'luck', 7))
+        .to.be.a('string');
+    expect(({}).luck).to.equal(undefined);
+    expect(game.resetPlayerAttributes('constructor')).to.equal(false);
+    expect(game.resetPlayerAttributes('a')).to.equal(true);
+    const loaded = GuildGame.from({playerAttributes: {a: {luck: 7}}});
+    expect(loaded.resetPlayerAttributes('toString')).to.equal(false);
+    expect(loaded.resetPlayerAttributes('a')).to.equal(true);
+  });
+  it('Uses, crafts and drops items', function() {
+    const Simulator = require('../src/hg/Simulator.js');
+    const items = {
+      medkit: {outcomes: [], heals: true, recipe: {rope: 1, alcohol: 1}},
+      rope: {outcomes: []},
+      alcohol: {outcomes: []},
+    };
+    const player = {weapons: {rope: 1, alcohol: 2}};
+    expect(Simulator._useHealItem(player, items)).to.equal(null);
+    expect(Simulator._craftItem(player, items).item).to.equal('medkit');
+    expect(player.weapons).to.deep.equal({alcohol: 1, medkit: 1});
+    expect(Simulator._useHealItem(player, items)).to.equal('medkit');
+    const game = {currentGame: {includedUsers: [player]}};
+    Simulator._dropItems(game, player);
+    expect(player.weapons).to.deep.equal({});
+    expect(game.currentGame.droppedItems).to.deep.equal({alcohol: 1});
+  });
+  it('Calculates betting odds', function() {
+    const Betting = require('../src/hg/Betting.js');
+    const players = ['a', 'b', 'c', 'd'].map((id) => {
+      return {id: id, living: true, dayOfDeath: -1};
+    });
+    const game = {
+      options: {teamSize: 0},
+      bets: [],
+      currentGame: {
+        includedUsers: players,
+        teams: [],
+        inProgress: true,
+        day: {state: 0},
+      },
+    };
+    const betting = new Betting(game);
+    expect(betting.getOdds('winner', 'a')).to.equal(3.6);
+    expect(betting.getOdds('firstDeath', 'b')).to.equal(3.6);
+    expect(betting.getOdds('team', 0)).to.be.a('string');
+    players[0].living = false;
+    players[0].dayOfDeath = 0;
+    expect(betting.getOdds('winner', 'a')).to.be.a('string');
+    expect(betting.getOdds('winner', 'b')).to.equal(2.7);
+    expect(betting.getOdds('firstDeath', 'b')).to.be.a('string');
+    game.currentGame.day.state = 2;
+    expect(betting.getOdds('winner', 'b')).to.be.a('string');
+  });
+  it('Does not overdraw when bets are placed at once', function(done) {
+    const Betting = require('../src/hg/Betting.js');
+    const game = {
+      options: {teamSize: 0},
+      bets: [],
+      currentGame: {
+        includedUsers: ['a', 'b'].map((id) => {
+          return {id: id, living: true, dayOfDeath: -1};
+        }),
+        teams: [],
+        inProgress: false,
+        day: {state: 0},
+      },
+    };
+    const betting = new Betting(game);
+    let coinsWon = 0;
+    betting._stats = {
+      fetchValue: (user, key, cb) => setImmediate(() => cb(null, coinsWon)),
+      increment: (user, key, amount, cb) => setImmediate(() => {
+        coinsWon += amount;
+        cb();
+      }),
+    };
+    const results = [];
+    const check = (err) => {
+      results.push(err);
+      if (results.length < 2) return;
+      expect(results[0]).to.equal(null);
+      expect(results[1]).to.be.a('string');
+      expect(coinsWon).to.equal(-60);
+      expect(game.bets.length).to.equal(1);
+      done();
+    };
+    betting.placeBet('x', 'winner', 'a', 60, check);
+    betting.placeBet('x', 'firstDeath', 'b', 60, check);
+  });
+  it('Limits sponsor gifts', function() {
+    const Sponsorship = require('../src/hg/Sponsorship.js');
+    const game = {
+      options: {sponsorGiftsPerDay: 2},
+      currentGame: {
+        includedUsers: [{id: 'a', living: true}, {id: 'b', living: false}],
+        sponsorGifts: [{user: 'x', player: 'a', day: 1}],
+        inProgress: true,
+        day: {num: 1, state: 0},
+      },
+    };
+    const sponsors = new Sponsorship(game);
+    expect(sponsors.remaining).to.equal(1);
+    expect(sponsors.check('y', 'a')).to.equal(null);
+    expect(sponsors.check('x', 'a')).to.be.a('string');
+    expect(sponsors.check('y', 'b')).to.be.a('string');
+    expect(sponsors.check('a', 'a')).to.be.a('string');
+    game.currentGame.sponsorGifts.push({user: 'z', player: 'a', day: 1});
+    expect(sponsors.check('y', 'a')).to.be.a('string');
+    game.currentGame.day.num = 2;
+    expect(sponsors.remaining).to.equal(2);
+  });
+  it('Only heals healthy players with gifts', function() {
+    const GuildGame = require('../src/hg/GuildGame.js');
+    const makeGame = () => {
+      return {
+        id: 'guild',
+        options: {anonForceOutcome: false},
+        customEvents: {player: []},
+        currentGame: {
+          includedUsers: [
+            {id: 'a', name: 'A', living: true, state: 'wounded'},
+            {id: 'b', name: 'B', living: true, state: 'normal'},
+          ],
+          day: {num: 1, state: 2, events: []},
+          forcedOutcomes: [],
+        },
+      };
+    };
+    const messages = {get: (key) => key};
+    let game = makeGame();
+    GuildGame.forcePlayerState(game, ['a', 'b'], 'thriving', messages);
+    expect(game.currentGame.day.events.length).to.equal(1);
+    game = makeGame();
+    GuildGame.forcePlayerState(
+        game, ['a', 'b'], 'thriving', messages, 'Gift', false, true);
+    expect(game.currentGame.day.events.length).to.equal(2);
+  });
+  it('Schedules seasons', function() {
+    const StatManager = require('../src/hg/StatManager.js');
+    const game = {
+      seasons: {length: 0, nextRollover: null, list: [], champions: []},
+    };
+    const stats = new StatManager(game);
+    expect(stats.setSeasonLength(-1)).to.be.a('string');
+    expect(stats.setSeasonLength('abc')).to.be.a('string');
+    expect(stats.setSeasonLength(7)).to.equal(null);
+    expect(game.seasons.nextRollover).to.be.above(Date.now());
+    expect(stats.checkRollover()).to.equal(false);
+    expect(stats.setSeasonLength(0)).to.equal(null);
+    expect(game.seasons.nextRollover).to.equal(null);
+    game.seasons.list = ['A001', 'B002'];
+    expect(stats.previousSeason('B002')).to.equal('A001');
+    expect(stats.previousSeason('A001')).to.equal(null);
+    expect(stats.previousSeason('global')).to.equal(null);
+  });
+}
+
+/**
+ * Run tests of event pack validation that do not require Discord.
+ */
+function runEventPackTests() {
+  const EventPack = require('../src/hg/EventPack.js');
+  it('Keeps valid events', function() {
+    const pack = EventPack.from({
+      version: 1,
+      player: simEvents.player,
+      battle: simEvents.battles.attacks,
+      weapon: {
+        stick: {
+          outcomes: [{
+            action: 'pokes',
+            attacker: {count: 1, outcome: 'nothing'},
+            victim: {count: 1, outcome: 'wounded'},
+          }],
+        },
+      },
+    });
+    expect(pack.validate()).to.deep.equal([]);
+    expect(pack.numEvents).to.equal(5);
+  });
+  it('Reports invalid and duplicate events', function() {
+    const pack = EventPack.from({
+      version: 1,
+      bloodbath: [simEvents.bloodbath[0], simEvents.bloodbath[0]],
+      player: [{message: 'Nobody', victim: {count: 1, outcome: 'explodes'}}],
+      arena: [{message: 'Empty', outcomes: []}],
+    });
+    const errors = pack.validate();
+    expect(errors.length).to.equal(3);
+    expect(errors[0]).to.match(/^bloodbath\[1\]/);
+    expect(pack.bloodbath.length).to.equal(1);
+    expect(pack.player.length).to.equal(0);
+    expect(pack.arena.length).to.equal(0);
+  });
+  it('Skips malformed events when checking duplicates', function() {
+    const pack = EventPack.from({
+      version: 1,
+      arena: [null, {message: 'Flood', outcomes: [simEvents.player[2]]}],
+      battle: ['punch', simEvents.battles.attacks[0]],
+    });
+    const errors = pack.validate();
+    expect(errors.length).to.equal(2);
+    expect(errors[0]).to.match(/^arena\[0\]/);
+    expect(pack.arena.length).to.equal(1);
+    expect(pack.battle.length).to.equal(1);
+  });
+  it('Rejects newer pack versions', function() {
+    expect(EventPack.from({version: EventPack.version + 1}))
+        .to.be.a('string');
+  });
+  it('Imports weapons named like object properties', function() {
+    const hungryGames = require('../src/hungryGames.js');
+    if (!hungryGames.common) hungryGames.common = require('../src/common.js');
+    const GuildGame = require('../src/hg/GuildGame.js');
+    const games = hungryGames.getHG()._games;
+    games.guild = new GuildGame('bot', 'guild');
+    const weapon = {
+      outcomes: [{
+        action: 'pokes',
+        attacker: {count: 1, outcome: 'nothing'},
+        victim: {count: 1, outcome: 'wounded'},
+      }],
+    };
+    const data = {version: 1, weapon: {constructor: weapon, toString: weapon}};
+    expect(hungryGames.importEventPack('guild', data).added).to.equal(2);
+    expect(hungryGames.importEventPack('guild', data).duplicates)
+        .to.equal(2);
+    expect(Object.keys(games.guild.customEvents.weapon))
+        .to.deep.equal(['constructor', 'toString']);
+    delete games.guild;
+    const proto = JSON.parse('{"version": 1, "weapon": {"__proto__": {}}}');
+    expect(EventPack.from(proto)).to.be.a('string');
+  });
+}
+
+/**
+ * Run tests of the Moderation submodule that do not require Discord.
+ */
+function runModerationTests() {
+  const moderation = require('../src/moderation.js');
+  const Moderation = moderation.constructor;
+  before(function() {
+    moderation.common = require('../src/common.js');
+    moderation.Discord = Discord;
+    moderation.bot = {getSubmodule: () => null};
+  });
+  const makeGuild = (members) => {
+    return {
+      id: '420045052690169856',
+      members: {get: (id) => members.find((el) => el.id === id)},
+    };
+  };
+  it('Parses durations', function() {
+    expect(moderation.parseDuration('2h spamming'))
+        .to.deep.equal({duration: 7200000, text: 'spamming'});
+    expect(moderation.parseDuration('spamming for 2h'))
+        .to.deep.equal({duration: 0, text: 'spamming for 2h'});
+  });
+  it('Keeps message links when parsing targets', function() {
+    const member = {id: '124733888177111041'};
+    const link = 'https://discord.com/channels/420045052690169856/' +
+        '420045052690169857/420045052690169858';
+    const parsed = moderation._parseTargets({
+      guild: makeGuild([member]),
+      text: `<@!${member.id}> spam ${link}`,
+    });
+    expect(parsed.members).to.deep.equal([member]);
+    expect(parsed.text).to.equal(`spam ${link}`);
+    expect(moderation._parseTargets({
+      guild: makeGuild([member]),
+      text: `${member.id} spam`,
+    }).members).to.deep.equal([member]);
+  });
+  it('Numbers cases and escalates warnings', function() {
+    const kicked = [];
+    const user = {id: '124733888177111041'};
+    const member = {
+      id: user.id,
+      kick: (reason) => {
+        kicked.push(reason);
+        return Promise.resolve();
+      },
+    };
+    const guild = makeGuild([member]);
+    expect(moderation.setEscalation(guild.id, 0, 'kick')).to.be.a('string');
+    expect(moderation.setEscalation(guild.id, 2, 'explode')).to.be.a('string');
+    expect(moderation.setEscalation(guild.id, 2, 'kick')).to.equal(null);
+    const first = moderation.addInfraction(guild, user, null, 'warn', 'a');
+    expect(first.id).to.equal(1);
+    expect(kicked.length).to.equal(0);
+    expect(moderation.pardon(guild, first.id, null)).to.equal(null);
+    expect(moderation.pardon(guild, first.id, null)).to.be.a('string');
+    moderation.addInfraction(guild, user, null, 'warn', 'b');
+    expect(kicked.length).to.equal(0);
+    moderation.addInfraction(guild, user, null, 'warn', 'c');
+    expect(kicked).to.deep.equal(['Automatic: 2 warnings']);
+    expect(moderation.countWarnings(guild.id, user.id)).to.equal(2);
+    expect(Moderation.escalationActions).to.include('kick');
+  });
+  it('Splits long mutes into shorter timeouts', function() {
+    const delays = [];
+    const client = moderation.client;
+    moderation.client = {
+      setTimeout: (fn, delay) => delays.push(delay),
+      clearTimeout: () => {},
+    };
+    const guild = makeGuild([]);
+    const user = {id: '124733888177111041'};
+    const day = 24 * 60 * 60 * 1000;
+    const warn = moderation.addInfraction(
+        guild, user, null, 'warn', null, null, day);
+    expect(warn.expires).to.equal(null);
+    const mute = moderation.addInfraction(
+        guild, user, null, 'mute', null, null, 30 * day);
+    expect(mute.expires - mute.time).to.equal(30 * day);
+    expect(delays).to.deep.equal([Moderation.maxTimeout]);
+    moderation._expiryTimeouts = {};
+    moderation.client = client;
+  });
+}
+
+/**
+ * Run tests of the AutoMod submodule that do not require Discord.
+ */
+function runAutoModTests() {
+  const autoMod = require('../src/autoMod.js');
+  const AutoMod = autoMod.constructor;
+  const makeMessage = (content) => {
+    return {
+      content: content,
+      guild: {id: '420045052690169856'},
+      author: {id: '124733888177111041'},
+      mentions: {users: {size: 0}, roles: {size: 0}, everyone: false},
+    };
+  };
+  it('Measures caps', function() {
+    expect(AutoMod.capsRatio('HELLO world')).to.equal(0.5);
+    expect(AutoMod.capsRatio('HELLO', 10)).to.equal(0);
+    expect(AutoMod.capsRatio('1234')).to.equal(0);
+  });
+  it('Rejects unsafe blocked words', function() {
+    expect(AutoMod.compileWord('bad(word)?')).to.be.an.instanceof(RegExp);
+    expect(AutoMod.compileWord('(?:a|b)?c')).to.be.an.instanceof(RegExp);
+    expect(AutoMod.compileWord('[(]+')).to.be.an.instanceof(RegExp);
+    expect(AutoMod.compileWord('(a+)+')).to.equal(null);
+    expect(AutoMod.compileWord('(a|aa)*')).to.equal(null);
+    expect(AutoMod.compileWord('(x(a|b))+')).to.equal(null);
+    expect(AutoMod.compileWord('(a)\\1')).to.equal(null);
+    expect(AutoMod.compileWord('bad\\s*word')).to.be.an.instanceof(RegExp);
+    expect(AutoMod.compileWord('b+a+d+')).to.be.an.instanceof(RegExp);
+    expect(AutoMod.compileWord('\\w*\\w*\\w*\\w*\\w*\\w*x')).to.equal(null);
+    expect(AutoMod.compileWord('a?a?a?aaa')).to.equal(null);
+    expect(AutoMod.compileWord('[a-z]+?\\w{2,}')).to.equal(null);
+    expect(AutoMod.compileWord('a'.repeat(AutoMod.maxWordLength + 1)))
+        .to.equal(null);
+    expect(AutoMod.compileWord('[')).to.equal(null);
+    const settings = AutoMod.Settings.from({blockedWords: ['ok', '(a+)+', 5]});
+    expect(settings.blockedWords).to.deep.equal(['ok']);
+  });
+  it('Checks messages against rules', function() {
+    const settings = AutoMod.Settings.from({
+      floodCount: 0,
+      blockedWords: ['constructor', 'heck'],
+      capsRatio: 0.8,
+      blockInvites: true,
+    });
+    expect(autoMod.check(makeMessage('hello there'), settings))
+        .to.deep.equal([]);
+    expect(autoMod.check(makeMessage('what the heck'), settings))
+        .to.deep.equal(['words']);
+    expect(autoMod.check(makeMessage('THIS IS VERY LOUD'), settings))
+        .to.deep.equal(['caps']);
+    expect(autoMod.check(makeMessage('join discord.gg/abc'), settings))
+        .to.deep.equal(['invites']);
+    settings.blockedWords = ['toString'];
+    expect(autoMod.check(makeMessage('hi'), settings)).to.deep.equal([]);
+  });
+}
+
+/**
+ * Run tests of RaidBlock risk scores that do not require Discord.
+ */
+function runRaidBlockTests() {
+  const raidBlock = require('../src/raidBlock.js');
+  const weights = raidBlock.constructor.riskWeights;
+  before(function() {
+    raidBlock.common = require('../src/common.js');
+  });
+  const now = Date.now();
+  const day = 24 * 60 * 60 * 1000;
+  const makeMember = (id, name, age, avatar) => {
+    return {
+      id: id,
+      user: {username: name, createdTimestamp: now - age, avatar: avatar},
+    };
+  };
+  it('Scores new members', function() {
+    const s = raidBlock.constructor.RaidSettings.from({inviteBurst: 2});
+    const old = makeMember('1', 'SpikeyRobot', 365 * day, 'abc');
+    expect(raidBlock.assessRisk(old, s, null, now))
+        .to.deep.equal({score: 0, reasons: []});
+    const fresh = makeMember('2', 'raider001', day, null);
+    expect(raidBlock.assessRisk(fresh, s, null, now).score)
+        .to.equal(weights.newAccount + weights.defaultAvatar);
+    s.riskHistory.push({time: now, id: '3', name: 'raider002', invite: 'abc'});
+    const risk = raidBlock.assessRisk(fresh, s, 'abc', now);
+    expect(risk.score).to.equal(
+        weights.newAccount + weights.defaultAvatar + weights.similarName +
+        weights.inviteBurst);
+    expect(risk.reasons.length).to.equal(4);
+  });
+  it('Loads risk settings', function() {
+    const s = raidBlock.constructor.RaidSettings.from(
+        {riskThreshold: 3, riskAction: 'explode', checkAvatar: 'yes'});
+    expect(s.riskThreshold).to.equal(3);
+    expect(s.riskAction).to.equal('verify');
+    expect(s.checkAvatar).to.equal(true);
+  });
+}
+
+/**
+ * Run tests of member verification that do not require Discord.
+ */
+function runVerificationTests() {
+  const verification = require('../src/verification.js');
+  const Verification = verification.constructor;
+  it('Limits the answer timeout', function() {
+    const s = Verification.Settings.from({timeout: 365 * 24 * 60 * 60 * 1000});
+    expect(s.timeout).to.equal(Verification.maxTimeout);
+    expect(Verification.Settings.from({timeout: -1}).timeout)
+        .to.equal(new Verification.Settings().timeout);
+    const delays = [];
+    const client = verification.client;
+    verification.client = {
+      setTimeout: (fn, delay) => delays.push(delay),
+      clearTimeout: () => {},
+    };
+    verification._pending.guild = {user: {expires: Date.now() + s.timeout * 2}};
+    verification._scheduleTimeout('guild', 'user');
+    expect(delays).to.deep.equal([Verification.maxTimeout]);
+    delete verification._pending.guild;
+    verification._timeouts = {};
+    verification.client = client;
+  });
+  it('Creates reaction challenges', function() {
+    const bot = verification.bot;
+    verification.bot = {getSubmodule: () => null};
+    const challenge = verification._createChallenge('math');
+    expect(challenge.type).to.equal('reaction');
+    expect(Verification.reactionChoices).to.include(challenge.answer);
+    verification.bot = bot;
+  });
+}
+
+/**
+ * Run tests of ModLog history that do not require Discord.
+ */
+function runModLogTests() {
+  const modLog = require('../src/modLog.js');
+  const ModLog = modLog.constructor;
+  before(function() {
+    modLog.common = require('../src/common.js');
+  });
+  const user = {id: '124733888177111041', tag: 'SpikeyRobot#0971'};
+  it('Parses search queries', function() {
+    const query = modLog.parseQuery(
+        `search <@${user.id}> action:ban by:${user.id} limit:5 spam bot`);
+    expect(query).to.deep.equal({
+      user: user.id,
+      action: 'ban',
+      moderator: user.id,
+      limit: 5,
+      text: 'spam bot',
+    });
+    expect(modLog.parseQuery('since 7d').since)
+        .to.be.closeTo(Date.now() - 7 * 24 * 60 * 60 * 1000, 1000);
+    expect(modLog.parseQuery('since never')).to.be.a('string');
+    expect(modLog.parseQuery('by:nobody')).to.be.a('string');
+    expect(modLog.parseQuery('limit:0')).to.be.a('string');
+  });
+  it('Only stores actions the guild logs', function() {
+    const guild = {id: '420045052690169856', channels: {get: () => null}};
+    modLog.output(guild, 'ban', user, null, 'Unlogged');
+    expect(modLog.search(guild.id)).to.deep.equal([]);
+    modLog._settings[guild.id] =
+        ModLog.Settings.from({channel: '1', logBans: true});
+    modLog.output(guild, 'kick', user, null, 'Kicked');
+    modLog.output(guild, 'ban', user, null, 'Spamming');
+    const found = modLog.search(guild.id, modLog.parseQuery('spam'));
+    expect(found.length).to.equal(1);
+    expect(found[0].action).to.equal('ban');
+    expect(modLog.search(guild.id, {action: 'kick'})).to.deep.equal([]);
+    delete modLog._settings[guild.id];
+    delete modLog._history[guild.id];
+    delete modLog._historyDirty[guild.id];
+  });
+  it('Only keeps deleted message content when enabled', function() {
+    const moderation = require('../src/moderation.js');
+    const guild = {id: '420045052690169857', channels: {get: () => null}};
+    const bot = moderation.bot;
+    const client = moderation.client;
+    moderation.bot = {getSubmodule: () => modLog};
+    moderation.client = {user: {id: '1'}};
+    const msg = {
+      guild: guild,
+      author: user,
+      channel: {name: 'general'},
+      content: 'secret',
+      attachments: [],
+    };
+    expect(ModLog.Settings.from({}).logDeletedContent).to.equal(false);
+    modLog._settings[guild.id] =
+        ModLog.Settings.from({channel: '1', logMessageDelete: true});
+    moderation._onMessageDelete(msg);
+    modLog._settings[guild.id].logDeletedContent = true;
+    moderation._onMessageDelete(msg);
+    expect(modLog.search(guild.id).map((el) => el.message2))
+        .to.deep.equal(['secret', null]);
+    delete modLog._settings[guild.id];
+    delete modLog._history[guild.id];
+    delete modLog._historyDirty[guild.id];
+    moderation.bot = bot;
+    moderation.client = client;
+  });
+  it('Marks changed words in edits', function() {
+    expect(ModLog.diff('hello big world', 'hello small world'))
+        .to.equal('hello ~~big~~**small** world');
+    expect(ModLog.diff('a', 'a b')).to.equal('a **b**');
+  });
+  it('Exports logged actions', function() {
+    const entries = [{
+      time: 0,
+      action: 'ban',
+      user: user.id,
+      userTag: '=HYPERLINK("x")',
+      moderator: null,
+      moderatorTag: null,
+      message: 'Said "hi", then left',
+      message2: '-1',
+      caseId: 3,
+    }];
+    const csv = ModLog.format(entries, 'csv').split('\r\n');
+    expect(csv[0]).to.equal(ModLog.exportColumns.join(','));
+    expect(csv[1]).to.equal(
+        `0,1970-01-01T00:00:00.000Z,ban,3,${user.id},` +
+        '"\'=HYPERLINK(""x"")",,,"Said ""hi"", then left",\'-1');
+    expect(JSON.parse(ModLog.format(entries, 'json'))).to.deep.equal(entries);
+  });
+}
+
+/**
+ * Run tests of RoleManager that do not require Discord.
+ */
+function runRoleManagerTests() {
+  const roleManager = require('../src/roleManager.js');
+  const gId = '420045052690169856';
+  const rId = '420045052690169857';
+  const given = [];
+  const makeMember = (id, joined) => {
+    return {
+      id: id,
+      joinedTimestamp: joined,
+      user: {bot: false},
+      guild: {id: gId},
+      roles: {
+        get: () => null,
+        add: (role) => {
+          given.push(`${id}/${role}`);
+          return Promise.resolve();
+        },
+      },
+    };
+  };
+  const cached = new Map([['1', makeMember('1', 1)]]);
+  const guild = {
+    id: gId,
+    ownerID: '1',
+    roles: {get: (id) => id === rId ? {id: rId, position: 1} : null},
+    me: {permissions: {has: () => true}, roles: {highest: {position: 5}}},
+    members: {
+      get: (id) => cached.get(id),
+      forEach: (cb) => cached.forEach(cb),
+      fetch: () => {
+        cached.set('2', makeMember('2', 1));
+        return Promise.resolve(cached);
+      },
+    },
+  };
+  let check;
+  before(function() {
+    roleManager.Discord = Discord;
+    roleManager.common = require('../src/common.js');
+    roleManager.command = {
+      SingleCommand: function() {},
+      CommandSetting: function() {},
+      on: () => {},
+      deleteEvent: () => {},
+    };
+    roleManager.client = {
+      on: () => {},
+      removeListener: () => {},
+      setInterval: (fn) => check = fn,
+      clearInterval: () => {},
+      guilds: {get: (id) => id === gId ? guild : null, forEach: () => {}},
+      channels: {get: () => null},
+    };
+    roleManager.initialize();
+  });
+  after(function() {
+    roleManager.shutdown();
+  });
+  it('Validates role menus', function(done) {
+    const channel = {
+      id: '420045052690169858',
+      guild: {id: gId},
+      send: () => Promise.resolve(
+          {id: '420045052690169859', edit: () => Promise.resolve()}),
+    };
+    roleManager.createMenu(channel, 'Colors', (err, menu) => {
+      expect(err).to.equal(null);
+      expect(roleManager.getMenus(gId)[menu.id]).to.equal(menu);
+      expect(roleManager.editMenu(gId, 'constructor', 'title', 'Hi'))
+          .to.be.a('string');
+      expect(roleManager.editMenu(gId, menu.id, 'exclusive', 'yes'))
+          .to.be.a('string');
+      expect(roleManager.editMenu(gId, menu.id, 'required', ['1']))
+          .to.be.a('string');
+      expect(roleManager.editMenu(
+          gId, menu.id, 'options', [{emoji: 'red', role: rId}]))
+          .to.be.a('string');
+      const options = [
+        {emoji: '🔴', role: rId, description: 'Red'},
+        {emoji: '🔴', role: rId},
+      ];
+      expect(roleManager.editMenu(gId, menu.id, 'options', options))
+          .to.be.a('string');
+      expect(roleManager.editMenu(gId, menu.id, 'options', options.slice(0, 1)))
+          .to.equal(null);
+      expect(menu.options).to.deep.equal(options.slice(0, 1));
+      expect(roleManager.deleteMenu(gId, menu.id)).to.equal(null);
+      expect(roleManager.getMenus(gId)).to.deep.equal({});
+      done();
+    });
+  });
+  it('Validates auto-role rules', function() {
+    expect(roleManager.addAutoRole(gId, rId, 'never')).to.be.a('string');
+    expect(roleManager.addAutoRole(gId, '1', 'join')).to.be.a('string');
+    expect(roleManager.addAutoRole(gId, rId, 'age', 0)).to.be.a('string');
+    expect(roleManager.addAutoRole(gId, rId, 'messages', 5, -1))
+        .to.be.a('string');
+    const rule = roleManager.addAutoRole(gId, rId, 'messages', 5);
+    expect(rule.count).to.equal(5);
+    expect(roleManager.removeAutoRole(gId, rule.id)).to.equal(null);
+    expect(roleManager.removeAutoRole(gId, rule.id)).to.be.a('string');
+  });
+  it('Loads saved role menus before they are used', function() {
+    const fs = require('fs');
+    const dir = fs.mkdtempSync(require('os').tmpdir() + '/spikeybot-');
+    const filename = `${dir}/${gId}/roleMenus.json`;
+    fs.mkdirSync(`${dir}/${gId}`);
+    fs.writeFileSync(filename, JSON.stringify({
+      '420045052690169860': {id: '420045052690169860', options: []},
+    }));
+    const common = roleManager.common;
+    roleManager.shutdown();
+    roleManager.common = Object.create(common);
+    roleManager.common.guildSaveDir = dir + '/';
+    roleManager.client.guilds.forEach = (cb) => cb(guild);
+    roleManager.initialize();
+    roleManager.client.guilds.forEach = () => {};
+    roleManager.common = common;
+    fs.unlinkSync(filename);
+    fs.rmdirSync(`${dir}/${gId}`);
+    fs.rmdirSync(dir);
+    expect(Object.keys(roleManager.getMenus(gId)))
+        .to.deep.equal(['420045052690169860']);
+  });
+  it('Gives age roles to members that were not cached', function(done) {
+    roleManager.addAutoRole(gId, rId, 'age', 1000);
+    check();
+    setImmediate(() => {
+      expect(given).to.deep.equal([`1/${rId}`, `2/${rId}`]);
+      done();
+    });
+  });
+}
+
+/**
+ * Run tests of role colors that do not require Discord.
+ */
+function runRoleColorsTests() {
+  const roleColors = require('../src/roleColors.js');
+  const handlers = {};
+  const guilds = new Discord.Collection();
+  const makeGuild = (id) => {
+    const guild = {
+      id: id,
+      roles: new Discord.Collection(),
+      me: {hasPermission: () => true, roles: {highest: {position: 5}}},
+      members: {
+        get: () => null,
+        fetch: () => Promise.reject({code: 10007}),
+      },
+    };
+    let next = 0;
+    guild.roles.create = (opts) => {
+      const role = makeRole(guild, `42004505269016${id.slice(-1)}${next++}00`,
+          opts.data.name);
+      return Promise.resolve(role);
+    };
+    guilds.set(id, guild);
+    return guild;
+  };
+  const makeRole = (guild, id, name) => {
+    const role = {
+      id: id,
+      name: name,
+      guild: guild,
+      position: 1,
+      permissions: {bitfield: 0},
+      delete: () => {
+        guild.roles.delete(id);
+        return Promise.resolve(role);
+      },
+    };
+    guild.roles.set(id, role);
+    return role;
+  };
+  const guild = makeGuild('420045052690169851');
+  const other = makeGuild('420045052690169852');
+  let sweep;
+  before(function() {
+    roleColors.Discord = Discord;
+    roleColors.common = {guildSaveDir: './test/save/', reply: () => {}};
+    roleColors.command = {
+      SingleCommand: function(names, fn) {
+        handlers[names[0]] = fn;
+      },
+      CommandSetting: function() {},
+      on: () => {},
+      deleteEvent: () => {},
+    };
+    roleColors.client = {
+      guilds: guilds,
+      setInterval: (fn) => sweep = fn,
+      clearInterval: () => {},
+    };
+    roleColors.initialize();
+  });
+  after(function() {
+    roleColors.shutdown();
+  });
+  it('Only sweeps roles it created', function(done) {
+    const untracked =
+        makeRole(guild, '420045052690169860', '420045052690169870');
+    const otherRole =
+        makeRole(other, '420045052690169861', '420045052690169871');
+    const msg = {
+      guild: guild,
+      text: '#E74C3C',
+      member: {
+        id: '420045052690169872',
+        hasPermission: () => false,
+        roles: {add: () => Promise.resolve()},
+      },
+      mentions: {members: {size: 0}},
+      channel: {
+        id: '420045052690169873',
+        send: () => {
+          expect(guild.roles.size).to.equal(2);
+          sweep();
+          setTimeout(() => {
+            expect(guild.roles.array()).to.deep.equal([untracked]);
+            expect(other.roles.array()).to.deep.equal([otherRole]);
+            done();
+          }, 10);
+          return Promise.resolve();
+        },
+      },
+    };
+    handlers.color(msg);
+  });
+}
+
+/**
+ * Run tests of command cooldowns that do not require Discord.
+ */
+function runCooldownTests() {
+  const command = require('../src/commands.js');
+  const gId = '420045052690169856';
+  const makeMsg = (user, channel, roles) => {
+    return {
+      author: {id: user},
+      channel: {id: channel},
+      guild: {id: gId},
+      member: {
+        roles: new Discord.Collection(roles.map((el) => [el, {id: el}])),
+      },
+    };
+  };
+  it('Defaults to no cooldown', function() {
+    const setting = new command.CommandSetting({cooldownScope: 'planet'});
+    expect(setting.cooldown).to.equal(0);
+    expect(setting.cooldownScope).to.equal('user');
+    const msg = makeMsg('1', '10', []);
+    setting.startCooldown(msg);
+    expect(setting.getCooldown(msg)).to.equal(0);
+  });
+  it('Limits each user separately', function() {
+    const setting = new command.CommandSetting({cooldown: 60000});
+    setting.startCooldown(makeMsg('1', '10', []));
+    expect(setting.getCooldown(makeMsg('1', '11', []))).to.be.above(59000);
+    expect(setting.getCooldown(makeMsg('2', '10', []))).to.equal(0);
+  });
+  it('Limits everyone in a channel', function() {
+    const setting = new command.CommandSetting(
+        {cooldown: 60000, cooldownScope: 'channel'});
+    setting.startCooldown(makeMsg('1', '10', []));
+    expect(setting.getCooldown(makeMsg('2', '10', []))).to.be.above(59000);
+    expect(setting.getCooldown(makeMsg('1', '11', []))).to.equal(0);
+  });
+  it('Limits everyone in a guild', function() {
+    const setting = new command.CommandSetting(
+        {cooldown: 60000, cooldownScope: 'guild'});
+    setting.startCooldown(makeMsg('1', '10', []));
+    expect(setting.getCooldown(makeMsg('2', '11', []))).to.be.above(59000);
+  });
+  it('Lets bypass roles skip the cooldown', function() {
+    const setting = new command.CommandSetting({
+      cooldown: 60000,
+      cooldownScope: 'guild',
+      cooldownBypass: {roles: {[`${gId}/5`]: true}},
+    });
+    setting.startCooldown(makeMsg('1', '10', []));
+    expect(setting.getCooldown(makeMsg('2', '10', ['4']))).to.be.above(0);
+    expect(setting.getCooldown(makeMsg('2', '10', ['4', '5']))).to.equal(0);
+  });
+}
+
+/**
+ * Run tests of custom commands that do not require Discord.
+ */
+function runCustomCommandTests() {
+  const command = require('../src/commands.js');
+  const gId = '420045052690169856';
+  const msg = {guild: {id: gId}, prefix: '!'};
+  const ran = [];
+  const replies = [];
+  const makeMsg = (content) => {
+    return {
+      content: content,
+      prefix: '!',
+      guild: {
+        id: gId,
+        members: new Discord.Collection(),
+        roles: new Discord.Collection(),
+      },
+      author: {id: '1'},
+      member: {id: '1', roles: new Discord.Collection()},
+      channel: {id: '2', permissionsFor: () => ({has: () => true})},
+    };
+  };
+  const Store = function() {};
+  const original = {};
+  before(function() {
+    ['Discord', 'common', 'client'].forEach((el) => {
+      original[el] = command[el];
+    });
+    command.Discord = Object.assign({}, Discord, {
+      UserStore: Store,
+      GuildMemberStore: Store,
+      RoleStore: Store,
+    });
+    command.common = Object.create(require('../src/common.js'));
+    command.common.reply = (msg, title, body) => replies.push(title);
+    command.client = {setTimeout: (fn) => setImmediate(fn)};
+    command.on(new command.SingleCommand('ping', () => ran.push('ping')));
+    command.on(new command.SingleCommand('boom', () => {
+      throw new Error('Boom');
+    }));
+    command.on(new command.SingleCommand(
+        'reject', () => Promise.reject(new Error('Rejected'))));
+  });
+  after(function() {
+    ['ping', 'boom', 'reject'].forEach((el) => command.deleteEvent(el));
+    Object.assign(command, original);
+  });
+  it('Validates custom names', function() {
+    expect(command.setAlias(gId, '', 'ping')).to.be.a('string');
+    expect(command.setAlias(gId, 'a b', 'ping')).to.be.a('string');
+    expect(command.setAlias(gId, 'a'.repeat(33), 'ping')).to.be.a('string');
+    expect(command.setAlias(gId, 'pong', 'nothing')).to.be.a('string');
+    expect(command.setAlias(gId, 'pong', 'ping')).to.equal(null);
+    expect(command.setCustomResponse(gId, 'pong', 'Hi')).to.be.a('string');
+    expect(command.removeAlias(gId, 'pong')).to.equal(null);
+  });
+  it('Allows names of object properties', function() {
+    expect(command.setCustomResponse(gId, 'constructor', 'Hi')).to.equal(null);
+    expect(command.setAlias(gId, '__proto__', 'ping')).to.equal(null);
+    expect(command.find('!constructor', msg).getName()).to.equal('constructor');
+    expect(command.find('__proto__', msg).getName()).to.equal('ping');
+    expect(command.find('toString', msg)).to.equal(undefined);
+    expect(command.getCustomCommands(gId).responses.constructor)
+        .to.equal('Hi');
+    expect(command.removeCustomResponse(gId, 'constructor')).to.equal(null);
+    expect(command.removeAlias(gId, '__proto__')).to.equal(null);
+    expect(command.removeAlias(gId, 'hasOwnProperty')).to.be.a('string');
+  });
+  it('Validates macros', function() {
+    expect(command.setMacro(gId, 'constructor', ['ping'])).to.equal(null);
+    expect(command.setMacro(gId, 'nested', ['constructor'])).to.be.a('string');
+    expect(command.setMacro(gId, 'proto', ['__proto__'])).to.be.a('string');
+    expect(command.setMacro(gId, 'wait', ['wait 0s'])).to.be.a('string');
+    expect(command.setMacro(gId, 'empty', [' '])).to.be.a('string');
+    expect(command.removeMacro(gId, 'constructor')).to.equal(null);
+    expect(command.removeMacro(gId, 'toString')).to.be.a('string');
+  });
+  it('Stops macros when a step throws', function(done) {
+    ran.splice(0);
+    replies.splice(0);
+    expect(command.setMacro(gId, 'run', ['ping', 'boom', 'ping']))
+        .to.equal(null);
+    command.trigger(makeMsg('!run'));
+    setTimeout(() => {
+      expect(ran).to.deep.equal(['ping']);
+      expect(replies).to.deep.equal(['Stopped `run` at step 2.']);
+      done();
+    }, 20);
+  });
+  it('Stops macros when a step rejects', function(done) {
+    ran.splice(0);
+    replies.splice(0);
+    expect(command.setMacro(gId, 'run', ['ping', 'reject', 'ping']))
+        .to.equal(null);
+    command.trigger(makeMsg('!run'));
+    setTimeout(() => {
+      expect(ran).to.deep.equal(['ping']);
+      expect(replies).to.deep.equal(['Stopped `run` at step 2.']);
+      expect(command.removeMacro(gId, 'run')).to.equal(null);
+      done();
+    }, 20);
+  });
+}
+
+/**
+ * Run tests of cron schedules that do not require Discord.
+ */
+function runCronTests() {
+  const cmdScheduling = require('../src/cmdScheduling.js');
+  const next = (cron, tz, after) => {
+    return new Date(cmdScheduling.nextCronTime(cron, tz, after)).toISOString();
+  };
+  it('Rejects invalid rules', function() {
+    expect(cmdScheduling.parseCron('* * *')).to.be.a('string');
+    expect(cmdScheduling.parseCron('60 * * * *')).to.be.a('string');
+    expect(cmdScheduling.parseCron('* * * * 8')).to.be.a('string');
+    expect(cmdScheduling.parseCron('0 0 5-1 * *')).to.be.a('string');
+    expect(cmdScheduling.parseCron('@daily')).to.be.an('object');
+    expect(cmdScheduling.parseCron('constructor')).to.be.a('string');
+    expect(cmdScheduling.parseCron('__proto__')).to.be.a('string');
+    expect(cmdScheduling.nextCronTime('0 0 30 2 *', 'UTC')).to.equal(null);
+  });
+  it('Resolves timezones', function() {
+    expect(cmdScheduling.resolveTimezone('america/new_york'))
+        .to.equal('America/New_York');
+    expect(cmdScheduling.resolveTimezone('Mars/Base')).to.equal(null);
+    expect(cmdScheduling.resolveTimezone('toString')).to.equal(null);
+    expect(cmdScheduling.nextCronTime('@daily', 'Mars/Base')).to.equal(null);
+  });
+  it('Finds times in a timezone', function() {
+    expect(next('0 9 * * *', 'America/New_York', Date.UTC(2024, 0, 15)))
+        .to.equal('2024-01-15T14:00:00.000Z');
+    expect(next('0 9 * * *', 'Asia/Tokyo', Date.UTC(2024, 0, 15)))
+        .to.equal('2024-01-16T00:00:00.000Z');
+  });
+  it('Handles daylight saving time', function() {
+    // 02:30 is skipped, so the time after the skip is used.
+    expect(next('30 2 * * *', 'America/New_York', Date.UTC(2024, 2, 10, 5)))
+        .to.equal('2024-03-10T07:30:00.000Z');
+    // 01:30 happens twice, but only runs the first time.
+    expect(next('30 1 * * *', 'America/New_York', Date.UTC(2024, 10, 3, 4)))
+        .to.equal('2024-11-03T05:30:00.000Z');
+    expect(next('30 1 * * *', 'America/New_York',
+        Date.UTC(2024, 10, 3, 5, 30)))
+        .to.equal('2024-11-04T06:30:00.000Z');
+  });
+  it('Matches special days', function() {
+    const after = Date.UTC(2024, 1, 1);
+    expect(next('0 0 L * *', 'UTC', after))
+        .to.equal('2024-02-29T00:00:00.000Z');
+    expect(next('0 12 * * 5L', 'UTC', after))
+        .to.equal('2024-02-23T12:00:00.000Z');
+    expect(next('0 12 * * sat#1', 'UTC', after))
+        .to.equal('2024-02-03T12:00:00.000Z');
+  });
+  it('Previews upcoming times', function() {
+    const times =
+        cmdScheduling.previewCron('@hourly', 'UTC', 3, Date.UTC(2024, 0, 1));
+    expect(times).to.deep.equal([
+      Date.UTC(2024, 0, 1, 1),
+      Date.UTC(2024, 0, 1, 2),
+      Date.UTC(2024, 0, 1, 3),
+    ]);
+    expect(cmdScheduling.previewCron('0 0 30 2 *', 'UTC')).to.deep.equal([]);
+  });
+}
+
+/**
+ * Run tests of scheduled command history that do not require Discord.
+ */
+function runScheduledCommandTests() {
+  const cmdScheduling = require('../src/cmdScheduling.js');
+  const gId = '420045052690169856';
+  const notified = [];
+  const paused = [];
+  const onPaused = (id) => paused.push(id);
+  let sCmd;
+  before(function() {
+    cmdScheduling.Discord = Discord;
+    cmdScheduling.client = {
+      user: {id: '420045052690169857'},
+      channels: {get: () => null},
+      guilds: {get: () => null},
+      users: {
+        fetch: (id) => {
+          notified.push(id);
+          return Promise.reject(new Error('Test'));
+        },
+      },
+      setTimeout: () => ({}),
+      clearTimeout: () => {},
+    };
+    cmdScheduling.on('commandPaused', onPaused);
+    sCmd = new cmdScheduling.ScheduledCommand({
+      cmd: 'ping',
+      channel: '420045052690169858',
+      message: '420045052690169859',
+      member: '420045052690169860',
+      guild: gId,
+      id: 'ABC',
+      time: Date.now() - 1000,
+      repeatDelay: 60000,
+    });
+    cmdScheduling.registerScheduledCommand(sCmd);
+  });
+  after(function() {
+    cmdScheduling.removeListener('commandPaused', onPaused);
+    cmdScheduling.cancelCmd(gId, 'ABC');
+  });
+  it('Pauses after too many failures', function() {
+    for (let i = 0; i < cmdScheduling.maxFailures; i++) {
+      expect(sCmd.paused).to.equal(false);
+      sCmd.go();
+    }
+    expect(sCmd.paused).to.equal(true);
+    expect(sCmd.failures).to.equal(cmdScheduling.maxFailures);
+    expect(paused).to.deep.equal(['ABC']);
+    expect(notified).to.deep.equal(['420045052690169860']);
+    expect(sCmd.history.length).to.equal(cmdScheduling.maxFailures);
+    expect(sCmd.history[0].success).to.equal(false);
+    expect(sCmd.history[0].reason).to.equal('The channel no longer exists.');
+    expect(sCmd.toJSON().history).to.equal(sCmd.history);
+  });
+  it('Limits history length', function() {
+    for (let i = 0; i < 12; i++) sCmd.go();
+    expect(sCmd.history.length).to.equal(10);
+    expect(paused).to.deep.equal(['ABC']);
+  });
+  it('Pauses and resumes', function() {
+    expect(cmdScheduling.findCmd(gId, 'abc')).to.equal(sCmd);
+    expect(cmdScheduling.pauseCmd(gId, 'ABC')).to.equal(null);
+    expect(cmdScheduling.resumeCmd(gId, 'ABC')).to.equal(sCmd);
+    expect(sCmd.paused).to.equal(false);
+    expect(sCmd.failures).to.equal(0);
+    expect(sCmd.time).to.be.above(Date.now());
+    expect(cmdScheduling.resumeCmd(gId, 'ABC')).to.equal(null);
+    expect(cmdScheduling.pauseCmd(gId, 'ABC')).to.equal(sCmd);
+    expect(sCmd.paused).to.equal(true);
+    expect(cmdScheduling.pauseCmd(gId, 'XYZ')).to.equal(null);
+  });
+}
+
 let ready = false;
 let currentTest;
 let currentTestPart = -1;
@@ -364,7 +1578,20 @@ function startTests() {
       });
       describe('Hungry Games', function() {
         runTests(hgTests);
+        describe('Simulator', runSimulatorTests);
+        describe('Event Packs', runEventPackTests);
       });
+      describe('Moderation', runModerationTests);
+      describe('AutoMod', runAutoModTests);
+      describe('RaidBlock', runRaidBlockTests);
+      describe('Verification', runVerificationTests);
+      describe('ModLog', runModLogTests);
+      describe('RoleManager', runRoleManagerTests);
+      describe('RoleColors', runRoleColorsTests);
+      describe('Cooldowns', runCooldownTests);
+      describe('Custom Commands', runCustomCommandTests);
+      describe('Cron', runCronTests);
+      describe('Scheduled Commands', runScheduledCommandTests);
     });
     describe('END', function() {
       runTests([new Test(